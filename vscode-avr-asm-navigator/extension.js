@@ -4,19 +4,57 @@ const vscode = require('vscode');
 const fs = require('fs/promises');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const zlib = require('zlib');
 
 const WORD_REGEX = /[A-Za-z_.$][A-Za-z0-9_.$]*/;
 const LOCAL_LABEL_REGEX = /^\s*([A-Za-z_.$][A-Za-z0-9_.$]*)\s*:/;
 const LOCAL_EQU_REGEX = /^\s*\.equ\s+([A-Za-z_.$][A-Za-z0-9_.$]*)\s*(?:=|,)\s*(.+)$/i;
 const LOCAL_SET_REGEX = /^\s*\.set\s+([A-Za-z_.$][A-Za-z0-9_.$]*)\s*(?:=|,)\s*(.+)$/i;
 const IDENTIFIER_CHAR_CLASS = 'A-Za-z0-9_.$';
+const SYMBOL_LINKAGE_REGEX = /^\s*\.(global|globl|weak|extern)\s+([^;]+)/i;
+const INCLUDE_DIRECTIVE_REGEX = /^\s*(?:\.include|#\s*include)\s*(?:"([^"]+)"|<([^>]+)>)/i;
+const BUILD_DEVICE_NAME_REGEX =
+  /^(?:AT(?:tiny|mega|xmega)[0-9][0-9A-Za-z]*|AT90[0-9A-Za-z]+|AVR[0-9]+[A-Za-z][0-9A-Za-z]*)$/;
+const BUILD_FILE_DEVICE_PATTERNS = Object.freeze([
+  /-m(?:mcu|cpu)=([A-Za-z0-9_]+)/g,
+  /-D\s*__AVR_([A-Za-z0-9]+)__/g,
+  /^[ \t]*(?:export[ \t]+|override[ \t]+)?(?:MCU|MMCU|AVR_MCU|TARGET_MCU|DEVICE)[ \t]*[:?]?=[ \t]*([A-Za-z0-9_]+)/gm,
+  /\bset\s*\(\s*(?:MCU|MMCU|AVR_MCU|TARGET_MCU|DEVICE)\s+"?([A-Za-z0-9_]+)/gi
+]);
 const WORKSPACE_ASM_GLOB = '**/*.{S,s,asm,ASM,as,AS,inc,INC}';
 const WORKSPACE_EXCLUDE_GLOB = '**/{_build,out,cmake,node_modules,.git}/**';
+const WORKSPACE_EXCLUDE_PATH_REGEX = /\/(?:_build|out|cmake|node_modules|\.git)\//;
 
 const DEFAULT_MAX_WORKSPACE_SCAN_FILES = 400;
 const DEFAULT_MAX_WORKSPACE_SYMBOLS = 300;
 const DEFAULT_MAX_REFERENCE_RESULTS = 500;
 const DEFAULT_MAX_DEVICE_INFERENCE_FILES = 60;
+const MAX_INCLUDE_GRAPH_FILES = 64;
+const INDEX_CACHE_FORMAT_VERSION = 1;
+// Cache files kept in global storage, one per pack root and device.
+const INDEX_CACHE_MAX_FILES = 8;
+const MPLAB_CONFIGURATION_STATE_KEY = 'avrAsmNavigator.mplabConfiguration';
+const PLATFORMIO_ENVIRONMENT_STATE_KEY = 'avrAsmNavigator.platformioEnvironment';
+// Fallback for boards whose definitions are not installed locally, keyed by
+// PlatformIO board id and Arduino FQBN board id.
+const KNOWN_BOARD_MCUS = Object.freeze({
+  uno: 'atmega328p',
+  nano: 'atmega328p',
+  nanoatmega328: 'atmega328p',
+  nanoatmega328new: 'atmega328p',
+  pro16MHzatmega328: 'atmega328p',
+  pro8MHzatmega328: 'atmega328p',
+  mega: 'atmega2560',
+  megaatmega2560: 'atmega2560',
+  leonardo: 'atmega32u4',
+  micro: 'atmega32u4',
+  nano_every: 'atmega4809',
+  nona4809: 'atmega4809',
+  uno_wifi_rev2: 'atmega4809',
+  uno2018: 'atmega4809',
+  attiny85: 'attiny85'
+});
 const INDEX_SCOPE_GLOBAL = '__global__';
 const OUTPUT_CHANNEL_NAME = 'AVR ASM Navigator';
 const SUPPORTED_LANGUAGE_IDS = new Set([
@@ -28,6 +66,14 @@ const SUPPORTED_LANGUAGE_IDS = new Set([
 ]);
 
 const DEFAULT_PACK_VENDOR = 'Microchip';
+const PACK_ARCHIVE_SCHEME = 'avr-atpack';
+// Default MPLAB® X install roots; bundled packs live in <root>/<version>/packs.
+const MPLABX_INSTALL_ROOTS = Object.freeze([
+  '/opt/microchip/mplabx',
+  '/Applications/microchip/mplabx',
+  'C:\\Program Files\\Microchip\\MPLABX',
+  'C:\\Program Files (x86)\\Microchip\\MPLABX'
+]);
 const AVR_INSTRUCTION_MNEMONICS = Object.freeze([
   'adc',
   'add',
@@ -311,14 +357,401 @@ const AVR_REGISTER_NAMES = Object.freeze([
   'zl',
   'zh'
 ]);
+const AVR_REGISTER_ALIASES = Object.freeze({
+  xl: 26,
+  xh: 27,
+  yl: 28,
+  yh: 29,
+  zl: 30,
+  zh: 31
+});
+const AVR_OPERAND_KINDS = Object.freeze({
+  reg: { type: 'register', min: 0, max: 31, description: 'r0..r31' },
+  regHigh: { type: 'register', min: 16, max: 31, description: 'r16..r31' },
+  regMul: { type: 'register', min: 16, max: 23, description: 'r16..r23' },
+  regWord: { type: 'register', min: 24, max: 30, even: true, description: 'r24, r26, r28 or r30' },
+  regEven: { type: 'register', min: 0, max: 30, even: true, description: 'an even register r0..r30' },
+  imm8: { type: 'immediate', min: -128, max: 255, description: 'a constant 0..255' },
+  imm6: { type: 'immediate', min: 0, max: 63, description: 'a constant 0..63' },
+  imm4: { type: 'immediate', min: 0, max: 15, description: 'a constant 0..15' },
+  bit: { type: 'immediate', min: 0, max: 7, description: 'a bit number 0..7' },
+  sregBit: { type: 'immediate', min: 0, max: 7, description: 'an SREG bit number 0..7' },
+  ioLow: { type: 'io', min: 0, max: 31, description: 'a low I/O address 0x00..0x1F' },
+  io: { type: 'io', min: 0, max: 63, description: 'an I/O address 0x00..0x3F' },
+  data: { type: 'address', min: 0, max: 0xffff, description: 'a data-space address 0x0000..0xFFFF' },
+  branch: { type: 'target', description: 'a label within -64..+63 words' },
+  relative: { type: 'target', description: 'a label within -2K..+2K words' },
+  absolute: { type: 'target', description: 'a program-memory label' },
+  pointer: {
+    type: 'pointer',
+    forms: ['x', 'x+', '-x', 'y', 'y+', '-y', 'z', 'z+', '-z'],
+    description: 'X, X+, -X, Y, Y+, -Y, Z, Z+ or -Z'
+  },
+  displacement: { type: 'displacement', min: 0, max: 63, description: 'Y+q or Z+q with q in 0..63' },
+  z: { type: 'pointer', forms: ['z'], description: 'Z' },
+  lpmPointer: { type: 'pointer', forms: ['z', 'z+'], description: 'Z or Z+' },
+  spmPointer: { type: 'pointer', forms: ['z+'], description: 'Z+' }
+});
+// Accepted operand forms per mnemonic; each form lists AVR_OPERAND_KINDS ids.
+const AVR_INSTRUCTION_OPERANDS = Object.freeze({
+  adc: [['reg', 'reg']],
+  add: [['reg', 'reg']],
+  adiw: [['regWord', 'imm6']],
+  and: [['reg', 'reg']],
+  andi: [['regHigh', 'imm8']],
+  asr: [['reg']],
+  bclr: [['sregBit']],
+  bld: [['reg', 'bit']],
+  brbc: [['sregBit', 'branch']],
+  brbs: [['sregBit', 'branch']],
+  brcc: [['branch']],
+  brcs: [['branch']],
+  break: [[]],
+  breq: [['branch']],
+  brge: [['branch']],
+  brhc: [['branch']],
+  brhs: [['branch']],
+  brid: [['branch']],
+  brie: [['branch']],
+  brlo: [['branch']],
+  brlt: [['branch']],
+  brmi: [['branch']],
+  brne: [['branch']],
+  brpl: [['branch']],
+  brsh: [['branch']],
+  brtc: [['branch']],
+  brts: [['branch']],
+  brvc: [['branch']],
+  brvs: [['branch']],
+  bset: [['sregBit']],
+  bst: [['reg', 'bit']],
+  call: [['absolute']],
+  cbi: [['ioLow', 'bit']],
+  cbr: [['regHigh', 'imm8']],
+  clc: [[]],
+  clh: [[]],
+  cli: [[]],
+  cln: [[]],
+  clr: [['reg']],
+  cls: [[]],
+  clt: [[]],
+  clv: [[]],
+  clz: [[]],
+  com: [['reg']],
+  cp: [['reg', 'reg']],
+  cpc: [['reg', 'reg']],
+  cpi: [['regHigh', 'imm8']],
+  cpse: [['reg', 'reg']],
+  dec: [['reg']],
+  des: [['imm4']],
+  eicall: [[]],
+  eijmp: [[]],
+  elpm: [[], ['reg', 'lpmPointer']],
+  eor: [['reg', 'reg']],
+  fmul: [['regMul', 'regMul']],
+  fmuls: [['regMul', 'regMul']],
+  fmulsu: [['regMul', 'regMul']],
+  icall: [[]],
+  ijmp: [[]],
+  in: [['reg', 'io']],
+  inc: [['reg']],
+  jmp: [['absolute']],
+  lac: [['z', 'reg']],
+  las: [['z', 'reg']],
+  lat: [['z', 'reg']],
+  ld: [['reg', 'pointer']],
+  ldd: [['reg', 'displacement']],
+  ldi: [['regHigh', 'imm8']],
+  lds: [['reg', 'data']],
+  lpm: [[], ['reg', 'lpmPointer']],
+  lsl: [['reg']],
+  lsr: [['reg']],
+  mov: [['reg', 'reg']],
+  movw: [['regEven', 'regEven']],
+  mul: [['reg', 'reg']],
+  muls: [['regHigh', 'regHigh']],
+  mulsu: [['regMul', 'regMul']],
+  neg: [['reg']],
+  nop: [[]],
+  or: [['reg', 'reg']],
+  ori: [['regHigh', 'imm8']],
+  out: [['io', 'reg']],
+  pop: [['reg']],
+  push: [['reg']],
+  rcall: [['relative']],
+  ret: [[]],
+  reti: [[]],
+  rjmp: [['relative']],
+  rol: [['reg']],
+  ror: [['reg']],
+  sbc: [['reg', 'reg']],
+  sbci: [['regHigh', 'imm8']],
+  sbi: [['ioLow', 'bit']],
+  sbic: [['ioLow', 'bit']],
+  sbis: [['ioLow', 'bit']],
+  sbiw: [['regWord', 'imm6']],
+  sbr: [['regHigh', 'imm8']],
+  sbrc: [['reg', 'bit']],
+  sbrs: [['reg', 'bit']],
+  sec: [[]],
+  seh: [[]],
+  sei: [[]],
+  sen: [[]],
+  ser: [['regHigh']],
+  ses: [[]],
+  set: [[]],
+  sev: [[]],
+  sez: [[]],
+  sleep: [[]],
+  spm: [[], ['spmPointer']],
+  st: [['pointer', 'reg']],
+  std: [['displacement', 'reg']],
+  sts: [['data', 'reg']],
+  sub: [['reg', 'reg']],
+  subi: [['regHigh', 'imm8']],
+  swap: [['reg']],
+  tst: [['reg']],
+  wdr: [[]],
+  xch: [['z', 'reg']]
+});
+// Instructions each core does not implement (AVR Instruction Set Manual).
+const AVR_CORE_EXCLUDED_INSTRUCTIONS = Object.freeze({
+  AVRrc: [
+    'adiw',
+    'call',
+    'des',
+    'eicall',
+    'eijmp',
+    'elpm',
+    'fmul',
+    'fmuls',
+    'fmulsu',
+    'jmp',
+    'lac',
+    'las',
+    'lat',
+    'ldd',
+    'lpm',
+    'movw',
+    'mul',
+    'muls',
+    'mulsu',
+    'sbiw',
+    'spm',
+    'std',
+    'xch'
+  ],
+  AVRe: ['des', 'fmul', 'fmuls', 'fmulsu', 'lac', 'las', 'lat', 'mul', 'muls', 'mulsu', 'xch'],
+  'AVRe+': ['des', 'lac', 'las', 'lat', 'xch'],
+  AVRxm: [],
+  AVRxt: ['des', 'lac', 'las', 'lat', 'xch']
+});
+// Cycle counts from the AVR® Instruction Set Manual for a 16-bit PC and
+// internal SRAM. Unlisted instructions take one cycle; [min, max] pairs cover
+// accesses whose cost depends on the data-memory target. Skip instructions
+// list the no-skip cost; each skipped word adds one cycle.
+const AVR_BASE_CYCLES = Object.freeze({
+  adiw: 2,
+  sbiw: 2,
+  mul: 2,
+  muls: 2,
+  mulsu: 2,
+  fmul: 2,
+  fmuls: 2,
+  fmulsu: 2,
+  des: [1, 2],
+  rjmp: 2,
+  ijmp: 2,
+  eijmp: 2,
+  jmp: 3,
+  rcall: 3,
+  icall: 3,
+  eicall: 4,
+  call: 4,
+  ret: 4,
+  reti: 4,
+  cbi: 2,
+  sbi: 2,
+  ld: 2,
+  ldd: 2,
+  lds: 2,
+  st: 2,
+  std: 2,
+  sts: 2,
+  push: 2,
+  pop: 2,
+  lpm: 3,
+  elpm: 3,
+  xch: 2,
+  las: 2,
+  lac: 2,
+  lat: 2
+});
+const AVR_CORE_CYCLES = Object.freeze({
+  AVRe: {},
+  'AVRe+': {},
+  AVRxm: {
+    rcall: 2,
+    icall: 2,
+    eicall: 3,
+    call: 3,
+    cbi: 1,
+    sbi: 1,
+    sbic: 2,
+    sbis: 2,
+    ld: [1, 2],
+    ldd: [2, 3],
+    lds: [2, 3],
+    st: [1, 2],
+    push: 1
+  },
+  AVRxt: {
+    rcall: 2,
+    icall: 2,
+    eicall: 3,
+    call: 3,
+    cbi: 1,
+    sbi: 1,
+    lds: 3,
+    st: 1,
+    std: 1,
+    push: 1
+  },
+  AVRrc: {
+    ret: 6,
+    reti: 6,
+    cbi: 1,
+    sbi: 1,
+    ld: [1, 2],
+    st: [1, 2],
+    // The 16-bit LDS/STS forms of the reduced core.
+    lds: 1,
+    sts: 1,
+    push: 1,
+    pop: 3
+  }
+});
+// Calls and returns move a 3-byte return address when the PC is 22 bits wide.
+// EICALL only exists on those parts, so its table value already includes it.
+const AVR_LONG_PC_EXTRA_CYCLE_INSTRUCTIONS = new Set(['rcall', 'icall', 'call', 'ret', 'reti']);
+const AVR_SKIP_INSTRUCTIONS = new Set(['cpse', 'sbrc', 'sbrs', 'sbic', 'sbis']);
+const AVR_TWO_WORD_INSTRUCTIONS = new Set(['jmp', 'call', 'lds', 'sts']);
+// SPM timing depends on the flash operation it starts.
+const AVR_UNTIMED_INSTRUCTIONS = new Set(['spm']);
+const DEFAULT_CYCLE_CORE = 'AVRe+';
+// Bytes per operand of the flash data directives.
+const AVR_DATA_DIRECTIVE_BYTES = Object.freeze({
+  '.db': 1,
+  '.byte': 1,
+  '.dw': 2,
+  '.word': 2,
+  '.dd': 4,
+  '.long': 4,
+  '.dq': 8,
+  '.quad': 8
+});
+// Sections that end up in flash; everything else is RAM or EEPROM.
+const AVR_FLASH_SECTION_REGEX = /^\.?(?:text|progmem|init\d*|fini\d*|vectors|jumptables|trampolines|lowtext)(?:\.|$)/;
+const CODE_SIZE_SUMMARY_LIMIT = 30;
+// Reach of relative jumps in words, measured from the next instruction.
+const AVR_CONDITIONAL_BRANCH_REACH = 64;
+const AVR_RELATIVE_JUMP_REACH = 2048;
+const AVR_INVERTED_BRANCHES = Object.freeze({
+  brcc: 'brcs',
+  brcs: 'brcc',
+  breq: 'brne',
+  brne: 'breq',
+  brge: 'brlt',
+  brlt: 'brge',
+  brlo: 'brsh',
+  brsh: 'brlo',
+  brmi: 'brpl',
+  brpl: 'brmi',
+  brvc: 'brvs',
+  brvs: 'brvc',
+  brhc: 'brhs',
+  brhs: 'brhc',
+  brid: 'brie',
+  brie: 'brid',
+  brtc: 'brts',
+  brts: 'brtc',
+  brbc: 'brbs',
+  brbs: 'brbc'
+});
+// Instructions that only exist when flash is larger than the given byte count.
+const AVR_FLASH_LIMITED_INSTRUCTIONS = Object.freeze({
+  call: 0x2000,
+  jmp: 0x2000,
+  elpm: 0x10000,
+  eicall: 0x20000,
+  eijmp: 0x20000
+});
+const DIAGNOSTIC_SOURCE = 'AVR ASM Navigator';
+const DIAGNOSTIC_DEBOUNCE_MS = 300;
+const PACK_WATCH_DEBOUNCE_MS = 1500;
+const PACK_REBUILD_MESSAGE_MS = 5000;
+// How long a scanned build output directory is trusted before re-statting it.
+const BUILD_OUTPUT_RECHECK_MS = 1000;
+const BUILD_OUTPUT_SCAN_DEPTH = 4;
+const LISTING_SYMBOL_HEADER_REGEX = /^([0-9a-fA-F]{8}) <([^>]+)>:$/;
+const ELF_MACHINE_AVR = 83;
+const ELF_SECTION_SYMTAB = 2;
+const ELF_SECTION_NOBITS = 8;
+const ELF_SYMBOL_TYPES = Object.freeze(['notype', 'object', 'function']);
+const ELF_SYMBOL_BINDINGS = Object.freeze(['local', 'global', 'weak']);
+const ELF_SYMBOL_KIND_NAMES = Object.freeze({ notype: 'symbol', object: 'variable', function: 'function' });
+// DWARF tags, attributes and forms read from .debug_info.
+const DW_TAG_COMPILE_UNIT = 0x11;
+const DW_TAG_SUBPROGRAM = 0x2e;
+const DW_TAG_VARIABLE = 0x34;
+const DW_AT_LOCATION = 0x02;
+const DW_AT_STMT_LIST = 0x10;
+const DW_AT_LOW_PC = 0x11;
+const DW_AT_COMP_DIR = 0x1b;
+const DW_AT_DECL_FILE = 0x3a;
+const DW_AT_DECL_LINE = 0x3b;
+const DW_FORM_ADDR = 0x01;
+const DW_FORM_IMPLICIT_CONST = 0x21;
+const DW_OP_ADDR = 0x03;
+// avr-gcc places RAM at 0x800000 and EEPROM at 0x810000 in its address space.
+const AVR_RAM_ADDRESS_OFFSET = 0x800000;
+const AVR_EEPROM_ADDRESS_OFFSET = 0x810000;
+const ATDF_PREFIXED_ARCHITECTURES = new Set(['AVR8X', 'AVR8_XMEGA']);
+const XML_NAMED_ENTITIES = Object.freeze({
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+});
 
 const cachedIndexByScope = new Map();
 const indexBuildPromiseByScope = new Map();
 const localSymbolCache = new Map();
+const includeGraphCache = new Map();
+const diagnosticTimers = new Map();
+const workspaceIndexFiles = new Map();
+const workspaceIndexDirty = new Map();
 let outputChannel = null;
-
-function getConfig() {
-  return vscode.workspace.getConfiguration('avrAsmNavigator');
+let diagnosticCollection = null;
+let indexCacheDir = null;
+let workspaceIndexReady = null;
+let packCataloguePromise = null;
+let statusBarItem = null;
+let extensionWorkspaceState = null;
+let statusBarRequestId = 0;
+const notifiedPackFallbacks = new Set();
+const mountedPackArchives = new Map();
+const packWatchers = new Map();
+const pendingPackRebuildScopes = new Map();
+let packRebuildTimer = null;
+const buildOutputByScope = new Map();
+
+function getConfig(scope = null) {
+  return vscode.workspace.getConfiguration(
+    'avrAsmNavigator',
+    scope && scope.workspaceFolder ? scope.workspaceFolder.uri : undefined
+  );
 }
 
 function getOutputChannel() {
@@ -365,7 +798,23 @@ function scopeLabel(scope) {
   return scope.key || INDEX_SCOPE_GLOBAL;
 }
 
+// Resolution trace for "Explain Target Resolution": resolvers take an
+// optional array and append Markdown lines to it; without one they are silent.
+function traceStep(trace, message) {
+  if (trace) {
+    trace.push(message);
+  }
+}
+
+function traceCandidate(trace, filePath, accepted, reason) {
+  traceStep(trace, `- ${accepted ? '[accepted]' : '[rejected]'} \`${filePath}\` — ${reason}`);
+}
+
 async function fileExists(filePath) {
+  const member = getPackArchiveMember(filePath);
+  if (member) {
+    return member.archive.entries.has(member.name) || member.archive.directories.has(member.name);
+  }
   try {
     await fs.access(filePath);
     return true;
@@ -375,6 +824,10 @@ async function fileExists(filePath) {
 }
 
 async function isDirectory(directoryPath) {
+  const member = getPackArchiveMember(directoryPath);
+  if (member) {
+    return member.archive.directories.has(member.name);
+  }
   try {
     const stat = await fs.stat(directoryPath);
     return stat.isDirectory();
@@ -384,6 +837,10 @@ async function isDirectory(directoryPath) {
 }
 
 async function listDirSafe(directoryPath) {
+  const member = getPackArchiveMember(directoryPath);
+  if (member) {
+    return Array.from(member.archive.directories.get(member.name) || []);
+  }
   try {
     return await fs.readdir(directoryPath);
   } catch {
@@ -393,6 +850,10 @@ async function listDirSafe(directoryPath) {
 
 async function readTextIfExists(filePath) {
   try {
+    const member = getPackArchiveMember(filePath);
+    if (member) {
+      return readPackArchiveText(member);
+    }
     return await fs.readFile(filePath, 'utf8');
   } catch {
     return null;
@@ -430,6 +891,10 @@ function isAssemblyFilePath(filePath) {
   return ext === '.s' || ext === '.asm' || ext === '.as' || ext === '.inc';
 }
 
+function isHeaderUri(uri) {
+  return getUriExtension(uri) === '.h';
+}
+
 function isAssemblyUri(uri) {
   return isAssemblyFilePath(uri ? uri.path : '');
 }
@@ -447,6 +912,16 @@ function isMplabProjectUri(uri) {
   return Boolean(uri && uri.path && uri.path.toLowerCase().endsWith('.mplab.json'));
 }
 
+function isBuildConfigUri(uri) {
+  const name = uri && uri.path ? path.posix.basename(uri.path) : '';
+  return (
+    /^(?:compile_commands\.json|CMakeLists\.txt|GNUmakefile|[Mm]akefile|platformio\.ini|sketch\.yaml|arduino\.json)$/.test(
+      name
+    ) ||
+    /\.(?:cmake|mk)$/i.test(name)
+  );
+}
+
 function getIndexScopeForUri(uri) {
   const workspaceFolder = uri ? vscode.workspace.getWorkspaceFolder(uri) : null;
   if (workspaceFolder) {
@@ -501,27 +976,32 @@ function clearIndexCache(scope = null) {
   if (!scope) {
     cachedIndexByScope.clear();
     indexBuildPromiseByScope.clear();
+    buildOutputByScope.clear();
+    unmountPackArchives();
+    packCataloguePromise = null;
     return;
   }
   cachedIndexByScope.delete(scope.key);
   indexBuildPromiseByScope.delete(scope.key);
+  buildOutputByScope.delete(scope.key);
+  unmountUnusedPackArchives();
 }
 
 function maybeInvalidateIndexForUri(uri) {
   if (!uri) {
     return;
   }
-  if (isMplabProjectUri(uri) || isAssemblyUri(uri)) {
+  if (isMplabProjectUri(uri) || isBuildConfigUri(uri) || isAssemblyUri(uri)) {
     clearIndexCache(getIndexScopeForUri(uri));
   }
 }
 
-function getConfiguredDfpPath() {
-  return (getConfig().get('dfpPath', '') || '').trim();
+function getConfiguredDfpPath(scope = null) {
+  return (getConfig(scope).get('dfpPath', '') || '').trim();
 }
 
-function getConfiguredDevice() {
-  return (getConfig().get('device', '') || '').trim();
+function getConfiguredDevice(scope = null) {
+  return (getConfig(scope).get('device', '') || '').trim();
 }
 
 function normalizeGuessedDeviceName(rawDeviceName) {
@@ -629,7 +1109,7 @@ function extractDeviceCandidatesFromText(text) {
   return candidates;
 }
 
-async function inferDeviceFromWorkspaceText(scope = null) {
+async function inferDeviceFromWorkspaceText(scope = null, trace = null) {
   const maxScanFiles = clampConfigNumber(
     'maxWorkspaceScanFiles',
     DEFAULT_MAX_WORKSPACE_SCAN_FILES,
@@ -641,26 +1121,46 @@ async function inferDeviceFromWorkspaceText(scope = null) {
 
   const files = await getWorkspaceAssemblyFiles(scanLimit, workspaceFolder);
   if (!files.length) {
+    traceStep(trace, 'No workspace assembly files to scan.');
     return '';
   }
 
   const openDocs = getOpenAssemblyDocumentMap(workspaceFolder);
   const score = new Map();
+  const evidence = new Map();
 
-  const addScore = (deviceName, weight) => {
+  const addScore = (deviceName, weight, uri) => {
     const normalized = normalizeGuessedDeviceName(deviceName);
     if (!normalized) {
       return;
     }
     const current = score.get(normalized) || 0;
     score.set(normalized, current + weight);
+    if (trace) {
+      const fileName = path.basename(uri.fsPath || uri.path || '');
+      const perFile = evidence.get(normalized) || new Map();
+      perFile.set(fileName, (perFile.get(fileName) || 0) + weight);
+      evidence.set(normalized, perFile);
+    }
   };
 
   for (const uri of files) {
     const text = await getTextForUri(uri, openDocs);
     const candidates = extractDeviceCandidatesFromText(text);
     for (const candidate of candidates) {
-      addScore(candidate.device, candidate.weight);
+      addScore(candidate.device, candidate.weight, uri);
+    }
+  }
+
+  traceStep(trace, `Scanned ${files.length} workspace file(s) (limit ${scanLimit}).`);
+  if (trace) {
+    const ranked = Array.from(score).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    for (const [device, deviceScore] of ranked) {
+      const contributions = Array.from(evidence.get(device) || [], ([file, weight]) => `${file} +${weight}`);
+      traceStep(trace, `- ${device}: score ${deviceScore} (${contributions.join(', ')})`);
+    }
+    if (ranked.length === 0) {
+      traceStep(trace, '- no device names, `__AVR_*__` macros, `io*.h` or `*def.inc` includes found');
     }
   }
 
@@ -679,1400 +1179,7011 @@ async function inferDeviceFromWorkspaceText(scope = null) {
   return bestScore > 0 ? bestDevice : '';
 }
 
-function shouldAutoDetectMplabProject() {
-  return Boolean(getConfig().get('autoDetectMplabProject', true));
-}
-
-function normalizeDeviceForLookup(deviceName) {
-  return (deviceName || '').trim().toLowerCase();
+// Splits a compile_commands.json "command" string the way a POSIX shell
+// would for the quoting compilers emit (no variable or glob expansion).
+function splitCommandLine(command) {
+  const args = [];
+  let current = '';
+  let quote = '';
+  let inArg = false;
+  for (let i = 0; i < command.length; i += 1) {
+    const ch = command[i];
+    if (quote) {
+      if (ch === quote) {
+        quote = '';
+      } else if (ch === '\\' && quote === '"' && /["\\$`]/.test(command[i + 1] || '')) {
+        i += 1;
+        current += command[i];
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      inArg = true;
+    } else if (ch === '\\' && /[\s"'\\]/.test(command[i + 1] || '')) {
+      i += 1;
+      current += command[i];
+      inArg = true;
+    } else if (/\s/.test(ch)) {
+      if (inArg) {
+        args.push(current);
+        current = '';
+        inArg = false;
+      }
+    } else {
+      current += ch;
+      inArg = true;
+    }
+  }
+  if (inArg) {
+    args.push(current);
+  }
+  return args;
 }
 
-function parseVersionParts(versionText) {
-  return String(versionText || '')
-    .split(/[^0-9]+/)
-    .filter((part) => part.length > 0)
-    .map((part) => Number(part));
+// Returns the canonical device name for an -mmcu/-mcpu value, MCU variable
+// or __AVR_<device>__ macro; architecture names such as avr5 are rejected.
+function normalizeBuildDevice(rawDeviceName) {
+  const normalized = normalizeGuessedDeviceName(rawDeviceName);
+  return BUILD_DEVICE_NAME_REGEX.test(normalized) ? normalized : '';
 }
 
-function compareVersionLabels(leftVersion, rightVersion) {
-  const leftParts = parseVersionParts(leftVersion);
-  const rightParts = parseVersionParts(rightVersion);
-  const maxLength = Math.max(leftParts.length, rightParts.length);
-  for (let i = 0; i < maxLength; i += 1) {
-    const left = i < leftParts.length ? leftParts[i] : 0;
-    const right = i < rightParts.length ? rightParts[i] : 0;
-    if (left !== right) {
-      return left - right;
+function pickMostFrequentDevice(rawDeviceNames) {
+  const counts = new Map();
+  for (const raw of rawDeviceNames) {
+    const device = normalizeBuildDevice(raw);
+    if (device) {
+      counts.set(device, (counts.get(device) || 0) + 1);
     }
   }
-  return String(leftVersion || '').localeCompare(String(rightVersion || ''));
-}
-
-function extractDeviceToken(deviceLowerName) {
-  const match = /([0-9][0-9a-z]*)$/i.exec(deviceLowerName);
-  if (match) {
-    return match[1].toLowerCase();
+  let best = '';
+  for (const [device, count] of counts) {
+    // Map iteration follows first appearance, so ties keep the earliest device.
+    if (!best || count > counts.get(best)) {
+      best = device;
+    }
   }
-  return deviceLowerName.replace(/[^a-z0-9]/g, '');
+  return best;
 }
 
-function sortBySpecificity(fileNames) {
-  return fileNames.slice().sort((a, b) => {
-    if (a.length !== b.length) {
-      return a.length - b.length;
+function parseCompileCommandFlags(args, directory, flags) {
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    let match = /^-m(?:mcu|cpu)=(.+)$/.exec(arg);
+    if (match) {
+      flags.devices.push(match[1]);
+      continue;
     }
-    return a.localeCompare(b);
-  });
-}
-
-async function detectMplabTarget(preferredWorkspaceFolder = null) {
-  const workspaceFolders = preferredWorkspaceFolder
-    ? [preferredWorkspaceFolder]
-    : vscode.workspace.workspaceFolders || [];
-  for (const folder of workspaceFolders) {
-    const vscodeDirUri = vscode.Uri.joinPath(folder.uri, '.vscode');
-    const files = await listDirUriSafe(vscodeDirUri);
-    const mplabFiles = files
-      .filter((file) => file.endsWith('.mplab.json'))
-      .sort((a, b) => a.localeCompare(b));
-
-    for (const file of mplabFiles) {
-      const fullUri = vscode.Uri.joinPath(vscodeDirUri, file);
-      const jsonText = await readTextUriIfExists(fullUri);
-      if (!jsonText) {
-        continue;
-      }
 
-      let parsed = null;
-      try {
-        parsed = JSON.parse(jsonText);
-      } catch {
-        continue;
-      }
-
-      const configurations = Array.isArray(parsed.configurations)
-        ? parsed.configurations
-        : [];
-      const config = configurations[0] || {};
-      const device =
-        typeof config.device === 'string' ? config.device.trim() : '';
-      const packs = Array.isArray(config.packs) ? config.packs : [];
-      const packCandidate =
-        packs.find(
-          (pack) =>
-            pack &&
-            typeof pack.name === 'string' &&
-            pack.name.toUpperCase().includes('DFP')
-        ) || packs[0] || null;
-
-      const pack = {
-        vendor:
-          packCandidate && typeof packCandidate.vendor === 'string'
-            ? packCandidate.vendor
-            : DEFAULT_PACK_VENDOR,
-        name:
-          packCandidate && typeof packCandidate.name === 'string'
-            ? packCandidate.name
-            : '',
-        version:
-          packCandidate && typeof packCandidate.version === 'string'
-            ? packCandidate.version
-            : ''
-      };
+    let includeDir = '';
+    if (/^-(?:I|isystem|iquote|idirafter)$/.test(arg)) {
+      i += 1;
+      includeDir = args[i] || '';
+    } else if ((match = /^-(?:I|isystem|iquote|idirafter)(.+)$/.exec(arg))) {
+      includeDir = match[1];
+    }
+    if (includeDir) {
+      flags.includeDirs.push(path.resolve(directory, includeDir));
+      continue;
+    }
 
-      let xc8Version = '';
-      let avrGccVersion = '';
-      const toolchainName =
-        typeof config.toolchain === 'string' ? config.toolchain.trim() : '';
-      if (toolchainName) {
-        const groups = Array.isArray(parsed.propertyGroups)
-          ? parsed.propertyGroups
-          : [];
-        const toolchainGroup = groups.find(
-          (group) =>
-            group &&
-            group.type === 'toolchain' &&
-            typeof group.name === 'string' &&
-            group.name === toolchainName
-        );
-        if (
-          toolchainGroup &&
-          typeof toolchainGroup.provider === 'string'
-        ) {
-          const provider = toolchainGroup.provider.toLowerCase();
-          if (provider.includes('xc8@')) {
-            const versionMatch = /xc8@([0-9.]+)/i.exec(toolchainGroup.provider);
-            if (versionMatch) {
-              xc8Version = versionMatch[1];
-            }
-          } else if (provider.includes('avr-gcc@') || provider.includes('avr_gcc@')) {
-            const versionMatch = /avr[_-]gcc@([0-9.]+)/i.exec(toolchainGroup.provider);
-            if (versionMatch) {
-              avrGccVersion = versionMatch[1];
-            }
-          }
-        }
+    let define = '';
+    if (arg === '-D') {
+      i += 1;
+      define = args[i] || '';
+    } else if (arg.startsWith('-D')) {
+      define = arg.slice(2);
+    }
+    match = /^([A-Za-z_][A-Za-z0-9_]*)(?:=(.*))?$/.exec(define);
+    if (match) {
+      const deviceMacro = /^__AVR_([A-Za-z0-9]+)__$/.exec(match[1]);
+      if (deviceMacro) {
+        flags.devices.push(deviceMacro[1]);
       }
-
-      if (device || packCandidate) {
-        return {
-          workspaceFolder: folder.uri.toString(),
-          projectFile: fullUri.toString(),
-          device: device || '',
-          pack,
-          xc8Version,
-          avrGccVersion
-        };
+      if (!flags.defines.has(match[1])) {
+        flags.defines.set(match[1], match[2] === undefined ? '1' : match[2]);
       }
     }
   }
-  return null;
 }
 
-async function resolveAvrGccRoot() {
-  // Resolve the real installation root of avr-gcc, following symlinks.
-  const candidates = ['/usr/local/bin/avr-gcc', '/usr/bin/avr-gcc'];
-  for (const bin of candidates) {
-    try {
-      const real = await fs.realpath(bin);
-      // real = /opt/avr-gcc-15.2.0/bin/avr-gcc  →  root = /opt/avr-gcc-15.2.0
-      return path.resolve(path.dirname(real), '..');
-    } catch {
-      // not found, try next
+async function filterExistingDirectories(dirs) {
+  const existing = [];
+  for (const dir of new Set(dirs.map((entry) => path.normalize(entry)))) {
+    if (await isDirectory(dir)) {
+      existing.push(dir);
     }
   }
-  return null;
+  return existing;
 }
 
-async function resolveCompilerIncludeDirs(detected = null) {
-  const candidates = [];
-  const seen = new Set();
-  const addCandidate = (dirPath) => {
-    if (!dirPath) return;
-    const normalized = path.normalize(dirPath);
-    if (seen.has(normalized)) return;
-    seen.add(normalized);
-    candidates.push(normalized);
-  };
+// 1-based line of the first match, or 1 when the pattern does not occur.
+function findLineNumber(text, pattern) {
+  const index = String(text || '')
+    .split(/\r?\n/)
+    .findIndex((line) => pattern.test(line));
+  return index + 1 || 1;
+}
 
-  // ── avr-gcc / avr-libc (preferred on Linux) ──────────────────────────────
-  const avrGccRoot = await resolveAvrGccRoot();
-  if (avrGccRoot) {
-    // avr-libc headers: <root>/avr/include/avr
-    addCandidate(path.join(avrGccRoot, 'avr', 'include', 'avr'));
-    // GCC internal headers (for __builtin_* completions)
-    const libGccDir = path.join(avrGccRoot, 'lib', 'gcc', 'avr');
-    const gccVersions = (await listDirSafe(libGccDir)).sort((a, b) =>
-      compareVersionLabels(b, a)
-    );
-    for (const v of gccVersions) {
-      addCandidate(path.join(libGccDir, v, 'include'));
+async function findCompileCommandsFile(folderPath) {
+  const candidates = [path.join(folderPath, 'compile_commands.json')];
+  const children = (await listDirSafe(folderPath)).sort((a, b) => a.localeCompare(b));
+  for (const child of children) {
+    if (!child.startsWith('.') && child !== 'node_modules') {
+      candidates.push(path.join(folderPath, child, 'compile_commands.json'));
+    }
+  }
+  for (const candidate of candidates) {
+    if (await fileExists(candidate)) {
+      return candidate;
     }
   }
+  return null;
+}
+
+async function readCompileCommands(folderPath) {
+  const file = await findCompileCommandsFile(folderPath);
+  const text = file ? await readTextIfExists(file) : '';
+  if (!text) {
+    return null;
+  }
 
-  // ── XC8 fallback ─────────────────────────────────────────────────────────
-  if (detected && detected.xc8Version) {
-    addCandidate(
-      path.join('/opt/microchip/xc8', `v${detected.xc8Version}`, 'avr', 'avr', 'include', 'avr')
-    );
-    addCandidate(
-      path.join('/opt/microchip/xc8', detected.xc8Version, 'avr', 'avr', 'include', 'avr')
-    );
+  let entries = null;
+  try {
+    entries = JSON.parse(text);
+  } catch (error) {
+    logWarn(`Ignoring unreadable ${file}: ${error.message}`);
+    return null;
   }
-  const xc8Root = '/opt/microchip/xc8';
-  const xc8Versions = (await listDirSafe(xc8Root)).sort((a, b) =>
-    compareVersionLabels(b, a)
-  );
-  for (const version of xc8Versions) {
-    addCandidate(path.join(xc8Root, version, 'avr', 'avr', 'include', 'avr'));
+  if (!Array.isArray(entries)) {
+    return null;
   }
 
-  const existing = [];
-  for (const candidate of candidates) {
-    if (await isDirectory(candidate)) {
-      existing.push(candidate);
+  const flags = { devices: [], includeDirs: [], defines: new Map() };
+  for (const entry of entries) {
+    if (!entry || typeof entry !== 'object') {
+      continue;
+    }
+    const args = Array.isArray(entry.arguments)
+      ? entry.arguments.map(String)
+      : splitCommandLine(String(entry.command || ''));
+    const directory = path.resolve(path.dirname(file), String(entry.directory || '.'));
+    parseCompileCommandFlags(args, directory, flags);
+  }
+
+  const includeDirs = await filterExistingDirectories(flags.includeDirs);
+  const defines = Array.from(flags.defines, ([name, value]) => ({
+    name,
+    value,
+    file,
+    line: findLineNumber(text, new RegExp(`-D\\s*${name}\\b`))
+  }));
+
+  return {
+    file,
+    device: pickMostFrequentDevice(flags.devices),
+    includeDirs,
+    defines
+  };
+}
+
+async function listBuildFiles(folderPath, kind) {
+  const files = [];
+  const rootEntries = (await listDirSafe(folderPath)).sort((a, b) => a.localeCompare(b));
+  if (kind === 'CMake') {
+    files.push(...rootEntries.filter((name) => name === 'CMakeLists.txt' || /\.cmake$/i.test(name)));
+    const cmakeDir = path.join(folderPath, 'cmake');
+    for (const name of (await listDirSafe(cmakeDir)).sort((a, b) => a.localeCompare(b))) {
+      if (/\.cmake$/i.test(name)) {
+        files.push(path.join('cmake', name));
+      }
     }
+  } else {
+    files.push(
+      ...rootEntries.filter((name) => /^(?:GNUmakefile|[Mm]akefile)$/.test(name) || /\.mk$/i.test(name))
+    );
   }
-  return existing;
+  return files.map((name) => path.join(folderPath, name));
 }
 
-async function defaultDfpPath(vendor = DEFAULT_PACK_VENDOR) {
-  const vendorRoot = path.join(os.homedir(), '.mchp_packs', vendor);
-  const packNames = (await listDirSafe(vendorRoot)).sort((a, b) => a.localeCompare(b));
-  let bestMatch = null;
+function extractBuildFileDevices(text) {
+  const devices = [];
+  const code = (text || '').replace(/#.*$/gm, '');
+  for (const pattern of BUILD_FILE_DEVICE_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match = null;
+    while ((match = pattern.exec(code)) !== null) {
+      devices.push(match[1]);
+    }
+  }
+  return devices;
+}
 
-  for (const packName of packNames) {
-    if (!packName.toUpperCase().endsWith('_DFP')) {
-      continue;
+// Build-system target for a workspace folder. The device comes from the
+// first source that names one: compile_commands.json, then CMake files,
+// then Makefiles. Include dirs and defines come from compile_commands.json.
+async function detectBuildSystemTarget(preferredWorkspaceFolder = null, trace = null) {
+  const workspaceFolders = preferredWorkspaceFolder
+    ? [preferredWorkspaceFolder]
+    : vscode.workspace.workspaceFolders || [];
+  for (const folder of workspaceFolders) {
+    const folderPath = folder.uri.fsPath;
+    const compileCommands = await readCompileCommands(folderPath);
+    if (compileCommands) {
+      traceCandidate(
+        trace,
+        compileCommands.file,
+        Boolean(compileCommands.device),
+        `${compileCommands.device ? `device ${compileCommands.device}` : 'no -mmcu/-mcpu or __AVR_ define'}, ${
+          compileCommands.includeDirs.length
+        } include dir(s), ${compileCommands.defines.length} define(s)`
+      );
+    } else {
+      traceStep(trace, `No compile_commands.json in \`${folderPath}\` or its subfolders.`);
     }
+    const target = {
+      device: '',
+      source: null,
+      compileCommandsFile: compileCommands ? compileCommands.file : null,
+      includeDirs: compileCommands ? compileCommands.includeDirs : [],
+      defines: compileCommands ? compileCommands.defines : []
+    };
 
-    const packRoot = path.join(vendorRoot, packName);
-    if (!(await isDirectory(packRoot))) {
-      continue;
+    if (compileCommands && compileCommands.device) {
+      target.device = compileCommands.device;
+      target.source = { kind: 'compile_commands.json', file: compileCommands.file };
+      return target;
     }
 
-    const versions = await listDirSafe(packRoot);
-    for (const version of versions) {
-      const versionRoot = path.join(packRoot, version);
-      if (!(await isDirectory(versionRoot))) {
-        continue;
+    for (const kind of ['CMake', 'Makefile']) {
+      for (const file of await listBuildFiles(folderPath, kind)) {
+        const device = pickMostFrequentDevice(
+          extractBuildFileDevices(await readTextIfExists(file))
+        );
+        traceCandidate(trace, file, Boolean(device), device ? `${kind} names ${device}` : `no device in ${kind} file`);
+        if (device) {
+          target.device = device;
+          target.source = { kind, file };
+          return target;
+        }
       }
+    }
 
-      if (
-        !bestMatch ||
-        compareVersionLabels(version, bestMatch.version) > 0 ||
-        (compareVersionLabels(version, bestMatch.version) === 0 &&
-          packName.localeCompare(bestMatch.packName) < 0)
-      ) {
-        bestMatch = { packName, version, root: versionRoot };
-      }
+    if (compileCommands) {
+      return target;
     }
   }
+  return null;
+}
 
-  return bestMatch ? bestMatch.root : '';
+function getPlatformioCoreDir() {
+  return process.env.PLATFORMIO_CORE_DIR || path.join(os.homedir(), '.platformio');
 }
 
-async function resolvePackRoot(configuredPath, detected) {
-  if (configuredPath) {
-    return configuredPath;
-  }
-  if (detected && detected.pack && detected.pack.name && detected.pack.version) {
-    return path.join(
-      os.homedir(),
-      '.mchp_packs',
-      detected.pack.vendor,
-      detected.pack.name,
-      detected.pack.version
-    );
+function getArduinoDataDirs() {
+  const dirs = [
+    path.join(os.homedir(), '.arduino15'),
+    path.join(os.homedir(), 'Library', 'Arduino15')
+  ];
+  if (process.env.LOCALAPPDATA) {
+    dirs.push(path.join(process.env.LOCALAPPDATA, 'Arduino15'));
   }
-  return defaultDfpPath();
+  return dirs;
 }
 
-async function detectDeviceFromPack(packRoot) {
-  if (!packRoot) {
-    return '';
+// PlatformIO-style INI: `;`/`#` comments and indented continuation lines,
+// which multi-line options such as build_flags rely on.
+function parseIniSections(text) {
+  const sections = new Map();
+  let current = null;
+  let lastKey = null;
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    if (!rawLine.trim() || /^\s*[;#]/.test(rawLine)) {
+      continue;
+    }
+    const line = rawLine.replace(/\s+;.*$/, '');
+    const header = /^\s*\[([^\]]+)\]/.exec(line);
+    if (header) {
+      current = new Map();
+      sections.set(header[1].trim(), current);
+      lastKey = null;
+      continue;
+    }
+    if (!current) {
+      continue;
+    }
+    if (/^\s/.test(line) && lastKey) {
+      current.set(lastKey, `${current.get(lastKey)}\n${line.trim()}`.trim());
+      continue;
+    }
+    const pair = /^\s*([^=]+?)\s*=\s*(.*)$/.exec(line);
+    if (pair) {
+      lastKey = pair[1];
+      current.set(lastKey, pair[2].trim());
+    }
   }
-  const atdfDir = path.join(packRoot, 'atdf');
-  const names = sortBySpecificity(
-    (await listDirSafe(atdfDir)).filter((name) => /\.atdf$/i.test(name))
-  );
-  if (names.length < 1) {
-    return '';
+  return sections;
+}
+
+// Looks an option up the way PlatformIO does: the env section, the
+// sections it `extends`, then the shared [env] section.
+function getPlatformioOption(sections, sectionName, key, seen = new Set()) {
+  if (seen.has(sectionName)) {
+    return undefined;
+  }
+  seen.add(sectionName);
+  const section = sections.get(sectionName);
+  if (section && section.has(key)) {
+    return section.get(key);
+  }
+  const extendsValue = section ? section.get('extends') : '';
+  for (const parent of String(extendsValue || '').split(/[,\n]/)) {
+    const value = parent.trim()
+      ? getPlatformioOption(sections, parent.trim(), key, seen)
+      : undefined;
+    if (value !== undefined) {
+      return value;
+    }
   }
-  return names[0].replace(/\.atdf$/i, '');
+  return sectionName === 'env' ? undefined : getPlatformioOption(sections, 'env', key, seen);
 }
 
-async function parseDevLibName(packRoot, deviceLowerName) {
-  if (!packRoot || !deviceLowerName) {
+async function readJsonIfExists(filePath) {
+  const text = await readTextIfExists(filePath);
+  if (!text) {
     return null;
   }
-  const specPaths = [
-    path.join(
-      packRoot,
-      'gcc',
-      'dev',
-      deviceLowerName,
-      'device-specs',
-      `specs-${deviceLowerName}`
-    ),
-    path.join(packRoot, 'xc8', 'avr', 'device-specs', `specs-${deviceLowerName}`)
-  ];
+  try {
+    return { text, value: JSON.parse(text) };
+  } catch {
+    return null;
+  }
+}
 
-  for (const specPath of specPaths) {
-    const text = await readTextIfExists(specPath);
-    if (!text) {
-      continue;
-    }
-    const match = /__AVR_DEV_LIB_NAME__=([A-Za-z0-9_]+)/.exec(text);
-    if (match) {
-      return match[1];
+async function resolvePlatformioBoard(folderPath, platform, board) {
+  const candidates = [path.join(folderPath, 'boards', `${board}.json`)];
+  if (platform) {
+    candidates.push(path.join(getPlatformioCoreDir(), 'platforms', platform, 'boards', `${board}.json`));
+  }
+  for (const file of candidates) {
+    const json = await readJsonIfExists(file);
+    const build = json && json.value && json.value.build;
+    if (build && build.mcu) {
+      return { mcu: String(build.mcu), fCpu: build.f_cpu ? String(build.f_cpu) : '', file, text: json.text };
     }
   }
-
-  return null;
+  return KNOWN_BOARD_MCUS[board] ? { mcu: KNOWN_BOARD_MCUS[board], fCpu: '', file: null, text: '' } : null;
 }
 
-async function resolveHeaderPath(packRoot, devLibName, token) {
-  if (!packRoot) {
-    return null;
+async function listPlatformioEnvironments(folder) {
+  const folderPath = folder.uri.fsPath;
+  const file = path.join(folderPath, 'platformio.ini');
+  const text = await readTextIfExists(file);
+  if (!text) {
+    return [];
   }
-  const includeDirs = [
-    path.join(packRoot, 'include', 'avr'),
-    path.join(packRoot, 'xc8', 'avr', 'include', 'avr')
-  ];
+  const sections = parseIniSections(text);
+  const platformioSection = sections.get('platformio');
+  const defaultEnvs = String((platformioSection && platformioSection.get('default_envs')) || '')
+    .split(/[,\s]+/)
+    .filter(Boolean);
 
-  if (devLibName) {
-    for (const includeDir of includeDirs) {
-      const candidate = path.join(includeDir, `io${devLibName}.h`);
-      if (await fileExists(candidate)) {
-        return candidate;
-      }
+  const environments = [];
+  for (const sectionName of sections.keys()) {
+    if (!sectionName.startsWith('env:')) {
+      continue;
     }
-  }
-
-  for (const includeDir of includeDirs) {
-    const names = await listDirSafe(includeDir);
-    const candidates = sortBySpecificity(
-      names.filter(
-        (name) =>
-          /^io.*\.h$/i.test(name) &&
-          (!token || name.toLowerCase().includes(token.toLowerCase()))
-      )
-    );
-    if (candidates.length > 0) {
-      return path.join(includeDir, candidates[0]);
+    const name = sectionName.slice('env:'.length);
+    const option = (key) => getPlatformioOption(sections, sectionName, key) || '';
+    const board = option('board');
+    const boardInfo = board ? await resolvePlatformioBoard(folderPath, option('platform'), board) : null;
+    const mcu = option('board_build.mcu') || (boardInfo ? boardInfo.mcu : '');
+
+    const flags = { devices: [], includeDirs: [], defines: new Map() };
+    parseCompileCommandFlags(splitCommandLine(option('build_flags')), folderPath, flags);
+    const defines = Array.from(flags.defines, ([defineName, value]) => ({
+      name: defineName,
+      value,
+      file,
+      line: findLineNumber(text, new RegExp(`-D\\s*${defineName}\\b`))
+    }));
+    const fCpu = option('board_build.f_cpu') || (boardInfo ? boardInfo.fCpu : '');
+    if (fCpu && !flags.defines.has('F_CPU')) {
+      const fromIni = Boolean(option('board_build.f_cpu'));
+      defines.push({
+        name: 'F_CPU',
+        value: fCpu,
+        file: fromIni ? file : boardInfo.file,
+        line: findLineNumber(fromIni ? text : boardInfo.text, /f_cpu/)
+      });
     }
+
+    environments.push({
+      kind: 'PlatformIO',
+      workspaceFolder: folder.uri.toString(),
+      file,
+      name,
+      isDefault: defaultEnvs.includes(name),
+      device: normalizeBuildDevice(mcu) || pickMostFrequentDevice(flags.devices),
+      includeDirs: await filterExistingDirectories(flags.includeDirs),
+      defines
+    });
   }
+  // default_envs order first, then file order.
+  return environments.sort(
+    (a, b) =>
+      (a.isDefault ? defaultEnvs.indexOf(a.name) : defaultEnvs.length) -
+      (b.isDefault ? defaultEnvs.indexOf(b.name) : defaultEnvs.length)
+  );
+}
 
-  return null;
+function getRememberedPlatformioEnvironments() {
+  return extensionWorkspaceState
+    ? extensionWorkspaceState.get(PLATFORMIO_ENVIRONMENT_STATE_KEY, {}) || {}
+    : {};
 }
 
-async function resolveIncPath(packRoot, devLibName, token) {
-  if (!packRoot) {
+function parseArduinoFqbn(fqbn) {
+  const match = /^([^:\s]+):([^:\s]+):([^:\s]+)(?::(\S+))?$/.exec(String(fqbn || '').trim());
+  if (!match) {
     return null;
   }
-  const incDir = path.join(packRoot, 'avrasm', 'inc');
-  if (devLibName) {
-    const candidate = path.join(incDir, `${devLibName}def.inc`);
-    if (await fileExists(candidate)) {
-      return candidate;
+  const options = new Map();
+  for (const option of String(match[4] || '').split(',')) {
+    const pair = /^([^=]+)=(.+)$/.exec(option);
+    if (pair) {
+      options.set(pair[1], pair[2]);
     }
   }
-
-  const names = await listDirSafe(incDir);
-  const candidates = sortBySpecificity(
-    names.filter(
-      (name) =>
-        /def\.inc$/i.test(name) &&
-        (!token || name.toLowerCase().includes(token.toLowerCase()))
-    )
-  );
-  if (candidates.length > 0) {
-    return path.join(incDir, candidates[0]);
-  }
-  return null;
+  return { vendor: match[1], architecture: match[2], board: match[3], options };
 }
 
-async function resolveAtdfPath(packRoot, deviceName, deviceLowerName, token) {
-  if (!packRoot) {
-    return null;
+async function findArduinoBoardsFile(vendor, architecture) {
+  const candidates = [];
+  for (const dataDir of getArduinoDataDirs()) {
+    const hardwareDir = path.join(dataDir, 'packages', vendor, 'hardware', architecture);
+    const versions = (await listDirSafe(hardwareDir)).sort((a, b) => compareVersionLabels(b, a));
+    candidates.push(...versions.map((version) => path.join(hardwareDir, version, 'boards.txt')));
   }
-  const atdfDir = path.join(packRoot, 'atdf');
-  if (deviceName) {
-    const directCandidate = path.join(atdfDir, `${deviceName}.atdf`);
-    if (await fileExists(directCandidate)) {
-      return directCandidate;
+  candidates.push(path.join(os.homedir(), 'Arduino', 'hardware', vendor, architecture, 'boards.txt'));
+  for (const candidate of candidates) {
+    if (await fileExists(candidate)) {
+      return candidate;
     }
   }
+  return null;
+}
 
-  const names = await listDirSafe(atdfDir);
-  if (deviceLowerName) {
-    const lowerExact = `${deviceLowerName}.atdf`;
-    const exact = names.find((name) => name.toLowerCase() === lowerExact);
-    if (exact) {
-      return path.join(atdfDir, exact);
+// Reads build.<property> for a board from boards.txt, letting menu
+// selections in the FQBN (for example cpu=atmega328old) override it.
+function getArduinoBoardProperty(properties, fqbn, property) {
+  for (const [menu, value] of fqbn.options) {
+    const key = `${fqbn.board}.menu.${menu}.${value}.build.${property}`;
+    if (properties.has(key)) {
+      return properties.get(key);
     }
   }
-
-  const tokenCandidates = sortBySpecificity(
-    names.filter(
-      (name) =>
-        /\.atdf$/i.test(name) &&
-        (!token || name.toLowerCase().includes(token.toLowerCase()))
-    )
-  );
-  if (tokenCandidates.length > 0) {
-    return path.join(atdfDir, tokenCandidates[0]);
-  }
-
-  return null;
+  return properties.get(`${fqbn.board}.build.${property}`) || '';
 }
 
-async function resolveIndexFiles(scope = null) {
-  const configuredPath = getConfiguredDfpPath();
-  const configuredDevice = getConfiguredDevice();
-  const detected = shouldAutoDetectMplabProject()
-    ? await detectMplabTarget(scope ? scope.workspaceFolder : null)
-    : null;
-
-  const packRoot = await resolvePackRoot(configuredPath, detected);
-  let device = configuredDevice || (detected && detected.device) || '';
-  if (!device) {
-    device = await inferDeviceFromWorkspaceText(scope);
-  }
-  if (!device) {
-    device = await detectDeviceFromPack(packRoot);
+async function detectArduinoSketch(folder) {
+  const folderPath = folder.uri.fsPath;
+  const entries = await listDirSafe(folderPath);
+  if (!entries.some((name) => /\.ino$/i.test(name))) {
+    return null;
   }
-  const deviceLowerName = normalizeDeviceForLookup(device);
-  const token = deviceLowerName ? extractDeviceToken(deviceLowerName) : '';
-  const devLibName = await parseDevLibName(packRoot, deviceLowerName);
 
-  const files = [];
-  const headerPath = await resolveHeaderPath(packRoot, devLibName, token);
-  if (headerPath) {
-    files.push({ kind: 'header', filePath: headerPath });
+  let fqbnText = '';
+  let file = path.join(folderPath, 'sketch.yaml');
+  const sketchYaml = await readTextIfExists(file);
+  const yamlMatch = sketchYaml ? /^default_fqbn:\s*["']?([^"'\s]+)/m.exec(sketchYaml) : null;
+  if (yamlMatch) {
+    fqbnText = yamlMatch[1];
+  } else {
+    file = path.join(folderPath, '.vscode', 'arduino.json');
+    const json = await readJsonIfExists(file);
+    if (json && json.value && json.value.board) {
+      const configuration = json.value.configuration ? `:${json.value.configuration}` : '';
+      fqbnText = `${json.value.board}${configuration}`;
+    }
   }
-  const incPath = await resolveIncPath(packRoot, devLibName, token);
-  if (incPath) {
-    files.push({ kind: 'inc', filePath: incPath });
+  const fqbn = parseArduinoFqbn(fqbnText);
+  if (!fqbn) {
+    return null;
   }
 
-  // Add AVR core headers so function-like macros (for example _BV(bit))
-  // are available for hover/definition in assembly files.
-  const compilerIncludeDirs = await resolveCompilerIncludeDirs(detected);
-  const coreHeaderNames = ['common.h', 'sfr_defs.h', 'interrupt.h', 'io.h'];
-  const indexedPaths = new Set(files.map((entry) => entry.filePath));
-  for (const includeDir of compilerIncludeDirs) {
-    for (const headerName of coreHeaderNames) {
-      const candidate = path.join(includeDir, headerName);
-      if (!indexedPaths.has(candidate) && (await fileExists(candidate))) {
-        files.push({ kind: 'header', filePath: candidate });
-        indexedPaths.add(candidate);
+  let mcu = '';
+  const defines = [];
+  const boardsFile = await findArduinoBoardsFile(fqbn.vendor, fqbn.architecture);
+  const boardsText = boardsFile ? await readTextIfExists(boardsFile) : '';
+  if (boardsText) {
+    const properties = new Map();
+    for (const line of boardsText.split(/\r?\n/)) {
+      const match = /^\s*([^#=\s][^=]*?)\s*=\s*(.*)$/.exec(line);
+      if (match) {
+        properties.set(match[1], match[2].trim());
       }
     }
-  }
-
-  const atdfPath = await resolveAtdfPath(packRoot, device, deviceLowerName, token);
-  if (atdfPath) {
-    files.push({ kind: 'atdf', filePath: atdfPath });
+    mcu = getArduinoBoardProperty(properties, fqbn, 'mcu');
+    const fCpu = getArduinoBoardProperty(properties, fqbn, 'f_cpu');
+    if (fCpu) {
+      defines.push({
+        name: 'F_CPU',
+        value: fCpu,
+        file: boardsFile,
+        line: findLineNumber(boardsText, new RegExp(`^${escapeRegex(fqbn.board)}\\..*build\\.f_cpu=`))
+      });
+    }
   }
 
   return {
-    packRoot,
-    device,
-    deviceLowerName,
-    devLibName,
-    files,
-    detectedProjectFile: detected ? detected.projectFile : null
+    kind: 'Arduino',
+    workspaceFolder: folder.uri.toString(),
+    file,
+    name: fqbnText,
+    device: normalizeBuildDevice(mcu || KNOWN_BOARD_MCUS[fqbn.board] || ''),
+    includeDirs: [],
+    defines
   };
 }
 
-function safeMarkdown(text) {
-  return text.replace(/[`*_{}[\]()#+\-!]/g, '\\$&');
+async function listPlatformioToolchainRoots() {
+  const packagesDir = path.join(getPlatformioCoreDir(), 'packages');
+  return (await listDirSafe(packagesDir))
+    .filter((name) => /^toolchain-atmelavr(?:@|$)/.test(name))
+    .sort((a, b) => compareVersionLabels(b, a))
+    .map((name) => path.join(packagesDir, name));
 }
 
-function trimLine(text, max = 120) {
-  const squashed = text.trim().replace(/\s+/g, ' ');
-  if (squashed.length <= max) {
-    return squashed;
+async function listArduinoToolchainRoots() {
+  const roots = [];
+  for (const dataDir of getArduinoDataDirs()) {
+    const packagesDir = path.join(dataDir, 'packages');
+    for (const vendor of (await listDirSafe(packagesDir)).sort((a, b) => a.localeCompare(b))) {
+      const toolDir = path.join(packagesDir, vendor, 'tools', 'avr-gcc');
+      const versions = (await listDirSafe(toolDir)).sort((a, b) => compareVersionLabels(b, a));
+      roots.push(...versions.map((version) => path.join(toolDir, version)));
+    }
   }
-  return `${squashed.slice(0, max - 3)}...`;
+  return roots;
 }
 
-function clampConfigNumber(key, defaultValue, minValue = 1, maxValue = 10000) {
-  const configured = Number(getConfig().get(key, defaultValue));
-  if (!Number.isFinite(configured)) {
-    return defaultValue;
-  }
-  if (configured < minValue) {
-    return minValue;
-  }
-  if (configured > maxValue) {
-    return maxValue;
+// PlatformIO environment (remembered choice, then default_envs, then the
+// first [env:...]) or Arduino sketch that defines the board for a folder.
+async function detectBoardProject(preferredWorkspaceFolder = null, trace = null) {
+  const workspaceFolders = preferredWorkspaceFolder
+    ? [preferredWorkspaceFolder]
+    : vscode.workspace.workspaceFolders || [];
+  const remembered = getRememberedPlatformioEnvironments();
+  for (const folder of workspaceFolders) {
+    const environments = await listPlatformioEnvironments(folder);
+    if (environments.length > 0) {
+      const selected = environments.find(
+        (environment) => environment.name === remembered[folder.uri.toString()]
+      );
+      const project = selected
+        ? { ...selected, selectedBy: 'user' }
+        : { ...environments[0], selectedBy: environments[0].isDefault ? 'default_envs' : 'default' };
+      for (const environment of environments) {
+        traceStep(
+          trace,
+          `- ${environment.name === project.name ? '[accepted]' : '[rejected]'} \`${environment.file}\` env:${
+            environment.name
+          }: device ${environment.device || 'none'}${
+            environment.name === project.name ? ` (${project.selectedBy})` : ''
+          }`
+        );
+      }
+      return { ...project, toolchainRoots: await listPlatformioToolchainRoots() };
+    }
+
+    const sketch = await detectArduinoSketch(folder);
+    if (sketch) {
+      traceStep(
+        trace,
+        `- [accepted] \`${sketch.file}\` Arduino ${sketch.name}: device ${sketch.device || 'none'}`
+      );
+      return { ...sketch, selectedBy: 'default', toolchainRoots: await listArduinoToolchainRoots() };
+    }
+    traceStep(trace, `No platformio.ini environments or Arduino sketch board in \`${folder.uri.fsPath}\`.`);
   }
-  return Math.trunc(configured);
+  return null;
 }
 
-function escapeRegex(text) {
-  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function shouldAutoDetectBuildFiles() {
+  return Boolean(getConfig().get('autoDetectBuildFiles', true));
 }
 
-function startsWithIgnoreCase(value, prefix) {
-  if (!prefix) {
-    return true;
-  }
-  return String(value || '')
-    .toLowerCase()
-    .startsWith(String(prefix || '').toLowerCase());
+function shouldAutoDetectMplabProject() {
+  return Boolean(getConfig().get('autoDetectMplabProject', true));
 }
 
-function completionSeenKey(value) {
-  return String(value || '').toLowerCase();
+function normalizeDeviceForLookup(deviceName) {
+  return (deviceName || '').trim().toLowerCase();
 }
 
-function makeSymbolRange(line, column, symbol) {
-  const safeColumn = Math.max(0, column);
-  return new vscode.Range(
-    new vscode.Position(line, safeColumn),
-    new vscode.Position(line, safeColumn + symbol.length)
-  );
+function parseVersionParts(versionText) {
+  return String(versionText || '')
+    .split(/[^0-9]+/)
+    .filter((part) => part.length > 0)
+    .map((part) => Number(part));
 }
 
-function localKindToSymbolKind(kind) {
-  if (kind === 'label') {
-    return vscode.SymbolKind.Function;
-  }
-  if (kind === 'equ' || kind === 'set') {
-    return vscode.SymbolKind.Constant;
+function compareVersionLabels(leftVersion, rightVersion) {
+  const leftParts = parseVersionParts(leftVersion);
+  const rightParts = parseVersionParts(rightVersion);
+  const maxLength = Math.max(leftParts.length, rightParts.length);
+  for (let i = 0; i < maxLength; i += 1) {
+    const left = i < leftParts.length ? leftParts[i] : 0;
+    const right = i < rightParts.length ? rightParts[i] : 0;
+    if (left !== right) {
+      return left - right;
+    }
   }
-  return vscode.SymbolKind.Variable;
+  return String(leftVersion || '').localeCompare(String(rightVersion || ''));
 }
 
-function extractSymbolAtPosition(document, position) {
-  const range = document.getWordRangeAtPosition(position, WORD_REGEX);
-  if (!range) {
-    return null;
-  }
-  const symbol = document.getText(range);
-  if (!symbol) {
-    return null;
+function extractDeviceToken(deviceLowerName) {
+  const match = /([0-9][0-9a-z]*)$/i.exec(deviceLowerName);
+  if (match) {
+    return match[1].toLowerCase();
   }
-  return symbol;
+  return deviceLowerName.replace(/[^a-z0-9]/g, '');
 }
 
-function addSymbol(map, symbolList, symbol, entry) {
-  if (!symbol) {
-    return;
-  }
-  let entries = map.get(symbol);
-  if (!entries) {
-    entries = [];
-    map.set(symbol, entries);
-    symbolList.push(symbol);
-  }
-  if (entries.length < 20) {
-    entries.push(entry);
-  }
+function sortBySpecificity(fileNames) {
+  return fileNames.slice().sort((a, b) => {
+    if (a.length !== b.length) {
+      return a.length - b.length;
+    }
+    return a.localeCompare(b);
+  });
 }
 
-function parseSymbolsFromLine(line, kind) {
-  const found = [];
-  let match = null;
+function parseMplabConfiguration(parsed, config) {
+  const device =
+    typeof config.device === 'string' ? config.device.trim() : '';
+  const packs = Array.isArray(config.packs) ? config.packs : [];
+  const packCandidate =
+    packs.find(
+      (pack) =>
+        pack &&
+        typeof pack.name === 'string' &&
+        pack.name.toUpperCase().includes('DFP')
+    ) || packs[0] || null;
+
+  const pack = {
+    vendor:
+      packCandidate && typeof packCandidate.vendor === 'string'
+        ? packCandidate.vendor
+        : DEFAULT_PACK_VENDOR,
+    name:
+      packCandidate && typeof packCandidate.name === 'string'
+        ? packCandidate.name
+        : '',
+    version:
+      packCandidate && typeof packCandidate.version === 'string'
+        ? packCandidate.version
+        : ''
+  };
 
-  match = /^\s*#define\s+([A-Za-z_][A-Za-z0-9_]*)\b(.*)$/.exec(line);
-  if (match) {
-    found.push({
-      symbol: match[1],
-      detail: trimLine(match[0]),
-      kind: 'macro'
+  let xc8Version = '';
+  let avrGccVersion = '';
+  const toolchainName =
+    typeof config.toolchain === 'string' ? config.toolchain.trim() : '';
+  if (toolchainName) {
+    const groups = Array.isArray(parsed.propertyGroups)
+      ? parsed.propertyGroups
+      : [];
+    const toolchainGroup = groups.find(
+      (group) =>
+        group &&
+        group.type === 'toolchain' &&
+        typeof group.name === 'string' &&
+        group.name === toolchainName
+    );
+    if (
+      toolchainGroup &&
+      typeof toolchainGroup.provider === 'string'
+    ) {
+      const provider = toolchainGroup.provider.toLowerCase();
+      if (provider.includes('xc8@')) {
+        const versionMatch = /xc8@([0-9.]+)/i.exec(toolchainGroup.provider);
+        if (versionMatch) {
+          xc8Version = versionMatch[1];
+        }
+      } else if (provider.includes('avr-gcc@') || provider.includes('avr_gcc@')) {
+        const versionMatch = /avr[_-]gcc@([0-9.]+)/i.exec(toolchainGroup.provider);
+        if (versionMatch) {
+          avrGccVersion = versionMatch[1];
+        }
+      }
+    }
+  }
+
+  return {
+    device,
+    pack,
+    hasPack: Boolean(packCandidate),
+    xc8Version,
+    avrGccVersion
+  };
+}
+
+// Every configuration of every .vscode/*.mplab.json, in file-name order.
+async function listMplabConfigurations(workspaceFolders) {
+  const candidates = [];
+  for (const folder of workspaceFolders) {
+    const vscodeDirUri = vscode.Uri.joinPath(folder.uri, '.vscode');
+    const files = await listDirUriSafe(vscodeDirUri);
+    const mplabFiles = files
+      .filter((file) => file.endsWith('.mplab.json'))
+      .sort((a, b) => a.localeCompare(b));
+
+    for (const file of mplabFiles) {
+      const fullUri = vscode.Uri.joinPath(vscodeDirUri, file);
+      const jsonText = await readTextUriIfExists(fullUri);
+      if (!jsonText) {
+        continue;
+      }
+
+      let parsed = null;
+      try {
+        parsed = JSON.parse(jsonText);
+      } catch {
+        continue;
+      }
+
+      const configurations = Array.isArray(parsed.configurations)
+        ? parsed.configurations
+        : [];
+      configurations.forEach((config, configurationIndex) => {
+        if (!config || typeof config !== 'object') {
+          return;
+        }
+        const details = parseMplabConfiguration(parsed, config);
+        if (!details.device && !details.hasPack) {
+          return;
+        }
+        const configurationName =
+          (typeof config.name === 'string' && config.name.trim()) ||
+          (typeof config.id === 'string' && config.id.trim()) ||
+          `configuration ${configurationIndex + 1}`;
+        candidates.push({
+          workspaceFolder: folder.uri.toString(),
+          projectFile: fullUri.toString(),
+          projectFileName: file,
+          configurationName,
+          device: details.device,
+          pack: details.pack,
+          xc8Version: details.xc8Version,
+          avrGccVersion: details.avrGccVersion
+        });
+      });
+    }
+  }
+  return candidates;
+}
+
+function mplabConfigurationKey(candidate) {
+  return `${candidate.projectFile}#${candidate.configurationName}`;
+}
+
+function getRememberedMplabConfigurations() {
+  return extensionWorkspaceState
+    ? extensionWorkspaceState.get(MPLAB_CONFIGURATION_STATE_KEY, {}) || {}
+    : {};
+}
+
+async function detectMplabTarget(preferredWorkspaceFolder = null, trace = null) {
+  const workspaceFolders = preferredWorkspaceFolder
+    ? [preferredWorkspaceFolder]
+    : vscode.workspace.workspaceFolders || [];
+  const remembered = getRememberedMplabConfigurations();
+  for (const folder of workspaceFolders) {
+    const candidates = await listMplabConfigurations([folder]);
+    if (candidates.length === 0) {
+      traceStep(trace, `No usable configurations in \`${folder.uri.fsPath}/.vscode/*.mplab.json\`.`);
+      continue;
+    }
+    const rememberedKey = remembered[folder.uri.toString()];
+    const selected = candidates.find(
+      (candidate) => mplabConfigurationKey(candidate) === rememberedKey
+    );
+    for (const candidate of candidates) {
+      const chosen = selected ? candidate === selected : candidate === candidates[0];
+      traceStep(
+        trace,
+        `- ${chosen ? '[accepted]' : '[rejected]'} ${candidate.projectFileName} › ${candidate.configurationName}: device ${
+          candidate.device || 'none'
+        }, pack ${candidate.pack.name ? `${candidate.pack.name} ${candidate.pack.version}` : 'none'}${
+          chosen ? (selected ? ' (remembered selection)' : ' (first configuration)') : ''
+        }`
+      );
+    }
+    return selected
+      ? { ...selected, selectedBy: 'user' }
+      : { ...candidates[0], selectedBy: 'default' };
+  }
+  return null;
+}
+
+function expandUserPath(configuredPath) {
+  const trimmed = String(configuredPath || '').trim();
+  if (trimmed === '~' || trimmed.startsWith('~/') || trimmed.startsWith('~\\')) {
+    return path.join(os.homedir(), trimmed.slice(1));
+  }
+  return trimmed;
+}
+
+function getConfiguredSearchRoots(key) {
+  const configured = getConfig().get(key, []);
+  return (Array.isArray(configured) ? configured : [])
+    .map(expandUserPath)
+    .filter((entry) => entry && path.isAbsolute(entry));
+}
+
+// A configured toolchain root may be the toolchain itself (holding
+// avr/include), an XC8 version folder (holding avr/avr/include) or a folder
+// of such installs, for example /opt/toolchains.
+async function expandToolchainSearchRoot(root) {
+  const findToolchain = async (dir) => {
+    for (const candidate of [dir, path.join(dir, 'avr')]) {
+      if (await isDirectory(path.join(candidate, 'avr', 'include'))) {
+        return candidate;
+      }
+    }
+    return null;
+  };
+
+  const direct = await findToolchain(root);
+  if (direct) {
+    return [direct];
+  }
+  const found = [];
+  const children = (await listDirSafe(root)).sort((a, b) => compareVersionLabels(b, a));
+  for (const child of children) {
+    const toolchain = await findToolchain(path.join(root, child));
+    if (toolchain) {
+      found.push(toolchain);
+    }
+  }
+  return found;
+}
+
+async function resolveAvrGccRoot() {
+  // Resolve the real installation root of the avr-gcc on PATH (falling back
+  // to the usual system locations), following symlinks.
+  const binaryName = process.platform === 'win32' ? 'avr-gcc.exe' : 'avr-gcc';
+  const searchDirs = String(process.env.PATH || '')
+    .split(path.delimiter)
+    .filter((dir) => dir && path.isAbsolute(dir));
+  const candidates = [...searchDirs, '/usr/local/bin', '/usr/bin'].map((dir) =>
+    path.join(dir, binaryName)
+  );
+  for (const bin of candidates) {
+    try {
+      const real = await fs.realpath(bin);
+      // real = /opt/avr-gcc-15.2.0/bin/avr-gcc  →  root = /opt/avr-gcc-15.2.0
+      return path.resolve(path.dirname(real), '..');
+    } catch {
+      // not found, try next
+    }
+  }
+  return null;
+}
+
+async function resolveCompilerIncludeDirs(detected = null, projectToolchainRoots = []) {
+  const candidates = [];
+  const seen = new Set();
+  const addCandidate = (dirPath) => {
+    if (!dirPath) return;
+    const normalized = path.normalize(dirPath);
+    if (seen.has(normalized)) return;
+    seen.add(normalized);
+    candidates.push(normalized);
+  };
+
+  const addToolchain = async (toolchainRoot) => {
+    // avr-libc headers: <root>/avr/include/avr
+    addCandidate(path.join(toolchainRoot, 'avr', 'include', 'avr'));
+    // GCC internal headers (for __builtin_* completions)
+    const libGccDir = path.join(toolchainRoot, 'lib', 'gcc', 'avr');
+    const gccVersions = (await listDirSafe(libGccDir)).sort((a, b) =>
+      compareVersionLabels(b, a)
+    );
+    for (const v of gccVersions) {
+      addCandidate(path.join(libGccDir, v, 'include'));
+    }
+  };
+
+  // ── toolchain installed by the project's PlatformIO/Arduino setup ────────
+  for (const toolchainRoot of projectToolchainRoots) {
+    await addToolchain(toolchainRoot);
+  }
+
+  // ── avrAsmNavigator.toolchainSearchRoots ─────────────────────────────────
+  for (const configuredRoot of getConfiguredSearchRoots('toolchainSearchRoots')) {
+    for (const toolchainRoot of await expandToolchainSearchRoot(configuredRoot)) {
+      await addToolchain(toolchainRoot);
+    }
+  }
+
+  // ── avr-gcc / avr-libc from PATH (preferred on Linux) ────────────────────
+  const avrGccRoot = await resolveAvrGccRoot();
+  if (avrGccRoot) {
+    await addToolchain(avrGccRoot);
+  }
+
+  // ── XC8 fallback ─────────────────────────────────────────────────────────
+  if (detected && detected.xc8Version) {
+    addCandidate(
+      path.join('/opt/microchip/xc8', `v${detected.xc8Version}`, 'avr', 'avr', 'include', 'avr')
+    );
+    addCandidate(
+      path.join('/opt/microchip/xc8', detected.xc8Version, 'avr', 'avr', 'include', 'avr')
+    );
+  }
+  const xc8Root = '/opt/microchip/xc8';
+  const xc8Versions = (await listDirSafe(xc8Root)).sort((a, b) =>
+    compareVersionLabels(b, a)
+  );
+  for (const version of xc8Versions) {
+    addCandidate(path.join(xc8Root, version, 'avr', 'avr', 'include', 'avr'));
+  }
+
+  // ── PlatformIO / Arduino package toolchains as a last resort ─────────────
+  for (const toolchainRoot of [
+    ...(await listPlatformioToolchainRoots()),
+    ...(await listArduinoToolchainRoots())
+  ]) {
+    await addToolchain(toolchainRoot);
+  }
+
+  const existing = [];
+  for (const candidate of candidates) {
+    if (await isDirectory(candidate)) {
+      existing.push(candidate);
+    }
+  }
+  return existing;
+}
+
+async function defaultDfpPath(vendor = DEFAULT_PACK_VENDOR) {
+  let bestMatch = null;
+
+  for (const searchRoot of await getPackSearchRoots()) {
+    const vendorRoot = path.join(searchRoot, vendor);
+    const packNames = (await listDirSafe(vendorRoot)).sort((a, b) => a.localeCompare(b));
+    for (const packName of packNames) {
+      if (!packName.toUpperCase().endsWith('_DFP')) {
+        continue;
+      }
+
+      const packRoot = path.join(vendorRoot, packName);
+      if (!(await isDirectory(packRoot))) {
+        continue;
+      }
+
+      const versions = await listDirSafe(packRoot);
+      for (const version of versions) {
+        const versionRoot = path.join(packRoot, version);
+        if (!(await isDirectory(versionRoot))) {
+          continue;
+        }
+
+        if (
+          !bestMatch ||
+          compareVersionLabels(version, bestMatch.version) > 0 ||
+          (compareVersionLabels(version, bestMatch.version) === 0 &&
+            packName.localeCompare(bestMatch.packName) < 0)
+        ) {
+          bestMatch = { packName, version, root: versionRoot };
+        }
+      }
+    }
+  }
+
+  return bestMatch ? bestMatch.root : '';
+}
+
+async function listMplabxPackRoots(installRoot) {
+  const roots = [];
+  const versions = (await listDirSafe(installRoot)).sort((a, b) => compareVersionLabels(b, a));
+  for (const version of versions) {
+    const packsDir = path.join(installRoot, version, 'packs');
+    if (await isDirectory(packsDir)) {
+      roots.push(packsDir);
+    }
+  }
+  return roots;
+}
+
+// A configured pack root may be a <vendor>/<pack>/<version> tree like
+// ~/.mchp_packs, an MPLAB® X version folder or an MPLAB® X install root.
+async function expandPackSearchRoot(root) {
+  const packsDir = path.join(root, 'packs');
+  if (await isDirectory(packsDir)) {
+    return [packsDir];
+  }
+  const mplabxPackRoots = await listMplabxPackRoots(root);
+  return mplabxPackRoots.length > 0 ? mplabxPackRoots : [root];
+}
+
+// ~/.mchp_packs first, then avrAsmNavigator.packSearchRoots, then the packs
+// bundled with any MPLAB® X install found in its default location.
+async function getPackSearchRoots() {
+  const roots = [path.join(os.homedir(), '.mchp_packs')];
+  for (const configuredRoot of getConfiguredSearchRoots('packSearchRoots')) {
+    roots.push(...(await expandPackSearchRoot(configuredRoot)));
+  }
+  for (const installRoot of MPLABX_INSTALL_ROOTS) {
+    roots.push(...(await listMplabxPackRoots(installRoot)));
+  }
+  return Array.from(new Set(roots.map((root) => path.normalize(root))));
+}
+
+// .atpack files are plain zip archives. Only stored and deflated members are
+// needed for packs, so a small central-directory reader avoids a dependency.
+function readZipDirectory(buffer) {
+  const minimumEnd = Math.max(0, buffer.length - 22 - 0xffff);
+  let endOffset = -1;
+  for (let offset = buffer.length - 22; offset >= minimumEnd; offset -= 1) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('not a zip archive');
+  }
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  const directoryOffset = buffer.readUInt32LE(endOffset + 16);
+  if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = new Map();
+  let offset = directoryOffset;
+  for (let i = 0; i < entryCount; i += 1) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('corrupt zip central directory');
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer
+      .toString('utf8', offset + 46, offset + 46 + nameLength)
+      .replace(/\\/g, '/')
+      .replace(/^(?:\.\/|\/)+/, '');
+    entries.set(name.replace(/\/$/, ''), {
+      name,
+      isDirectory: name.endsWith('/'),
+      encrypted: (buffer.readUInt16LE(offset + 8) & 1) !== 0,
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localOffset: buffer.readUInt32LE(offset + 42)
     });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
+
+function readZipEntry(buffer, entry) {
+  if (entry.encrypted) {
+    throw new Error(`${entry.name} is encrypted`);
+  }
+  const offset = entry.localOffset;
+  if (buffer.readUInt32LE(offset) !== 0x04034b50) {
+    throw new Error(`corrupt local header for ${entry.name}`);
+  }
+  const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) {
+    return data;
+  }
+  if (entry.method === 8) {
+    return zlib.inflateRawSync(data);
+  }
+  throw new Error(`${entry.name} uses unsupported compression method ${entry.method}`);
+}
+
+async function readPackArchive(archivePath) {
+  const buffer = await fs.readFile(archivePath);
+  const stat = await fs.stat(archivePath);
+  const entries = readZipDirectory(buffer);
+  // Archives often omit directory entries, so directories are derived from
+  // member names; '' is the archive root.
+  const directories = new Map([['', new Set()]]);
+  for (const [name, entry] of entries) {
+    const parts = name.split('/');
+    for (let depth = 0; depth < parts.length; depth += 1) {
+      const parent = parts.slice(0, depth).join('/');
+      if (!directories.has(parent)) {
+        directories.set(parent, new Set());
+      }
+      directories.get(parent).add(parts[depth]);
+    }
+    if (entry.isDirectory && !directories.has(name)) {
+      directories.set(name, new Set());
+    }
+  }
+  return { file: archivePath, mtimeMs: stat.mtimeMs, size: stat.size, buffer, entries, directories };
+}
+
+// A dfpPath naming an .atpack is read in place: the archive is kept in memory
+// and paths below it are served by the file helpers (fileExists, listDirSafe,
+// readTextIfExists, ...) as if it were an extracted pack root.
+// Mounts are keyed by path, mtime and size, so an archive replaced on disk
+// is read again.
+async function mountPackArchive(archivePath) {
+  const stat = await fs.stat(archivePath);
+  const key = `${archivePath}|${stat.mtimeMs}|${stat.size}`;
+  if (mountedPackArchives.has(key)) {
+    return mountedPackArchives.get(key);
+  }
+  const archive = await readPackArchive(archivePath);
+  unmountPackArchives((mounted) => mounted.file === archivePath);
+  mountedPackArchives.set(key, archive);
+  logInfo(`Reading pack archive ${archivePath} in place (${archive.entries.size} member(s)).`);
+  return archive;
+}
+
+function unmountPackArchives(predicate = () => true) {
+  for (const [key, archive] of mountedPackArchives) {
+    if (predicate(archive)) {
+      mountedPackArchives.delete(key);
+    }
+  }
+}
+
+function getConfiguredPackArchivePaths() {
+  return new Set(
+    [null, ...getAllWorkspaceIndexScopes()]
+      .map((scope) => getConfiguredDfpPath(scope))
+      .filter(isPackArchivePath)
+  );
+}
+
+// Archives are only mounted for a dfpPath, so one no scope names any more
+// is dropped along with its buffer.
+function unmountUnusedPackArchives() {
+  const configured = getConfiguredPackArchivePaths();
+  unmountPackArchives((archive) => !configured.has(archive.file));
+}
+
+// Archive members stay readable after the mounts were cleared, for example
+// from an editor that is still open.
+async function providePackArchiveContent(uri) {
+  for (const archivePath of getConfiguredPackArchivePaths()) {
+    if (uri.fsPath.startsWith(`${archivePath}${path.sep}`)) {
+      try {
+        await mountPackArchive(archivePath);
+      } catch (error) {
+        logError(`Failed to read pack archive ${archivePath}`, error);
+      }
+    }
+  }
+  return readTextIfExists(uri.fsPath);
+}
+
+function isPackArchivePath(filePath) {
+  return /\.atpack$/i.test(filePath || '');
+}
+
+function getPackArchiveMember(filePath) {
+  for (const archive of mountedPackArchives.values()) {
+    const archivePath = archive.file;
+    if (filePath === archivePath) {
+      return { archive, name: '' };
+    }
+    if (filePath.startsWith(`${archivePath}${path.sep}`)) {
+      const name = filePath.slice(archivePath.length + 1).split(path.sep).join('/');
+      return { archive, name };
+    }
+  }
+  return null;
+}
+
+function readPackArchiveText(member) {
+  const entry = member.archive.entries.get(member.name);
+  if (!entry || entry.isDirectory) {
+    return null;
+  }
+  return readZipEntry(member.archive.buffer, entry).toString('utf8');
+}
+
+// Symbols read from a mounted archive open through the archive content
+// provider instead of the file system.
+function symbolFileUri(filePath) {
+  const uri = vscode.Uri.file(filePath);
+  return getPackArchiveMember(filePath) ? uri.with({ scheme: PACK_ARCHIVE_SCHEME }) : uri;
+}
+
+function readPdscText(pdscText, tagName) {
+  const match = new RegExp(`<${tagName}>\\s*([^<]*?)\\s*</${tagName}>`).exec(pdscText);
+  return match ? match[1] : '';
+}
+
+// Vendor, name and newest release of the pack an archive holds, taken from
+// the .pdsc at its root.
+function readPackDescription(archive) {
+  const pdscName = Array.from(archive.entries.keys()).find((name) => /^[^/]+\.pdsc$/i.test(name));
+  if (!pdscName) {
+    throw new Error('no .pdsc file at the archive root');
+  }
+  const text = readPackArchiveText({ archive, name: pdscName });
+  const releases = childElements(
+    firstChildElement(parseXmlElements(text), 'package', 'releases'),
+    'release'
+  )
+    .map((release) => release.attributes.version)
+    .filter(Boolean)
+    .sort((a, b) => compareVersionLabels(b, a));
+  const description = {
+    pdscName,
+    vendor: readPdscText(text, 'vendor'),
+    name: readPdscText(text, 'name'),
+    version: releases[0] || ''
+  };
+  for (const field of ['vendor', 'name', 'version']) {
+    if (!/^[A-Za-z0-9][A-Za-z0-9_.+-]*$/.test(description[field])) {
+      throw new Error(`${pdscName} has no usable ${field === 'version' ? 'release version' : field}`);
+    }
+  }
+  if (!/_DFP$/i.test(description.name)) {
+    throw new Error(`${description.name} is not a device family pack`);
+  }
+  return description;
+}
+
+// Extracts into a staging folder first so an interrupted import never leaves
+// a half-written version folder that the catalogue would pick up.
+async function extractPackArchive(archive, destination) {
+  const staging = `${destination}.import-${process.pid}`;
+  await fs.rm(staging, { recursive: true, force: true });
+  try {
+    for (const [name, entry] of archive.entries) {
+      const target = path.resolve(staging, name);
+      if (!target.startsWith(`${staging}${path.sep}`)) {
+        throw new Error(`${entry.name} points outside the pack folder`);
+      }
+      if (entry.isDirectory) {
+        await fs.mkdir(target, { recursive: true });
+        continue;
+      }
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, readZipEntry(archive.buffer, entry));
+    }
+    await fs.rm(destination, { recursive: true, force: true });
+    await fs.rename(staging, destination);
+  } catch (error) {
+    await fs.rm(staging, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+async function listInstalledPackVersions(pack) {
+  const installed = [];
+  for (const searchRoot of await getPackSearchRoots()) {
+    const packDir = path.join(searchRoot, pack.vendor || DEFAULT_PACK_VENDOR, pack.name);
+    for (const version of await listDirSafe(packDir)) {
+      const root = path.join(packDir, version);
+      if (await isDirectory(root)) {
+        installed.push({ version, root });
+      }
+    }
+  }
+  return installed;
+}
+
+// Closest installed version to a missing pinned one: the oldest newer
+// release (packs only add devices), otherwise the newest older release.
+function closestPackVersion(installed, pinnedVersion) {
+  const newer = installed
+    .filter((entry) => compareVersionLabels(entry.version, pinnedVersion) > 0)
+    .sort((a, b) => compareVersionLabels(a.version, b.version));
+  if (newer.length > 0) {
+    return newer[0];
+  }
+  return installed.slice().sort((a, b) => compareVersionLabels(b.version, a.version))[0] || null;
+}
+
+async function findInstalledPack(pack) {
+  for (const searchRoot of await getPackSearchRoots()) {
+    const root = path.join(searchRoot, pack.vendor || DEFAULT_PACK_VENDOR, pack.name, pack.version);
+    if (await isDirectory(root)) {
+      return root;
+    }
+  }
+  return null;
+}
+
+// Devices a pack supports: the <device Dname>/<variant Dvariant> entries
+// of its .pdsc, or the atdf/ file names when the pack ships no .pdsc.
+async function listPackDevices(versionRoot) {
+  const devices = new Map();
+  const entries = await listDirSafe(versionRoot);
+  for (const pdscName of entries.filter((name) => /\.pdsc$/i.test(name))) {
+    const text = await readTextIfExists(path.join(versionRoot, pdscName));
+    const stack = text ? [parseXmlElements(text)] : [];
+    while (stack.length > 0) {
+      const element = stack.pop();
+      const name = element.attributes.Dname || element.attributes.Dvariant;
+      if ((element.name === 'device' || element.name === 'variant') && name) {
+        devices.set(normalizeDeviceForLookup(name), name);
+      }
+      stack.push(...element.children);
+    }
+  }
+  if (devices.size === 0) {
+    for (const name of await listDirSafe(path.join(versionRoot, 'atdf'))) {
+      if (/\.atdf$/i.test(name)) {
+        const device = name.replace(/\.atdf$/i, '');
+        devices.set(normalizeDeviceForLookup(device), device);
+      }
+    }
+  }
+  return devices;
+}
+
+async function buildPackCatalogue() {
+  const catalogue = new Map();
+  let packCount = 0;
+  for (const searchRoot of await getPackSearchRoots()) {
+    for (const vendor of await listDirSafe(searchRoot)) {
+      const vendorRoot = path.join(searchRoot, vendor);
+      for (const packName of await listDirSafe(vendorRoot)) {
+        if (!packName.toUpperCase().endsWith('_DFP')) {
+          continue;
+        }
+        for (const version of await listDirSafe(path.join(vendorRoot, packName))) {
+          const root = path.join(vendorRoot, packName, version);
+          if (!(await isDirectory(root))) {
+            continue;
+          }
+          packCount += 1;
+          const pack = { vendor, packName, version, root };
+          for (const [device, name] of await listPackDevices(root)) {
+            if (!catalogue.has(device)) {
+              catalogue.set(device, { name, packs: [] });
+            }
+            catalogue.get(device).packs.push(pack);
+          }
+        }
+      }
+    }
+  }
+  logInfo(`Pack catalogue built: ${catalogue.size} device(s) across ${packCount} installed pack(s).`);
+  return catalogue;
+}
+
+function getPackCatalogue() {
+  if (!packCataloguePromise) {
+    packCataloguePromise = buildPackCatalogue().catch((error) => {
+      logError('Pack catalogue scan failed', error);
+      packCataloguePromise = null;
+      return new Map();
+    });
+  }
+  return packCataloguePromise;
+}
+
+function newestPack(packs) {
+  return (
+    packs
+      .slice()
+      .sort(
+        (a, b) =>
+          compareVersionLabels(b.version, a.version) || a.packName.localeCompare(b.packName)
+      )[0] || null
+  );
+}
+
+async function selectPackForDevice(device, trace = null) {
+  const entry = (await getPackCatalogue()).get(normalizeDeviceForLookup(device));
+  const packs = entry ? entry.packs : [];
+  if (packs.length === 0) {
+    logWarn(`No installed DFP lists ${device}; falling back to the newest installed pack.`);
+    traceStep(trace, `No catalogued pack lists ${device}.`);
+    return null;
+  }
+  const selected = newestPack(packs);
+  for (const pack of packs) {
+    traceCandidate(
+      trace,
+      pack.root,
+      pack === selected,
+      pack === selected ? `newest of ${packs.length} pack version(s) listing ${device}` : 'older version'
+    );
+  }
+  logInfo(
+    `Selected ${selected.vendor}/${selected.packName} ${selected.version} for ${device} (${packs.length} installed pack version(s) support it).`
+  );
+  return selected;
+}
+
+// Returns the pack root plus, when the MPLAB® project pins a pack version
+// that is not installed, a description of the fallback that was used.
+async function resolvePackRoot(configuredPath, detected, device = '', trace = null) {
+  if (configuredPath) {
+    traceStep(trace, `Using \`avrAsmNavigator.dfpPath\`: \`${configuredPath}\`.`);
+    if (isPackArchivePath(configuredPath)) {
+      try {
+        await mountPackArchive(configuredPath);
+        traceStep(trace, 'Reading the pack archive in place.');
+      } catch (error) {
+        logError(`Failed to read pack archive ${configuredPath}`, error);
+        traceStep(trace, `Could not read the pack archive: ${error.message}.`);
+      }
+    }
+    return { root: configuredPath, packFallback: null };
+  }
+  let packFallback = null;
+  if (detected && detected.pack && detected.pack.name && detected.pack.version) {
+    const pinned = detected.pack;
+    const installed = await findInstalledPack(pinned);
+    traceStep(
+      trace,
+      `MPLAB® project pins ${pinned.name} ${pinned.version}: ${
+        installed ? `found at \`${installed}\`` : 'not installed in any pack search root'
+      }.`
+    );
+    if (installed) {
+      return { root: installed, packFallback: null };
+    }
+
+    const closest = closestPackVersion(await listInstalledPackVersions(pinned), pinned.version);
+    packFallback = {
+      vendor: pinned.vendor || DEFAULT_PACK_VENDOR,
+      packName: pinned.name,
+      pinnedVersion: pinned.version,
+      projectFileName: detected.projectFileName,
+      version: closest ? closest.version : null,
+      root: closest ? closest.root : null
+    };
+    logWarn(
+      `${pinned.name} ${pinned.version} pinned by ${detected.projectFileName} is not installed; ${
+        closest ? `using ${closest.version} at ${closest.root}` : 'no other version of that pack is installed'
+      }.`
+    );
+    if (closest) {
+      traceCandidate(trace, closest.root, true, `closest installed version of ${pinned.name}`);
+      return { root: closest.root, packFallback };
+    }
+    traceStep(trace, `No version of ${pinned.name} is installed; choosing a pack by device instead.`);
+  }
+  if (trace) {
+    traceStep(trace, `Pack search roots: ${(await getPackSearchRoots()).map((root) => `\`${root}\``).join(', ')}.`);
+  }
+  if (device) {
+    const selected = await selectPackForDevice(device, trace);
+    if (selected) {
+      return { root: selected.root, packFallback };
+    }
+  }
+  const fallback = await defaultDfpPath();
+  traceStep(trace, `Falling back to the newest installed pack: ${fallback ? `\`${fallback}\`` : 'none found'}.`);
+  return { root: fallback, packFallback };
+}
+
+async function detectDeviceFromPack(packRoot) {
+  if (!packRoot) {
+    return '';
+  }
+  const atdfDir = path.join(packRoot, 'atdf');
+  const names = sortBySpecificity(
+    (await listDirSafe(atdfDir)).filter((name) => /\.atdf$/i.test(name))
+  );
+  if (names.length < 1) {
+    return '';
+  }
+  return names[0].replace(/\.atdf$/i, '');
+}
+
+async function parseDevLibName(packRoot, deviceLowerName, trace = null) {
+  if (!packRoot || !deviceLowerName) {
+    traceStep(trace, 'Skipped: no pack root or device.');
+    return null;
+  }
+  const specPaths = [
+    path.join(
+      packRoot,
+      'gcc',
+      'dev',
+      deviceLowerName,
+      'device-specs',
+      `specs-${deviceLowerName}`
+    ),
+    path.join(packRoot, 'xc8', 'avr', 'device-specs', `specs-${deviceLowerName}`)
+  ];
+
+  for (const specPath of specPaths) {
+    const text = await readTextIfExists(specPath);
+    if (!text) {
+      traceCandidate(trace, specPath, false, 'not found');
+      continue;
+    }
+    const match = /__AVR_DEV_LIB_NAME__=([A-Za-z0-9_]+)/.exec(text);
+    traceCandidate(
+      trace,
+      specPath,
+      Boolean(match),
+      match ? `__AVR_DEV_LIB_NAME__=${match[1]}` : 'no __AVR_DEV_LIB_NAME__ definition'
+    );
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+async function resolveHeaderPath(packRoot, devLibName, token, trace = null) {
+  if (!packRoot) {
+    traceStep(trace, 'Skipped: no pack root.');
+    return null;
+  }
+  const includeDirs = [
+    path.join(packRoot, 'include', 'avr'),
+    path.join(packRoot, 'xc8', 'avr', 'include', 'avr')
+  ];
+
+  if (devLibName) {
+    for (const includeDir of includeDirs) {
+      const candidate = path.join(includeDir, `io${devLibName}.h`);
+      const exists = await fileExists(candidate);
+      traceCandidate(trace, candidate, exists, exists ? 'matches the device library name' : 'not found');
+      if (exists) {
+        return candidate;
+      }
+    }
+  }
+
+  for (const includeDir of includeDirs) {
+    const names = await listDirSafe(includeDir);
+    const candidates = sortBySpecificity(
+      names.filter(
+        (name) =>
+          /^io.*\.h$/i.test(name) &&
+          (!token || name.toLowerCase().includes(token.toLowerCase()))
+      )
+    );
+    traceSpecificityPick(trace, includeDir, candidates, `io*.h containing "${token}"`);
+    if (candidates.length > 0) {
+      return path.join(includeDir, candidates[0]);
+    }
+  }
+
+  return null;
+}
+
+function traceSpecificityPick(trace, dir, candidates, description) {
+  if (candidates.length === 0) {
+    traceCandidate(trace, dir, false, `no ${description}`);
+    return;
+  }
+  traceCandidate(
+    trace,
+    path.join(dir, candidates[0]),
+    true,
+    `shortest ${description}${
+      candidates.length > 1 ? `; also matched ${candidates.slice(1, 6).join(', ')}` : ''
+    }`
+  );
+}
+
+async function resolveIncPath(packRoot, devLibName, token, trace = null) {
+  if (!packRoot) {
+    traceStep(trace, 'Skipped: no pack root.');
+    return null;
+  }
+  const incDir = path.join(packRoot, 'avrasm', 'inc');
+  if (devLibName) {
+    const candidate = path.join(incDir, `${devLibName}def.inc`);
+    const exists = await fileExists(candidate);
+    traceCandidate(trace, candidate, exists, exists ? 'matches the device library name' : 'not found');
+    if (exists) {
+      return candidate;
+    }
+  }
+
+  const names = await listDirSafe(incDir);
+  const candidates = sortBySpecificity(
+    names.filter(
+      (name) =>
+        /def\.inc$/i.test(name) &&
+        (!token || name.toLowerCase().includes(token.toLowerCase()))
+    )
+  );
+  traceSpecificityPick(trace, incDir, candidates, `*def.inc containing "${token}"`);
+  if (candidates.length > 0) {
+    return path.join(incDir, candidates[0]);
+  }
+  return null;
+}
+
+async function resolveAtdfPath(packRoot, deviceName, deviceLowerName, token, trace = null) {
+  if (!packRoot) {
+    traceStep(trace, 'Skipped: no pack root.');
+    return null;
+  }
+  const atdfDir = path.join(packRoot, 'atdf');
+  if (deviceName) {
+    const directCandidate = path.join(atdfDir, `${deviceName}.atdf`);
+    const exists = await fileExists(directCandidate);
+    traceCandidate(trace, directCandidate, exists, exists ? 'exact device name' : 'not found');
+    if (exists) {
+      return directCandidate;
+    }
+  }
+
+  const names = await listDirSafe(atdfDir);
+  if (deviceLowerName) {
+    const lowerExact = `${deviceLowerName}.atdf`;
+    const exact = names.find((name) => name.toLowerCase() === lowerExact);
+    if (exact) {
+      traceCandidate(trace, path.join(atdfDir, exact), true, 'device name, ignoring case');
+      return path.join(atdfDir, exact);
+    }
+  }
+
+  const tokenCandidates = sortBySpecificity(
+    names.filter(
+      (name) =>
+        /\.atdf$/i.test(name) &&
+        (!token || name.toLowerCase().includes(token.toLowerCase()))
+    )
+  );
+  traceSpecificityPick(trace, atdfDir, tokenCandidates, `*.atdf containing "${token}"`);
+  if (tokenCandidates.length > 0) {
+    return path.join(atdfDir, tokenCandidates[0]);
+  }
+
+  return null;
+}
+
+async function resolveIndexFiles(scope = null, trace = null) {
+  const configuredPath = getConfiguredDfpPath(scope);
+  const configuredDevice = getConfiguredDevice(scope);
+  const workspaceFolder = scope ? scope.workspaceFolder : null;
+  traceStep(trace, '## Settings');
+  traceStep(trace, `- \`avrAsmNavigator.device\`: ${configuredDevice || '(not set)'}`);
+  traceStep(trace, `- \`avrAsmNavigator.dfpPath\`: ${configuredPath || '(not set)'}`);
+
+  traceStep(trace, '\n## MPLAB® project (.vscode/*.mplab.json)');
+  let detected = null;
+  if (shouldAutoDetectMplabProject()) {
+    detected = await detectMplabTarget(workspaceFolder, trace);
+  } else {
+    traceStep(trace, 'Skipped: `avrAsmNavigator.autoDetectMplabProject` is off.');
+  }
+
+  const autoDetectBuildFiles = shouldAutoDetectBuildFiles();
+  let boardProject = null;
+  let buildTarget = null;
+  traceStep(trace, '\n## PlatformIO / Arduino project');
+  if (autoDetectBuildFiles) {
+    boardProject = await detectBoardProject(workspaceFolder, trace);
+  } else {
+    traceStep(trace, 'Skipped: `avrAsmNavigator.autoDetectBuildFiles` is off.');
+  }
+  traceStep(trace, '\n## Build files (compile_commands.json, CMake, Makefile)');
+  if (autoDetectBuildFiles) {
+    buildTarget = await detectBuildSystemTarget(workspaceFolder, trace);
+  } else {
+    traceStep(trace, 'Skipped: `avrAsmNavigator.autoDetectBuildFiles` is off.');
+  }
+
+  // Device precedence: setting, MPLAB® project, PlatformIO/Arduino project,
+  // build files, source text, pack.
+  let device = configuredDevice;
+  let deviceSource = device ? { kind: 'setting', file: null } : null;
+  if (!device && detected && detected.device) {
+    device = detected.device;
+    deviceSource = { kind: 'MPLAB® project', file: detected.projectFile };
+  }
+  if (!device && boardProject && boardProject.device) {
+    device = boardProject.device;
+    deviceSource = { kind: boardProject.kind, file: boardProject.file };
+  }
+  if (!device && buildTarget && buildTarget.device) {
+    device = buildTarget.device;
+    deviceSource = buildTarget.source;
+  }
+  traceStep(trace, '\n## Workspace source text');
+  if (!device) {
+    device = await inferDeviceFromWorkspaceText(scope, trace);
+    deviceSource = device ? { kind: 'workspace source text', file: null } : null;
+  } else {
+    traceStep(trace, `Skipped: device already resolved from ${deviceSource.kind}.`);
+  }
+
+  traceStep(trace, '\n## Pack');
+  const { root: packRoot, packFallback } = await resolvePackRoot(
+    configuredPath,
+    detected,
+    device,
+    trace
+  );
+  if (!device) {
+    device = await detectDeviceFromPack(packRoot);
+    deviceSource = device ? { kind: 'pack contents', file: null } : null;
+    traceStep(trace, `Device taken from the pack's first ATDF file: ${device || 'none'}.`);
+  }
+  traceStep(
+    trace,
+    `\n**Device: ${device || 'unresolved'}**${
+      deviceSource ? ` (from ${deviceSource.kind}${deviceSource.file ? ` \`${deviceSource.file}\`` : ''})` : ''
+    }  \n**Pack root: ${packRoot ? `\`${packRoot}\`` : 'none'}**`
+  );
+
+  const deviceLowerName = normalizeDeviceForLookup(device);
+  const token = deviceLowerName ? extractDeviceToken(deviceLowerName) : '';
+  traceStep(trace, '\n## Device library name (device-specs)');
+  const devLibName = await parseDevLibName(packRoot, deviceLowerName, trace);
+
+  const files = [];
+  traceStep(trace, '\n## C header');
+  const headerPath = await resolveHeaderPath(packRoot, devLibName, token, trace);
+  if (headerPath) {
+    files.push({ kind: 'header', filePath: headerPath });
+  }
+  traceStep(trace, '\n## Assembler include (.inc)');
+  const incPath = await resolveIncPath(packRoot, devLibName, token, trace);
+  if (incPath) {
+    files.push({ kind: 'inc', filePath: incPath });
+  }
+
+  // Add AVR core headers so function-like macros (for example _BV(bit))
+  // are available for hover/definition in assembly files.
+  const compilerIncludeDirs = await resolveCompilerIncludeDirs(
+    detected,
+    boardProject ? boardProject.toolchainRoots : []
+  );
+  const coreHeaderNames = ['common.h', 'sfr_defs.h', 'interrupt.h', 'io.h'];
+  const indexedPaths = new Set(files.map((entry) => entry.filePath));
+  traceStep(trace, '\n## Compiler include directories');
+  if (compilerIncludeDirs.length === 0) {
+    traceStep(trace, 'No avr-gcc, XC8, PlatformIO or Arduino toolchain headers found.');
+  }
+  for (const includeDir of compilerIncludeDirs) {
+    const added = [];
+    for (const headerName of coreHeaderNames) {
+      const candidate = path.join(includeDir, headerName);
+      if (!indexedPaths.has(candidate) && (await fileExists(candidate))) {
+        files.push({ kind: 'header', filePath: candidate });
+        indexedPaths.add(candidate);
+        added.push(headerName);
+      }
+    }
+    traceStep(
+      trace,
+      `- \`${includeDir}\`${added.length > 0 ? ` — indexed ${added.join(', ')}` : ''}`
+    );
+  }
+
+  traceStep(trace, '\n## ATDF');
+  const atdfPath = await resolveAtdfPath(packRoot, device, deviceLowerName, token, trace);
+  if (atdfPath) {
+    files.push({ kind: 'atdf', filePath: atdfPath });
+  }
+
+  return {
+    packRoot,
+    device,
+    deviceLowerName,
+    devLibName,
+    files,
+    compilerIncludeDirs,
+    buildIncludeDirs: [
+      ...(boardProject ? boardProject.includeDirs : []),
+      ...(buildTarget ? buildTarget.includeDirs : [])
+    ],
+    buildDefines: [
+      ...(boardProject ? boardProject.defines : []),
+      ...(buildTarget ? buildTarget.defines : [])
+    ],
+    compileCommandsFile: buildTarget ? buildTarget.compileCommandsFile : null,
+    boardProject: boardProject
+      ? { kind: boardProject.kind, file: boardProject.file, name: boardProject.name, selectedBy: boardProject.selectedBy }
+      : null,
+    deviceSource,
+    packFallback,
+    detectedProjectFile: detected ? detected.projectFile : null,
+    detectedConfiguration: detected
+      ? { name: detected.configurationName, selectedBy: detected.selectedBy }
+      : null
+  };
+}
+
+function safeMarkdown(text) {
+  return text.replace(/[`*_{}[\]()#+\-!]/g, '\\$&');
+}
+
+function trimLine(text, max = 120) {
+  const squashed = text.trim().replace(/\s+/g, ' ');
+  if (squashed.length <= max) {
+    return squashed;
+  }
+  return `${squashed.slice(0, max - 3)}...`;
+}
+
+function clampConfigNumber(key, defaultValue, minValue = 1, maxValue = 10000) {
+  const configured = Number(getConfig().get(key, defaultValue));
+  if (!Number.isFinite(configured)) {
+    return defaultValue;
+  }
+  if (configured < minValue) {
+    return minValue;
+  }
+  if (configured > maxValue) {
+    return maxValue;
+  }
+  return Math.trunc(configured);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function startsWithIgnoreCase(value, prefix) {
+  if (!prefix) {
+    return true;
+  }
+  return String(value || '')
+    .toLowerCase()
+    .startsWith(String(prefix || '').toLowerCase());
+}
+
+function completionSeenKey(value) {
+  return String(value || '').toLowerCase();
+}
+
+function makeSymbolRange(line, column, symbol) {
+  const safeColumn = Math.max(0, column);
+  return new vscode.Range(
+    new vscode.Position(line, safeColumn),
+    new vscode.Position(line, safeColumn + symbol.length)
+  );
+}
+
+function localKindToSymbolKind(kind) {
+  if (kind === 'label') {
+    return vscode.SymbolKind.Function;
+  }
+  if (kind === 'equ' || kind === 'set') {
+    return vscode.SymbolKind.Constant;
+  }
+  return vscode.SymbolKind.Variable;
+}
+
+function extractSymbolAtPosition(document, position) {
+  const range = document.getWordRangeAtPosition(position, WORD_REGEX);
+  if (!range) {
+    return null;
+  }
+  const symbol = document.getText(range);
+  if (!symbol) {
+    return null;
+  }
+  return symbol;
+}
+
+function addSymbol(map, symbolList, symbol, entry) {
+  if (!symbol) {
+    return;
+  }
+  let entries = map.get(symbol);
+  if (!entries) {
+    entries = [];
+    map.set(symbol, entries);
+    symbolList.push(symbol);
+  }
+  if (entries.length < 20) {
+    entries.push(entry);
+  }
+}
+
+function parseSymbolsFromLine(line) {
+  const found = [];
+  let match = null;
+
+  match = /^\s*#define\s+([A-Za-z_][A-Za-z0-9_]*)\b(.*)$/.exec(line);
+  if (match) {
+    found.push({
+      symbol: match[1],
+      detail: trimLine(match[0]),
+      kind: 'macro'
+    });
+  }
+
+  match = /^\s*\.equ\s+([A-Za-z_.$][A-Za-z0-9_.$]*)\s*(?:=|,)\s*(.+)$/i.exec(line);
+  if (match) {
+    found.push({
+      symbol: match[1],
+      detail: trimLine(match[0]),
+      kind: 'equ'
+    });
+  }
+
+  match = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*\(([^)]*)\)\s*,?/.exec(line);
+  if (match) {
+    found.push({
+      symbol: match[1],
+      detail: trimLine(match[0]),
+      kind: 'enum'
+    });
+  }
+
+  return found;
+}
+
+function decodeXmlEntities(text) {
+  return String(text || '').replace(
+    /&(#x[0-9a-f]+|#[0-9]+|amp|lt|gt|quot|apos);/gi,
+    (whole, entity) => {
+      const lower = entity.toLowerCase();
+      if (lower.startsWith('#x')) {
+        return String.fromCodePoint(parseInt(lower.slice(2), 16));
+      }
+      if (lower.startsWith('#')) {
+        return String.fromCodePoint(parseInt(lower.slice(1), 10));
+      }
+      return XML_NAMED_ENTITIES[lower] || whole;
+    }
+  );
+}
+
+function parseXmlAttributes(text) {
+  const attributes = {};
+  const regex = /([A-Za-z_][A-Za-z0-9_:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match = null;
+  while ((match = regex.exec(text || '')) !== null) {
+    attributes[match[1]] = decodeXmlEntities(
+      match[2] !== undefined ? match[2] : match[3]
+    );
+  }
+  return attributes;
+}
+
+function countNewlines(text, start, end) {
+  let count = 0;
+  for (let i = start; i < end; i += 1) {
+    if (text.charCodeAt(i) === 10) {
+      count += 1;
+    }
+  }
+  return count;
+}
+
+// Minimal element-tree reader for pack XML (ATDF, PDSC). It keeps element
+// names, attributes and 1-based start lines; text content is not needed.
+function parseXmlElements(text) {
+  const root = { name: '#document', attributes: {}, line: 1, children: [] };
+  const stack = [root];
+  const regex =
+    /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<(\/?)([A-Za-z_][A-Za-z0-9_:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+  let line = 1;
+  let lastIndex = 0;
+  let match = null;
+
+  while ((match = regex.exec(text || '')) !== null) {
+    line += countNewlines(text, lastIndex, match.index);
+    lastIndex = match.index;
+    if (!match[2]) {
+      continue;
+    }
+
+    if (match[1]) {
+      for (let i = stack.length - 1; i > 0; i -= 1) {
+        if (stack[i].name === match[2]) {
+          stack.length = i;
+          break;
+        }
+      }
+      continue;
+    }
+
+    const element = {
+      name: match[2],
+      attributes: parseXmlAttributes(match[3]),
+      line,
+      children: []
+    };
+    stack[stack.length - 1].children.push(element);
+    if (!match[4]) {
+      stack.push(element);
+    }
+  }
+
+  return root;
+}
+
+function childElements(element, name) {
+  if (!element) {
+    return [];
+  }
+  return element.children.filter((child) => child.name === name);
+}
+
+function firstChildElement(element, ...names) {
+  let current = element;
+  for (const name of names) {
+    current = childElements(current, name)[0] || null;
+    if (!current) {
+      return null;
+    }
+  }
+  return current;
+}
+
+function parseAtdfNumber(value) {
+  const text = String(value || '').trim();
+  if (!text) {
+    return null;
+  }
+  const parsed = /^0x/i.test(text) ? parseInt(text.slice(2), 16) : Number(text);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function formatHex(value, width = 2) {
+  if (!Number.isFinite(value)) {
+    return '';
+  }
+  return `0x${value.toString(16).toUpperCase().padStart(width, '0')}`;
+}
+
+function listMaskBits(mask) {
+  const bits = [];
+  if (!Number.isFinite(mask) || mask <= 0) {
+    return bits;
+  }
+  for (let bit = 0; bit < 32; bit += 1) {
+    if (Math.floor(mask / 2 ** bit) % 2 === 1) {
+      bits.push(bit);
+    }
+  }
+  return bits;
+}
+
+function describeBitMask(mask) {
+  const bits = listMaskBits(mask);
+  if (bits.length === 0) {
+    return '';
+  }
+  if (bits.length === 1) {
+    return String(bits[0]);
+  }
+  const low = bits[0];
+  const high = bits[bits.length - 1];
+  if (high - low + 1 === bits.length) {
+    return `${high}:${low}`;
+  }
+  return bits.slice().reverse().join(',');
+}
+
+function atdfIoAddress(address, prefixedNames) {
+  if (!Number.isFinite(address)) {
+    return null;
+  }
+  // AVR8X/XMEGA map I/O space 1:1 onto data space; classic cores offset by 0x20.
+  if (prefixedNames) {
+    return address < 0x40 ? address : null;
+  }
+  return address >= 0x20 && address < 0x60 ? address - 0x20 : null;
+}
+
+function parseAtdfRegisterGroup(groupElement) {
+  const group = {
+    name: groupElement.attributes.name || '',
+    caption: groupElement.attributes.caption || '',
+    registers: [],
+    line: groupElement.line
+  };
+
+  for (const registerElement of childElements(groupElement, 'register')) {
+    const attributes = registerElement.attributes;
+    group.registers.push({
+      name: attributes.name || '',
+      caption: attributes.caption || '',
+      offset: parseAtdfNumber(attributes.offset) || 0,
+      size: parseAtdfNumber(attributes.size) || 1,
+      access: attributes.rw || '',
+      initval: parseAtdfNumber(attributes.initval),
+      line: registerElement.line,
+      bitfields: childElements(registerElement, 'bitfield').map((bitfieldElement) => ({
+        name: bitfieldElement.attributes.name || '',
+        caption: bitfieldElement.attributes.caption || '',
+        mask: parseAtdfNumber(bitfieldElement.attributes.mask),
+        access: bitfieldElement.attributes.rw || '',
+        valueGroup: bitfieldElement.attributes.values || '',
+        line: bitfieldElement.line
+      }))
+    });
+  }
+
+  return group;
+}
+
+function addAtdfSymbol(model, symbol, descriptor) {
+  if (!symbol) {
+    return;
+  }
+  let descriptors = model.symbols.get(symbol);
+  if (!descriptors) {
+    descriptors = [];
+    model.symbols.set(symbol, descriptors);
+  }
+  descriptors.push(descriptor);
+}
+
+function addAtdfInstanceRegisters(model, module, instance, group, baseOffset, addressSpace) {
+  for (const register of group.registers) {
+    const address = baseOffset + register.offset;
+    const symbol = model.prefixedNames
+      ? `${instance.name}_${register.name}`
+      : register.name;
+    const descriptor = {
+      kind: 'register',
+      symbol,
+      name: register.name,
+      caption: register.caption,
+      module: module.name,
+      instance: instance.name,
+      offset: register.offset,
+      address,
+      addressSpace,
+      ioAddress: addressSpace === 'data' ? atdfIoAddress(address, model.prefixedNames) : null,
+      size: register.size,
+      access: register.access,
+      initval: register.initval,
+      bitfields: register.bitfields,
+      line: register.line
+    };
+    model.registers.push(descriptor);
+    addAtdfSymbol(model, symbol, descriptor);
+
+    for (const bitfield of register.bitfields) {
+      const bits = listMaskBits(bitfield.mask);
+      const fieldDescriptor = {
+        kind: 'bitfield',
+        name: bitfield.name,
+        caption: bitfield.caption,
+        module: module.name,
+        register: descriptor,
+        mask: bitfield.mask,
+        position: bits.length > 0 ? bits[0] : null,
+        access: bitfield.access,
+        valueGroup: module.valueGroups.get(bitfield.valueGroup) || null,
+        line: bitfield.line
+      };
+
+      if (model.prefixedNames && bits.length > 1) {
+        const stem = `${module.name}_${bitfield.name}`;
+        addAtdfSymbol(model, `${stem}_gm`, fieldDescriptor);
+        addAtdfSymbol(model, `${stem}_gp`, fieldDescriptor);
+      }
+      for (const bitName of listAtdfBitNames(model.prefixedNames, module.name, bitfield)) {
+        const bitDescriptor =
+          bits.length > 1
+            ? { ...fieldDescriptor, mask: 2 ** bitName.position, position: bitName.position }
+            : fieldDescriptor;
+        addAtdfSymbol(model, bitName.name, bitDescriptor);
+        if (bitName.maskName) {
+          addAtdfSymbol(model, bitName.maskName, bitDescriptor);
+        }
+      }
+    }
+  }
+}
+
+// Bit-position names as the device headers spell them: RTC_RTCEN_bp and
+// RTC_PERIOD_0_bp on AVR8X/XMEGA, TOIE0 and CS00 on classic parts.
+function listAtdfBitNames(prefixedNames, moduleName, bitfield) {
+  const bits = listMaskBits(bitfield.mask);
+  if (prefixedNames) {
+    const stem = `${moduleName}_${bitfield.name}`;
+    if (bits.length === 1) {
+      return [{ position: bits[0], name: `${stem}_bp`, maskName: `${stem}_bm` }];
+    }
+    return bits.map((bit, index) => ({
+      position: bit,
+      name: `${stem}_${index}_bp`,
+      maskName: `${stem}_${index}_bm`
+    }));
+  }
+  if (bits.length === 1) {
+    return [{ position: bits[0], name: bitfield.name, maskName: '' }];
+  }
+  return bits.map((bit, index) => ({
+    position: bit,
+    name: `${bitfield.name}${index}`,
+    maskName: ''
+  }));
+}
+
+function buildAtdfModel(text) {
+  const root = parseXmlElements(text);
+  const toolsFile = firstChildElement(root, 'avr-tools-device-file');
+  const deviceElement = firstChildElement(toolsFile, 'devices', 'device');
+  const deviceAttributes = deviceElement ? deviceElement.attributes : {};
+  const architecture = String(deviceAttributes.architecture || '');
+  const model = {
+    device: {
+      name: deviceAttributes.name || '',
+      architecture,
+      family: deviceAttributes.family || ''
+    },
+    prefixedNames: ATDF_PREFIXED_ARCHITECTURES.has(architecture.toUpperCase()),
+    addressSpaces: new Map(),
+    modules: new Map(),
+    peripherals: [],
+    registers: [],
+    interrupts: [],
+    symbols: new Map()
+  };
+
+  const addressSpacesElement = firstChildElement(deviceElement, 'address-spaces');
+  for (const spaceElement of childElements(addressSpacesElement, 'address-space')) {
+    model.addressSpaces.set(spaceElement.attributes.id || spaceElement.attributes.name || '', {
+      start: parseAtdfNumber(spaceElement.attributes.start) || 0,
+      size: parseAtdfNumber(spaceElement.attributes.size)
+    });
+  }
+  const progSpace = model.addressSpaces.get('prog');
+  model.device.flashSize = progSpace ? progSpace.size : null;
+
+  for (const moduleElement of childElements(firstChildElement(toolsFile, 'modules'), 'module')) {
+    const module = {
+      name: moduleElement.attributes.name || '',
+      caption: moduleElement.attributes.caption || '',
+      registerGroups: new Map(),
+      valueGroups: new Map(),
+      line: moduleElement.line
+    };
+    for (const groupElement of childElements(moduleElement, 'register-group')) {
+      const group = parseAtdfRegisterGroup(groupElement);
+      module.registerGroups.set(group.name, group);
+    }
+    for (const valueGroupElement of childElements(moduleElement, 'value-group')) {
+      const valueGroup = {
+        name: valueGroupElement.attributes.name || '',
+        caption: valueGroupElement.attributes.caption || '',
+        line: valueGroupElement.line,
+        values: childElements(valueGroupElement, 'value').map((valueElement) => ({
+          name: valueElement.attributes.name || '',
+          caption: valueElement.attributes.caption || '',
+          value: parseAtdfNumber(valueElement.attributes.value),
+          line: valueElement.line
+        }))
+      };
+      module.valueGroups.set(valueGroup.name, valueGroup);
+    }
+    model.modules.set(module.name, module);
+  }
+
+  const peripheralsElement = firstChildElement(deviceElement, 'peripherals');
+  for (const moduleRef of childElements(peripheralsElement, 'module')) {
+    const module = model.modules.get(moduleRef.attributes.name);
+    if (!module) {
+      continue;
+    }
+    for (const instanceElement of childElements(moduleRef, 'instance')) {
+      const instance = {
+        kind: 'peripheral',
+        name: instanceElement.attributes.name || '',
+        caption: instanceElement.attributes.caption || module.caption,
+        module: module.name,
+        baseAddress: null,
+        registerCount: 0,
+        line: instanceElement.line
+      };
+      for (const groupRef of childElements(instanceElement, 'register-group')) {
+        const group = module.registerGroups.get(
+          groupRef.attributes['name-in-module'] || groupRef.attributes.name
+        );
+        const offset = parseAtdfNumber(groupRef.attributes.offset) || 0;
+        if (instance.baseAddress === null) {
+          instance.baseAddress = offset;
+        }
+        if (group) {
+          addAtdfInstanceRegisters(
+            model,
+            module,
+            instance,
+            group,
+            offset,
+            groupRef.attributes['address-space'] || 'data'
+          );
+          instance.registerCount += group.registers.length;
+        }
+      }
+      model.peripherals.push(instance);
+      if (model.prefixedNames) {
+        addAtdfSymbol(model, instance.name, instance);
+      }
+    }
+  }
+
+  if (model.prefixedNames) {
+    for (const module of model.modules.values()) {
+      for (const valueGroup of module.valueGroups.values()) {
+        const field = model.registers
+          .filter((register) => register.module === module.name)
+          .flatMap((register) => register.bitfields)
+          .find((bitfield) => bitfield.valueGroup === valueGroup.name);
+        const shift = field ? listMaskBits(field.mask)[0] || 0 : 0;
+        for (const value of valueGroup.values) {
+          addAtdfSymbol(model, `${valueGroup.name}_${value.name}_gc`, {
+            kind: 'value',
+            name: value.name,
+            caption: value.caption,
+            module: module.name,
+            valueGroup,
+            value: value.value,
+            shift,
+            line: value.line
+          });
+        }
+      }
+    }
+  }
+
+  const interruptsElement = firstChildElement(deviceElement, 'interrupts');
+  for (const interruptElement of childElements(interruptsElement, 'interrupt')) {
+    const attributes = interruptElement.attributes;
+    const instanceName = attributes['module-instance'] || '';
+    const name =
+      instanceName && attributes.name && !attributes.name.startsWith(instanceName)
+        ? `${instanceName}_${attributes.name}`
+        : attributes.name || '';
+    const descriptor = {
+      kind: 'interrupt',
+      name,
+      caption: attributes.caption || '',
+      vector: parseAtdfNumber(attributes.index),
+      line: interruptElement.line
+    };
+    model.interrupts.push(descriptor);
+    addAtdfSymbol(model, `${name}_vect`, descriptor);
+  }
+
+  return model;
+}
+
+function resolveAvrCore(device) {
+  const architecture = String(device.architecture || '').toUpperCase();
+  if (architecture === 'AVR8L') {
+    return 'AVRrc';
+  }
+  if (architecture === 'AVR8X') {
+    return 'AVRxt';
+  }
+  if (architecture === 'AVR8_XMEGA') {
+    return 'AVRxm';
+  }
+  if (architecture === 'AVR8') {
+    // Classic tinyAVR parts lack the hardware multiplier of megaAVR (AVRe+).
+    return /tiny/i.test(device.family || '') ? 'AVRe' : 'AVRe+';
+  }
+  return '';
+}
+
+function buildInstructionSet(atdf) {
+  if (!atdf) {
+    return null;
+  }
+  const core = resolveAvrCore(atdf.device);
+  if (!core) {
+    return null;
+  }
+
+  const unsupported = new Map();
+  for (const mnemonic of AVR_CORE_EXCLUDED_INSTRUCTIONS[core] || []) {
+    unsupported.set(mnemonic, `the ${core} core does not implement it`);
+  }
+  const flashSize = atdf.device.flashSize;
+  if (Number.isFinite(flashSize)) {
+    for (const [mnemonic, limit] of Object.entries(AVR_FLASH_LIMITED_INSTRUCTIONS)) {
+      if (flashSize <= limit && !unsupported.has(mnemonic)) {
+        unsupported.set(mnemonic, `it needs more than ${limit / 1024} KB of flash`);
+      }
+    }
+  }
+
+  return {
+    device: atdf.device.name,
+    core,
+    flashSize,
+    // AVRrc only has r16..r31.
+    minRegister: core === 'AVRrc' ? 16 : 0,
+    unsupported
+  };
+}
+
+function getUnsupportedInstructionReason(instructionSet, mnemonic) {
+  if (!instructionSet) {
+    return '';
+  }
+  return instructionSet.unsupported.get(String(mnemonic || '').toLowerCase()) || '';
+}
+
+function markdownTableCell(text) {
+  return safeMarkdown(String(text || '')).replace(/\|/g, '\\|');
+}
+
+function formatAtdfRegisterAddress(descriptor) {
+  const parts = [`\`${formatHex(descriptor.address, 4)}\``];
+  parts.push(
+    `${descriptor.addressSpace} space, ${descriptor.instance} + ${formatHex(descriptor.offset)}`
+  );
+  if (descriptor.ioAddress !== null) {
+    parts.push(`I/O ${formatHex(descriptor.ioAddress)}`);
+  }
+  return `${parts[0]} (${safeMarkdown(parts.slice(1).join('; '))})`;
+}
+
+function appendAtdfBitfieldTable(md, bitfields) {
+  if (!bitfields.length) {
+    return;
+  }
+  const rows = bitfields
+    .slice()
+    .sort((a, b) => (listMaskBits(b.mask).pop() || 0) - (listMaskBits(a.mask).pop() || 0))
+    .map(
+      (bitfield) =>
+        `| ${describeBitMask(bitfield.mask)} | ${markdownTableCell(bitfield.name)} | ${markdownTableCell(bitfield.access || '')} | ${markdownTableCell(bitfield.caption)} |`
+    );
+  md.appendMarkdown(
+    `\n\n| Bits | Field | Access | Description |\n| --- | --- | --- | --- |\n${rows.join('\n')}`
+  );
+}
+
+function appendAtdfValueTable(md, valueGroup, shift = 0) {
+  if (!valueGroup || !valueGroup.values.length) {
+    return;
+  }
+  const rows = valueGroup.values.map(
+    (value) =>
+      `| ${formatHex(value.value * 2 ** shift)} | ${markdownTableCell(value.name)} | ${markdownTableCell(value.caption)} |`
+  );
+  md.appendMarkdown(
+    `\n\n| Value | Name | Description |\n| --- | --- | --- |\n${rows.join('\n')}`
+  );
+}
+
+function appendAtdfHoverDetails(md, descriptor) {
+  if (descriptor.kind === 'register') {
+    md.appendMarkdown(
+      `\n\nRegister \`${descriptor.instance}.${descriptor.name}\`` +
+        (descriptor.caption ? ` — ${safeMarkdown(descriptor.caption)}` : '')
+    );
+    md.appendMarkdown(`\n\n- Address: ${formatAtdfRegisterAddress(descriptor)}`);
+    md.appendMarkdown(
+      `\n- Size: ${descriptor.size * 8}\\-bit; access \`${descriptor.access || '?'}\`; reset \`${
+        descriptor.initval === null ? 'unknown' : formatHex(descriptor.initval, descriptor.size * 2)
+      }\``
+    );
+    appendAtdfBitfieldTable(md, descriptor.bitfields);
+    return;
+  }
+
+  if (descriptor.kind === 'bitfield') {
+    const register = descriptor.register;
+    md.appendMarkdown(
+      `\n\nBitfield \`${register.instance}.${register.name}.${descriptor.name}\`` +
+        (descriptor.caption ? ` — ${safeMarkdown(descriptor.caption)}` : '')
+    );
+    md.appendMarkdown(
+      `\n\n- Bits: \`${describeBitMask(descriptor.mask)}\`; mask \`${formatHex(descriptor.mask)}\`; position \`${descriptor.position}\``
+    );
+    md.appendMarkdown(
+      `\n- Register: \`${register.symbol}\` at ${formatAtdfRegisterAddress(register)}`
+    );
+    appendAtdfValueTable(md, descriptor.valueGroup, descriptor.position || 0);
+    return;
+  }
+
+  if (descriptor.kind === 'value') {
+    md.appendMarkdown(
+      `\n\nValue \`${descriptor.valueGroup.name}.${descriptor.name}\`` +
+        (descriptor.caption ? ` — ${safeMarkdown(descriptor.caption)}` : '')
+    );
+    md.appendMarkdown(
+      `\n\n- Field value: \`${formatHex(descriptor.value)}\`; group configuration \`${formatHex(
+        descriptor.value * 2 ** descriptor.shift
+      )}\``
+    );
+    if (descriptor.valueGroup.caption) {
+      md.appendMarkdown(`\n- Group: ${safeMarkdown(descriptor.valueGroup.caption)}`);
+    }
+    return;
+  }
+
+  if (descriptor.kind === 'peripheral') {
+    md.appendMarkdown(
+      `\n\nPeripheral \`${descriptor.name}\` (${safeMarkdown(descriptor.module)})` +
+        (descriptor.caption ? ` — ${safeMarkdown(descriptor.caption)}` : '')
+    );
+    md.appendMarkdown(
+      `\n\n- Base address: \`${formatHex(descriptor.baseAddress, 4)}\`; ${descriptor.registerCount} register(s)`
+    );
+    return;
+  }
+
+  if (descriptor.kind === 'interrupt') {
+    md.appendMarkdown(
+      `\n\nInterrupt vector \`${descriptor.vector}\`` +
+        (descriptor.caption ? ` — ${safeMarkdown(descriptor.caption)}` : '')
+    );
+  }
+}
+
+// Reference-preserving JSON encoding for the index: the ATDF model shares
+// descriptor objects between its lists, maps and the symbol entries.
+function encodeIndexCacheValue(root) {
+  const ids = new Map();
+  const nodes = [];
+  const encode = (value) => {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (ids.has(value)) {
+      return { $ref: ids.get(value) };
+    }
+    const id = nodes.length;
+    ids.set(value, id);
+    nodes.push(null);
+    if (value instanceof Map) {
+      nodes[id] = { $map: Array.from(value, ([key, entry]) => [encode(key), encode(entry)]) };
+    } else if (value instanceof Set) {
+      nodes[id] = { $set: Array.from(value, encode) };
+    } else if (value instanceof Date) {
+      nodes[id] = { $date: value.toISOString() };
+    } else if (Array.isArray(value)) {
+      nodes[id] = { $array: value.map(encode) };
+    } else {
+      const object = {};
+      for (const [key, entry] of Object.entries(value)) {
+        if (entry !== undefined) {
+          object[key] = encode(entry);
+        }
+      }
+      nodes[id] = { $object: object };
+    }
+    return { $ref: id };
+  };
+  const rootRef = encode(root);
+  return { root: rootRef, nodes };
+}
+
+function decodeIndexCacheValue(encoded) {
+  const nodes = encoded.nodes;
+  const values = nodes.map((node) => {
+    if (node.$map) {
+      return new Map();
+    }
+    if (node.$set) {
+      return new Set();
+    }
+    if (node.$date) {
+      return new Date(node.$date);
+    }
+    return node.$array ? [] : {};
+  });
+  const decode = (value) =>
+    value !== null && typeof value === 'object' ? values[value.$ref] : value;
+
+  nodes.forEach((node, id) => {
+    const target = values[id];
+    if (node.$map) {
+      for (const [key, entry] of node.$map) {
+        target.set(decode(key), decode(entry));
+      }
+    } else if (node.$set) {
+      for (const entry of node.$set) {
+        target.add(decode(entry));
+      }
+    } else if (node.$array) {
+      for (const entry of node.$array) {
+        target.push(decode(entry));
+      }
+    } else if (node.$object) {
+      for (const [key, entry] of Object.entries(node.$object)) {
+        target[key] = decode(entry);
+      }
+    }
+  });
+  return decode(encoded.root);
+}
+
+async function statIndexFiles(files) {
+  const stamps = [];
+  for (const spec of files) {
+    const member = getPackArchiveMember(spec.filePath);
+    if (member) {
+      const entry = member.archive.entries.get(member.name);
+      stamps.push({
+        filePath: spec.filePath,
+        mtimeMs: entry ? member.archive.mtimeMs : null,
+        size: entry ? entry.size : null
+      });
+      continue;
+    }
+    try {
+      const stat = await fs.stat(spec.filePath);
+      stamps.push({ filePath: spec.filePath, mtimeMs: stat.mtimeMs, size: stat.size });
+    } catch {
+      stamps.push({ filePath: spec.filePath, mtimeMs: null, size: null });
+    }
+  }
+  return stamps;
+}
+
+function getIndexCacheFile(target) {
+  if (!indexCacheDir || !getConfig().get('enablePersistentIndexCache', true)) {
+    return null;
+  }
+  const digest = crypto
+    .createHash('sha1')
+    .update(`${target.packRoot || ''}\n${target.device || ''}`)
+    .digest('hex');
+  return path.join(indexCacheDir, `index-${digest}.json`);
+}
+
+async function loadPersistedIndex(cacheFile, target, stamps) {
+  const text = cacheFile ? await readTextIfExists(cacheFile) : null;
+  if (!text) {
+    return null;
+  }
+  try {
+    const cached = JSON.parse(text);
+    const fresh =
+      cached.version === INDEX_CACHE_FORMAT_VERSION &&
+      cached.packRoot === (target.packRoot || '') &&
+      cached.device === (target.device || '') &&
+      JSON.stringify(cached.files) === JSON.stringify(stamps);
+    if (!fresh) {
+      return null;
+    }
+    // Reuse counts as use when old cache files are pruned.
+    const now = new Date();
+    await fs.utimes(cacheFile, now, now).catch(() => {});
+    return decodeIndexCacheValue(cached.data);
+  } catch (error) {
+    logWarn(`Ignoring unreadable index cache ${cacheFile}: ${error.message}`);
+    return null;
+  }
+}
+
+async function persistIndex(cacheFile, target, stamps, parsed) {
+  if (!cacheFile) {
+    return;
+  }
+  const payload = JSON.stringify({
+    version: INDEX_CACHE_FORMAT_VERSION,
+    packRoot: target.packRoot || '',
+    device: target.device || '',
+    files: stamps,
+    data: encodeIndexCacheValue(parsed)
+  });
+  const tempFile = `${cacheFile}.${process.pid}.tmp`;
+  try {
+    await fs.mkdir(path.dirname(cacheFile), { recursive: true });
+    await fs.writeFile(tempFile, payload, 'utf8');
+    await fs.rename(tempFile, cacheFile);
+  } catch (error) {
+    logWarn(`Failed to write index cache ${cacheFile}: ${error.message}`);
+    await fs.rm(tempFile, { force: true }).catch(() => {});
+    return;
+  }
+  await pruneIndexCache(path.dirname(cacheFile));
+}
+
+// Every pack root and device pair gets its own file, so only the most
+// recently used ones are kept.
+async function pruneIndexCache(dir) {
+  const entries = [];
+  for (const name of await listDirSafe(dir)) {
+    if (!/^index-[0-9a-f]+\.json$/.test(name)) {
+      continue;
+    }
+    const filePath = path.join(dir, name);
+    try {
+      entries.push({ filePath, mtimeMs: (await fs.stat(filePath)).mtimeMs });
+    } catch {
+      // Removed by another window.
+    }
+  }
+  entries.sort((a, b) => b.mtimeMs - a.mtimeMs);
+  for (const entry of entries.slice(INDEX_CACHE_MAX_FILES)) {
+    await fs.rm(entry.filePath, { force: true }).catch((error) => {
+      logWarn(`Failed to remove old index cache ${entry.filePath}: ${error.message}`);
+    });
+  }
+}
+
+async function parseIndexFiles(target) {
+  const symbols = new Map();
+  const symbolList = [];
+  const scannedFiles = [];
+  let atdf = null;
+
+  for (const spec of target.files) {
+    const filePath = spec.filePath;
+    const text = await readTextIfExists(filePath);
+    if (!text) {
+      continue;
+    }
+
+    scannedFiles.push(filePath);
+    const lines = text.split(/\r?\n/);
+    if (spec.kind === 'atdf') {
+      atdf = buildAtdfModel(text);
+      for (const [symbol, descriptors] of atdf.symbols.entries()) {
+        for (const descriptor of descriptors) {
+          addSymbol(symbols, symbolList, symbol, {
+            file: filePath,
+            line: descriptor.line,
+            text: lines[descriptor.line - 1] || '',
+            kind: descriptor.kind,
+            atdf: descriptor
+          });
+        }
+      }
+      continue;
+    }
+
+    for (let i = 0; i < lines.length; i += 1) {
+      const line = lines[i];
+      const parsed = parseSymbolsFromLine(line);
+      for (const item of parsed) {
+        addSymbol(symbols, symbolList, item.symbol, {
+          file: filePath,
+          line: i + 1,
+          text: line,
+          kind: item.kind
+        });
+      }
+    }
+  }
+
+  symbolList.sort((a, b) => a.localeCompare(b));
+  return { atdf, symbols, symbolList, scannedFiles, builtAt: new Date() };
+}
+
+async function buildDfpIndex(scope, skipDiskCache = false) {
+  const target = await resolveIndexFiles(scope);
+  const stamps = await statIndexFiles(target.files);
+  const cacheFile = getIndexCacheFile(target);
+  let parsed = skipDiskCache ? null : await loadPersistedIndex(cacheFile, target, stamps);
+  const fromCache = Boolean(parsed);
+
+  if (fromCache) {
+    logInfo(
+      `Index loaded from cache for ${scopeLabel(scope)}: device=${target.device || 'unknown'}, symbols=${parsed.symbolList.length}`
+    );
+  } else {
+    parsed = await parseIndexFiles(target);
+    logInfo(
+      `Index built for ${scopeLabel(scope)}: device=${target.device || 'unknown'}, symbols=${parsed.symbolList.length}, files=${parsed.scannedFiles.length}`
+    );
+    await persistIndex(cacheFile, target, stamps, parsed);
+  }
+
+  // Command-line defines depend on the build, not the pack, so they are
+  // added after the cache round trip rather than persisted with it.
+  for (const define of target.buildDefines) {
+    addSymbol(parsed.symbols, parsed.symbolList, define.name, {
+      file: define.file,
+      line: define.line,
+      text: `#define ${define.name} ${define.value}`,
+      kind: 'define'
+    });
+  }
+  if (target.buildDefines.length > 0) {
+    parsed.symbolList.sort((a, b) => a.localeCompare(b));
+  }
+
+  return {
+    scopeKey: scope.key,
+    root: target.packRoot,
+    device: target.device,
+    devLibName: target.devLibName,
+    detectedProjectFile: target.detectedProjectFile,
+    detectedConfiguration: target.detectedConfiguration,
+    deviceSource: target.deviceSource,
+    packFallback: target.packFallback,
+    boardProject: target.boardProject,
+    compilerIncludeDirs: target.compilerIncludeDirs,
+    buildIncludeDirs: target.buildIncludeDirs,
+    buildDefineCount: target.buildDefines.length,
+    compileCommandsFile: target.compileCommandsFile,
+    atdf: parsed.atdf,
+    instructionSet: buildInstructionSet(parsed.atdf),
+    symbols: parsed.symbols,
+    symbolList: parsed.symbolList,
+    scannedFiles: parsed.scannedFiles,
+    builtAt: parsed.builtAt,
+    cacheSource: fromCache ? 'disk' : 'parsed',
+    cacheFile
+  };
+}
+
+async function getDfpIndex(scope = null, force = false) {
+  const resolvedScope = scope || getDefaultIndexScope();
+  const scopeKey = resolvedScope.key;
+
+  if (force) {
+    clearIndexCache(resolvedScope);
+  }
+
+  if (cachedIndexByScope.has(scopeKey)) {
+    return cachedIndexByScope.get(scopeKey);
+  }
+
+  if (indexBuildPromiseByScope.has(scopeKey)) {
+    return indexBuildPromiseByScope.get(scopeKey);
+  }
+
+  const buildPromise = buildDfpIndex(resolvedScope, force)
+    .then(async (index) => {
+      cachedIndexByScope.set(scopeKey, index);
+      if (index.packFallback) {
+        notifyPackFallback(index.packFallback, resolvedScope).catch((error) => {
+          logError('Pack fallback notification failed', error);
+        });
+      }
+      // The watchers match the index by the time it resolves.
+      await updatePackWatchers(index, resolvedScope).catch((error) => {
+        logError('Pack directory watch failed', error);
+      });
+      return index;
+    })
+    .catch((error) => {
+      logError(`Index build failed for ${scopeLabel(resolvedScope)}`, error);
+      throw error;
+    })
+    .finally(() => {
+      indexBuildPromiseByScope.delete(scopeKey);
+    });
+
+  indexBuildPromiseByScope.set(scopeKey, buildPromise);
+  return buildPromise;
+}
+
+// Pack installs and removals, edits inside the active pack and avr-libc
+// updates happen outside the editor, so each scope's index registers
+// watchers on the directories it was built from.
+function getPackWatchTargets(index, searchRoots) {
+  const targets = searchRoots.map((root) => ({ base: root, pattern: '*/*/*' }));
+  if (index.root && isPackArchivePath(index.root)) {
+    targets.push({ base: path.dirname(index.root), pattern: path.basename(index.root) });
+  } else if (index.root) {
+    targets.push({ base: index.root, pattern: '**/*.{h,inc,atdf,pdsc}' });
+  }
+  for (const includeDir of index.compilerIncludeDirs || []) {
+    targets.push({ base: includeDir, pattern: '**/*.h' });
+  }
+  return targets;
+}
+
+async function updatePackWatchers(index, scope) {
+  const targets = [];
+  if (getConfig(scope).get('watchPackDirectories', true)) {
+    const searchRoots = [];
+    for (const root of await getPackSearchRoots()) {
+      if (await isDirectory(root)) {
+        searchRoots.push(root);
+      }
+    }
+    for (const target of getPackWatchTargets(index, searchRoots)) {
+      if (!getPackArchiveMember(target.base) && (await isDirectory(target.base))) {
+        targets.push(target);
+      }
+    }
+  }
+
+  const wanted = new Set(targets.map((target) => `${target.base}|${target.pattern}`));
+  for (const [key, entry] of packWatchers) {
+    if (!wanted.has(key) && entry.scopes.delete(scope.key) && entry.scopes.size === 0) {
+      entry.watcher.dispose();
+      packWatchers.delete(key);
+    }
+  }
+  for (const target of targets) {
+    const key = `${target.base}|${target.pattern}`;
+    if (!packWatchers.has(key)) {
+      const watcher = vscode.workspace.createFileSystemWatcher(
+        new vscode.RelativePattern(vscode.Uri.file(target.base), target.pattern)
+      );
+      const entry = { watcher, scopes: new Map() };
+      const onChange = (uri) => schedulePackRebuild(entry, uri);
+      watcher.onDidCreate(onChange);
+      watcher.onDidChange(onChange);
+      watcher.onDidDelete(onChange);
+      packWatchers.set(key, entry);
+    }
+    packWatchers.get(key).scopes.set(scope.key, scope);
+  }
+}
+
+function schedulePackRebuild(entry, uri) {
+  for (const [key, scope] of entry.scopes) {
+    pendingPackRebuildScopes.set(key, scope);
+  }
+  logInfo(`Pack or toolchain change detected: ${uri.fsPath}`);
+  clearTimeout(packRebuildTimer);
+  packRebuildTimer = setTimeout(() => {
+    packRebuildTimer = null;
+    rebuildChangedPackScopes().catch((error) => {
+      logError('Rebuild after pack changes failed', error);
+    });
+  }, PACK_WATCH_DEBOUNCE_MS);
+}
+
+async function rebuildChangedPackScopes() {
+  const scopes = Array.from(pendingPackRebuildScopes.values());
+  pendingPackRebuildScopes.clear();
+  packCataloguePromise = null;
+  includeGraphCache.clear();
+
+  const rebuilt = [];
+  for (const scope of scopes) {
+    clearIndexCache(scope);
+    try {
+      const index = await getDfpIndex(scope, true);
+      rebuilt.push(`${index.device || 'unknown'} · ${describePackRoot(index.root)}`);
+    } catch (error) {
+      logError(`Rebuild index failed for ${scopeLabel(scope)}`, error);
+    }
+  }
+  refreshOpenDocumentDiagnostics();
+  refreshStatusBar();
+  if (rebuilt.length > 0) {
+    vscode.window.setStatusBarMessage(
+      `$(sync) AVR® ASM index rebuilt after pack changes: ${rebuilt.join(', ')}`,
+      PACK_REBUILD_MESSAGE_MS
+    );
+  }
+}
+
+function disposePackWatchers() {
+  clearTimeout(packRebuildTimer);
+  packRebuildTimer = null;
+  pendingPackRebuildScopes.clear();
+  for (const entry of packWatchers.values()) {
+    entry.watcher.dispose();
+  }
+  packWatchers.clear();
+}
+
+function parseLocalSymbolsFromLines(lines) {
+  const symbols = new Map();
+  const entries = [];
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    let match = LOCAL_LABEL_REGEX.exec(line);
+    if (match) {
+      const symbol = match[1];
+      const column = Math.max(0, line.indexOf(symbol));
+      const entry = {
+        symbol,
+        kind: 'label',
+        line: i,
+        column,
+        detail: trimLine(line)
+      };
+      symbols.set(symbol, entry);
+      entries.push(entry);
+      continue;
+    }
+
+    match = LOCAL_EQU_REGEX.exec(line);
+    if (match) {
+      const symbol = match[1];
+      const column = Math.max(0, line.indexOf(symbol));
+      const entry = {
+        symbol,
+        kind: 'equ',
+        line: i,
+        column,
+        detail: trimLine(line)
+      };
+      symbols.set(symbol, entry);
+      entries.push(entry);
+      continue;
+    }
+
+    match = LOCAL_SET_REGEX.exec(line);
+    if (match) {
+      const symbol = match[1];
+      const column = Math.max(0, line.indexOf(symbol));
+      const entry = {
+        symbol,
+        kind: 'set',
+        line: i,
+        column,
+        detail: trimLine(line)
+      };
+      symbols.set(symbol, entry);
+      entries.push(entry);
+    }
+  }
+
+  return { symbols, entries };
+}
+
+function getLocalSymbolData(document) {
+  const key = document.uri.toString();
+  const cached = localSymbolCache.get(key);
+  if (cached && cached.version === document.version) {
+    return cached;
+  }
+
+  const parsed = parseLocalSymbolsFromLines(document.getText().split(/\r?\n/));
+  const value = {
+    version: document.version,
+    symbols: parsed.symbols,
+    entries: parsed.entries
+  };
+
+  localSymbolCache.set(key, value);
+  return value;
+}
+
+function getLocalSymbols(document) {
+  return getLocalSymbolData(document).symbols;
+}
+
+function getLocalSymbolEntries(document) {
+  return getLocalSymbolData(document).entries;
+}
+
+function parseIncludeDirectives(lines) {
+  const includes = [];
+  const state = { inBlockComment: false };
+  for (let i = 0; i < lines.length; i += 1) {
+    const code = maskAsmComments(lines[i], state);
+    const match = INCLUDE_DIRECTIVE_REGEX.exec(code);
+    if (match) {
+      includes.push({
+        name: match[1] !== undefined ? match[1] : match[2],
+        system: match[2] !== undefined,
+        line: i
+      });
+    }
+  }
+  return includes;
+}
+
+// Quoted includes search the including file's folder first, then the
+// workspace folder; all includes then fall back to the compiler dirs.
+async function resolveIncludeFile(include, fromFile, searchDirs) {
+  if (path.isAbsolute(include.name)) {
+    return (await fileExists(include.name)) ? path.normalize(include.name) : null;
+  }
+  const dirs = include.system
+    ? searchDirs.compiler
+    : [path.dirname(fromFile), ...searchDirs.workspace, ...searchDirs.compiler];
+  for (const dir of dirs) {
+    const candidate = path.join(dir, include.name);
+    if (await fileExists(candidate)) {
+      return path.normalize(candidate);
+    }
+  }
+  return null;
+}
+
+function parseIncludedSymbolsFromLines(lines, filePath) {
+  const entries = parseLocalSymbolsFromLines(lines).entries.map((entry) => ({
+    ...entry,
+    file: filePath
+  }));
+  for (let i = 0; i < lines.length; i += 1) {
+    for (const item of parseSymbolsFromLine(lines[i])) {
+      if (item.kind !== 'macro') {
+        continue;
+      }
+      entries.push({
+        symbol: item.symbol,
+        kind: 'macro',
+        line: i,
+        column: Math.max(0, lines[i].indexOf(item.symbol)),
+        detail: item.detail,
+        file: filePath
+      });
+    }
+  }
+  return entries;
+}
+
+async function getIncludeSearchDirs(document) {
+  const workspaceFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+  let compilerIncludeDirs = [];
+  let buildIncludeDirs = [];
+  try {
+    const index = await getDfpIndex(getIndexScopeForDocument(document));
+    compilerIncludeDirs = index.compilerIncludeDirs || [];
+    buildIncludeDirs = index.buildIncludeDirs || [];
+  } catch {
+    compilerIncludeDirs = [];
+  }
+
+  // -I dirs from compile_commands.json are searched before the toolchain's.
+  // Compiler dirs point at .../include/avr; <avr/io.h> resolves from the parent.
+  const compiler = [...buildIncludeDirs];
+  for (const dir of compilerIncludeDirs) {
+    compiler.push(dir);
+    if (path.basename(dir) === 'avr') {
+      compiler.push(path.dirname(dir));
+    }
+  }
+  return {
+    workspace: workspaceFolder ? [workspaceFolder.uri.fsPath] : [],
+    compiler
+  };
+}
+
+async function buildIncludeGraph(document) {
+  const rootFile = path.normalize(document.uri.fsPath);
+  const openDocuments = new Map(
+    vscode.workspace.textDocuments.map((openDocument) => [
+      path.normalize(openDocument.uri.fsPath || ''),
+      openDocument
+    ])
+  );
+  const searchDirs = await getIncludeSearchDirs(document);
+  const edges = new Map();
+  const symbols = new Map();
+  const visited = new Set([rootFile]);
+  const queue = [{ file: rootFile, lines: document.getText().split(/\r?\n/) }];
+
+  // Breadth-first, so the nearest definition of a symbol wins.
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const targets = [];
+    for (const include of parseIncludeDirectives(current.lines)) {
+      const resolved = await resolveIncludeFile(include, current.file, searchDirs);
+      if (!resolved) {
+        continue;
+      }
+      targets.push(resolved);
+      if (visited.has(resolved) || visited.size >= MAX_INCLUDE_GRAPH_FILES) {
+        continue;
+      }
+      visited.add(resolved);
+
+      const openDocument = openDocuments.get(resolved);
+      const text = openDocument ? openDocument.getText() : await readTextIfExists(resolved);
+      if (text === null) {
+        continue;
+      }
+      const lines = text.split(/\r?\n/);
+      for (const entry of parseIncludedSymbolsFromLines(lines, resolved)) {
+        if (!symbols.has(entry.symbol)) {
+          symbols.set(entry.symbol, entry);
+        }
+      }
+      queue.push({ file: resolved, lines });
+    }
+    edges.set(current.file, targets);
+  }
+
+  return { root: rootFile, files: visited, edges, symbols };
+}
+
+function getIncludeGraph(document) {
+  const key = document.uri.toString();
+  const cached = includeGraphCache.get(key);
+  if (cached && cached.version === document.version) {
+    return cached.promise;
+  }
+
+  const entry = { version: document.version, files: null, promise: null };
+  entry.promise = buildIncludeGraph(document)
+    .catch((error) => {
+      logError(`Include resolution failed for ${document.uri.fsPath || key}`, error);
+      return { root: document.uri.fsPath, files: new Set(), edges: new Map(), symbols: new Map() };
+    })
+    .then((graph) => {
+      entry.files = graph.files;
+      return graph;
+    });
+  includeGraphCache.set(key, entry);
+  return entry.promise;
+}
+
+async function getIncludedSymbols(document) {
+  return (await getIncludeGraph(document)).symbols;
+}
+
+function invalidateIncludeGraphsForFile(filePath) {
+  const normalized = path.normalize(filePath || '');
+  for (const [key, cached] of includeGraphCache.entries()) {
+    // Graphs still being built may already have read the stale file.
+    if (!cached.files || cached.files.has(normalized)) {
+      includeGraphCache.delete(key);
+    }
+  }
+}
+
+function makeLocation(uri, lineNumber1Based) {
+  const position = new vscode.Position(Math.max(0, lineNumber1Based - 1), 0);
+  return new vscode.Location(uri, position);
+}
+
+function getInstructionHoverInfo(symbol) {
+  const mnemonic = String(symbol || '').toLowerCase();
+  if (!mnemonic) {
+    return null;
+  }
+
+  const direct = AVR_INSTRUCTION_INFO[mnemonic] || null;
+  if (direct) {
+    return { mnemonic, ...direct };
+  }
+
+  const branch = AVR_BRANCH_CONDITIONS[mnemonic] || null;
+  if (branch) {
+    return {
+      mnemonic,
+      syntax: mnemonic === 'brbc' || mnemonic === 'brbs' ? `${mnemonic} s, k` : `${mnemonic} k`,
+      summary: branch,
+      cycles: '1 if not taken, 2 if taken'
+    };
+  }
+
+  if (AVR_INSTRUCTION_MNEMONICS.includes(mnemonic)) {
+    return {
+      mnemonic,
+      syntax: AVR_NO_OPERAND_INSTRUCTIONS.has(mnemonic)
+        ? mnemonic
+        : `${mnemonic} ...`,
+      summary: 'AVR instruction mnemonic.'
+    };
+  }
+
+  return null;
+}
+
+function isUriInWorkspaceFolder(uri, workspaceFolder) {
+  if (!workspaceFolder) {
+    return true;
+  }
+  const containingFolder = vscode.workspace.getWorkspaceFolder(uri);
+  return Boolean(
+    containingFolder &&
+      containingFolder.uri.toString() === workspaceFolder.uri.toString()
+  );
+}
+
+function getOpenAssemblyDocumentMap(workspaceFolder = null) {
+  const map = new Map();
+  for (const document of vscode.workspace.textDocuments) {
+    if (!isAssemblyDocument(document)) {
+      continue;
+    }
+    if (!isUriInWorkspaceFolder(document.uri, workspaceFolder)) {
+      continue;
+    }
+    map.set(document.uri.toString(), document);
+  }
+  return map;
+}
+
+async function getWorkspaceAssemblyFiles(maxFiles, workspaceFolder = null) {
+  const includePattern = workspaceFolder
+    ? new vscode.RelativePattern(workspaceFolder.uri, WORKSPACE_ASM_GLOB)
+    : WORKSPACE_ASM_GLOB;
+  const uris = await vscode.workspace.findFiles(
+    includePattern,
+    WORKSPACE_EXCLUDE_GLOB,
+    maxFiles
+  );
+  return uris.filter((uri) => isAssemblyUri(uri));
+}
+
+async function getTextForUri(uri, openDocumentMap) {
+  const openDocument = openDocumentMap.get(uri.toString());
+  if (openDocument) {
+    return openDocument.getText();
+  }
+
+  const text = await readTextUriIfExists(uri);
+  return text || '';
+}
+
+function isExcludedWorkspaceUri(uri) {
+  return WORKSPACE_EXCLUDE_PATH_REGEX.test(uri ? uri.path || '' : '');
+}
+
+function createWorkspaceIndexEntry(uri, text, source) {
+  const parsed = parseLocalSymbolsFromLines(text.split(/\r?\n/));
+  return {
+    uri,
+    text,
+    entries: parsed.entries,
+    symbols: parsed.symbols,
+    // Maximal identifier-character runs, matching findSymbolMatchesInText.
+    identifiers: new Set(text.match(/[A-Za-z0-9_.$]+/g) || []),
+    version: source.version === undefined ? null : source.version,
+    fromWorkspace: Boolean(source.fromWorkspace)
+  };
+}
+
+async function indexWorkspaceFile(uri) {
+  const key = uri.toString();
+  const text = await readTextUriIfExists(uri);
+  if (text === null) {
+    workspaceIndexFiles.delete(key);
+    return;
+  }
+  workspaceIndexFiles.set(key, createWorkspaceIndexEntry(uri, text, { fromWorkspace: true }));
+}
+
+function ensureWorkspaceIndex() {
+  if (!workspaceIndexReady) {
+    workspaceIndexReady = (async () => {
+      const uris = await vscode.workspace.findFiles(WORKSPACE_ASM_GLOB, WORKSPACE_EXCLUDE_GLOB);
+      for (const uri of uris) {
+        if (isAssemblyUri(uri)) {
+          await indexWorkspaceFile(uri);
+        }
+      }
+      logInfo(`Workspace symbol index built: files=${workspaceIndexFiles.size}`);
+    })().catch((error) => {
+      logError('Workspace symbol index build failed', error);
+      workspaceIndexReady = null;
+    });
+  }
+  return workspaceIndexReady;
+}
+
+function resetWorkspaceIndex() {
+  workspaceIndexFiles.clear();
+  workspaceIndexDirty.clear();
+  workspaceIndexReady = null;
+}
+
+function markWorkspaceFileDirty(uri, fromWorkspace = true) {
+  if (!isAssemblyUri(uri) || isExcludedWorkspaceUri(uri)) {
+    return;
+  }
+  const key = uri.toString();
+  const entry = workspaceIndexFiles.get(key);
+  if (entry && !entry.fromWorkspace && !fromWorkspace) {
+    // Open documents outside the workspace leave the index when closed.
+    workspaceIndexFiles.delete(key);
+    return;
+  }
+  workspaceIndexDirty.set(key, uri);
+}
+
+function forgetWorkspaceFile(uri) {
+  const key = uri.toString();
+  workspaceIndexFiles.delete(key);
+  workspaceIndexDirty.delete(key);
+}
+
+// Open documents are the source of truth; files changed on disk are
+// re-read lazily the next time the index is queried.
+async function getWorkspaceIndexEntries(workspaceFolder = null) {
+  await ensureWorkspaceIndex();
+
+  const openDocs = getOpenAssemblyDocumentMap();
+  for (const [key, document] of openDocs.entries()) {
+    const entry = workspaceIndexFiles.get(key);
+    if (!entry || entry.version !== document.version || workspaceIndexDirty.has(key)) {
+      workspaceIndexFiles.set(
+        key,
+        createWorkspaceIndexEntry(document.uri, document.getText(), {
+          version: document.version,
+          fromWorkspace: entry ? entry.fromWorkspace : false
+        })
+      );
+    }
+    workspaceIndexDirty.delete(key);
+  }
+  for (const [key, uri] of Array.from(workspaceIndexDirty.entries())) {
+    workspaceIndexDirty.delete(key);
+    await indexWorkspaceFile(uri);
+  }
+
+  return Array.from(workspaceIndexFiles.values()).filter((entry) =>
+    isUriInWorkspaceFolder(entry.uri, workspaceFolder)
+  );
+}
+
+function findSymbolMatchesInText(text, symbol) {
+  if (!text || !symbol) {
+    return [];
+  }
+
+  const escaped = escapeRegex(symbol);
+  const boundary = `[^${IDENTIFIER_CHAR_CLASS}]`;
+  const regex = new RegExp(`(^|${boundary})(${escaped})(?![${IDENTIFIER_CHAR_CLASS}])`, 'g');
+  const matches = [];
+  const lines = text.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i += 1) {
+    const lineText = lines[i];
+    regex.lastIndex = 0;
+
+    let match = null;
+    while ((match = regex.exec(lineText)) !== null) {
+      const leadingLength = match[1] ? match[1].length : 0;
+      const column = match.index + leadingLength;
+      matches.push({
+        line: i,
+        column,
+        lineText
+      });
+    }
+  }
+
+  return matches;
+}
+
+// Blank out string and character literals so symbol matches only hit code.
+function maskAsmStrings(codeText) {
+  let result = '';
+  let quote = '';
+  for (let i = 0; i < codeText.length; i += 1) {
+    const char = codeText[i];
+    if (quote) {
+      if (char === '\\' && i + 1 < codeText.length) {
+        result += '  ';
+        i += 1;
+        continue;
+      }
+      if (char === quote) {
+        quote = '';
+      }
+      result += ' ';
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      quote = char;
+      result += ' ';
+      continue;
+    }
+    result += char;
+  }
+  return result;
+}
+
+function findCodeSymbolMatchesInText(text, symbol) {
+  const matches = findSymbolMatchesInText(text, symbol);
+  if (!matches.length) {
+    return matches;
+  }
+
+  const lines = text.split(/\r?\n/);
+  const state = { inBlockComment: false };
+  const codeLines = lines.map((lineText) => maskAsmStrings(maskAsmComments(lineText, state)));
+  return matches.filter(
+    (match) =>
+      codeLines[match.line].slice(match.column, match.column + symbol.length) === symbol
+  );
+}
+
+function isDefinitionOccurrence(lineText, symbol, column) {
+  const checks = [LOCAL_LABEL_REGEX, LOCAL_EQU_REGEX, LOCAL_SET_REGEX];
+  for (const regex of checks) {
+    const match = regex.exec(lineText);
+    if (!match || match[1] !== symbol) {
+      continue;
+    }
+    const symbolColumn = lineText.indexOf(match[1]);
+    if (symbolColumn === column) {
+      return true;
+    }
+  }
+  return false;
+}
+
+async function provideDocumentSymbols(document) {
+  const entries = getLocalSymbolEntries(document);
+  if (!entries.length) {
+    return [];
+  }
+
+  return entries.map((entry) => {
+    const lineRange = document.lineAt(entry.line).range;
+    const selectionRange = makeSymbolRange(entry.line, entry.column, entry.symbol);
+    return new vscode.DocumentSymbol(
+      entry.symbol,
+      `${entry.kind} (line ${entry.line + 1})`,
+      localKindToSymbolKind(entry.kind),
+      lineRange,
+      selectionRange
+    );
+  });
+}
+
+async function provideWorkspaceSymbols(query, token) {
+  if (isCancelled(token)) {
+    return [];
+  }
+
+  const normalized = (query || '').trim().toLowerCase();
+  if (!normalized) {
+    return [];
+  }
+
+  const maxSymbols = clampConfigNumber(
+    'maxWorkspaceSymbols',
+    DEFAULT_MAX_WORKSPACE_SYMBOLS,
+    20,
+    20000
+  );
+
+  const files = await getWorkspaceIndexEntries();
+
+  const results = [];
+  const seen = new Set();
+  const addSymbol = (symbolInfo, dedupeKey) => {
+    if (seen.has(dedupeKey)) {
+      return false;
+    }
+    seen.add(dedupeKey);
+    results.push(symbolInfo);
+    return results.length >= maxSymbols;
+  };
+
+  for (const file of files) {
+    if (isCancelled(token)) {
+      return results;
+    }
+    const uri = file.uri;
+    for (const entry of file.entries) {
+      if (isCancelled(token)) {
+        return results;
+      }
+      if (!entry.symbol.toLowerCase().includes(normalized)) {
+        continue;
+      }
+
+      const location = new vscode.Location(
+        uri,
+        makeSymbolRange(entry.line, entry.column, entry.symbol)
+      );
+
+      const symbolInfo = new vscode.SymbolInformation(
+        entry.symbol,
+        localKindToSymbolKind(entry.kind),
+        `${entry.kind} local symbol`,
+        location
+      );
+
+      const dedupeKey = `${uri.toString()}:${entry.line}:${entry.column}:${entry.symbol}`;
+      if (addSymbol(symbolInfo, dedupeKey)) {
+        return results;
+      }
+    }
+  }
+
+  // Linked symbols from ELF files add what the assembly sources do not
+  // define: C functions and variables, and library code.
+  const sourceNames = new Set(results.map((symbolInfo) => symbolInfo.name));
+  for (const scope of getAllWorkspaceIndexScopes()) {
+    if (isCancelled(token)) {
+      return results;
+    }
+    for (const [name, entries] of (await getBuildOutputIndex(scope)).symbols) {
+      if (sourceNames.has(name) || !name.toLowerCase().includes(normalized)) {
+        continue;
+      }
+      for (const entry of entries) {
+        // Local labels of assembler files are already covered by the sources.
+        if (!entry.elf || (entry.elf.binding === 'local' && entry.elf.type === 'notype')) {
+          continue;
+        }
+        const location = getLinkedSymbolLocation(entry);
+        if (!location) {
+          continue;
+        }
+        const kind = { function: vscode.SymbolKind.Function, object: vscode.SymbolKind.Variable }[entry.elf.type];
+        const symbolInfo = new vscode.SymbolInformation(
+          name,
+          kind || vscode.SymbolKind.Constant,
+          `${describeLinkedAddress(entry)} (${path.basename(entry.file)})`,
+          location
+        );
+        if (addSymbol(symbolInfo, `elf:${entry.file}:${entry.address}:${name}`)) {
+          return results;
+        }
+      }
+    }
+  }
+
+  if (getConfig().get('includeDfpInWorkspaceSymbols', true)) {
+    for (const scope of getAllWorkspaceIndexScopes()) {
+      if (isCancelled(token)) {
+        return results;
+      }
+      let index = null;
+      try {
+        index = await getDfpIndex(scope);
+      } catch {
+        continue;
+      }
+
+      for (const symbol of index.symbolList) {
+        if (isCancelled(token)) {
+          return results;
+        }
+        if (!symbol.toLowerCase().includes(normalized)) {
+          continue;
+        }
+        const first = (index.symbols.get(symbol) || [])[0];
+        if (!first) {
+          continue;
+        }
+
+        const uri = symbolFileUri(first.file);
+        const column = Math.max(0, (first.text || '').indexOf(symbol));
+        const location = new vscode.Location(
+          uri,
+          makeSymbolRange(Math.max(0, first.line - 1), column, symbol)
+        );
+        const symbolInfo = new vscode.SymbolInformation(
+          symbol,
+          vscode.SymbolKind.Constant,
+          `${first.kind} (${index.device || 'AVR®'} pack)`,
+          location
+        );
+
+        const dedupeKey = `dfp:${first.file}:${first.line}:${symbol}`;
+        if (addSymbol(symbolInfo, dedupeKey)) {
+          return results;
+        }
+      }
+    }
+  }
+
+  return results;
+}
+
+async function provideReferences(document, position, context, token) {
+  if (isCancelled(token)) {
+    return [];
+  }
+
+  if (!getConfig().get('enableReferences', true)) {
+    return [];
+  }
+
+  const symbol = extractSymbolAtPosition(document, position);
+  if (!symbol) {
+    return [];
+  }
+
+  const includeDeclaration = Boolean(context && context.includeDeclaration);
+  const maxReferences = clampConfigNumber(
+    'maxReferenceResults',
+    DEFAULT_MAX_REFERENCE_RESULTS,
+    20,
+    20000
+  );
+
+  const files = await getWorkspaceIndexEntries();
+
+  const locations = [];
+  const seen = new Set();
+  const addLocation = (uri, line, column) => {
+    const key = `${uri.toString()}:${line}:${column}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    locations.push(new vscode.Location(uri, makeSymbolRange(line, column, symbol)));
+    return locations.length >= maxReferences;
+  };
+
+  for (const file of files) {
+    if (isCancelled(token)) {
+      return locations;
+    }
+    if (!file.identifiers.has(symbol)) {
+      continue;
+    }
+
+    const uri = file.uri;
+    const matches = findSymbolMatchesInText(file.text, symbol);
+    for (const match of matches) {
+      if (isCancelled(token)) {
+        return locations;
+      }
+      if (
+        !includeDeclaration &&
+        isDefinitionOccurrence(match.lineText, symbol, match.column)
+      ) {
+        continue;
+      }
+      if (addLocation(uri, match.line, match.column)) {
+        return locations;
+      }
+    }
+  }
+
+  if (includeDeclaration) {
+    if (isCancelled(token)) {
+      return locations;
+    }
+    const scope = getIndexScopeForDocument(document);
+    const index = await getDfpIndex(scope);
+    const hits = index.symbols.get(symbol) || [];
+    for (const hit of hits) {
+      if (isCancelled(token)) {
+        return locations;
+      }
+      const column = Math.max(0, (hit.text || '').indexOf(symbol));
+      if (
+        addLocation(symbolFileUri(hit.file), Math.max(0, hit.line - 1), column)
+      ) {
+        break;
+      }
+    }
+  }
+
+  return locations;
+}
+
+function getRenameRefusalReason(symbol, index) {
+  const lower = symbol.toLowerCase();
+  if (AVR_REGISTER_NAMES.includes(lower)) {
+    return `${symbol} is a register name`;
+  }
+  if (AVR_INSTRUCTION_MNEMONICS.includes(lower)) {
+    return `${symbol} is an instruction mnemonic`;
+  }
+  if (index && index.symbols.has(symbol)) {
+    return `${symbol} is defined by the device pack`;
+  }
+  return null;
+}
+
+async function getRenameIndex(document) {
+  try {
+    return await getDfpIndex(getIndexScopeForDocument(document));
+  } catch {
+    return null;
+  }
+}
+
+async function prepareRename(document, position, token) {
+  const range = document.getWordRangeAtPosition(position, WORD_REGEX);
+  if (!range || isCancelled(token)) {
+    throw new Error('Only labels and .equ/.set constants can be renamed.');
+  }
+  const symbol = document.getText(range);
+
+  const state = { inBlockComment: false };
+  let codeText = '';
+  for (let i = 0; i <= range.start.line; i += 1) {
+    codeText = maskAsmComments(document.lineAt(i).text, state);
+  }
+  codeText = maskAsmStrings(codeText);
+  if (codeText.slice(range.start.character, range.end.character) !== symbol) {
+    throw new Error('Symbols inside comments or strings cannot be renamed.');
+  }
+
+  const reason = getRenameRefusalReason(symbol, await getRenameIndex(document));
+  if (reason) {
+    throw new Error(`Cannot rename ${symbol}: ${reason}.`);
+  }
+  return { range, placeholder: symbol };
+}
+
+// The definition a rename starts from, as Go to Definition would find it.
+async function findRenameDefinitionFile(document, symbol, token) {
+  if (getLocalSymbols(document).has(symbol)) {
+    return path.normalize(document.uri.fsPath);
+  }
+  const included = (await getIncludedSymbols(document)).get(symbol);
+  if (included) {
+    return included.file;
+  }
+  const [candidate] = await findWorkspaceDefinitions(document, symbol, token);
+  return candidate ? path.normalize(candidate.uri.fsPath) : null;
+}
+
+// Files whose occurrences of a symbol refer to the same definition: the
+// defining file and the files that include it. Symbols declared .global,
+// .weak or .extern reach every file, except those with a file-local label
+// of the same name.
+async function findRenameFiles(document, symbol, token) {
+  const definitionFile = await findRenameDefinitionFile(document, symbol, token);
+  if (!definitionFile) {
+    throw new Error(
+      `Cannot rename ${symbol}: no label or .equ/.set definition was found in the workspace.`
+    );
+  }
+  const files = await getWorkspaceIndexEntries();
+  const openDocuments = getOpenAssemblyDocumentMap();
+  let definition = files.find((file) => path.normalize(file.uri.fsPath) === definitionFile);
+  if (!definition) {
+    const text = await readTextIfExists(definitionFile);
+    definition = text === null ? null : { uri: vscode.Uri.file(definitionFile), text, symbols: new Map() };
+  }
+  const exported = [document.getText(), definition ? definition.text : ''].some((text) =>
+    ['global', 'weak', 'extern'].includes(parseSymbolLinkage(text.split(/\r?\n/)).get(symbol))
+  );
+
+  const renamed = definition ? [definition] : [];
+  for (const file of files) {
+    if (isCancelled(token)) {
+      return null;
+    }
+    if (file === definition || !file.identifiers.has(symbol)) {
+      continue;
+    }
+    if (exported) {
+      if (!file.symbols.has(symbol) || parseSymbolLinkage(file.text.split(/\r?\n/)).has(symbol)) {
+        renamed.push(file);
+      }
+      continue;
+    }
+    const key = file.uri.toString();
+    const includer = openDocuments.get(key) || { uri: file.uri, version: file.version, getText: () => file.text };
+    if ((await getIncludeGraph(includer)).files.has(definitionFile)) {
+      renamed.push(file);
+    }
+  }
+  return renamed;
+}
+
+async function provideRenameEdits(document, position, newName, token) {
+  const { placeholder: symbol } = await prepareRename(document, position, token);
+  const name = String(newName || '').trim();
+  if (!new RegExp(`^[A-Za-z_.$][${IDENTIFIER_CHAR_CLASS}]*$`).test(name)) {
+    throw new Error(`${name || 'An empty name'} is not a valid assembler symbol.`);
+  }
+  if (name === symbol) {
+    return new vscode.WorkspaceEdit();
+  }
+  const reason = getRenameRefusalReason(name, await getRenameIndex(document));
+  if (reason) {
+    throw new Error(`Cannot rename ${symbol} to ${name}: ${reason}.`);
+  }
+
+  const files = await findRenameFiles(document, symbol, token);
+  if (!files) {
+    return null;
+  }
+
+  const edits = [];
+  let defined = false;
+  for (const file of files) {
+    if (isCancelled(token)) {
+      return null;
+    }
+    const { uri, text } = file;
+
+    for (const match of findCodeSymbolMatchesInText(text, name)) {
+      if (isDefinitionOccurrence(match.lineText, name, match.column)) {
+        throw new Error(
+          `Cannot rename ${symbol} to ${name}: ${name} is already defined at ` +
+            `${vscode.workspace.asRelativePath(uri)}:${match.line + 1}.`
+        );
+      }
+    }
+
+    for (const match of findCodeSymbolMatchesInText(text, symbol)) {
+      if (isDefinitionOccurrence(match.lineText, symbol, match.column)) {
+        defined = true;
+      }
+      edits.push({ uri, range: makeSymbolRange(match.line, match.column, symbol) });
+    }
+  }
+
+  if (!defined) {
+    throw new Error(
+      `Cannot rename ${symbol}: no label or .equ/.set definition was found in the workspace.`
+    );
+  }
+
+  const workspaceEdit = new vscode.WorkspaceEdit();
+  for (const edit of edits) {
+    workspaceEdit.replace(edit.uri, edit.range, name);
+  }
+  return workspaceEdit;
+}
+
+// Build output (avr-objdump .lss listings and linker .map files) ------------
+
+function isBuildListingUri(uri) {
+  return getUriExtension(uri) === '.lss';
+}
+
+function getBuildOutputDirectory(scope) {
+  const configured = expandUserPath(getConfig(scope).get('buildOutputDirectory', 'build'));
+  if (!configured) {
+    return null;
+  }
+  if (path.isAbsolute(configured)) {
+    return configured;
+  }
+  return scope && scope.workspaceFolder ? path.join(scope.workspaceFolder.uri.fsPath, configured) : null;
+}
+
+async function findBuildOutputFiles(dir, depth = 0) {
+  const files = [];
+  for (const name of (await listDirSafe(dir)).sort()) {
+    const filePath = path.join(dir, name);
+    if (/\.(?:lss|map|elf)$/i.test(name)) {
+      files.push(filePath);
+    } else if (depth < BUILD_OUTPUT_SCAN_DEPTH && !name.startsWith('.') && (await isDirectory(filePath))) {
+      files.push(...(await findBuildOutputFiles(filePath, depth + 1)));
+    }
+  }
+  return files;
+}
+
+// Symbols from the "Linker script and memory map" part of a .map file. A
+// symbol's size runs to the next symbol of its input section, or to the
+// section's end.
+function parseLinkerMap(text, file) {
+  const lines = text.split(/\r?\n/);
+  const symbols = [];
+  const start = lines.findIndex((line) => line.startsWith('Linker script and memory map'));
+  let section = null;
+  let pendingName = null;
+  for (let i = start < 0 ? lines.length : start + 1; i < lines.length; i += 1) {
+    const line = lines[i];
+    if (/^\S/.test(line)) {
+      section = null;
+      pendingName = null;
+      continue;
+    }
+    const input = /^ (\.\S+)(?:\s+0x([0-9a-fA-F]+)\s+0x([0-9a-fA-F]+)\s+(\S.*))?$/.exec(line);
+    if (input) {
+      // Long section names put the address and size on the next line.
+      pendingName = input[2] ? null : input[1];
+      section = input[2]
+        ? { name: input[1], address: parseInt(input[2], 16), size: parseInt(input[3], 16), symbols: [] }
+        : null;
+      continue;
+    }
+    const continued = pendingName ? /^\s+0x([0-9a-fA-F]+)\s+0x([0-9a-fA-F]+)\s+\S/.exec(line) : null;
+    if (continued) {
+      section = {
+        name: pendingName,
+        address: parseInt(continued[1], 16),
+        size: parseInt(continued[2], 16),
+        symbols: []
+      };
+      pendingName = null;
+      continue;
+    }
+    const symbol = /^\s+0x([0-9a-fA-F]+)\s+([A-Za-z_.$][A-Za-z0-9_.$]*)\s*$/.exec(line);
+    if (!symbol) {
+      continue;
+    }
+    const entry = {
+      name: symbol[2],
+      address: parseInt(symbol[1], 16),
+      size: null,
+      section: section ? section.name : '',
+      file,
+      line: i
+    };
+    symbols.push(entry);
+    if (section) {
+      const previous = section.symbols[section.symbols.length - 1];
+      if (previous) {
+        previous.size = entry.address - previous.address;
+      }
+      entry.size = section.address + section.size - entry.address;
+      section.symbols.push(entry);
+    }
+  }
+  return symbols;
+}
+
+// Symbols from an avr-objdump listing: the symbol table when it was written
+// with -t, and the <symbol>: headers of the disassembly, sized up to the next
+// header or the last instruction of their section.
+function parseObjdumpListing(text, file) {
+  const lines = text.split(/\r?\n/);
+  const sizes = new Map();
+  const headers = [];
+  const sectionEnds = new Map();
+  let section = '';
+  let inSymbolTable = false;
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const disassembly = /^Disassembly of section (\S+):$/.exec(line);
+    if (disassembly) {
+      section = disassembly[1];
+      inSymbolTable = false;
+      continue;
+    }
+    if (line === 'SYMBOL TABLE:') {
+      inSymbolTable = true;
+      continue;
+    }
+    if (inSymbolTable) {
+      const entry = /^([0-9a-fA-F]{8}) .{7} (\S+)\s+([0-9a-fA-F]{8}) (\S+)$/.exec(line);
+      if (entry) {
+        sizes.set(`${entry[4]}@${parseInt(entry[1], 16)}`, parseInt(entry[3], 16));
+      }
+      continue;
+    }
+    const header = LISTING_SYMBOL_HEADER_REGEX.exec(line);
+    if (header) {
+      headers.push({ name: header[2], address: parseInt(header[1], 16), size: null, section, file, line: i });
+      continue;
+    }
+    const instruction = /^\s+([0-9a-fA-F]+):\t((?:[0-9a-fA-F]{2} )+)/.exec(line);
+    if (instruction) {
+      const end = parseInt(instruction[1], 16) + instruction[2].trim().split(' ').length;
+      sectionEnds.set(section, Math.max(sectionEnds.get(section) || 0, end));
+    }
+  }
+
+  headers.forEach((entry, position) => {
+    const next = headers.slice(position + 1).find((candidate) => candidate.section === entry.section);
+    const end = next ? next.address : sectionEnds.get(entry.section);
+    const listed = sizes.get(`${entry.name}@${entry.address}`);
+    if (listed !== undefined) {
+      entry.size = listed;
+    } else if (end !== undefined && end >= entry.address) {
+      entry.size = end - entry.address;
+    }
+  });
+  return headers;
+}
+
+// One entry per symbol name and address. ELF files come first for their
+// exact sizes, sections and sources, then listings so a symbol can be
+// revealed in its disassembly, and .map files fill in what is missing.
+async function parseBuildOutputFiles(files) {
+  const symbols = new Map();
+  const rank = (file) => {
+    const extension = path.extname(file).toLowerCase();
+    return extension === '.elf' ? 0 : extension === '.lss' ? 1 : 2;
+  };
+  for (const file of [...files].sort((a, b) => rank(a) - rank(b))) {
+    let parsed = [];
+    try {
+      if (rank(file) === 0) {
+        parsed = readElfBuildSymbols(await fs.readFile(file), file);
+      } else {
+        const text = await fs.readFile(file, 'utf8');
+        parsed = isBuildListingFile(file) ? parseObjdumpListing(text, file) : parseLinkerMap(text, file);
+      }
+    } catch (error) {
+      logWarn(`Build output: skipped ${file}: ${error.message}`);
+      continue;
+    }
+    for (const entry of parsed) {
+      const location = entry.line === null ? null : { file: entry.file, line: entry.line };
+      const entries = symbols.get(entry.name) || [];
+      const existing = entries.find((candidate) => candidate.address === entry.address);
+      if (!existing) {
+        entries.push({ elf: null, source: null, ...entry, locations: location ? [location] : [] });
+        symbols.set(entry.name, entries);
+        continue;
+      }
+      if (existing.size === null) {
+        existing.size = entry.size;
+      }
+      if (location) {
+        existing.locations.push(location);
+      }
+    }
+  }
+  return { files, symbols };
+}
+
+function readCString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  return buffer.toString('utf8', offset, end < 0 ? buffer.length : end);
+}
+
+function readElfSections(buffer) {
+  if (buffer.length < 52 || buffer.readUInt32BE(0) !== 0x7f454c46) {
+    throw new Error('not an ELF file');
+  }
+  if (buffer[4] !== 1 || buffer[5] !== 1) {
+    throw new Error('only little-endian ELF32 files are supported');
+  }
+  const headerOffset = buffer.readUInt32LE(32);
+  const headerSize = buffer.readUInt16LE(46);
+  const count = buffer.readUInt16LE(48);
+  if (headerSize < 40 || headerOffset + count * headerSize > buffer.length) {
+    throw new Error('corrupt ELF section header table');
+  }
+
+  const sections = [];
+  for (let i = 0; i < count; i += 1) {
+    const base = headerOffset + i * headerSize;
+    const section = {
+      nameOffset: buffer.readUInt32LE(base),
+      type: buffer.readUInt32LE(base + 4),
+      address: buffer.readUInt32LE(base + 12),
+      offset: buffer.readUInt32LE(base + 16),
+      size: buffer.readUInt32LE(base + 20),
+      link: buffer.readUInt32LE(base + 24),
+      entrySize: buffer.readUInt32LE(base + 36)
+    };
+    if (section.type !== ELF_SECTION_NOBITS && section.type !== 0 && section.offset + section.size > buffer.length) {
+      throw new Error(`ELF section ${i} extends past the end of the file`);
+    }
+    sections.push(section);
+  }
+  const names = sections[buffer.readUInt16LE(50)];
+  for (const section of sections) {
+    section.name = names ? readCString(buffer, names.offset + section.nameOffset) : '';
+  }
+  return { machine: buffer.readUInt16LE(18), sections };
+}
+
+// Defined code, data and plain symbols; section, file, undefined, absolute
+// and common symbols have no address in flash or RAM.
+function readElfSymbols(buffer, sections) {
+  const symtab = sections.find((section) => section.type === ELF_SECTION_SYMTAB);
+  const strings = symtab ? sections[symtab.link] : null;
+  if (!symtab || !strings) {
+    return [];
+  }
+  const entrySize = symtab.entrySize || 16;
+  const symbols = [];
+  for (let offset = symtab.offset + entrySize; offset + 16 <= symtab.offset + symtab.size; offset += entrySize) {
+    const info = buffer[offset + 12];
+    const type = ELF_SYMBOL_TYPES[info & 0x0f];
+    const sectionIndex = buffer.readUInt16LE(offset + 14);
+    if (!type || sectionIndex === 0 || sectionIndex >= sections.length) {
+      continue;
+    }
+    const name = readCString(buffer, strings.offset + buffer.readUInt32LE(offset));
+    if (!name) {
+      continue;
+    }
+    symbols.push({
+      name,
+      address: buffer.readUInt32LE(offset + 4),
+      size: buffer.readUInt32LE(offset + 8) || null,
+      type,
+      binding: ELF_SYMBOL_BINDINGS[info >> 4] || 'local',
+      section: sections[sectionIndex].name
+    });
+  }
+  return symbols;
+}
+
+function createByteReader(buffer, offset, end) {
+  const reader = {
+    offset,
+    end,
+    u8() {
+      reader.offset += 1;
+      return buffer.readUInt8(reader.offset - 1);
+    },
+    u16() {
+      reader.offset += 2;
+      return buffer.readUInt16LE(reader.offset - 2);
+    },
+    u32() {
+      reader.offset += 4;
+      return buffer.readUInt32LE(reader.offset - 4);
+    },
+    // Values wider than 48 bits keep their low 48 bits; AVR addresses fit.
+    unsigned(size) {
+      const value = buffer.readUIntLE(reader.offset, Math.min(size, 6));
+      reader.offset += size;
+      return value;
+    },
+    uleb() {
+      let value = 0;
+      let shift = 0;
+      let byte = 0x80;
+      while (byte & 0x80) {
+        byte = reader.u8();
+        value += (byte & 0x7f) * 2 ** shift;
+        shift += 7;
+      }
+      return value;
+    },
+    sleb() {
+      let value = 0;
+      let shift = 0;
+      let byte = 0x80;
+      while (byte & 0x80) {
+        byte = reader.u8();
+        value += (byte & 0x7f) * 2 ** shift;
+        shift += 7;
+      }
+      return byte & 0x40 ? value - 2 ** shift : value;
+    },
+    cstring() {
+      const text = readCString(buffer, reader.offset);
+      reader.offset += Buffer.byteLength(text) + 1;
+      return text;
+    },
+    bytes(length) {
+      reader.offset += length;
+      return buffer.subarray(reader.offset - length, reader.offset);
+    }
+  };
+  return reader;
+}
+
+// One attribute value: numbers for constants, addresses and references,
+// strings for the string forms and buffers for blocks. Indexed strings and
+// addresses (DWARF 5 strx/addrx) come back as their index.
+function readDwarfForm(reader, form, unit, strings) {
+  const stringAt = (section, offset) => (section ? readCString(strings.buffer, section.offset + offset) : null);
+  switch (form) {
+    case 0x01:
+      return reader.unsigned(unit.addressSize);
+    case 0x03:
+      return reader.bytes(reader.u16());
+    case 0x04:
+      return reader.bytes(reader.u32());
+    case 0x05:
+    case 0x12:
+    case 0x26:
+    case 0x2a:
+      return reader.u16();
+    case 0x06:
+    case 0x13:
+    case 0x17:
+    case 0x1c:
+    case 0x1d:
+    case 0x28:
+    case 0x2c:
+      return reader.u32();
+    case 0x07:
+    case 0x14:
+    case 0x20:
+      return reader.unsigned(8);
+    case 0x08:
+      return reader.cstring();
+    case 0x09:
+    case 0x18:
+      return reader.bytes(reader.uleb());
+    case 0x0a:
+      return reader.bytes(reader.u8());
+    case 0x0b:
+    case 0x0c:
+    case 0x11:
+    case 0x25:
+    case 0x29:
+      return reader.u8();
+    case 0x0d:
+      return reader.sleb();
+    case 0x0e:
+      return stringAt(strings.str, reader.u32());
+    case 0x1f:
+      return stringAt(strings.lineStr, reader.u32());
+    case 0x0f:
+    case 0x15:
+    case 0x1a:
+    case 0x1b:
+    case 0x22:
+    case 0x23:
+      return reader.uleb();
+    case 0x10:
+      return reader.unsigned(unit.version <= 2 ? unit.addressSize : 4);
+    case 0x16:
+      return readDwarfForm(reader, reader.uleb(), unit, strings);
+    case 0x19:
+      return true;
+    case 0x1e:
+      return reader.bytes(16);
+    case 0x27:
+    case 0x2b:
+      return reader.unsigned(3);
+    default:
+      throw new Error(`unsupported DWARF form 0x${form.toString(16)}`);
+  }
+}
+
+// File tables and the first line recorded for each address, per line
+// program in .debug_line, keyed by the program's offset.
+function readDwarfLinePrograms(buffer, section, strings) {
+  const programs = new Map();
+  const reader = createByteReader(buffer, section.offset, section.offset + section.size);
+  while (reader.offset + 4 <= reader.end) {
+    const programOffset = reader.offset - section.offset;
+    const unitLength = reader.u32();
+    if (unitLength >= 0xfffffff0) {
+      throw new Error('64-bit DWARF is not supported');
+    }
+    const unitEnd = reader.offset + unitLength;
+    const version = reader.u16();
+    const unit = { version, addressSize: 4 };
+    if (version >= 5) {
+      unit.addressSize = reader.u8();
+      reader.u8();
+    }
+    const headerLength = reader.u32();
+    const programStart = reader.offset + headerLength;
+    const minimumInstructionLength = reader.u8();
+    if (version >= 4) {
+      reader.u8();
+    }
+    reader.u8();
+    const lineBase = (reader.u8() << 24) >> 24;
+    const lineRange = reader.u8();
+    const opcodeBase = reader.u8();
+    const opcodeLengths = Array.from({ length: opcodeBase - 1 }, () => reader.u8());
+
+    // DWARF 5 tables are 0-based with the compilation directory and primary
+    // file first; older ones are 1-based, directory 0 meaning the
+    // compilation directory.
+    let directories = [null];
+    let files = [null];
+    if (version >= 5) {
+      const readEntries = () => {
+        const formats = Array.from({ length: reader.u8() }, () => ({ type: reader.uleb(), form: reader.uleb() }));
+        return Array.from({ length: reader.uleb() }, () => {
+          const entry = { name: null, dir: 0 };
+          for (const format of formats) {
+            const value = readDwarfForm(reader, format.form, unit, strings);
+            if (format.type === 1) {
+              entry.name = typeof value === 'string' ? value : null;
+            } else if (format.type === 2) {
+              entry.dir = Number(value);
+            }
+          }
+          return entry;
+        });
+      };
+      directories = readEntries().map((entry) => entry.name);
+      files = readEntries();
+    } else {
+      for (let name = reader.cstring(); name; name = reader.cstring()) {
+        directories.push(name);
+      }
+      for (let name = reader.cstring(); name; name = reader.cstring()) {
+        files.push({ name, dir: reader.uleb() });
+        reader.uleb();
+        reader.uleb();
+      }
+    }
+
+    const addresses = new Map();
+    let address = 0;
+    let file = 1;
+    let line = 1;
+    const emitRow = () => {
+      if (!addresses.has(address)) {
+        addresses.set(address, { file, line });
+      }
+    };
+    reader.offset = programStart;
+    while (reader.offset < unitEnd) {
+      const opcode = reader.u8();
+      if (opcode >= opcodeBase) {
+        const adjusted = opcode - opcodeBase;
+        address += Math.floor(adjusted / lineRange) * minimumInstructionLength;
+        line += lineBase + (adjusted % lineRange);
+        emitRow();
+      } else if (opcode === 0) {
+        const length = reader.uleb();
+        const next = reader.offset + length;
+        const extended = reader.u8();
+        if (extended === 1) {
+          address = 0;
+          file = 1;
+          line = 1;
+        } else if (extended === 2) {
+          address = reader.unsigned(length - 1);
+        } else if (extended === 3) {
+          files.push({ name: reader.cstring(), dir: reader.uleb() });
+        }
+        reader.offset = next;
+      } else if (opcode === 1) {
+        emitRow();
+      } else if (opcode === 2) {
+        address += reader.uleb() * minimumInstructionLength;
+      } else if (opcode === 3) {
+        line += reader.sleb();
+      } else if (opcode === 4) {
+        file = reader.uleb();
+      } else if (opcode === 8) {
+        address += Math.floor((255 - opcodeBase) / lineRange) * minimumInstructionLength;
+      } else if (opcode === 9) {
+        address += reader.u16();
+      } else {
+        for (let i = 0; i < opcodeLengths[opcode - 1]; i += 1) {
+          reader.uleb();
+        }
+      }
+    }
+    programs.set(programOffset, { directories, files, addresses, compDir: '' });
+    reader.offset = unitEnd;
+  }
+  return programs;
+}
+
+function resolveDwarfFile(program, index, compDir) {
+  const file = program.files[index];
+  if (!file || !file.name) {
+    return null;
+  }
+  const directory = program.directories[file.dir] || compDir;
+  const joined = directory ? path.join(directory, file.name) : file.name;
+  return path.isAbsolute(joined) || !compDir ? joined : path.join(compDir, joined);
+}
+
+function readDwarfAbbreviations(buffer, section, offset) {
+  const reader = createByteReader(buffer, section.offset + offset, section.offset + section.size);
+  const abbreviations = new Map();
+  while (reader.offset < reader.end) {
+    const code = reader.uleb();
+    if (!code) {
+      break;
+    }
+    const tag = reader.uleb();
+    reader.u8();
+    const attributes = [];
+    while (reader.offset < reader.end) {
+      const name = reader.uleb();
+      const form = reader.uleb();
+      if (!name && !form) {
+        break;
+      }
+      attributes.push({ name, form, implicitConst: form === DW_FORM_IMPLICIT_CONST ? reader.sleb() : null });
+    }
+    abbreviations.set(code, { tag, attributes });
+  }
+  return abbreviations;
+}
+
+// Declaration file and line of variables with a fixed address and of
+// functions, keyed by address, from the compile units in .debug_info. Also
+// records each unit's compilation directory on its line program.
+function readDwarfDeclarations(buffer, sections, programs, strings) {
+  const info = sections.find((section) => section.name === '.debug_info');
+  const abbrev = sections.find((section) => section.name === '.debug_abbrev');
+  const declarations = new Map();
+  if (!info || !abbrev) {
+    return declarations;
+  }
+  const reader = createByteReader(buffer, info.offset, info.offset + info.size);
+  while (reader.offset + 4 <= reader.end) {
+    const unitLength = reader.u32();
+    if (unitLength >= 0xfffffff0) {
+      throw new Error('64-bit DWARF is not supported');
+    }
+    const unitEnd = reader.offset + unitLength;
+    const version = reader.u16();
+    const unit = { version, addressSize: 4 };
+    let abbrevOffset = 0;
+    if (version >= 5) {
+      const unitType = reader.u8();
+      unit.addressSize = reader.u8();
+      abbrevOffset = reader.u32();
+      // Only full and partial units; type and split units carry no symbols.
+      if (unitType !== 1 && unitType !== 3) {
+        reader.offset = unitEnd;
+        continue;
+      }
+    } else {
+      abbrevOffset = reader.u32();
+      unit.addressSize = reader.u8();
+    }
+
+    const abbreviations = readDwarfAbbreviations(buffer, abbrev, abbrevOffset);
+    let program = null;
+    while (reader.offset < unitEnd) {
+      const code = reader.uleb();
+      if (!code) {
+        continue;
+      }
+      const abbreviation = abbreviations.get(code);
+      if (!abbreviation) {
+        break;
+      }
+      const values = new Map();
+      for (const spec of abbreviation.attributes) {
+        const value =
+          spec.form === DW_FORM_IMPLICIT_CONST ? spec.implicitConst : readDwarfForm(reader, spec.form, unit, strings);
+        // low_pc through .debug_addr (addrx) is an index, not an address.
+        if (spec.name !== DW_AT_LOW_PC || spec.form === DW_FORM_ADDR) {
+          values.set(spec.name, value);
+        }
+      }
+
+      if (abbreviation.tag === DW_TAG_COMPILE_UNIT) {
+        program = programs.get(values.get(DW_AT_STMT_LIST)) || null;
+        if (program && typeof values.get(DW_AT_COMP_DIR) === 'string') {
+          program.compDir = values.get(DW_AT_COMP_DIR);
+        }
+        continue;
+      }
+      if (!program || !values.has(DW_AT_DECL_FILE) || !values.has(DW_AT_DECL_LINE)) {
+        continue;
+      }
+      let address = null;
+      if (abbreviation.tag === DW_TAG_SUBPROGRAM && values.has(DW_AT_LOW_PC)) {
+        address = values.get(DW_AT_LOW_PC);
+      } else if (abbreviation.tag === DW_TAG_VARIABLE) {
+        const location = values.get(DW_AT_LOCATION);
+        if (Buffer.isBuffer(location) && location.length === 1 + unit.addressSize && location[0] === DW_OP_ADDR) {
+          address = location.readUIntLE(1, Math.min(unit.addressSize, 6));
+        }
+      }
+      const file = address === null ? null : resolveDwarfFile(program, Number(values.get(DW_AT_DECL_FILE)), program.compDir);
+      if (file && !declarations.has(address)) {
+        declarations.set(address, { file, line: Number(values.get(DW_AT_DECL_LINE)) });
+      }
+    }
+    reader.offset = unitEnd;
+  }
+  return declarations;
+}
+
+// Symbols of an avr-gcc .elf with the source they come from: the
+// declaration in .debug_info, or for assembler routines the line recorded
+// for their first instruction. Missing or unreadable DWARF leaves symbols
+// without a source.
+function readElfBuildSymbols(buffer, file) {
+  const { machine, sections } = readElfSections(buffer);
+  if (machine !== ELF_MACHINE_AVR) {
+    throw new Error(`not an AVR ELF file (machine ${machine})`);
+  }
+  const symbols = readElfSymbols(buffer, sections);
+
+  let programs = new Map();
+  let declarations = new Map();
+  try {
+    const strings = {
+      buffer,
+      str: sections.find((section) => section.name === '.debug_str') || null,
+      lineStr: sections.find((section) => section.name === '.debug_line_str') || null
+    };
+    const lineSection = sections.find((section) => section.name === '.debug_line');
+    programs = lineSection ? readDwarfLinePrograms(buffer, lineSection, strings) : new Map();
+    declarations = readDwarfDeclarations(buffer, sections, programs, strings);
+  } catch (error) {
+    logWarn(`Build output: skipped debug information in ${file}: ${error.message}`);
+  }
+
+  const findLineSource = (address) => {
+    for (const program of programs.values()) {
+      const row = program.addresses.get(address);
+      const source = row ? resolveDwarfFile(program, row.file, program.compDir) : null;
+      if (source) {
+        return { file: source, line: row.line };
+      }
+    }
+    return null;
+  };
+  return symbols.map((symbol) => {
+    let source = declarations.get(symbol.address) || (symbol.type === 'object' ? null : findLineSource(symbol.address));
+    if (source && !path.isAbsolute(source.file)) {
+      source = { ...source, file: path.join(path.dirname(file), source.file) };
+    }
+    return {
+      name: symbol.name,
+      address: symbol.address,
+      size: symbol.size,
+      section: symbol.section,
+      file,
+      line: null,
+      elf: { type: symbol.type, binding: symbol.binding },
+      source
+    };
+  });
+}
+
+function isBuildListingFile(filePath) {
+  return path.extname(filePath).toLowerCase() === '.lss';
+}
+
+async function getBuildOutputIndex(scope) {
+  const dir = getBuildOutputDirectory(scope);
+  if (!dir) {
+    return { files: [], symbols: new Map() };
+  }
+  const cached = buildOutputByScope.get(scope.key);
+  if (cached && cached.dir === dir && Date.now() - cached.checkedAt < BUILD_OUTPUT_RECHECK_MS) {
+    return cached.index;
+  }
+
+  const files = await findBuildOutputFiles(dir);
+  const signature = JSON.stringify(await statIndexFiles(files.map((filePath) => ({ filePath }))));
+  if (cached && cached.dir === dir && cached.signature === signature) {
+    cached.checkedAt = Date.now();
+    return cached.index;
+  }
+  const index = await parseBuildOutputFiles(files);
+  buildOutputByScope.set(scope.key, { dir, signature, checkedAt: Date.now(), index });
+  if (files.length > 0) {
+    logInfo(`Build output: ${index.symbols.size} symbol(s) from ${files.length} file(s) in ${dir}.`);
+  }
+  return index;
+}
+
+function describeLinkedAddress(entry) {
+  let space = 'flash';
+  let address = entry.address;
+  if (address >= AVR_EEPROM_ADDRESS_OFFSET) {
+    space = 'EEPROM';
+    address -= AVR_EEPROM_ADDRESS_OFFSET;
+  } else if (address >= AVR_RAM_ADDRESS_OFFSET) {
+    space = 'RAM';
+    address -= AVR_RAM_ADDRESS_OFFSET;
+  }
+  const size = entry.size === null ? '' : `, ${entry.size} byte${entry.size === 1 ? '' : 's'}`;
+  return `${space} ${formatHex(address, 4)}${size}`;
+}
+
+// "Global variable in .data" for ELF symbols, with their source when known.
+function describeLinkedSymbol(entry) {
+  if (!entry.elf) {
+    return entry.section ? `In ${entry.section}` : '';
+  }
+  const kind = ELF_SYMBOL_KIND_NAMES[entry.elf.type];
+  const binding = entry.elf.binding.charAt(0).toUpperCase() + entry.elf.binding.slice(1);
+  const source = entry.source
+    ? `, defined at ${vscode.workspace.asRelativePath(vscode.Uri.file(entry.source.file))}:${entry.source.line}`
+    : '';
+  return `${binding} ${kind} in ${entry.section}${source}`;
+}
+
+// Where a linked symbol is best shown: its source, else its line in a
+// listing or map file.
+function getLinkedSymbolLocation(entry) {
+  if (entry.source) {
+    return makeLocation(vscode.Uri.file(entry.source.file), entry.source.line);
+  }
+  const listed = entry.locations[0];
+  return listed ? makeLocation(vscode.Uri.file(listed.file), listed.line + 1) : null;
+}
+
+// Go to definition from a listing: the nearest file:line marker written by
+// objdump -l above the cursor, or else the label of the enclosing symbol.
+async function provideListingDefinition(document, position, token) {
+  const lines = document.getText().split(/\r?\n/);
+  let symbol = '';
+  for (let i = position.line; i >= 0 && !symbol; i -= 1) {
+    const marker = /^(\S.*?):(\d+)(?: \(discriminator \d+\))?$/.exec(lines[i]);
+    if (marker) {
+      const folder = vscode.workspace.getWorkspaceFolder(document.uri);
+      const candidates = path.isAbsolute(marker[1])
+        ? [marker[1]]
+        : [path.dirname(document.uri.fsPath), folder ? folder.uri.fsPath : null]
+            .filter(Boolean)
+            .map((dir) => path.join(dir, marker[1]));
+      for (const candidate of candidates) {
+        if (await fileExists(candidate)) {
+          return makeLocation(vscode.Uri.file(candidate), Number(marker[2]));
+        }
+      }
+    }
+    const header = LISTING_SYMBOL_HEADER_REGEX.exec(lines[i]);
+    if (header) {
+      symbol = header[2];
+    }
+  }
+  if (!symbol) {
+    return null;
+  }
+  const candidates = await findWorkspaceDefinitions(document, symbol, token);
+  if (isCancelled(token) || candidates.length === 0) {
+    return null;
+  }
+  const locations = candidates.map(
+    (candidate) =>
+      new vscode.Location(candidate.uri, new vscode.Position(candidate.entry.line, candidate.entry.column))
+  );
+  return locations.length === 1 ? locations[0] : locations;
+}
+
+async function runRevealInBuildOutputCommand(symbol = null, scopeUri = null) {
+  let name = symbol;
+  const editor = vscode.window.activeTextEditor;
+  if (!name && editor && isAssemblyDocument(editor.document)) {
+    name = extractSymbolAtPosition(editor.document, editor.selection.active);
+  }
+  if (!name) {
+    vscode.window.showWarningMessage('AVR® ASM Navigator: place the cursor on a label to find it in the build output.');
+    return;
+  }
+  const scope = scopeUri ? getIndexScopeForUri(scopeUri) : getDefaultIndexScope();
+  const entries = (await getBuildOutputIndex(scope)).symbols.get(name) || [];
+  if (entries.length === 0) {
+    const dir = getBuildOutputDirectory(scope);
+    vscode.window.showWarningMessage(
+      `AVR® ASM Navigator: ${name} was not found in the .lss or .map files under ${dir || 'the build output directory (not set)'}.`
+    );
+    return;
+  }
+  // Symbols only known from the ELF open at their source line.
+  const entry = entries.find((candidate) => candidate.locations.length > 0 || candidate.source);
+  if (!entry) {
+    vscode.window.showWarningMessage(
+      `AVR® ASM Navigator: ${name} is linked at ${describeLinkedAddress(entries[0])}, but the ELF has no source line for it.`
+    );
+    return;
+  }
+  const location = entry.locations[0] || { file: entry.source.file, line: entry.source.line - 1 };
+  const document = await vscode.workspace.openTextDocument(vscode.Uri.file(location.file));
+  const position = new vscode.Position(location.line, 0);
+  await vscode.window.showTextDocument(document, {
+    preview: true,
+    selection: new vscode.Range(position, position)
+  });
+}
+
+async function provideHover(document, position, token) {
+  if (isCancelled(token)) {
+    return null;
+  }
+
+  const symbol = extractSymbolAtPosition(document, position);
+  if (!symbol) {
+    return null;
+  }
+  const instruction = getInstructionHoverInfo(symbol);
+
+  const localSymbols = getLocalSymbols(document);
+  const local = localSymbols.get(symbol);
+  const included = local ? null : (await getIncludedSymbols(document)).get(symbol) || null;
+
+  const scope = getIndexScopeForDocument(document);
+  const index = await getDfpIndex(scope);
+  if (isCancelled(token)) {
+    return null;
+  }
+  const hits = index.symbols.get(symbol) || [];
+  const linked = instruction ? [] : (await getBuildOutputIndex(scope)).symbols.get(symbol) || [];
+  if (isCancelled(token)) {
+    return null;
+  }
+
+  if (!instruction && !local && !included && hits.length === 0 && linked.length === 0) {
+    return null;
+  }
+
+  const md = new vscode.MarkdownString();
+  md.appendMarkdown(`**${safeMarkdown(symbol)}**`);
+
+  if (instruction) {
+    if (instruction.syntax) {
+      md.appendMarkdown(`\n\nInstruction syntax:`);
+      md.appendCodeblock(instruction.syntax, 'asm');
+    }
+    if (instruction.summary) {
+      md.appendMarkdown(`\n\n${safeMarkdown(instruction.summary)}`);
+    }
+    if (instruction.flags) {
+      md.appendMarkdown(`\n\nFlags: \`${safeMarkdown(instruction.flags)}\``);
+    }
+    const cycles = describeInstructionCycles(instruction, getCycleTiming(index));
+    if (cycles) {
+      md.appendMarkdown(`\n\nCycles: \`${safeMarkdown(cycles)}\``);
+    }
+    const unsupportedReason = getUnsupportedInstructionReason(
+      index.instructionSet,
+      instruction.mnemonic
+    );
+    if (unsupportedReason) {
+      md.appendMarkdown(
+        `\n\n**Not available on ${safeMarkdown(index.instructionSet.device)}** — ${safeMarkdown(unsupportedReason)}.`
+      );
+    }
+  }
+
+  if (local) {
+    md.appendMarkdown(
+      `\n\nLocal ${local.kind} in this file at line ${local.line + 1}.`
+    );
+    md.appendCodeblock(local.detail, 'asm');
+  }
+
+  if (included) {
+    const relPath = path.relative(path.dirname(document.uri.fsPath), included.file) || included.file;
+    md.appendMarkdown(
+      `\n\nIncluded ${included.kind} from \`${relPath}\` at line ${included.line + 1}.`
+    );
+    md.appendCodeblock(included.detail, 'asm');
+  }
+
+  for (const entry of linked) {
+    md.appendMarkdown(
+      `\n\nLinked at ${safeMarkdown(describeLinkedAddress(entry))} (\`${safeMarkdown(
+        vscode.workspace.asRelativePath(vscode.Uri.file(entry.file))
+      )}\`).`
+    );
+    if (entry.elf) {
+      md.appendMarkdown(` ${safeMarkdown(describeLinkedSymbol(entry))}.`);
+    }
+  }
+
+  const modelHit = hits.find((hit) => hit.atdf);
+  if (modelHit) {
+    appendAtdfHoverDetails(md, modelHit.atdf);
+  }
+
+  if (hits.length > 0) {
+    const max = Number(getConfig().get('maxHoverResults', 6));
+    md.appendMarkdown(
+      hits.every((hit) => hit.kind === 'define')
+        ? '\n\nBuild command-line defines:'
+        : `\n\n${safeMarkdown(index.device || 'AVR®')} pack matches:`
+    );
+    for (const hit of hits.slice(0, max)) {
+      const relPath =
+        hit.kind === 'define'
+          ? vscode.workspace.asRelativePath(vscode.Uri.file(hit.file))
+          : path.relative(index.root, hit.file) || hit.file;
+      md.appendMarkdown(
+        `\n- \`${safeMarkdown(relPath)}:${hit.line}\` (${hit.kind})`
+      );
+      // ATDF entries are rendered from the parsed model above.
+      if (!hit.atdf) {
+        md.appendCodeblock(trimLine(hit.text), 'c');
+      }
+    }
+    if (hits.length > max) {
+      md.appendMarkdown(`\n... ${hits.length - max} more match(es).`);
+    }
+  }
+
+  return new vscode.Hover(md);
+}
+
+function parseSymbolLinkage(lines) {
+  const linkage = new Map();
+  const commentState = { inBlockComment: false };
+  for (const line of lines) {
+    const match = SYMBOL_LINKAGE_REGEX.exec(maskAsmComments(line, commentState));
+    if (!match) {
+      continue;
+    }
+    const directive = match[1].toLowerCase() === 'globl' ? 'global' : match[1].toLowerCase();
+    for (const name of match[2].split(',')) {
+      const symbol = name.trim();
+      // .weak overrides .global; both override .extern.
+      if (symbol && !(linkage.get(symbol) === 'weak' && directive === 'global')) {
+        linkage.set(symbol, directive);
+      }
+    }
+  }
+  return linkage;
+}
+
+// Same workspace folder first, then .global over .weak over file-local
+// definitions, then the same directory as the requesting document.
+function rankWorkspaceDefinition(candidate, document, documentFolder) {
+  const candidateFolder = vscode.workspace.getWorkspaceFolder(candidate.uri);
+  const sameFolder =
+    !documentFolder ||
+    (candidateFolder && candidateFolder.uri.toString() === documentFolder.uri.toString());
+  const linkageRank = { global: 0, weak: 1 }[candidate.linkage];
+  const sameDirectory =
+    path.dirname(candidate.uri.fsPath || '') === path.dirname(document.uri.fsPath || '');
+  return [sameFolder ? 0 : 1, linkageRank === undefined ? 2 : linkageRank, sameDirectory ? 0 : 1];
+}
+
+async function findWorkspaceDefinitions(document, symbol, token) {
+  const files = await getWorkspaceIndexEntries();
+  const documentKey = document.uri.toString();
+
+  const candidates = [];
+  for (const file of files) {
+    if (isCancelled(token)) {
+      return [];
+    }
+    if (file.uri.toString() === documentKey || !file.symbols.has(symbol)) {
+      continue;
+    }
+    const entry = file.symbols.get(symbol);
+    const linkage = parseSymbolLinkage(file.text.split(/\r?\n/)).get(symbol) || null;
+    if (linkage !== 'extern') {
+      candidates.push({ uri: file.uri, entry, linkage });
+    }
+  }
+
+  // File-local labels are only a fallback when nothing exports the symbol.
+  const exported = candidates.filter(
+    (candidate) => candidate.linkage === 'global' || candidate.linkage === 'weak'
+  );
+  const documentFolder = vscode.workspace.getWorkspaceFolder(document.uri);
+  const ranked = (exported.length > 0 ? exported : candidates).map((candidate) => ({
+    candidate,
+    rank: rankWorkspaceDefinition(candidate, document, documentFolder)
+  }));
+  ranked.sort((a, b) => {
+    for (let i = 0; i < a.rank.length; i += 1) {
+      if (a.rank[i] !== b.rank[i]) {
+        return a.rank[i] - b.rank[i];
+      }
+    }
+    return a.candidate.uri.toString().localeCompare(b.candidate.uri.toString());
+  });
+  return ranked.map(({ candidate }) => candidate);
+}
+
+async function provideDefinition(document, position, token) {
+  if (isCancelled(token)) {
+    return null;
+  }
+  if (isBuildListingUri(document.uri)) {
+    return provideListingDefinition(document, position, token);
+  }
+
+  const symbol = extractSymbolAtPosition(document, position);
+  if (!symbol) {
+    return null;
+  }
+
+  const locations = [];
+  const local = getLocalSymbols(document).get(symbol);
+  const included = local ? null : (await getIncludedSymbols(document)).get(symbol) || null;
+  // A local .weak definition is overridden by a strong one elsewhere.
+  const localIsWeak =
+    Boolean(local) &&
+    parseSymbolLinkage(document.getText().split(/\r?\n/)).get(symbol) === 'weak';
+  if ((!local || localIsWeak) && !included && getConfig().get('enableWorkspaceDefinitions', true)) {
+    const candidates = await findWorkspaceDefinitions(document, symbol, token);
+    for (const candidate of candidates) {
+      if (localIsWeak && candidate.linkage !== 'global') {
+        continue;
+      }
+      locations.push(
+        new vscode.Location(
+          candidate.uri,
+          new vscode.Position(candidate.entry.line, candidate.entry.column)
+        )
+      );
+    }
+  }
+  if (local) {
+    locations.push(
+      new vscode.Location(document.uri, new vscode.Position(local.line, 0))
+    );
+  } else if (included) {
+    locations.push(
+      new vscode.Location(
+        vscode.Uri.file(included.file),
+        new vscode.Position(included.line, included.column)
+      )
+    );
+  }
+
+  const scope = getIndexScopeForDocument(document);
+  const index = await getDfpIndex(scope);
+  if (isCancelled(token)) {
+    return null;
+  }
+  const hits = index.symbols.get(symbol) || [];
+  for (const hit of hits.slice(0, 20)) {
+    locations.push(makeLocation(symbolFileUri(hit.file), hit.line));
+  }
+
+  if (locations.length === 0) {
+    return null;
+  }
+  if (locations.length === 1) {
+    return locations[0];
+  }
+  return locations;
+}
+
+function getOperandCompletionContext(document, position) {
+  const lines = document.getText().split(/\r?\n/);
+  const commentState = { inBlockComment: false };
+  for (let i = 0; i < position.line; i += 1) {
+    maskAsmComments(lines[i] || '', commentState);
+  }
+
+  const before = (lines[position.line] || '').slice(0, position.character);
+  const masked = maskAsmComments(before, commentState);
+  if (masked.trimEnd().length < before.trimEnd().length) {
+    return { inComment: true };
+  }
+
+  const statement = parseAsmStatement(masked);
+  if (!statement || position.character <= statement.mnemonicEnd) {
+    return null;
+  }
+  const operands = statement.operands;
+  return {
+    inComment: false,
+    lines,
+    mnemonic: statement.mnemonic.toLowerCase(),
+    operandIndex: Math.max(0, operands.length - 1),
+    operands
+  };
+}
+
+function getRegisterCompletionCandidates(kind, context) {
+  const instructionSet = context.instructionSet;
+  const minRegister = Math.max(kind.min, instructionSet ? instructionSet.minRegister : 0);
+  const accepts = (register) =>
+    register >= minRegister && register <= kind.max && (!kind.even || register % 2 === 0);
+  const candidates = [];
+
+  for (let register = minRegister; register <= kind.max; register += 1) {
+    if (accepts(register)) {
+      candidates.push({ label: `r${register}`, register, detail: 'AVR register' });
+    }
+  }
+  for (const [alias, register] of Object.entries(AVR_REGISTER_ALIASES)) {
+    if (accepts(register)) {
+      candidates.push({ label: alias, register, detail: `AVR register alias for r${register}` });
+    }
+  }
+  for (const name of context.constants.keys()) {
+    const register = resolveRegisterOperand(name, context);
+    if (register !== null && !/^r[0-9]+$/i.test(name) && accepts(register)) {
+      candidates.push({ label: name, register, detail: `register alias for r${register}` });
+    }
+  }
+  return candidates;
+}
+
+function getBitCompletionCandidates(kindId, previousOperand, context, index) {
+  const atdf = index ? index.atdf : null;
+  let register = null;
+  if (kindId === 'sregBit') {
+    register = atdf ? atdf.registers.find((entry) => entry.name === 'SREG') || null : null;
+  } else if (previousOperand) {
+    register = findAtdfRegisterOperand(previousOperand.text, context);
+  }
+
+  if (register && register.bitfields.length > 0) {
+    return register.bitfields.flatMap((bitfield) =>
+      listAtdfBitNames(atdf.prefixedNames, register.module, bitfield).map((bitName) => ({
+        label: bitName.name,
+        detail: `bit ${bitName.position} of ${register.symbol}${
+          bitfield.caption ? ` — ${bitfield.caption}` : ''
+        }`,
+        sortKey: String(7 - bitName.position)
+      }))
+    );
+  }
+
+  return Array.from({ length: 8 }, (_, bit) => ({
+    label: String(bit),
+    detail: kindId === 'sregBit' ? 'SREG bit number' : 'bit number',
+    sortKey: String(bit)
+  }));
+}
+
+function provideOperandCompletionItems(operandContext, prefix, index, token, maxItems) {
+  const results = [];
+  const seen = new Set();
+  const context = buildOperandContext(operandContext.lines, index);
+  const localEntries = [
+    ...parseLocalSymbolsFromLines(operandContext.lines).entries,
+    ...(operandContext.includedEntries || [])
+  ];
+  const atdf = index ? index.atdf : null;
+
+  const addItem = (label, itemKind, detail, sortText) => {
+    const key = completionSeenKey(label);
+    if (seen.has(key) || !startsWithIgnoreCase(label, prefix)) {
+      return false;
+    }
+    const item = new vscode.CompletionItem(label, itemKind);
+    item.detail = detail;
+    item.sortText = sortText;
+    results.push(item);
+    seen.add(key);
+    return results.length >= maxItems;
+  };
+  const addLocals = (kinds) => {
+    for (const entry of localEntries) {
+      if (!kinds.includes(entry.kind)) {
+        continue;
+      }
+      const itemKind =
+        entry.kind === 'label'
+          ? vscode.CompletionItemKind.Function
+          : vscode.CompletionItemKind.Variable;
+      const detail = entry.file
+        ? `${entry.kind} from ${path.basename(entry.file)}:${entry.line + 1}`
+        : `local ${entry.kind} (line ${entry.line + 1})`;
+      if (addItem(entry.symbol, itemKind, detail, `0_${entry.symbol}`)) {
+        return true;
+      }
+    }
+    return false;
+  };
+  const addDfpSymbols = (filter) => {
+    if (!index) {
+      return false;
+    }
+    for (const symbol of index.symbolList) {
+      if (isCancelled(token)) {
+        return true;
+      }
+      const first = (index.symbols.get(symbol) || [])[0];
+      if (!first || !filter(first)) {
+        continue;
+      }
+      const relPath = path.relative(index.root, first.file) || first.file;
+      const detail = `${first.kind} from ${relPath}:${first.line}`;
+      if (addItem(symbol, vscode.CompletionItemKind.Constant, detail, `3_${symbol}`)) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const forms = AVR_INSTRUCTION_OPERANDS[operandContext.mnemonic];
+  if (!forms) {
+    // Directives and macros: symbols only; macros may also take registers.
+    if (addLocals(['label', 'equ', 'set', 'macro'])) {
+      return results;
+    }
+    if (!operandContext.mnemonic.startsWith('.')) {
+      for (const registerName of AVR_REGISTER_NAMES) {
+        const sortText = `1_${registerName}`;
+        if (addItem(registerName, vscode.CompletionItemKind.Variable, 'AVR register', sortText)) {
+          return results;
+        }
+      }
+    }
+    addDfpSymbols(() => true);
+    return results;
+  }
+
+  const slotKinds = [
+    ...new Set(
+      forms
+        .filter((form) => form.length > operandContext.operandIndex)
+        .map((form) => form[operandContext.operandIndex])
+    )
+  ];
+  const previousOperand = operandContext.operands[operandContext.operandIndex - 1] || null;
+
+  for (const kindId of slotKinds) {
+    const kind = AVR_OPERAND_KINDS[kindId];
+    if (isCancelled(token)) {
+      return results;
+    }
+
+    if (kind.type === 'register') {
+      for (const candidate of getRegisterCompletionCandidates(kind, context)) {
+        if (
+          addItem(
+            candidate.label,
+            vscode.CompletionItemKind.Variable,
+            candidate.detail,
+            `1_${String(candidate.register).padStart(2, '0')}_${candidate.label}`
+          )
+        ) {
+          return results;
+        }
+      }
+    } else if (kind.type === 'pointer' || kind.type === 'displacement') {
+      const labels =
+        kind.type === 'pointer' ? kind.forms.map((form) => form.toUpperCase()) : ['Y+', 'Z+'];
+      for (const label of labels) {
+        if (addItem(label, vscode.CompletionItemKind.Variable, kind.description, `1_${label}`)) {
+          return results;
+        }
+      }
+    } else if (kind.type === 'target') {
+      if (addLocals(['label'])) {
+        return results;
+      }
+    } else if (kind.type === 'io') {
+      const registers = atdf
+        ? atdf.registers.filter(
+            (register) => register.ioAddress !== null && register.ioAddress <= kind.max
+          )
+        : [];
+      for (const register of registers) {
+        if (
+          addItem(
+            register.symbol,
+            vscode.CompletionItemKind.Variable,
+            `I/O ${formatHex(register.ioAddress)}${register.caption ? ` — ${register.caption}` : ''}`,
+            `2_${formatHex(register.ioAddress)}_${register.symbol}`
+          )
+        ) {
+          return results;
+        }
+      }
+      if (addLocals(['equ', 'set', 'macro'])) {
+        return results;
+      }
+    } else if (kind.type === 'address') {
+      if (addLocals(['label', 'equ', 'set', 'macro'])) {
+        return results;
+      }
+      for (const register of atdf ? atdf.registers : []) {
+        if (
+          addItem(
+            register.symbol,
+            vscode.CompletionItemKind.Variable,
+            `${formatHex(register.address, 4)}${register.caption ? ` — ${register.caption}` : ''}`,
+            `2_${register.symbol}`
+          )
+        ) {
+          return results;
+        }
+      }
+    } else if (kindId === 'bit' || kindId === 'sregBit') {
+      for (const candidate of getBitCompletionCandidates(kindId, previousOperand, context, index)) {
+        const sortText = `1_${candidate.sortKey}`;
+        if (addItem(candidate.label, vscode.CompletionItemKind.Constant, candidate.detail, sortText)) {
+          return results;
+        }
+      }
+    } else {
+      if (addLocals(['equ', 'set', 'macro'])) {
+        return results;
+      }
+      if (addDfpSymbols((entry) => entry.kind !== 'register' && entry.kind !== 'peripheral')) {
+        return results;
+      }
+    }
+  }
+
+  return results;
+}
+
+async function provideCompletionItems(document, position, token) {
+  if (isCancelled(token)) {
+    return [];
+  }
+
+  if (!getConfig().get('enableCompletion', true)) {
+    return [];
+  }
+
+  const wordRange = document.getWordRangeAtPosition(position, WORD_REGEX);
+  const prefix = wordRange ? document.getText(wordRange) : '';
+  const maxItems = Number(getConfig().get('maxCompletionItems', 200));
+  const results = [];
+  const seen = new Set();
+  const operandContext = getOperandCompletionContext(document, position);
+  if (operandContext && operandContext.inComment) {
+    return results;
+  }
+  const scope = getIndexScopeForDocument(document);
+  const index = await getDfpIndex(scope);
+  if (isCancelled(token)) {
+    return results;
+  }
+  const includedSymbols = await getIncludedSymbols(document);
+  if (isCancelled(token)) {
+    return results;
+  }
+  if (operandContext) {
+    operandContext.includedEntries = Array.from(includedSymbols.values());
+    return provideOperandCompletionItems(operandContext, prefix, index, token, maxItems);
+  }
+
+  const localSymbols = getLocalSymbols(document);
+  for (const [symbol, info] of localSymbols.entries()) {
+    if (isCancelled(token)) {
+      return results;
+    }
+    if (!startsWithIgnoreCase(symbol, prefix)) {
+      continue;
+    }
+    const item = new vscode.CompletionItem(
+      symbol,
+      vscode.CompletionItemKind.Variable
+    );
+    item.detail = `local ${info.kind} (line ${info.line + 1})`;
+    item.sortText = `0_${symbol}`;
+    results.push(item);
+    seen.add(completionSeenKey(symbol));
+    if (results.length >= maxItems) {
+      return results;
+    }
   }
 
-  match = /^\s*\.equ\s+([A-Za-z_.$][A-Za-z0-9_.$]*)\s*(?:=|,)\s*(.+)$/i.exec(line);
-  if (match) {
-    found.push({
-      symbol: match[1],
-      detail: trimLine(match[0]),
-      kind: 'equ'
-    });
+  for (const [symbol, info] of includedSymbols.entries()) {
+    if (isCancelled(token)) {
+      return results;
+    }
+    if (seen.has(completionSeenKey(symbol)) || !startsWithIgnoreCase(symbol, prefix)) {
+      continue;
+    }
+    const item = new vscode.CompletionItem(
+      symbol,
+      vscode.CompletionItemKind.Variable
+    );
+    item.detail = `${info.kind} from ${path.basename(info.file)}:${info.line + 1}`;
+    item.sortText = `0_${symbol}`;
+    results.push(item);
+    seen.add(completionSeenKey(symbol));
+    if (results.length >= maxItems) {
+      return results;
+    }
   }
 
-  match = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*\(([^)]*)\)\s*,?/.exec(line);
-  if (match) {
-    found.push({
-      symbol: match[1],
-      detail: trimLine(match[0]),
-      kind: 'enum'
-    });
+  for (const registerName of AVR_REGISTER_NAMES) {
+    if (isCancelled(token)) {
+      return results;
+    }
+    if (seen.has(completionSeenKey(registerName))) {
+      continue;
+    }
+    if (!startsWithIgnoreCase(registerName, prefix)) {
+      continue;
+    }
+
+    const item = new vscode.CompletionItem(
+      registerName,
+      vscode.CompletionItemKind.Variable
+    );
+    item.detail = 'AVR register';
+    item.sortText = `1_${registerName}`;
+    results.push(item);
+    seen.add(completionSeenKey(registerName));
+    if (results.length >= maxItems) {
+      return results;
+    }
   }
 
-  if (kind === 'atdf') {
-    // ATDF is verbose; keep only uppercase-ish names to reduce noise.
-    match = /\bname="([A-Za-z_][A-Za-z0-9_]*)"/.exec(line);
-    if (match) {
-      const candidate = match[1];
-      if (
-        /[A-Z]/.test(candidate) &&
-        (candidate.includes('_') || candidate === candidate.toUpperCase())
-      ) {
-        found.push({
-          symbol: candidate,
-          detail: trimLine(match[0]),
-          kind: 'atdf'
-        });
+  if (getConfig().get('enableInstructionCompletion', true)) {
+    for (const mnemonic of AVR_INSTRUCTION_MNEMONICS) {
+      if (isCancelled(token)) {
+        return results;
+      }
+      if (seen.has(completionSeenKey(mnemonic))) {
+        continue;
+      }
+      if (!startsWithIgnoreCase(mnemonic, prefix)) {
+        continue;
+      }
+      if (getUnsupportedInstructionReason(index.instructionSet, mnemonic)) {
+        continue;
+      }
+
+      const item = new vscode.CompletionItem(
+        mnemonic,
+        vscode.CompletionItemKind.Keyword
+      );
+      item.detail = 'AVR instruction';
+      item.insertText = AVR_NO_OPERAND_INSTRUCTIONS.has(mnemonic)
+        ? mnemonic
+        : `${mnemonic} `;
+      item.sortText = `2_${mnemonic}`;
+      results.push(item);
+      seen.add(completionSeenKey(mnemonic));
+      if (results.length >= maxItems) {
+        return results;
       }
     }
   }
 
-  return found;
+  if (isCancelled(token)) {
+    return results;
+  }
+  for (const symbol of index.symbolList) {
+    if (isCancelled(token)) {
+      return results;
+    }
+    if (seen.has(completionSeenKey(symbol))) {
+      continue;
+    }
+    if (!startsWithIgnoreCase(symbol, prefix)) {
+      continue;
+    }
+    const first = (index.symbols.get(symbol) || [])[0];
+    const item = new vscode.CompletionItem(
+      symbol,
+      vscode.CompletionItemKind.Constant
+    );
+    if (first) {
+      const relPath = path.relative(index.root, first.file) || first.file;
+      item.detail = `${first.kind} from ${relPath}:${first.line}`;
+    }
+    item.sortText = `3_${symbol}`;
+    results.push(item);
+    seen.add(completionSeenKey(symbol));
+    if (results.length >= maxItems) {
+      break;
+    }
+  }
+
+  return results;
 }
 
-async function buildDfpIndex(scope) {
-  const target = await resolveIndexFiles(scope);
-  const root = target.packRoot;
-  const symbols = new Map();
-  const symbolList = [];
-  const scannedFiles = [];
+// Replace comments with spaces so columns stay aligned with the source line.
+function maskAsmComments(lineText, state) {
+  let result = '';
+  let quote = '';
+  for (let i = 0; i < lineText.length; i += 1) {
+    const char = lineText[i];
+    const next = lineText[i + 1];
+    if (state.inBlockComment) {
+      if (char === '*' && next === '/') {
+        state.inBlockComment = false;
+        result += '  ';
+        i += 1;
+      } else {
+        result += ' ';
+      }
+      continue;
+    }
+    if (quote) {
+      result += char;
+      if (char === '\\' && i + 1 < lineText.length) {
+        result += next;
+        i += 1;
+      } else if (char === quote) {
+        quote = '';
+      }
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      quote = char;
+      result += char;
+      continue;
+    }
+    if (char === ';' || (char === '/' && next === '/')) {
+      result += ' '.repeat(lineText.length - i);
+      break;
+    }
+    if (char === '/' && next === '*') {
+      state.inBlockComment = true;
+      result += '  ';
+      i += 1;
+      continue;
+    }
+    result += char;
+  }
+  return result;
+}
 
-  for (const spec of target.files) {
-    const filePath = spec.filePath;
-    const text = await readTextIfExists(filePath);
-    if (!text) {
+function splitAsmOperands(text, baseColumn) {
+  const operands = [];
+  if (!text.trim()) {
+    return operands;
+  }
+
+  let depth = 0;
+  let quote = '';
+  let start = 0;
+  const pushOperand = (end) => {
+    const raw = text.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    operands.push({
+      text: trimmed,
+      start: baseColumn + start + leading,
+      end: baseColumn + start + leading + trimmed.length
+    });
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') {
+        i += 1;
+      } else if (char === quote) {
+        quote = '';
+      }
       continue;
     }
+    if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === ',' && depth === 0) {
+      pushOperand(i);
+      start = i + 1;
+    }
+  }
+  pushOperand(text.length);
+  return operands;
+}
+
+// Split a comment-masked line into label(s), mnemonic/directive and operands.
+function parseAsmStatement(codeText) {
+  let offset = 0;
+  let rest = codeText;
+  const labelRegex = /^\s*(?:[A-Za-z_.$][A-Za-z0-9_.$]*|\d+)\s*:(?!:)/;
+  let match = null;
+  while ((match = labelRegex.exec(rest)) !== null) {
+    offset += match[0].length;
+    rest = rest.slice(match[0].length);
+  }
+
+  if (/^\s*#/.test(rest)) {
+    return null;
+  }
+  const mnemonicMatch = /^(\s*)([A-Za-z_.$][A-Za-z0-9_.$]*)/.exec(rest);
+  if (!mnemonicMatch) {
+    return null;
+  }
+
+  const mnemonicStart = offset + mnemonicMatch[1].length;
+  const mnemonic = mnemonicMatch[2];
+  const mnemonicEnd = mnemonicStart + mnemonic.length;
+  return {
+    mnemonic,
+    mnemonicStart,
+    mnemonicEnd,
+    operands: splitAsmOperands(codeText.slice(mnemonicEnd), mnemonicEnd)
+  };
+}
+
+function tokenizeOperandExpression(text) {
+  const tokens = [];
+  const regex =
+    /\s*(0[xX][0-9A-Fa-f]+|\$[0-9A-Fa-f]+\b|0[bB][01]+|[0-9]+[fFbB]?\b|'(?:\\.|[^\\'])'?|[A-Za-z_.$][A-Za-z0-9_.$]*|<<|>>|[-+*/%&|^~!(),])/y;
+  let position = 0;
+  while (position < text.length) {
+    regex.lastIndex = position;
+    const match = regex.exec(text);
+    if (!match) {
+      return text.slice(position).trim() ? null : tokens;
+    }
+    tokens.push(match[1]);
+    position = regex.lastIndex;
+  }
+  return tokens;
+}
+
+function parseNumberToken(token) {
+  if (/^0x[0-9a-f]+$/i.test(token)) {
+    return parseInt(token.slice(2), 16);
+  }
+  if (/^\$[0-9a-f]+$/i.test(token)) {
+    return parseInt(token.slice(1), 16);
+  }
+  if (/^0b[01]+$/i.test(token)) {
+    return parseInt(token.slice(2), 2);
+  }
+  if (/^0[0-7]+$/.test(token)) {
+    return parseInt(token.slice(1), 8);
+  }
+  if (/^[0-9]+$/.test(token)) {
+    return Number(token);
+  }
+  if (/^'(?:\\.|[^\\'])'?$/.test(token)) {
+    const body = token.replace(/^'|'$/g, '');
+    return body.startsWith('\\') ? body.charCodeAt(1) : body.charCodeAt(0);
+  }
+  // Local label references such as 1f/1b are program addresses.
+  return null;
+}
+
+function atdfSymbolValue(symbol, descriptor) {
+  if (descriptor.kind === 'register') {
+    return descriptor.address;
+  }
+  if (descriptor.kind === 'bitfield') {
+    return /_(?:bm|gm)$/.test(symbol) ? descriptor.mask : descriptor.position;
+  }
+  if (descriptor.kind === 'value') {
+    return descriptor.value * 2 ** descriptor.shift;
+  }
+  if (descriptor.kind === 'peripheral') {
+    return descriptor.baseAddress;
+  }
+  if (descriptor.kind === 'interrupt') {
+    return descriptor.vector;
+  }
+  return null;
+}
+
+function findAtdfRegisterOperand(text, context) {
+  const descriptors = context.atdfSymbols.get(String(text || '').trim()) || [];
+  return descriptors.find((descriptor) => descriptor.kind === 'register') || null;
+}
+
+function lookupOperandConstant(name, context) {
+  if (context.constants.has(name)) {
+    return context.constants.get(name);
+  }
+  return context.constantsLower.get(name.toLowerCase());
+}
+
+function applyExpressionFunction(name, args, context, depth) {
+  const lower = name.toLowerCase();
+  if (args.length !== 1) {
+    return null;
+  }
+  if (lower === '_sfr_io_addr' || lower === '_sfr_mem_addr') {
+    const register = findAtdfRegisterOperand(args[0], context);
+    if (register) {
+      return lower === '_sfr_io_addr' ? register.ioAddress : register.address;
+    }
+    return null;
+  }
+
+  const value = evaluateOperandExpression(args[0], context, depth + 1);
+  if (value === null) {
+    return null;
+  }
+  switch (lower) {
+    case 'lo8':
+    case 'low':
+    case 'byte1':
+      return value & 0xff;
+    case 'hi8':
+    case 'high':
+    case 'byte2':
+      return (value >> 8) & 0xff;
+    case 'hlo8':
+    case 'hh8':
+    case 'byte3':
+      return (value >> 16) & 0xff;
+    case 'hhi8':
+    case 'byte4':
+      return (value >>> 24) & 0xff;
+    case '_bv':
+      return 2 ** value;
+    default:
+      return null;
+  }
+}
+
+function applyBinaryOperator(operator, left, right) {
+  if (left === null || right === null) {
+    return null;
+  }
+  switch (operator) {
+    case '|':
+      return left | right;
+    case '^':
+      return left ^ right;
+    case '&':
+      return left & right;
+    case '<<':
+      return left * 2 ** right;
+    case '>>':
+      return Math.floor(left / 2 ** right);
+    case '+':
+      return left + right;
+    case '-':
+      return left - right;
+    case '*':
+      return left * right;
+    case '/':
+      return right === 0 ? null : Math.trunc(left / right);
+    case '%':
+      return right === 0 ? null : left % right;
+    default:
+      return null;
+  }
+}
+
+// Evaluate a constant operand expression. Returns null when any part cannot
+// be resolved (labels, unknown symbols, unsupported syntax).
+function evaluateOperandExpression(text, context, depth = 0) {
+  if (depth > 16) {
+    return null;
+  }
+  const tokens = tokenizeOperandExpression(String(text || ''));
+  if (!tokens || tokens.length === 0) {
+    return null;
+  }
+
+  let position = 0;
+  const binaryLevels = [['|'], ['^'], ['&'], ['<<', '>>'], ['+', '-'], ['*', '/', '%']];
+  let parseLevel = null;
+
+  const parsePrimary = () => {
+    const token = tokens[position];
+    position += 1;
+    if (token === undefined) {
+      return null;
+    }
+    if (token === '(') {
+      const value = parseLevel(0);
+      if (tokens[position] !== ')') {
+        return null;
+      }
+      position += 1;
+      return value;
+    }
+    if (/^[A-Za-z_.$]/.test(token) && !/^\$[0-9a-f]+$/i.test(token)) {
+      if (tokens[position] === '(') {
+        const args = [];
+        let argStart = position + 1;
+        let nesting = 0;
+        for (position += 1; position < tokens.length; position += 1) {
+          if (tokens[position] === '(') {
+            nesting += 1;
+          } else if (tokens[position] === ')' && nesting > 0) {
+            nesting -= 1;
+          } else if ((tokens[position] === ')' || tokens[position] === ',') && nesting === 0) {
+            args.push(tokens.slice(argStart, position).join(' '));
+            argStart = position + 1;
+            if (tokens[position] === ')') {
+              break;
+            }
+          }
+        }
+        position += 1;
+        return applyExpressionFunction(token, args, context, depth);
+      }
+      return resolveOperandSymbolValue(token, context, depth);
+    }
+    return parseNumberToken(token);
+  };
+
+  const parseUnary = () => {
+    const token = tokens[position];
+    if (token === '-' || token === '+' || token === '~' || token === '!') {
+      position += 1;
+      const value = parseUnary();
+      if (value === null) {
+        return null;
+      }
+      if (token === '-') {
+        return -value;
+      }
+      if (token === '~') {
+        return ~value;
+      }
+      if (token === '!') {
+        return value ? 0 : 1;
+      }
+      return value;
+    }
+    return parsePrimary();
+  };
+
+  parseLevel = (level) => {
+    if (level >= binaryLevels.length) {
+      return parseUnary();
+    }
+    let left = parseLevel(level + 1);
+    while (binaryLevels[level].includes(tokens[position])) {
+      const operator = tokens[position];
+      position += 1;
+      left = applyBinaryOperator(operator, left, parseLevel(level + 1));
+    }
+    return left;
+  };
+
+  const value = parseLevel(0);
+  return position === tokens.length && Number.isFinite(value) ? value : null;
+}
+
+function resolveOperandSymbolValue(name, context, depth) {
+  const constant = lookupOperandConstant(name, context);
+  if (constant !== undefined) {
+    return evaluateOperandExpression(constant, context, depth + 1);
+  }
+  const descriptors = context.atdfSymbols.get(name);
+  if (descriptors && descriptors.length > 0) {
+    return atdfSymbolValue(name, descriptors[0]);
+  }
+  return null;
+}
+
+function resolveRegisterOperand(text, context, depth = 0) {
+  const lower = String(text || '').trim().toLowerCase();
+  const direct = /^r([0-9]{1,2})$/.exec(lower);
+  if (direct) {
+    const number = Number(direct[1]);
+    return number <= 31 ? number : null;
+  }
+  if (Object.prototype.hasOwnProperty.call(AVR_REGISTER_ALIASES, lower)) {
+    return AVR_REGISTER_ALIASES[lower];
+  }
+  const alias = lookupOperandConstant(String(text || '').trim(), context);
+  if (alias !== undefined && depth < 16) {
+    return resolveRegisterOperand(alias, context, depth + 1);
+  }
+  return null;
+}
 
-    scannedFiles.push(filePath);
-    const lines = text.split(/\r?\n/);
-    for (let i = 0; i < lines.length; i += 1) {
-      const line = lines[i];
-      const parsed = parseSymbolsFromLine(line, spec.kind);
-      for (const item of parsed) {
-        addSymbol(symbols, symbolList, item.symbol, {
-          file: filePath,
-          line: i + 1,
-          text: line,
-          kind: item.kind
-        });
+function buildOperandContext(lines, index = null) {
+  const constants = new Map();
+  const commentState = { inBlockComment: false };
+  const definitionRegexes = [
+    /^\s*\.(?:equ|set|def)\s+([A-Za-z_.$][A-Za-z0-9_.$]*)\s*(?:=|,)\s*(.+)$/i,
+    /^\s*#\s*define\s+([A-Za-z_][A-Za-z0-9_]*)[ \t]+(.+)$/,
+    /^\s*([A-Za-z_.$][A-Za-z0-9_.$]*)\s*=\s*(.+)$/
+  ];
+
+  for (const line of lines) {
+    const code = maskAsmComments(line, commentState);
+    for (const regex of definitionRegexes) {
+      const match = regex.exec(code);
+      if (match) {
+        constants.set(match[1], match[2].trim());
+        break;
       }
     }
   }
 
-  symbolList.sort((a, b) => a.localeCompare(b));
-  logInfo(
-    `Index built for ${scopeLabel(scope)}: device=${target.device || 'unknown'}, symbols=${symbolList.length}, files=${scannedFiles.length}`
-  );
+  const constantsLower = new Map();
+  for (const [name, value] of constants.entries()) {
+    constantsLower.set(name.toLowerCase(), value);
+  }
 
   return {
-    scopeKey: scope.key,
-    root,
-    device: target.device,
-    devLibName: target.devLibName,
-    detectedProjectFile: target.detectedProjectFile,
-    symbols,
-    symbolList,
-    scannedFiles,
-    builtAt: new Date()
+    constants,
+    constantsLower,
+    atdfSymbols: index && index.atdf ? index.atdf.symbols : new Map(),
+    instructionSet: index ? index.instructionSet || null : null
   };
 }
 
-async function getDfpIndex(scope = null, force = false) {
-  const resolvedScope = scope || getDefaultIndexScope();
-  const scopeKey = resolvedScope.key;
+function formatOperandValue(value) {
+  return value < 10 ? String(value) : `${value} (${formatHex(value)})`;
+}
 
-  if (force) {
-    clearIndexCache(resolvedScope);
+function checkRegisterOperand(kind, operand, context) {
+  let register = null;
+  const pair = /^(.+?)\s*:\s*(.+)$/.exec(operand.text);
+  if (pair && kind.even) {
+    const high = resolveRegisterOperand(pair[1], context);
+    const low = resolveRegisterOperand(pair[2], context);
+    if (high === null || low === null) {
+      return null;
+    }
+    if (high !== low + 1) {
+      return `register pair must be written as r(n+1):rn; found ${operand.text}`;
+    }
+    register = low;
+  } else {
+    register = resolveRegisterOperand(operand.text, context);
   }
 
-  if (cachedIndexByScope.has(scopeKey)) {
-    return cachedIndexByScope.get(scopeKey);
+  if (register === null) {
+    const value = evaluateOperandExpression(operand.text, context);
+    if (value === null) {
+      return null;
+    }
+    if (value < 0 || value > 31) {
+      return `must be a register (${kind.description}); found ${operand.text}`;
+    }
+    register = value;
   }
 
-  if (indexBuildPromiseByScope.has(scopeKey)) {
-    return indexBuildPromiseByScope.get(scopeKey);
+  if (register < kind.min || register > kind.max || (kind.even && register % 2 !== 0)) {
+    return `must be ${kind.description}; found r${register}`;
   }
-
-  const buildPromise = buildDfpIndex(resolvedScope)
-    .then((index) => {
-      cachedIndexByScope.set(scopeKey, index);
-      return index;
-    })
-    .catch((error) => {
-      logError(`Index build failed for ${scopeLabel(resolvedScope)}`, error);
-      throw error;
-    })
-    .finally(() => {
-      indexBuildPromiseByScope.delete(scopeKey);
-    });
-
-  indexBuildPromiseByScope.set(scopeKey, buildPromise);
-  return buildPromise;
+  const instructionSet = context.instructionSet;
+  if (instructionSet && register < instructionSet.minRegister) {
+    return `uses r${register}, which does not exist on ${instructionSet.device} (${instructionSet.core} has r${instructionSet.minRegister}..r31 only)`;
+  }
+  return null;
 }
 
-function parseLocalSymbolsFromLines(lines) {
-  const symbols = new Map();
-  const entries = [];
+function checkValueOperand(kind, operand, context) {
+  if (resolveRegisterOperand(operand.text, context) !== null) {
+    return `must be ${kind.description}; found register ${operand.text}`;
+  }
 
-  for (let i = 0; i < lines.length; i += 1) {
-    const line = lines[i];
-    let match = LOCAL_LABEL_REGEX.exec(line);
-    if (match) {
-      const symbol = match[1];
-      const column = Math.max(0, line.indexOf(symbol));
-      const entry = {
-        symbol,
-        kind: 'label',
-        line: i,
-        column,
-        detail: trimLine(line)
-      };
-      symbols.set(symbol, entry);
-      entries.push(entry);
-      continue;
+  let value = null;
+  if (kind.type === 'io') {
+    const register = findAtdfRegisterOperand(operand.text, context);
+    if (register) {
+      if (register.ioAddress === null) {
+        return `${register.symbol} (${formatHex(register.address, 4)}) is not in the I/O space; use lds/sts`;
+      }
+      value = register.ioAddress;
     }
+  }
+  if (value === null) {
+    value = evaluateOperandExpression(operand.text, context);
+  }
+  if (value === null) {
+    return null;
+  }
+  if (value < kind.min || value > kind.max) {
+    return `must be ${kind.description}; found ${formatOperandValue(value)}`;
+  }
+  return null;
+}
 
-    match = LOCAL_EQU_REGEX.exec(line);
-    if (match) {
-      const symbol = match[1];
-      const column = Math.max(0, line.indexOf(symbol));
-      const entry = {
-        symbol,
-        kind: 'equ',
-        line: i,
-        column,
-        detail: trimLine(line)
-      };
-      symbols.set(symbol, entry);
-      entries.push(entry);
-      continue;
+function checkInstructionOperand(kindId, operand, context) {
+  const kind = AVR_OPERAND_KINDS[kindId];
+  if (!kind) {
+    return null;
+  }
+  if (!operand.text) {
+    return `is missing (expected ${kind.description})`;
+  }
+
+  switch (kind.type) {
+    case 'register':
+      return checkRegisterOperand(kind, operand, context);
+    case 'immediate':
+    case 'io':
+    case 'address':
+      return checkValueOperand(kind, operand, context);
+    case 'target':
+      return resolveRegisterOperand(operand.text, context) !== null
+        ? `must be ${kind.description}; found register ${operand.text}`
+        : null;
+    case 'pointer': {
+      const normalized = operand.text.replace(/\s+/g, '').toLowerCase();
+      return kind.forms.includes(normalized)
+        ? null
+        : `must be ${kind.description}; found ${operand.text}`;
     }
-
-    match = LOCAL_SET_REGEX.exec(line);
-    if (match) {
-      const symbol = match[1];
-      const column = Math.max(0, line.indexOf(symbol));
-      const entry = {
-        symbol,
-        kind: 'set',
-        line: i,
-        column,
-        detail: trimLine(line)
-      };
-      symbols.set(symbol, entry);
-      entries.push(entry);
+    case 'displacement': {
+      const match = /^([yz])\s*\+\s*(.+)$/i.exec(operand.text);
+      if (!match) {
+        return `must be ${kind.description}; found ${operand.text}`;
+      }
+      const value = evaluateOperandExpression(match[2], context);
+      if (value !== null && (value < kind.min || value > kind.max)) {
+        return `displacement must be in ${kind.min}..${kind.max}; found ${value}`;
+      }
+      return null;
     }
+    default:
+      return null;
   }
-
-  return { symbols, entries };
 }
 
-function getLocalSymbolData(document) {
-  const key = document.uri.toString();
-  const cached = localSymbolCache.get(key);
-  if (cached && cached.version === document.version) {
-    return cached;
+function validateInstructionStatement(statement, context) {
+  const mnemonic = statement.mnemonic.toLowerCase();
+  const forms = AVR_INSTRUCTION_OPERANDS[mnemonic];
+  if (!forms) {
+    return [];
+  }
+  const unsupportedReason = getUnsupportedInstructionReason(context.instructionSet, mnemonic);
+  if (unsupportedReason) {
+    return [
+      {
+        start: statement.mnemonicStart,
+        end: statement.mnemonicEnd,
+        code: 'unsupported-instruction',
+        message: `${mnemonic} is not available on ${context.instructionSet.device} (${unsupportedReason}).`
+      }
+    ];
+  }
+  // Macro parameters (\arg, @0) cannot be checked before expansion.
+  if (statement.operands.some((operand) => /[\\@]/.test(operand.text))) {
+    return [];
   }
 
-  const parsed = parseLocalSymbolsFromLines(document.getText().split(/\r?\n/));
-  const value = {
-    version: document.version,
-    symbols: parsed.symbols,
-    entries: parsed.entries
-  };
-
-  localSymbolCache.set(key, value);
-  return value;
+  const operandCount = statement.operands.length;
+  const candidates = forms.filter((form) => form.length === operandCount);
+  if (candidates.length === 0) {
+    const expected = [...new Set(forms.map((form) => form.length))].join(' or ');
+    const info = AVR_INSTRUCTION_INFO[mnemonic];
+    const last = statement.operands[operandCount - 1];
+    return [
+      {
+        start: statement.mnemonicStart,
+        end: last ? last.end : statement.mnemonicEnd,
+        code: 'operand-count',
+        message: `${mnemonic} expects ${expected} operand(s)${
+          info ? ` (${info.syntax})` : ''
+        }; found ${operandCount}.`
+      }
+    ];
+  }
+
+  let best = null;
+  for (const form of candidates) {
+    const problems = [];
+    form.forEach((kindId, operandIndex) => {
+      const operand = statement.operands[operandIndex];
+      const message = checkInstructionOperand(kindId, operand, context);
+      if (message) {
+        problems.push({
+          start: operand.start,
+          end: Math.max(operand.end, operand.start + 1),
+          code: 'operand',
+          message: `${mnemonic} operand ${operandIndex + 1} ${message}.`
+        });
+      }
+    });
+    if (problems.length === 0) {
+      return [];
+    }
+    if (!best || problems.length < best.length) {
+      best = problems;
+    }
+  }
+  return best;
 }
 
-function getLocalSymbols(document) {
-  return getLocalSymbolData(document).symbols;
+// Walk a document and yield instruction statements outside macro bodies.
+function forEachAsmStatement(lines, callback) {
+  const commentState = { inBlockComment: false };
+  let macroDepth = 0;
+  for (let i = 0; i < lines.length; i += 1) {
+    const statement = parseAsmStatement(maskAsmComments(lines[i], commentState));
+    if (!statement) {
+      continue;
+    }
+    const lower = statement.mnemonic.toLowerCase();
+    if (lower === '.macro') {
+      macroDepth += 1;
+      continue;
+    }
+    if (lower === '.endm' || lower === '.endmacro') {
+      macroDepth = Math.max(0, macroDepth - 1);
+      continue;
+    }
+    if (macroDepth > 0) {
+      continue;
+    }
+    callback(statement, i);
+  }
 }
 
-function getLocalSymbolEntries(document) {
-  return getLocalSymbolData(document).entries;
+function collectOperandProblems(lines, context) {
+  const problems = [];
+  forEachAsmStatement(lines, (statement, line) => {
+    for (const problem of validateInstructionStatement(statement, context)) {
+      problems.push({ line, ...problem });
+    }
+  });
+  return problems;
 }
 
-function makeLocation(uri, lineNumber1Based) {
-  const position = new vscode.Position(Math.max(0, lineNumber1Based - 1), 0);
-  return new vscode.Location(uri, position);
+function getDiagnosticCollection() {
+  if (!diagnosticCollection) {
+    diagnosticCollection = vscode.languages.createDiagnosticCollection('avr-asm');
+  }
+  return diagnosticCollection;
 }
 
-function getInstructionHoverInfo(symbol) {
-  const mnemonic = String(symbol || '').toLowerCase();
-  if (!mnemonic) {
-    return null;
-  }
+function problemToDiagnostic(problem) {
+  const diagnostic = new vscode.Diagnostic(
+    new vscode.Range(
+      new vscode.Position(problem.line, problem.start),
+      new vscode.Position(problem.line, problem.end)
+    ),
+    problem.message,
+    problem.severity === 'warning'
+      ? vscode.DiagnosticSeverity.Warning
+      : vscode.DiagnosticSeverity.Error
+  );
+  diagnostic.source = DIAGNOSTIC_SOURCE;
+  diagnostic.code = problem.code;
+  return diagnostic;
+}
 
-  const direct = AVR_INSTRUCTION_INFO[mnemonic] || null;
-  if (direct) {
-    return { mnemonic, ...direct };
+async function updateDocumentDiagnostics(document) {
+  const collection = getDiagnosticCollection();
+  if (
+    !document ||
+    document.isClosed ||
+    !isAssemblyDocument(document) ||
+    !getConfig().get('enableDiagnostics', true)
+  ) {
+    if (document) {
+      collection.delete(document.uri);
+    }
+    return;
   }
 
-  const branch = AVR_BRANCH_CONDITIONS[mnemonic] || null;
-  if (branch) {
-    return {
-      mnemonic,
-      syntax: mnemonic === 'brbc' || mnemonic === 'brbs' ? `${mnemonic} s, k` : `${mnemonic} k`,
-      summary: branch,
-      cycles: '1 if not taken, 2 if taken'
-    };
+  let index = null;
+  try {
+    index = await getDfpIndex(getIndexScopeForDocument(document));
+  } catch {
+    index = null;
   }
-
-  if (AVR_INSTRUCTION_MNEMONICS.includes(mnemonic)) {
-    return {
-      mnemonic,
-      syntax: AVR_NO_OPERAND_INSTRUCTIONS.has(mnemonic)
-        ? mnemonic
-        : `${mnemonic} ...`,
-      summary: 'AVR instruction mnemonic.'
-    };
+  if (document.isClosed) {
+    return;
   }
 
-  return null;
+  const lines = document.getText().split(/\r?\n/);
+  const context = buildOperandContext(lines, index);
+  const problems = [
+    ...collectOperandProblems(lines, context),
+    ...collectBranchRangeProblems(lines, context, getCycleTiming(index))
+  ];
+  collection.set(document.uri, problems.map(problemToDiagnostic));
 }
 
-function isUriInWorkspaceFolder(uri, workspaceFolder) {
-  if (!workspaceFolder) {
-    return true;
+function scheduleDocumentDiagnostics(document) {
+  if (!document || !isAssemblyDocument(document)) {
+    return;
   }
-  const containingFolder = vscode.workspace.getWorkspaceFolder(uri);
-  return Boolean(
-    containingFolder &&
-      containingFolder.uri.toString() === workspaceFolder.uri.toString()
+  const key = document.uri.toString();
+  clearTimeout(diagnosticTimers.get(key));
+  diagnosticTimers.set(
+    key,
+    setTimeout(() => {
+      diagnosticTimers.delete(key);
+      updateDocumentDiagnostics(document).catch((error) => {
+        logError(`Diagnostics failed for ${document.uri.fsPath || key}`, error);
+      });
+    }, DIAGNOSTIC_DEBOUNCE_MS)
   );
 }
 
-function getOpenAssemblyDocumentMap(workspaceFolder = null) {
-  const map = new Map();
+function refreshOpenDocumentDiagnostics() {
   for (const document of vscode.workspace.textDocuments) {
-    if (!isAssemblyDocument(document)) {
-      continue;
-    }
-    if (!isUriInWorkspaceFolder(document.uri, workspaceFolder)) {
-      continue;
+    if (isAssemblyDocument(document)) {
+      scheduleDocumentDiagnostics(document);
     }
-    map.set(document.uri.toString(), document);
   }
-  return map;
 }
 
-async function getWorkspaceAssemblyFiles(maxFiles, workspaceFolder = null) {
-  const includePattern = workspaceFolder
-    ? new vscode.RelativePattern(workspaceFolder.uri, WORKSPACE_ASM_GLOB)
-    : WORKSPACE_ASM_GLOB;
-  const uris = await vscode.workspace.findFiles(
-    includePattern,
-    WORKSPACE_EXCLUDE_GLOB,
-    maxFiles
-  );
-  return uris.filter((uri) => isAssemblyUri(uri));
+function getCycleTiming(index) {
+  const instructionSet = index ? index.instructionSet : null;
+  const core = instructionSet ? instructionSet.core : '';
+  return {
+    core: core || DEFAULT_CYCLE_CORE,
+    assumed: !core,
+    longPc: Boolean(instructionSet && instructionSet.flashSize > 0x20000)
+  };
 }
 
-async function getTextForUri(uri, openDocumentMap) {
-  const openDocument = openDocumentMap.get(uri.toString());
-  if (openDocument) {
-    return openDocument.getText();
+function getInstructionCycles(mnemonic, timing) {
+  if (AVR_UNTIMED_INSTRUCTIONS.has(mnemonic)) {
+    return null;
   }
-
-  const text = await readTextUriIfExists(uri);
-  return text || '';
+  const coreCycles = AVR_CORE_CYCLES[timing.core] || {};
+  const value = coreCycles[mnemonic] !== undefined ? coreCycles[mnemonic] : AVR_BASE_CYCLES[mnemonic] || 1;
+  const [min, max] = Array.isArray(value) ? value : [value, value];
+  const extra = timing.longPc && timing.core !== 'AVRrc' && AVR_LONG_PC_EXTRA_CYCLE_INSTRUCTIONS.has(mnemonic) ? 1 : 0;
+  return { min: min + extra, max: max + extra };
 }
 
-function findSymbolMatchesInText(text, symbol) {
-  if (!text || !symbol) {
-    return [];
+function getInstructionWords(mnemonic, timing) {
+  // AVRrc encodes LDS/STS in a single 16-bit word.
+  if (timing.core === 'AVRrc' && (mnemonic === 'lds' || mnemonic === 'sts')) {
+    return 1;
   }
+  return AVR_TWO_WORD_INSTRUCTIONS.has(mnemonic) ? 2 : 1;
+}
 
-  const escaped = escapeRegex(symbol);
-  const boundary = `[^${IDENTIFIER_CHAR_CLASS}]`;
-  const regex = new RegExp(`(^|${boundary})(${escaped})(?![${IDENTIFIER_CHAR_CLASS}])`, 'g');
-  const matches = [];
-  const lines = text.split(/\r?\n/);
-
+// Instruction and directive statements with the labels that precede them,
+// outside macro bodies. Label-only lines attach to the next statement.
+function collectCodeStatements(lines) {
+  const statements = [];
+  const commentState = { inBlockComment: false };
+  const labelRegex = /^\s*([A-Za-z_.$][A-Za-z0-9_.$]*)\s*:(?!:)/;
+  let macroDepth = 0;
+  let pendingLabels = [];
   for (let i = 0; i < lines.length; i += 1) {
-    const lineText = lines[i];
-    regex.lastIndex = 0;
+    const code = maskAsmComments(lines[i], commentState);
+    const statement = parseAsmStatement(code);
+    const lower = statement ? statement.mnemonic.toLowerCase() : '';
+    if (lower === '.macro') {
+      macroDepth += 1;
+      continue;
+    }
+    if (lower === '.endm' || lower === '.endmacro') {
+      macroDepth = Math.max(0, macroDepth - 1);
+      continue;
+    }
+    if (macroDepth > 0) {
+      continue;
+    }
 
+    let rest = code;
     let match = null;
-    while ((match = regex.exec(lineText)) !== null) {
-      const leadingLength = match[1] ? match[1].length : 0;
-      const column = match.index + leadingLength;
-      matches.push({
-        line: i,
-        column,
-        lineText
-      });
+    while ((match = labelRegex.exec(rest)) !== null) {
+      pendingLabels.push({ name: match[1], line: i });
+      rest = rest.slice(match[0].length);
+    }
+    if (!statement) {
+      continue;
     }
+    statements.push({
+      line: i,
+      mnemonic: lower,
+      mnemonicStart: statement.mnemonicStart,
+      operands: statement.operands,
+      labels: pendingLabels,
+      isDirective: lower.startsWith('.')
+    });
+    pendingLabels = [];
   }
-
-  return matches;
+  return statements;
 }
 
-function isDefinitionOccurrence(lineText, symbol, column) {
-  const checks = [LOCAL_LABEL_REGEX, LOCAL_EQU_REGEX, LOCAL_SET_REGEX];
-  for (const regex of checks) {
-    const match = regex.exec(lineText);
-    if (!match || match[1] !== symbol) {
+// Instructions only; labels on directive lines move to the next instruction.
+function collectCycleStatements(lines) {
+  const statements = [];
+  let carried = [];
+  for (const statement of collectCodeStatements(lines)) {
+    if (statement.isDirective) {
+      carried = carried.concat(statement.labels);
       continue;
     }
-    const symbolColumn = lineText.indexOf(match[1]);
-    if (symbolColumn === column) {
-      return true;
-    }
+    statements.push({ ...statement, labels: carried.concat(statement.labels) });
+    carried = [];
   }
-  return false;
+  return statements;
 }
 
-async function provideDocumentSymbols(document) {
-  const entries = getLocalSymbolEntries(document);
-  if (!entries.length) {
-    return [];
+// Byte length of a quoted string operand, escapes counting as one byte.
+function getStringOperandBytes(text) {
+  const match = /^"((?:\\.|[^"\\])*)"$/.exec(text);
+  if (!match) {
+    return null;
   }
+  return match[1].replace(/\\(?:x[0-9A-Fa-f]{1,2}|[0-7]{1,3}|.)/g, '_').length;
+}
 
-  return entries.map((entry) => {
-    const lineRange = document.lineAt(entry.line).range;
-    const selectionRange = makeSymbolRange(entry.line, entry.column, entry.symbol);
-    return new vscode.DocumentSymbol(
-      entry.symbol,
-      `${entry.kind} (line ${entry.line + 1})`,
-      localKindToSymbolKind(entry.kind),
-      lineRange,
-      selectionRange
-    );
-  });
+// Whether the following statements assemble into flash, or null when the
+// directive does not switch sections.
+function getSectionFlashState(statement) {
+  switch (statement.mnemonic) {
+    case '.cseg':
+    case '.text':
+      return true;
+    case '.dseg':
+    case '.eseg':
+    case '.data':
+    case '.bss':
+      return false;
+    case '.section':
+      return statement.operands.length > 0 && AVR_FLASH_SECTION_REGEX.test(statement.operands[0].text);
+    default:
+      return null;
+  }
 }
 
-async function provideWorkspaceSymbols(query, token) {
-  if (isCancelled(token)) {
-    return [];
+// Flash bytes one statement emits, or null when that cannot be worked out
+// without assembling (macro calls, unresolved .space counts).
+function getStatementBytes(statement, timing, getContext) {
+  const mnemonic = statement.mnemonic;
+  if (!statement.isDirective) {
+    return AVR_INSTRUCTION_MNEMONICS.includes(mnemonic) ? getInstructionWords(mnemonic, timing) * 2 : null;
+  }
+  if (AVR_DATA_DIRECTIVE_BYTES[mnemonic]) {
+    const unit = AVR_DATA_DIRECTIVE_BYTES[mnemonic];
+    let bytes = 0;
+    for (const operand of statement.operands) {
+      const stringBytes = unit === 1 ? getStringOperandBytes(operand.text) : null;
+      bytes += stringBytes === null ? unit : stringBytes;
+    }
+    // AVRASM pads every .db line to a whole word.
+    return mnemonic === '.db' ? bytes + (bytes % 2) : bytes;
+  }
+  if (mnemonic === '.ascii' || mnemonic === '.asciz' || mnemonic === '.string') {
+    const terminator = mnemonic === '.ascii' ? 0 : 1;
+    let bytes = 0;
+    for (const operand of statement.operands) {
+      const stringBytes = getStringOperandBytes(operand.text);
+      if (stringBytes === null) {
+        return null;
+      }
+      bytes += stringBytes + terminator;
+    }
+    return bytes;
   }
+  if (mnemonic === '.space' || mnemonic === '.skip') {
+    const count = statement.operands.length > 0
+      ? evaluateOperandExpression(statement.operands[0].text, getContext())
+      : null;
+    return count === null || count < 0 ? null : count;
+  }
+  return 0;
+}
 
-  const normalized = (query || '').trim().toLowerCase();
-  if (!normalized) {
-    return [];
+// Flash size from every label to the next global label. Files that export
+// symbols with .global/.globl use those as boundaries; otherwise every label
+// except assembler-local .L names is one, as AVRASM has no local labels.
+function measureCodeSizes(lines, timing) {
+  const statements = collectCodeStatements(lines);
+  const exported = new Set();
+  for (const statement of statements) {
+    if (statement.mnemonic === '.global' || statement.mnemonic === '.globl') {
+      statement.operands.forEach((operand) => exported.add(operand.text));
+    }
   }
+  const isGlobal = exported.size > 0 ? (name) => exported.has(name) : (name) => !name.startsWith('.L');
 
-  const maxFiles = clampConfigNumber(
-    'maxWorkspaceScanFiles',
-    DEFAULT_MAX_WORKSPACE_SCAN_FILES,
-    20,
-    10000
-  );
-  const maxSymbols = clampConfigNumber(
-    'maxWorkspaceSymbols',
-    DEFAULT_MAX_WORKSPACE_SYMBOLS,
-    20,
-    20000
-  );
+  let context = null;
+  const getContext = () => context || (context = buildOperandContext(lines));
+  const offsets = [0];
+  const labels = [];
+  let inFlash = true;
+  statements.forEach((statement, position) => {
+    if (inFlash) {
+      statement.labels.forEach((label) => labels.push({ ...label, position, global: isGlobal(label.name) }));
+    }
+    const flashState = statement.isDirective ? getSectionFlashState(statement) : null;
+    let bytes = 0;
+    if (flashState !== null) {
+      inFlash = flashState;
+    } else if (inFlash) {
+      bytes = getStatementBytes(statement, timing, getContext);
+      if (bytes === null) {
+        statement.unsized = true;
+        bytes = 0;
+      }
+    }
+    offsets.push(offsets[position] + bytes);
+  });
 
-  const openDocs = getOpenAssemblyDocumentMap();
-  const files = await getWorkspaceAssemblyFiles(maxFiles);
-  const uriMap = new Map();
+  return {
+    totalBytes: offsets[statements.length],
+    labels: labels.map((label, k) => {
+      const next = labels.slice(k + 1).find((entry) => entry.global);
+      const end = next ? next.position : statements.length;
+      const region = statements.slice(label.position, end);
+      return {
+        name: label.name,
+        line: label.line,
+        global: label.global,
+        bytes: offsets[end] - offsets[label.position],
+        unsized: region.filter((statement) => statement.unsized)
+      };
+    })
+  };
+}
 
-  for (const uri of files) {
-    uriMap.set(uri.toString(), uri);
-  }
-  for (const document of openDocs.values()) {
-    uriMap.set(document.uri.toString(), document.uri);
+function describeCodeSize(size) {
+  const words = Math.ceil(size.bytes / 2);
+  const notes = [`${size.bytes} byte${size.bytes === 1 ? '' : 's'}`];
+  if (size.unsized && size.unsized.length > 0) {
+    notes.push(`${size.unsized.length} not sized`);
   }
+  return `${words} word${words === 1 ? '' : 's'} (${notes.join(', ')})`;
+}
 
-  const results = [];
-  const seen = new Set();
-  const addSymbol = (symbolInfo, dedupeKey) => {
-    if (seen.has(dedupeKey)) {
-      return false;
+// Byte offsets of flash statements and labels within their section, as far
+// as they can be known without assembling. A statement of unknown size or an
+// unresolved .org starts a new span; offsets are only comparable within one.
+function estimateCodeAddresses(lines, timing) {
+  const statements = collectCodeStatements(lines);
+  const gnu = statements.some((statement) =>
+    ['.section', '.text', '.global', '.globl'].includes(statement.mnemonic)
+  );
+  let context = null;
+  const getContext = () => context || (context = buildOperandContext(lines));
+  const sections = new Map();
+  let spanCount = 0;
+  const enterSection = (name) => {
+    if (!sections.has(name)) {
+      sections.set(name, { name, span: name, offset: 0 });
     }
-    seen.add(dedupeKey);
-    results.push(symbolInfo);
-    return results.length >= maxSymbols;
+    return sections.get(name);
+  };
+  const startSpan = (section) => {
+    spanCount += 1;
+    section.span = `${section.name}#${spanCount}`;
+    section.offset = 0;
   };
 
-  for (const uri of uriMap.values()) {
-    if (isCancelled(token)) {
-      return results;
+  let section = enterSection(gnu ? '.text' : '.cseg');
+  const labels = new Map();
+  const placed = [];
+  for (const statement of statements) {
+    if (section) {
+      for (const label of statement.labels) {
+        // A label defined twice (conditional assembly) has no single address.
+        const address = { line: label.line, span: section.span, offset: section.offset };
+        labels.set(label.name, labels.has(label.name) ? null : address);
+      }
     }
-    const text = await getTextForUri(uri, openDocs);
-    if (!text) {
+    const flashState = statement.isDirective ? getSectionFlashState(statement) : null;
+    if (flashState !== null) {
+      section = flashState
+        ? enterSection(statement.mnemonic === '.section' ? statement.operands[0].text : statement.mnemonic)
+        : null;
       continue;
     }
-
-    const parsed = parseLocalSymbolsFromLines(text.split(/\r?\n/));
-    for (const entry of parsed.entries) {
-      if (isCancelled(token)) {
-        return results;
-      }
-      if (!entry.symbol.toLowerCase().includes(normalized)) {
-        continue;
-      }
-
-      const location = new vscode.Location(
-        uri,
-        makeSymbolRange(entry.line, entry.column, entry.symbol)
-      );
-
-      const symbolInfo = new vscode.SymbolInformation(
-        entry.symbol,
-        localKindToSymbolKind(entry.kind),
-        `${entry.kind} local symbol`,
-        location
-      );
-
-      const dedupeKey = `${uri.toString()}:${entry.line}:${entry.column}:${entry.symbol}`;
-      if (addSymbol(symbolInfo, dedupeKey)) {
-        return results;
+    if (!section) {
+      continue;
+    }
+    if (statement.mnemonic === '.org') {
+      const value = statement.operands.length > 0
+        ? evaluateOperandExpression(statement.operands[0].text, getContext())
+        : null;
+      if (value === null) {
+        startSpan(section);
+      } else {
+        // AVRASM counts code-segment origins in words, GNU as in bytes.
+        section.span = section.name;
+        section.offset = gnu ? value : value * 2;
       }
+      continue;
+    }
+    const bytes = getStatementBytes(statement, timing, getContext);
+    placed.push({ statement, span: section.span, offset: section.offset });
+    if (bytes === null) {
+      startSpan(section);
+    } else {
+      section.offset += bytes;
     }
   }
+  return { gnu, labels, statements: placed };
+}
 
-  if (getConfig().get('includeDfpInWorkspaceSymbols', true)) {
-    for (const scope of getAllWorkspaceIndexScopes()) {
-      if (isCancelled(token)) {
-        return results;
+// Branches and relative calls whose label in the same file is estimated to
+// be out of reach. These are warnings: the addresses are estimates, and the
+// assembler or linker has the final say.
+function collectBranchRangeProblems(lines, context, timing) {
+  const layout = estimateCodeAddresses(lines, timing);
+  const canUse = (mnemonic) =>
+    Boolean(context.instructionSet) && !getUnsupportedInstructionReason(context.instructionSet, mnemonic);
+  const problems = [];
+  for (const entry of layout.statements) {
+    const statement = entry.statement;
+    const mnemonic = statement.mnemonic;
+    const conditional = Boolean(AVR_BRANCH_CONDITIONS[mnemonic]);
+    if (!conditional && mnemonic !== 'rjmp' && mnemonic !== 'rcall') {
+      continue;
+    }
+    const name = getBranchTarget(statement);
+    const target = name ? layout.labels.get(name) : null;
+    if (!target || target.span !== entry.span) {
+      continue;
+    }
+    const reach = conditional ? AVR_CONDITIONAL_BRANCH_REACH : AVR_RELATIVE_JUMP_REACH;
+    const distance = (target.offset - entry.offset - 2) / 2;
+    if (distance >= -reach && distance < reach) {
+      continue;
+    }
+
+    const last = statement.operands[statement.operands.length - 1];
+    const problem = {
+      line: statement.line,
+      start: statement.mnemonicStart,
+      end: last.end,
+      severity: 'warning',
+      code: 'branch-range',
+      message: `${mnemonic} cannot reach ${name}: it is about ${Math.abs(distance)} words ${
+        distance < 0 ? 'back' : 'ahead'
+      }, and ${mnemonic} reaches -${reach}..+${reach - 1} words.`
+    };
+    if (conditional) {
+      // The inserted jump sits one word further on and pushes a forward
+      // target one word away.
+      const jumpDistance = distance < 0 ? distance - 1 : distance;
+      let jump = '';
+      if (jumpDistance >= -AVR_RELATIVE_JUMP_REACH && jumpDistance < AVR_RELATIVE_JUMP_REACH) {
+        jump = 'rjmp';
+      } else if (canUse('jmp')) {
+        jump = 'jmp';
       }
-      let index = null;
-      try {
-        index = await getDfpIndex(scope);
-      } catch {
-        continue;
+      if (jump) {
+        const skip = jump === 'jmp' ? (layout.gnu ? '.+4' : 'PC+3') : layout.gnu ? '.+2' : 'PC+2';
+        const condition = statement.operands.length > 1 ? `${statement.operands[0].text}, ` : '';
+        const prefix = lines[statement.line].slice(0, statement.mnemonicStart);
+        const indent = prefix.replace(/[^\t]/g, ' ');
+        problem.fix = {
+          title: `Invert to ${AVR_INVERTED_BRANCHES[mnemonic]} over ${jump} ${name}`,
+          text: `${AVR_INVERTED_BRANCHES[mnemonic]} ${condition}${skip}\n${indent}${jump} ${name}`
+        };
       }
-
-      for (const symbol of index.symbolList) {
-        if (isCancelled(token)) {
-          return results;
-        }
-        if (!symbol.toLowerCase().includes(normalized)) {
-          continue;
-        }
-        const first = (index.symbols.get(symbol) || [])[0];
-        if (!first) {
-          continue;
-        }
-
-        const uri = vscode.Uri.file(first.file);
-        const column = Math.max(0, (first.text || '').indexOf(symbol));
-        const location = new vscode.Location(
-          uri,
-          makeSymbolRange(Math.max(0, first.line - 1), column, symbol)
-        );
-        const symbolInfo = new vscode.SymbolInformation(
-          symbol,
-          vscode.SymbolKind.Constant,
-          `${first.kind} (${index.device || 'AVR®'} pack)`,
-          location
-        );
-
-        const dedupeKey = `dfp:${first.file}:${first.line}:${symbol}`;
-        if (addSymbol(symbolInfo, dedupeKey)) {
-          return results;
-        }
+    } else {
+      const long = mnemonic === 'rjmp' ? 'jmp' : 'call';
+      if (canUse(long)) {
+        problem.fix = { title: `Replace ${mnemonic} with ${long}`, text: `${long} ${name}` };
       }
     }
+    problems.push(problem);
   }
-
-  return results;
+  return problems;
 }
 
-async function provideReferences(document, position, context, token) {
-  if (isCancelled(token)) {
+async function provideCodeActions(document, _range, context, token) {
+  const diagnostics = context.diagnostics.filter(
+    (diagnostic) => diagnostic.source === DIAGNOSTIC_SOURCE && diagnostic.code === 'branch-range'
+  );
+  if (diagnostics.length === 0) {
     return [];
   }
-
-  if (!getConfig().get('enableReferences', true)) {
-    return [];
+  let index = null;
+  try {
+    index = await getDfpIndex(getIndexScopeForDocument(document));
+  } catch {
+    index = null;
   }
-
-  const symbol = extractSymbolAtPosition(document, position);
-  if (!symbol) {
+  if (isCancelled(token)) {
     return [];
   }
 
-  const includeDeclaration = Boolean(context && context.includeDeclaration);
-  const maxFiles = clampConfigNumber(
-    'maxWorkspaceScanFiles',
-    DEFAULT_MAX_WORKSPACE_SCAN_FILES,
-    20,
-    10000
-  );
-  const maxReferences = clampConfigNumber(
-    'maxReferenceResults',
-    DEFAULT_MAX_REFERENCE_RESULTS,
-    20,
-    20000
-  );
-
-  const openDocs = getOpenAssemblyDocumentMap();
-  const files = await getWorkspaceAssemblyFiles(maxFiles);
-  const uriMap = new Map();
-
-  for (const uri of files) {
-    uriMap.set(uri.toString(), uri);
-  }
-  for (const openDoc of openDocs.values()) {
-    uriMap.set(openDoc.uri.toString(), openDoc.uri);
-  }
-  if (isAssemblyDocument(document)) {
-    uriMap.set(document.uri.toString(), document.uri);
+  const lines = document.getText().split(/\r?\n/);
+  const problems = collectBranchRangeProblems(lines, buildOperandContext(lines, index), getCycleTiming(index));
+  const actions = [];
+  for (const diagnostic of diagnostics) {
+    const problem = problems.find((entry) => entry.line === diagnostic.range.start.line);
+    if (!problem || !problem.fix) {
+      continue;
+    }
+    const action = new vscode.CodeAction(problem.fix.title, vscode.CodeActionKind.QuickFix);
+    action.diagnostics = [diagnostic];
+    action.isPreferred = true;
+    action.edit = new vscode.WorkspaceEdit();
+    action.edit.replace(
+      document.uri,
+      new vscode.Range(new vscode.Position(problem.line, problem.start), new vscode.Position(problem.line, problem.end)),
+      problem.fix.text
+    );
+    actions.push(action);
   }
+  return actions;
+}
 
-  const locations = [];
-  const seen = new Set();
-  const addLocation = (uri, line, column) => {
-    const key = `${uri.toString()}:${line}:${column}`;
-    if (seen.has(key)) {
-      return false;
-    }
-    seen.add(key);
-    locations.push(new vscode.Location(uri, makeSymbolRange(line, column, symbol)));
-    return locations.length >= maxReferences;
-  };
+function getBranchTarget(statement) {
+  const operands = statement.operands;
+  const operand = statement.mnemonic === 'brbc' || statement.mnemonic === 'brbs' ? operands[1] : operands[0];
+  return operand && /^[A-Za-z_.$][A-Za-z0-9_.$]*$/.test(operand.text) ? operand.text : '';
+}
 
-  for (const uri of uriMap.values()) {
-    if (isCancelled(token)) {
-      return locations;
-    }
-    const text = await getTextForUri(uri, openDocs);
-    if (!text) {
-      continue;
+// Minimum and maximum cycles from the first statement to any exit: a return,
+// an indirect jump, the end of the range, or a jump or branch leaving it.
+// Backward jumps close loops, which are counted for a single pass: a
+// backward branch costs 1-2 cycles and falls through, a backward jump ends
+// the pass.
+function countCycles(statements, timing) {
+  const labelIndex = new Map();
+  statements.forEach((statement, position) => {
+    for (const label of statement.labels) {
+      labelIndex.set(label.name, position);
     }
+  });
 
-    const matches = findSymbolMatchesInText(text, symbol);
-    for (const match of matches) {
-      if (isCancelled(token)) {
-        return locations;
-      }
-      if (
-        !includeDeclaration &&
-        isDefinitionOccurrence(match.lineText, symbol, match.column)
-      ) {
-        continue;
-      }
-      if (addLocation(uri, match.line, match.column)) {
-        return locations;
+  const loops = [];
+  const untimed = [];
+  const best = new Array(statements.length + 1);
+  best[statements.length] = { min: 0, max: 0 };
+  for (let position = statements.length - 1; position >= 0; position -= 1) {
+    const statement = statements[position];
+    const mnemonic = statement.mnemonic;
+    const edges = [];
+    const follow = (target, min, max) => {
+      if (target === null) {
+        edges.push({ min, max });
+        return;
       }
-    }
-  }
-
-  if (includeDeclaration) {
-    if (isCancelled(token)) {
-      return locations;
-    }
-    const scope = getIndexScopeForDocument(document);
-    const index = await getDfpIndex(scope);
-    const hits = index.symbols.get(symbol) || [];
-    for (const hit of hits) {
-      if (isCancelled(token)) {
-        return locations;
+      const next = best[Math.min(target, statements.length)];
+      edges.push({ min: min + next.min, max: max + next.max });
+    };
+    const target = labelIndex.has(getBranchTarget(statement))
+      ? labelIndex.get(getBranchTarget(statement))
+      : null;
+    const isLoop = target !== null && target <= position;
+
+    if (!AVR_INSTRUCTION_MNEMONICS.includes(mnemonic) || AVR_UNTIMED_INSTRUCTIONS.has(mnemonic)) {
+      untimed.push(statement);
+      follow(position + 1, 0, 0);
+    } else if (AVR_BRANCH_CONDITIONS[mnemonic]) {
+      if (isLoop) {
+        loops.push(statement.line);
+        follow(position + 1, 1, 2);
+      } else {
+        follow(position + 1, 1, 1);
+        follow(target, 2, 2);
       }
-      const column = Math.max(0, (hit.text || '').indexOf(symbol));
-      if (
-        addLocation(vscode.Uri.file(hit.file), Math.max(0, hit.line - 1), column)
-      ) {
-        break;
+    } else if (AVR_SKIP_INSTRUCTIONS.has(mnemonic)) {
+      const cycles = getInstructionCycles(mnemonic, timing);
+      const next = statements[position + 1];
+      const skipped = next ? getInstructionWords(next.mnemonic, timing) : 1;
+      follow(position + 1, cycles.min, cycles.max);
+      follow(position + 2, cycles.min + skipped, cycles.max + skipped);
+    } else {
+      const cycles = getInstructionCycles(mnemonic, timing);
+      if (mnemonic === 'rjmp' || mnemonic === 'jmp') {
+        if (isLoop) {
+          loops.push(statement.line);
+        }
+        follow(isLoop ? null : target, cycles.min, cycles.max);
+      } else if (['ret', 'reti', 'ijmp', 'eijmp'].includes(mnemonic)) {
+        follow(null, cycles.min, cycles.max);
+      } else {
+        follow(position + 1, cycles.min, cycles.max);
       }
     }
+    best[position] = {
+      min: Math.min(...edges.map((edge) => edge.min)),
+      max: Math.max(...edges.map((edge) => edge.max))
+    };
   }
 
-  return locations;
+  return {
+    min: best[0].min,
+    max: best[0].max,
+    instructionCount: statements.length,
+    loops: loops.sort((a, b) => a - b),
+    untimed: untimed.reverse()
+  };
 }
 
-async function provideHover(document, position, token) {
-  if (isCancelled(token)) {
-    return null;
+// Label-to-return regions: a routine opens at the first label seen while no
+// routine is open and closes at the next ret/reti, so inner loop labels
+// belong to the enclosing routine.
+function findCycleRoutines(statements) {
+  const routines = [];
+  let open = null;
+  statements.forEach((statement, position) => {
+    if (!open && statement.labels.length > 0) {
+      open = { label: statement.labels[0], start: position };
+    }
+    if (open && (statement.mnemonic === 'ret' || statement.mnemonic === 'reti')) {
+      routines.push({ ...open, end: position });
+      open = null;
+    }
+  });
+  return routines;
+}
+
+// Hover text for one instruction: the active core's timing when the target
+// is resolved, otherwise the generic note from AVR_INSTRUCTION_INFO.
+function describeInstructionCycles(instruction, timing) {
+  const mnemonic = instruction.mnemonic;
+  if (timing.assumed || !AVR_INSTRUCTION_MNEMONICS.includes(mnemonic) || AVR_UNTIMED_INSTRUCTIONS.has(mnemonic)) {
+    return instruction.cycles || '';
+  }
+  if (AVR_BRANCH_CONDITIONS[mnemonic]) {
+    return `1 if not taken, 2 if taken (${timing.core})`;
   }
+  const cycles = getInstructionCycles(mnemonic, timing);
+  if (AVR_SKIP_INSTRUCTIONS.has(mnemonic)) {
+    return `${cycles.min} without skip, ${cycles.min + 1}/${cycles.min + 2} skipping a 1/2-word instruction (${timing.core})`;
+  }
+  return `${formatCycleRange(cycles)} (${timing.core})`;
+}
 
-  const symbol = extractSymbolAtPosition(document, position);
-  if (!symbol) {
-    return null;
+function formatCycleRange(result) {
+  return result.min === result.max ? `${result.min}` : `${result.min}–${result.max}`;
+}
+
+function describeCycleCount(result, timing) {
+  const notes = [];
+  if (result.loops.length > 0) {
+    notes.push('loops counted once');
   }
-  const instruction = getInstructionHoverInfo(symbol);
+  if (result.untimed.length > 0) {
+    notes.push(`${result.untimed.length} untimed`);
+  }
+  const core = timing.assumed ? `${timing.core} assumed` : timing.core;
+  return `${formatCycleRange(result)} cycles (${[core, ...notes].join(', ')})`;
+}
 
-  const localSymbols = getLocalSymbols(document);
-  const local = localSymbols.get(symbol);
+async function getCycleTimingForDocument(document) {
+  try {
+    return getCycleTiming(await getDfpIndex(getIndexScopeForDocument(document)));
+  } catch {
+    return getCycleTiming(null);
+  }
+}
 
+async function provideCodeLenses(document, token) {
   const scope = getIndexScopeForDocument(document);
-  const index = await getDfpIndex(scope);
+  const config = getConfig(scope);
+  const showCycles = config.get('enableCycleCodeLens', true);
+  const showSizes = config.get('enableCodeSizeCodeLens', true);
+  const linked = (await getBuildOutputIndex(scope)).symbols;
+  if (!showCycles && !showSizes && linked.size === 0) {
+    return [];
+  }
+  const timing = await getCycleTimingForDocument(document);
   if (isCancelled(token)) {
-    return null;
+    return [];
   }
-  const hits = index.symbols.get(symbol) || [];
-
-  if (!instruction && !local && hits.length === 0) {
-    return null;
+  const lines = document.getText().split(/\r?\n/);
+  const lenses = [];
+  if (showCycles) {
+    const statements = collectCycleStatements(lines);
+    for (const routine of findCycleRoutines(statements)) {
+      const region = statements.slice(routine.start, routine.end + 1);
+      const result = countCycles(region, timing);
+      const line = routine.label.line;
+      const position = new vscode.Position(line, 0);
+      lenses.push(
+        new vscode.CodeLens(new vscode.Range(position, position), {
+          title: `⏱ ${describeCycleCount(result, timing)}`,
+          command: 'avrAsmNavigator.countCycles',
+          arguments: [document.uri, line, statements[routine.end].line]
+        })
+      );
+    }
   }
-
-  const md = new vscode.MarkdownString();
-  md.appendMarkdown(`**${safeMarkdown(symbol)}**`);
-
-  if (instruction) {
-    if (instruction.syntax) {
-      md.appendMarkdown(`\n\nInstruction syntax:`);
-      md.appendCodeblock(instruction.syntax, 'asm');
+  const sizes = showSizes || linked.size > 0 ? measureCodeSizes(lines, timing).labels : [];
+  for (const size of sizes) {
+    const position = new vscode.Position(size.line, 0);
+    const range = new vscode.Range(position, position);
+    if (showSizes) {
+      lenses.push(
+        new vscode.CodeLens(range, {
+          title: `Flash: ${describeCodeSize(size)}`,
+          command: 'avrAsmNavigator.showCodeSizeSummary'
+        })
+      );
     }
-    if (instruction.summary) {
-      md.appendMarkdown(`\n\n${safeMarkdown(instruction.summary)}`);
+    // Labels linked at several addresses (static in more than one object)
+    // cannot be matched to this file.
+    const entries = size.global ? linked.get(size.name) || [] : [];
+    if (entries.length === 1) {
+      lenses.push(
+        new vscode.CodeLens(range, {
+          title: `Linked at ${describeLinkedAddress(entries[0])}`,
+          command: 'avrAsmNavigator.revealInBuildOutput',
+          arguments: [size.name, document.uri]
+        })
+      );
     }
-    if (instruction.flags) {
-      md.appendMarkdown(`\n\nFlags: \`${safeMarkdown(instruction.flags)}\``);
+  }
+  return lenses;
+}
+
+async function runCountCyclesCommand(uri = null, startLine = null, endLine = null) {
+  let document = null;
+  let range = null;
+  if (uri) {
+    document =
+      vscode.workspace.textDocuments.find((entry) => entry.uri.toString() === uri.toString()) ||
+      (await vscode.workspace.openTextDocument(uri));
+    range = { start: startLine, end: endLine };
+  } else {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || !isAssemblyDocument(editor.document)) {
+      vscode.window.showWarningMessage('AVR® ASM Navigator: open an AVR® assembly file to count cycles.');
+      return;
     }
-    if (instruction.cycles) {
-      md.appendMarkdown(`\n\nCycles: \`${safeMarkdown(instruction.cycles)}\``);
+    document = editor.document;
+    const selection = editor.selection;
+    if (selection && !selection.isEmpty) {
+      const end = selection.end.character === 0 && selection.end.line > selection.start.line
+        ? selection.end.line - 1
+        : selection.end.line;
+      range = { start: selection.start.line, end };
     }
   }
 
-  if (local) {
-    md.appendMarkdown(
-      `\n\nLocal ${local.kind} in this file at line ${local.line + 1}.`
+  const statements = collectCycleStatements(document.getText().split(/\r?\n/));
+  let region = null;
+  let label = '';
+  if (range) {
+    region = statements.filter((statement) => statement.line >= range.start && statement.line <= range.end);
+    label = `lines ${range.start + 1}–${range.end + 1}`;
+  } else {
+    const cursorLine = vscode.window.activeTextEditor.selection.active.line;
+    const routine = findCycleRoutines(statements).find(
+      (entry) => entry.label.line <= cursorLine && statements[entry.end].line >= cursorLine
     );
-    md.appendCodeblock(local.detail, 'asm');
+    if (routine) {
+      region = statements.slice(routine.start, routine.end + 1);
+      label = routine.label.name;
+    }
+  }
+  if (!region || region.length === 0) {
+    vscode.window.showWarningMessage(
+      'AVR® ASM Navigator: select instructions or place the cursor inside a label-to-ret routine to count cycles.'
+    );
+    return;
   }
 
-  if (hits.length > 0) {
-    const max = Number(getConfig().get('maxHoverResults', 6));
-    md.appendMarkdown(`\n\n${safeMarkdown(index.device || 'AVR®')} pack matches:`);
-    for (const hit of hits.slice(0, max)) {
-      const relPath = path.relative(index.root, hit.file) || hit.file;
-      md.appendMarkdown(
-        `\n- \`${safeMarkdown(relPath)}:${hit.line}\` (${hit.kind})`
-      );
-      md.appendCodeblock(trimLine(hit.text), 'c');
+  const timing = await getCycleTimingForDocument(document);
+  const result = countCycles(region, timing);
+  const channel = getOutputChannel();
+  channel.appendLine(`--- Cycle Count: ${label} (${timing.core}${timing.assumed ? ', core assumed' : ''}) ---`);
+  for (const statement of region) {
+    const cycles = AVR_INSTRUCTION_MNEMONICS.includes(statement.mnemonic)
+      ? getInstructionCycles(statement.mnemonic, timing)
+      : null;
+    const text = AVR_BRANCH_CONDITIONS[statement.mnemonic]
+      ? '1 / 2 taken'
+      : cycles
+        ? `${formatCycleRange(cycles)}${AVR_SKIP_INSTRUCTIONS.has(statement.mnemonic) ? ' + skipped words' : ''}`
+        : 'untimed';
+    channel.appendLine(`${String(statement.line + 1).padStart(5)}  ${statement.mnemonic.padEnd(7)} ${text}`);
+  }
+  channel.appendLine(`Total: ${formatCycleRange(result)} cycles over ${result.instructionCount} instruction(s).`);
+  if (result.loops.length > 0) {
+    channel.appendLine(
+      `Backward jumps at line(s) ${result.loops.map((line) => line + 1).join(', ')}: each loop body is counted once.`
+    );
+  }
+  if (result.untimed.length > 0) {
+    channel.appendLine(
+      `Not counted: ${result.untimed.map((statement) => `${statement.mnemonic} (line ${statement.line + 1})`).join(', ')}.`
+    );
+  }
+  channel.show(true);
+  vscode.window.showInformationMessage(`AVR® ASM ${label}: ${describeCycleCount(result, timing)}.`);
+}
+
+async function runShowCodeSizeSummaryCommand() {
+  const entries = await getWorkspaceIndexEntries();
+  const routines = [];
+  const files = [];
+  for (const entry of entries) {
+    let timing = getCycleTiming(null);
+    try {
+      timing = getCycleTiming(await getDfpIndex(getIndexScopeForUri(entry.uri)));
+    } catch {
+      // Keep the assumed core; sizes only differ for LDS/STS on AVRrc.
     }
-    if (hits.length > max) {
-      md.appendMarkdown(`\n... ${hits.length - max} more match(es).`);
+    const measured = measureCodeSizes(entry.text.split(/\r?\n/), timing);
+    if (measured.totalBytes === 0) {
+      continue;
+    }
+    const file = vscode.workspace.asRelativePath(entry.uri);
+    files.push({ file, bytes: measured.totalBytes });
+    for (const size of measured.labels) {
+      if (size.global) {
+        routines.push({ ...size, file });
+      }
     }
   }
+  if (files.length === 0) {
+    vscode.window.showInformationMessage('AVR® ASM Navigator: no flash code found in the indexed assembly files.');
+    return;
+  }
 
-  return new vscode.Hover(md);
+  routines.sort((a, b) => b.bytes - a.bytes || a.name.localeCompare(b.name));
+  files.sort((a, b) => b.bytes - a.bytes || a.file.localeCompare(b.file));
+  const totalBytes = files.reduce((sum, entry) => sum + entry.bytes, 0);
+  const report = [
+    '# AVR® ASM Code Size',
+    '',
+    `${describeCodeSize({ bytes: totalBytes })} of flash across ${files.length} file(s).`,
+    '',
+    '## Largest routines',
+    '',
+    '| Routine | File | Words | Bytes |',
+    '| --- | --- | ---: | ---: |'
+  ];
+  for (const routine of routines.slice(0, CODE_SIZE_SUMMARY_LIMIT)) {
+    const note = routine.unsized.length > 0 ? ` (${routine.unsized.length} not sized)` : '';
+    report.push(
+      `| \`${routine.name}\`${note} | ${routine.file}:${routine.line + 1} | ${Math.ceil(routine.bytes / 2)} | ${routine.bytes} |`
+    );
+  }
+  report.push('', '## Files', '', '| File | Words | Bytes |', '| --- | ---: | ---: |');
+  for (const entry of files) {
+    report.push(`| ${entry.file} | ${Math.ceil(entry.bytes / 2)} | ${entry.bytes} |`);
+  }
+
+  const document = await vscode.workspace.openTextDocument({
+    language: 'markdown',
+    content: `${report.join('\n')}\n`
+  });
+  await vscode.window.showTextDocument(document, { preview: false });
 }
 
-async function provideDefinition(document, position, token) {
-  if (isCancelled(token)) {
-    return null;
+function splitSyntaxParameters(syntax) {
+  const match = /^(\S+)\s*(.*)$/.exec(syntax || '');
+  if (!match || !match[2]) {
+    return [];
   }
-
-  const symbol = extractSymbolAtPosition(document, position);
-  if (!symbol) {
-    return null;
+  const parameters = [];
+  let offset = syntax.length - match[2].length;
+  for (const part of match[2].split(',')) {
+    const leading = part.length - part.trimStart().length;
+    const label = part.trim();
+    parameters.push({ label, start: offset + leading, end: offset + leading + label.length });
+    offset += part.length + 1;
   }
+  return parameters;
+}
 
-  const locations = [];
-  const local = getLocalSymbols(document).get(symbol);
-  if (local) {
-    locations.push(
-      new vscode.Location(document.uri, new vscode.Position(local.line, 0))
-    );
+function describeOperandSlot(mnemonic, operandIndex, instructionSet) {
+  const forms = AVR_INSTRUCTION_OPERANDS[mnemonic] || [];
+  const descriptions = [];
+  for (const form of forms) {
+    const kind = AVR_OPERAND_KINDS[form[operandIndex]];
+    if (!kind) {
+      continue;
+    }
+    let description = kind.description;
+    if (kind.type === 'register' && instructionSet && kind.min < instructionSet.minRegister) {
+      description = `${description} (r${instructionSet.minRegister}..r31 on ${instructionSet.core})`;
+    }
+    if (!descriptions.includes(description)) {
+      descriptions.push(description);
+    }
+  }
+  if (forms.some((form) => form.length <= operandIndex) && descriptions.length > 0) {
+    descriptions.push('omitted');
   }
+  return descriptions.join(' or ');
+}
 
-  const scope = getIndexScopeForDocument(document);
-  const index = await getDfpIndex(scope);
+async function provideSignatureHelp(document, position, token) {
   if (isCancelled(token)) {
     return null;
   }
-  const hits = index.symbols.get(symbol) || [];
-  for (const hit of hits.slice(0, 20)) {
-    locations.push(makeLocation(vscode.Uri.file(hit.file), hit.line));
-  }
-
-  if (locations.length === 0) {
+  const operandContext = getOperandCompletionContext(document, position);
+  if (!operandContext || operandContext.inComment) {
     return null;
   }
-  if (locations.length === 1) {
-    return locations[0];
+  const info = getInstructionHoverInfo(operandContext.mnemonic);
+  if (!info || !info.syntax || AVR_NO_OPERAND_INSTRUCTIONS.has(info.mnemonic)) {
+    return null;
   }
-  return locations;
-}
 
-async function provideCompletionItems(document, position, token) {
+  let index = null;
+  try {
+    index = await getDfpIndex(getIndexScopeForDocument(document));
+  } catch {
+    index = null;
+  }
   if (isCancelled(token)) {
-    return [];
+    return null;
   }
+  const instructionSet = index ? index.instructionSet : null;
 
-  if (!getConfig().get('enableCompletion', true)) {
-    return [];
+  const documentation = new vscode.MarkdownString();
+  documentation.appendMarkdown(safeMarkdown(info.summary || ''));
+  if (info.flags) {
+    documentation.appendMarkdown(`\n\nFlags: \`${info.flags}\``);
   }
-
-  const wordRange = document.getWordRangeAtPosition(position, WORD_REGEX);
-  const prefix = wordRange ? document.getText(wordRange) : '';
-  const maxItems = Number(getConfig().get('maxCompletionItems', 200));
-  const results = [];
-  const seen = new Set();
-
-  const localSymbols = getLocalSymbols(document);
-  for (const [symbol, info] of localSymbols.entries()) {
-    if (isCancelled(token)) {
-      return results;
-    }
-    if (!startsWithIgnoreCase(symbol, prefix)) {
-      continue;
-    }
-    const item = new vscode.CompletionItem(
-      symbol,
-      vscode.CompletionItemKind.Variable
+  if (info.cycles) {
+    documentation.appendMarkdown(`\n\nCycles: \`${info.cycles}\``);
+  }
+  const unsupportedReason = getUnsupportedInstructionReason(instructionSet, info.mnemonic);
+  if (unsupportedReason) {
+    documentation.appendMarkdown(
+      `\n\n**Not available on ${safeMarkdown(instructionSet.device)}** — ${safeMarkdown(unsupportedReason)}.`
     );
-    item.detail = `local ${info.kind} (line ${info.line + 1})`;
-    item.sortText = `0_${symbol}`;
-    results.push(item);
-    seen.add(completionSeenKey(symbol));
-    if (results.length >= maxItems) {
-      return results;
-    }
   }
 
-  for (const registerName of AVR_REGISTER_NAMES) {
-    if (isCancelled(token)) {
-      return results;
-    }
-    if (seen.has(completionSeenKey(registerName))) {
-      continue;
-    }
-    if (!startsWithIgnoreCase(registerName, prefix)) {
-      continue;
-    }
-
-    const item = new vscode.CompletionItem(
-      registerName,
-      vscode.CompletionItemKind.Variable
+  const signature = new vscode.SignatureInformation(info.syntax, documentation);
+  signature.parameters = splitSyntaxParameters(info.syntax).map((parameter, operandIndex) => {
+    const allowed = describeOperandSlot(info.mnemonic, operandIndex, instructionSet);
+    return new vscode.ParameterInformation(
+      [parameter.start, parameter.end],
+      allowed ? `${parameter.label}: ${allowed}` : parameter.label
     );
-    item.detail = 'AVR register';
-    item.sortText = `1_${registerName}`;
-    results.push(item);
-    seen.add(completionSeenKey(registerName));
-    if (results.length >= maxItems) {
-      return results;
-    }
-  }
+  });
 
-  if (getConfig().get('enableInstructionCompletion', true)) {
-    for (const mnemonic of AVR_INSTRUCTION_MNEMONICS) {
-      if (isCancelled(token)) {
-        return results;
-      }
-      if (seen.has(completionSeenKey(mnemonic))) {
-        continue;
-      }
-      if (!startsWithIgnoreCase(mnemonic, prefix)) {
-        continue;
-      }
+  const help = new vscode.SignatureHelp();
+  help.signatures = [signature];
+  help.activeSignature = 0;
+  help.activeParameter = Math.min(
+    operandContext.operandIndex,
+    Math.max(0, signature.parameters.length - 1)
+  );
+  return help;
+}
 
-      const item = new vscode.CompletionItem(
-        mnemonic,
-        vscode.CompletionItemKind.Keyword
-      );
-      item.detail = 'AVR instruction';
-      item.insertText = AVR_NO_OPERAND_INSTRUCTIONS.has(mnemonic)
-        ? mnemonic
-        : `${mnemonic} `;
-      item.sortText = `2_${mnemonic}`;
-      results.push(item);
-      seen.add(completionSeenKey(mnemonic));
-      if (results.length >= maxItems) {
-        return results;
-      }
-    }
+function getSelectionOrWord(editor) {
+  if (!editor) {
+    return '';
+  }
+  const selected = editor.document.getText(editor.selection).trim();
+  if (selected) {
+    return selected;
   }
+  return extractSymbolAtPosition(editor.document, editor.selection.active) || '';
+}
 
-  if (isCancelled(token)) {
-    return results;
+function formatDetectedProject(index) {
+  if (!index.detectedProjectFile) {
+    return 'none';
   }
-  const scope = getIndexScopeForDocument(document);
-  const index = await getDfpIndex(scope);
-  for (const symbol of index.symbolList) {
-    if (isCancelled(token)) {
-      return results;
-    }
-    if (seen.has(completionSeenKey(symbol))) {
-      continue;
-    }
-    if (!startsWithIgnoreCase(symbol, prefix)) {
-      continue;
-    }
-    const first = (index.symbols.get(symbol) || [])[0];
-    const item = new vscode.CompletionItem(
-      symbol,
-      vscode.CompletionItemKind.Constant
-    );
-    if (first) {
-      const relPath = path.relative(index.root, first.file) || first.file;
-      item.detail = `${first.kind} from ${relPath}:${first.line}`;
-    }
-    item.sortText = `3_${symbol}`;
-    results.push(item);
-    seen.add(completionSeenKey(symbol));
-    if (results.length >= maxItems) {
-      break;
-    }
+  const configuration = index.detectedConfiguration;
+  if (!configuration) {
+    return index.detectedProjectFile;
   }
+  const how = configuration.selectedBy === 'user' ? 'selected' : 'first configuration';
+  return `${index.detectedProjectFile} › ${configuration.name} (${how})`;
+}
 
-  return results;
+function formatDeviceSource(index) {
+  const source = index.deviceSource;
+  if (!source) {
+    return 'not resolved';
+  }
+  return source.file ? `${source.kind} (${source.file})` : source.kind;
 }
 
-function getSelectionOrWord(editor) {
-  if (!editor) {
-    return '';
+function formatBoardProject(index) {
+  const project = index.boardProject;
+  if (!project) {
+    return 'none';
   }
-  const selected = editor.document.getText(editor.selection).trim();
-  if (selected) {
-    return selected;
+  if (project.kind === 'Arduino') {
+    return `Arduino ${project.name} (${project.file})`;
   }
-  return extractSymbolAtPosition(editor.document, editor.selection.active) || '';
+  const how = { user: 'selected', default_envs: 'default_envs', default: 'first environment' }[
+    project.selectedBy
+  ];
+  return `PlatformIO env:${project.name} (${how}, ${project.file})`;
+}
+
+function formatPackFallback(index) {
+  const fallback = index.packFallback;
+  if (!fallback) {
+    return 'none';
+  }
+  return `${fallback.packName} ${fallback.pinnedVersion} pinned by ${fallback.projectFileName} is not installed; ${
+    fallback.version ? `using ${fallback.version}` : 'no other version installed'
+  }`;
 }
 
 function formatActiveTargetSummary(index, scope) {
@@ -2083,11 +8194,34 @@ function formatActiveTargetSummary(index, scope) {
   const lines = [
     `Scope: ${scopeLabel(scope)}`,
     `Device: ${index.device || 'unknown'}`,
+    `Device source: ${formatDeviceSource(index)}`,
     `Pack root: ${index.root || 'unknown'}`,
-    `Detected project: ${index.detectedProjectFile || 'none'}`,
+    `Pack fallback: ${formatPackFallback(index)}`,
+    `Detected project: ${formatDetectedProject(index)}`,
+    `Board project: ${formatBoardProject(index)}`,
+    `Build configuration: ${
+      index.compileCommandsFile
+        ? `${index.compileCommandsFile} (${index.buildIncludeDirs.length} include dir(s), ${index.buildDefineCount} define(s))`
+        : 'none'
+    }`,
+    `ATDF: ${
+      index.atdf
+        ? `${index.atdf.device.name || 'unknown'} (${index.atdf.device.architecture || 'unknown architecture'}), ${index.atdf.registers.length} registers`
+        : 'none'
+    }`,
+    `Core: ${
+      index.instructionSet
+        ? `${index.instructionSet.core} (${index.instructionSet.unsupported.size} unsupported instruction(s))`
+        : 'unknown'
+    }`,
     `Indexed files: ${index.scannedFiles?.length ?? 0}`,
     `Indexed symbols: ${index.symbolList?.length ?? 0}`,
-    `Built at: ${builtAtText}`
+    `Built at: ${builtAtText}`,
+    `Index source: ${
+      index.cacheSource === 'disk'
+        ? `on-disk cache (${index.cacheFile})`
+        : `parsed from pack files${index.cacheFile ? `, saved to ${index.cacheFile}` : ''}`
+    }`
   ];
   return lines.join('\n');
 }
@@ -2135,7 +8269,16 @@ async function runLookupCommand() {
       label: `${symbol} (${hit.kind})`,
       description: `${relPath}:${hit.line}`,
       detail: trimLine(hit.text),
-      location: makeLocation(vscode.Uri.file(hit.file), hit.line)
+      location: makeLocation(symbolFileUri(hit.file), hit.line)
+    });
+  }
+
+  for (const entry of (await getBuildOutputIndex(scope)).symbols.get(symbol) || []) {
+    picks.push({
+      label: `${symbol} (linked)`,
+      description: `${describeLinkedAddress(entry)} · ${vscode.workspace.asRelativePath(vscode.Uri.file(entry.file))}`,
+      detail: describeLinkedSymbol(entry),
+      location: getLinkedSymbolLocation(entry)
     });
   }
 
@@ -2163,13 +8306,25 @@ async function runLookupCommand() {
   });
 }
 
-async function rebuildIndexCommand() {
-  const scope = getDefaultIndexScope();
-  let index = null;
+// Rebuilds the index for a scope after its target changed. Failures are
+// logged, and the caller decides whether to surface them.
+async function rebuildIndexForScope(scope) {
   try {
-    index = await getDfpIndex(scope, true);
+    return await getDfpIndex(scope, true);
   } catch (error) {
     logError(`Rebuild index failed for ${scopeLabel(scope)}`, error);
+    return null;
+  } finally {
+    refreshStatusBar();
+  }
+}
+
+async function rebuildIndexCommand() {
+  const scope = getDefaultIndexScope();
+  // Pick up packs installed since the catalogue was built.
+  packCataloguePromise = null;
+  const index = await rebuildIndexForScope(scope);
+  if (!index) {
     vscode.window.showErrorMessage(
       'AVR® ASM Navigator: failed to rebuild symbol index. See "AVR ASM Navigator" output.'
     );
@@ -2223,6 +8378,382 @@ async function runShowActiveTargetCommand() {
   );
 }
 
+function getStatusBarItem() {
+  if (!statusBarItem) {
+    statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+    statusBarItem.command = 'avrAsmNavigator.selectDevice';
+  }
+  return statusBarItem;
+}
+
+function describePackRoot(packRoot) {
+  if (!packRoot) {
+    return 'no pack';
+  }
+  const version = path.basename(packRoot);
+  return /^\d/.test(version) ? `${path.basename(path.dirname(packRoot))} ${version}` : version;
+}
+
+async function updateStatusBar() {
+  const item = getStatusBarItem();
+  const editor = vscode.window.activeTextEditor;
+  if (!editor || !isAssemblyDocument(editor.document)) {
+    item.hide();
+    return;
+  }
+
+  const scope = getIndexScopeForDocument(editor.document);
+  const requestId = ++statusBarRequestId;
+  let index = null;
+  try {
+    index = await getDfpIndex(scope);
+  } catch {
+    index = null;
+  }
+  if (requestId !== statusBarRequestId) {
+    return;
+  }
+
+  if (!index) {
+    item.text = '$(error) AVR®: no target';
+    item.tooltip = 'Failed to resolve the AVR® target. Click to choose a device.';
+    item.backgroundColor = new vscode.ThemeColor('statusBarItem.errorBackground');
+  } else if (!index.scannedFiles.length) {
+    item.text = `$(warning) ${index.device || 'AVR®: no device'}`;
+    item.tooltip = `No symbol files found for ${index.device || 'the target'} in ${
+      index.root || 'any installed pack'
+    }. Click to choose a device.`;
+    item.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+  } else {
+    item.text = `$(circuit-board) ${index.device || 'unknown'} · ${describePackRoot(index.root)}`;
+    item.tooltip = `AVR® target for ${scopeLabel(scope)}\nPack root: ${index.root}\n${
+      index.packFallback ? `Pack fallback: ${formatPackFallback(index)}\n` : ''
+    }${index.detectedProjectFile ? `Project: ${formatDetectedProject(index)}\n` : ''}${index.symbolList.length} symbols. Click to switch device.`;
+    item.backgroundColor = undefined;
+  }
+  item.show();
+}
+
+function refreshStatusBar() {
+  updateStatusBar().catch((error) => {
+    logError('Status bar update failed', error);
+  });
+}
+
+function getConfigurationTargetForScope(scope) {
+  if (scope && scope.workspaceFolder) {
+    return vscode.ConfigurationTarget.WorkspaceFolder;
+  }
+  return (vscode.workspace.workspaceFolders || []).length > 0
+    ? vscode.ConfigurationTarget.Workspace
+    : vscode.ConfigurationTarget.Global;
+}
+
+// Warns once per scope and pinned version; the actions reveal the pack's
+// folder or pin the fallback through avrAsmNavigator.dfpPath.
+async function notifyPackFallback(packFallback, scope) {
+  const key = `${scope.key}|${packFallback.packName}|${packFallback.pinnedVersion}|${packFallback.root}`;
+  if (notifiedPackFallbacks.has(key)) {
+    return;
+  }
+  notifiedPackFallbacks.add(key);
+
+  const pinned = `${packFallback.packName} ${packFallback.pinnedVersion}`;
+  const openFolder = 'Open Pack Folder';
+  const useVersion = packFallback.root ? `Use ${packFallback.version} in Settings` : null;
+  const message = packFallback.root
+    ? `AVR® ASM Navigator: ${pinned} (pinned by the MPLAB® project) is not installed; using the closest installed version, ${packFallback.version}.`
+    : `AVR® ASM Navigator: ${pinned} (pinned by the MPLAB® project) is not installed, and no other version of ${packFallback.packName} is.`;
+  const choice = await vscode.window.showWarningMessage(
+    message,
+    ...[openFolder, useVersion].filter(Boolean)
+  );
+
+  if (choice === openFolder) {
+    const folder = packFallback.root
+      ? path.dirname(packFallback.root)
+      : path.join(os.homedir(), '.mchp_packs');
+    await vscode.commands.executeCommand('revealFileInOS', vscode.Uri.file(folder));
+  } else if (choice && choice === useVersion) {
+    await getConfig(scope).update('dfpPath', packFallback.root, getConfigurationTargetForScope(scope));
+    logInfo(`avrAsmNavigator.dfpPath for ${scopeLabel(scope)} set to ${packFallback.root}.`);
+  }
+}
+
+async function runExplainTargetResolutionCommand() {
+  const editor = vscode.window.activeTextEditor;
+  const scope = editor ? getIndexScopeForDocument(editor.document) : getDefaultIndexScope();
+  const trace = [
+    '# AVR® ASM target resolution',
+    '',
+    `- Scope: ${scopeLabel(scope)}`,
+    `- Active file: ${editor ? `\`${editor.document.uri.fsPath || editor.document.uri.toString()}\`` : 'none'}`,
+    `- Platform: ${process.platform}, VS Code ${vscode.version || 'unknown'}`,
+    `- Generated: ${new Date().toISOString()}`,
+    ''
+  ];
+
+  let target = null;
+  try {
+    target = await resolveIndexFiles(scope, trace);
+  } catch (error) {
+    logError(`Target resolution failed for ${scopeLabel(scope)}`, error);
+    trace.push('', `**Resolution failed:** ${error.message}`);
+  }
+  if (target) {
+    trace.push('', '## Files to index');
+    if (target.files.length === 0) {
+      trace.push('None — hover, completion and diagnostics have no device symbols.');
+    }
+    for (const file of target.files) {
+      trace.push(`- ${file.kind}: \`${file.filePath}\``);
+    }
+  }
+
+  const document = await vscode.workspace.openTextDocument({
+    language: 'markdown',
+    content: `${trace.join('\n')}\n`
+  });
+  await vscode.window.showTextDocument(document, { preview: false });
+}
+
+async function runSelectDeviceCommand() {
+  const editor = vscode.window.activeTextEditor;
+  const scope = editor ? getIndexScopeForDocument(editor.document) : getDefaultIndexScope();
+  const catalogue = await getPackCatalogue();
+  if (catalogue.size === 0) {
+    vscode.window.showWarningMessage(
+      'AVR® ASM Navigator: no installed device packs found. Install a *_DFP pack or set avrAsmNavigator.dfpPath.'
+    );
+    return;
+  }
+
+  const current = normalizeDeviceForLookup(
+    getConfiguredDevice(scope) || (cachedIndexByScope.get(scope.key) || {}).device
+  );
+  const items = Array.from(catalogue.entries())
+    .map(([device, entry]) => {
+      const pack = newestPack(entry.packs);
+      return {
+        label: entry.name,
+        description: `${pack.packName} ${pack.version}${device === current ? ' (current)' : ''}`,
+        pack
+      };
+    })
+    .sort((a, b) => a.label.localeCompare(b.label));
+  const picked = await vscode.window.showQuickPick(items, {
+    placeHolder: `Select the AVR® device for ${scopeLabel(scope)}`,
+    matchOnDescription: true
+  });
+  if (!picked) {
+    return;
+  }
+
+  const configTarget = getConfigurationTargetForScope(scope);
+  const config = getConfig(scope);
+  await config.update('device', picked.label, configTarget);
+  // A pinned pack that lacks the new device would leave the index empty.
+  const configuredPath = getConfiguredDfpPath(scope);
+  if (
+    configuredPath &&
+    !(await listPackDevices(configuredPath)).has(normalizeDeviceForLookup(picked.label))
+  ) {
+    await config.update('dfpPath', picked.pack.root, configTarget);
+  }
+  logInfo(`Device for ${scopeLabel(scope)} set to ${picked.label} (${picked.description}).`);
+
+  const index = await rebuildIndexForScope(scope);
+  if (!index) {
+    vscode.window.showErrorMessage(
+      'AVR® ASM Navigator: failed to rebuild symbol index. See "AVR ASM Navigator" output.'
+    );
+    return;
+  }
+  vscode.window.showInformationMessage(
+    `AVR® ASM target set to ${index.device || picked.label} (${index.symbolList.length} symbols).`
+  );
+}
+
+async function runSelectMplabConfigurationCommand() {
+  const editor = vscode.window.activeTextEditor;
+  const scope = editor ? getIndexScopeForDocument(editor.document) : getDefaultIndexScope();
+  const folders = scope.workspaceFolder
+    ? [scope.workspaceFolder]
+    : vscode.workspace.workspaceFolders || [];
+  const candidates = await listMplabConfigurations(folders);
+  if (candidates.length === 0) {
+    vscode.window.showWarningMessage(
+      'AVR® ASM Navigator: no MPLAB® configurations found in .vscode/*.mplab.json.'
+    );
+    return;
+  }
+
+  const remembered = getRememberedMplabConfigurations();
+  const items = candidates.map((candidate) => {
+    const packText = candidate.pack.name
+      ? `${candidate.pack.name} ${candidate.pack.version}`.trim()
+      : 'no pack';
+    const current = remembered[candidate.workspaceFolder] === mplabConfigurationKey(candidate);
+    return {
+      label: candidate.configurationName,
+      description: `${candidate.device || 'no device'} · ${packText}${current ? ' (current)' : ''}`,
+      detail: candidate.projectFileName,
+      candidate
+    };
+  });
+  const picked = await vscode.window.showQuickPick(items, {
+    placeHolder: 'Select the MPLAB® configuration that defines the AVR® target',
+    matchOnDescription: true,
+    matchOnDetail: true
+  });
+  if (!picked || !extensionWorkspaceState) {
+    return;
+  }
+
+  const candidate = picked.candidate;
+  await extensionWorkspaceState.update(MPLAB_CONFIGURATION_STATE_KEY, {
+    ...remembered,
+    [candidate.workspaceFolder]: mplabConfigurationKey(candidate)
+  });
+  logInfo(
+    `MPLAB® configuration for ${candidate.workspaceFolder} set to ${candidate.projectFileName} › ${candidate.configurationName}.`
+  );
+
+  const folder = folders.find((entry) => entry.uri.toString() === candidate.workspaceFolder);
+  const targetScope = folder ? getIndexScopeForUri(folder.uri) : scope;
+  const index = await rebuildIndexForScope(targetScope);
+  if (!index) {
+    vscode.window.showErrorMessage(
+      'AVR® ASM Navigator: failed to rebuild symbol index. See "AVR ASM Navigator" output.'
+    );
+    return;
+  }
+  vscode.window.showInformationMessage(
+    `AVR® ASM target from ${candidate.configurationName}: ${index.device || 'unknown'} (${index.symbolList.length} symbols).`
+  );
+}
+
+async function runSelectPlatformioEnvironmentCommand() {
+  const editor = vscode.window.activeTextEditor;
+  const scope = editor ? getIndexScopeForDocument(editor.document) : getDefaultIndexScope();
+  const folders = scope.workspaceFolder
+    ? [scope.workspaceFolder]
+    : vscode.workspace.workspaceFolders || [];
+  const environments = [];
+  for (const folder of folders) {
+    environments.push(...(await listPlatformioEnvironments(folder)));
+  }
+  if (environments.length === 0) {
+    vscode.window.showWarningMessage('AVR® ASM Navigator: no [env:...] sections found in platformio.ini.');
+    return;
+  }
+
+  const remembered = getRememberedPlatformioEnvironments();
+  const items = environments.map((environment) => {
+    const current = remembered[environment.workspaceFolder] === environment.name;
+    return {
+      label: `env:${environment.name}`,
+      description: `${environment.device || 'no AVR® device'}${environment.isDefault ? ' · default_envs' : ''}${
+        current ? ' (current)' : ''
+      }`,
+      detail: vscode.workspace.asRelativePath(vscode.Uri.file(environment.file)),
+      environment
+    };
+  });
+  const picked = await vscode.window.showQuickPick(items, {
+    placeHolder: 'Select the PlatformIO environment that defines the AVR® target',
+    matchOnDescription: true,
+    matchOnDetail: true
+  });
+  if (!picked || !extensionWorkspaceState) {
+    return;
+  }
+
+  const environment = picked.environment;
+  await extensionWorkspaceState.update(PLATFORMIO_ENVIRONMENT_STATE_KEY, {
+    ...remembered,
+    [environment.workspaceFolder]: environment.name
+  });
+  logInfo(`PlatformIO environment for ${environment.workspaceFolder} set to env:${environment.name}.`);
+
+  const folder = folders.find((entry) => entry.uri.toString() === environment.workspaceFolder);
+  const targetScope = folder ? getIndexScopeForUri(folder.uri) : scope;
+  const index = await rebuildIndexForScope(targetScope);
+  if (!index) {
+    vscode.window.showErrorMessage(
+      'AVR® ASM Navigator: failed to rebuild symbol index. See "AVR ASM Navigator" output.'
+    );
+    return;
+  }
+  vscode.window.showInformationMessage(
+    `AVR® ASM target from env:${environment.name}: ${index.device || 'unknown'} (${index.symbolList.length} symbols).`
+  );
+}
+
+async function runImportPackArchiveCommand() {
+  const picked = await vscode.window.showOpenDialog({
+    canSelectFiles: true,
+    canSelectFolders: false,
+    canSelectMany: false,
+    openLabel: 'Import Pack',
+    filters: { 'Device family packs': ['atpack', 'zip'] }
+  });
+  if (!picked || picked.length === 0) {
+    return;
+  }
+
+  const archivePath = picked[0].fsPath;
+  let archive = null;
+  let description = null;
+  try {
+    archive = await readPackArchive(archivePath);
+    description = readPackDescription(archive);
+  } catch (error) {
+    logError(`Failed to read pack archive ${archivePath}`, error);
+    vscode.window.showErrorMessage(
+      `AVR® ASM Navigator: ${path.basename(archivePath)} is not a valid pack archive (${error.message}).`
+    );
+    return;
+  }
+
+  const packLabel = `${description.vendor}/${description.name} ${description.version}`;
+  const destination = path.join(
+    os.homedir(),
+    '.mchp_packs',
+    description.vendor,
+    description.name,
+    description.version
+  );
+  if (await isDirectory(destination)) {
+    const choice = await vscode.window.showWarningMessage(
+      `AVR® ASM Navigator: ${packLabel} is already installed at ${destination}.`,
+      'Replace'
+    );
+    if (choice !== 'Replace') {
+      return;
+    }
+  }
+
+  try {
+    await extractPackArchive(archive, destination);
+  } catch (error) {
+    logError(`Failed to import ${packLabel} into ${destination}`, error);
+    vscode.window.showErrorMessage(
+      `AVR® ASM Navigator: failed to import ${packLabel}. See "AVR ASM Navigator" output.`
+    );
+    return;
+  }
+  logInfo(`Imported ${packLabel} from ${archivePath} into ${destination}.`);
+
+  clearIndexCache();
+  const index = await rebuildIndexForScope(getDefaultIndexScope());
+  vscode.window.showInformationMessage(
+    `AVR® ASM Navigator: imported ${packLabel}${
+      index ? `; index rebuilt for ${index.device || 'target'} (${index.symbolList.length} symbols)` : ''
+    }.`
+  );
+}
+
 function registerProviders(context) {
   const selector = [
     { language: 'avr-asm' },
@@ -2239,7 +8770,21 @@ function registerProviders(context) {
   );
 
   context.subscriptions.push(
-    vscode.languages.registerDefinitionProvider(selector, {
+    vscode.languages.registerCodeLensProvider(selector, {
+      provideCodeLenses
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.languages.registerCodeActionsProvider(
+      selector,
+      { provideCodeActions },
+      { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.languages.registerDefinitionProvider([...selector, { pattern: '**/*.lss' }], {
       provideDefinition
     })
   );
@@ -2262,6 +8807,26 @@ function registerProviders(context) {
     )
   );
 
+  context.subscriptions.push(
+    vscode.languages.registerSignatureHelpProvider(
+      selector,
+      {
+        provideSignatureHelp
+      },
+      {
+        triggerCharacters: [' ', ','],
+        retriggerCharacters: [',']
+      }
+    )
+  );
+
+  context.subscriptions.push(
+    vscode.languages.registerRenameProvider(selector, {
+      prepareRename,
+      provideRenameEdits
+    })
+  );
+
   context.subscriptions.push(
     vscode.languages.registerReferenceProvider(selector, {
       provideReferences
@@ -2276,7 +8841,12 @@ function registerProviders(context) {
 }
 
 function activate(context) {
+  extensionWorkspaceState = context.workspaceState || null;
+  indexCacheDir = context.globalStorageUri
+    ? path.join(context.globalStorageUri.fsPath, 'index-cache')
+    : null;
   context.subscriptions.push(getOutputChannel());
+  context.subscriptions.push(getDiagnosticCollection());
 
   context.subscriptions.push(
     vscode.commands.registerCommand('avrAsmNavigator.lookupSymbol', runLookupCommand)
@@ -2290,24 +8860,93 @@ function activate(context) {
       runShowActiveTargetCommand
     )
   );
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      'avrAsmNavigator.explainTargetResolution',
+      runExplainTargetResolutionCommand
+    )
+  );
+  context.subscriptions.push(
+    vscode.commands.registerCommand('avrAsmNavigator.selectDevice', runSelectDeviceCommand)
+  );
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      'avrAsmNavigator.selectMplabConfiguration',
+      runSelectMplabConfigurationCommand
+    )
+  );
+  context.subscriptions.push(
+    vscode.commands.registerCommand(
+      'avrAsmNavigator.selectPlatformioEnvironment',
+      runSelectPlatformioEnvironmentCommand
+    )
+  );
+  context.subscriptions.push(
+    vscode.commands.registerCommand('avrAsmNavigator.importPackArchive', runImportPackArchiveCommand)
+  );
+  context.subscriptions.push(
+    vscode.commands.registerCommand('avrAsmNavigator.countCycles', runCountCyclesCommand),
+    vscode.commands.registerCommand('avrAsmNavigator.showCodeSizeSummary', runShowCodeSizeSummaryCommand),
+    vscode.commands.registerCommand('avrAsmNavigator.revealInBuildOutput', runRevealInBuildOutputCommand)
+  );
+  context.subscriptions.push(
+    vscode.workspace.registerTextDocumentContentProvider(PACK_ARCHIVE_SCHEME, {
+      provideTextDocumentContent: providePackArchiveContent
+    })
+  );
+  context.subscriptions.push(getStatusBarItem());
 
   context.subscriptions.push(
     vscode.workspace.onDidChangeConfiguration((event) => {
       if (event.affectsConfiguration('avrAsmNavigator')) {
         clearIndexCache();
+        includeGraphCache.clear();
+        refreshOpenDocumentDiagnostics();
+        refreshStatusBar();
       }
     })
   );
 
   context.subscriptions.push(
     vscode.workspace.onDidCloseTextDocument((document) => {
-      localSymbolCache.delete(document.uri.toString());
+      const key = document.uri.toString();
+      localSymbolCache.delete(key);
+      includeGraphCache.delete(key);
+      markWorkspaceFileDirty(document.uri, false);
+      clearTimeout(diagnosticTimers.get(key));
+      diagnosticTimers.delete(key);
+      getDiagnosticCollection().delete(document.uri);
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.window.onDidChangeActiveTextEditor(() => {
+      refreshStatusBar();
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.workspace.onDidOpenTextDocument((document) => {
+      scheduleDocumentDiagnostics(document);
+    })
+  );
+
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeTextDocument((event) => {
+      if (isAssemblyDocument(event.document) || isHeaderUri(event.document.uri)) {
+        invalidateIncludeGraphsForFile(event.document.uri.fsPath);
+      }
+      scheduleDocumentDiagnostics(event.document);
     })
   );
 
   context.subscriptions.push(
     vscode.workspace.onDidSaveTextDocument((document) => {
-      if (isMplabProjectUri(document.uri) || isAssemblyDocument(document)) {
+      if (
+        isMplabProjectUri(document.uri) ||
+        isBuildConfigUri(document.uri) ||
+        isAssemblyDocument(document)
+      ) {
         clearIndexCache(getIndexScopeForDocument(document));
       }
     })
@@ -2315,6 +8954,7 @@ function activate(context) {
 
   context.subscriptions.push(
     vscode.workspace.onDidCreateFiles((event) => {
+      includeGraphCache.clear();
       for (const uri of event.files) {
         maybeInvalidateIndexForUri(uri);
       }
@@ -2323,6 +8963,7 @@ function activate(context) {
 
   context.subscriptions.push(
     vscode.workspace.onDidDeleteFiles((event) => {
+      includeGraphCache.clear();
       for (const uri of event.files) {
         maybeInvalidateIndexForUri(uri);
       }
@@ -2331,6 +8972,7 @@ function activate(context) {
 
   context.subscriptions.push(
     vscode.workspace.onDidRenameFiles((event) => {
+      includeGraphCache.clear();
       for (const file of event.files) {
         maybeInvalidateIndexForUri(file.oldUri);
         maybeInvalidateIndexForUri(file.newUri);
@@ -2341,18 +8983,56 @@ function activate(context) {
   context.subscriptions.push(
     vscode.workspace.onDidChangeWorkspaceFolders(() => {
       clearIndexCache();
+      resetWorkspaceIndex();
+      refreshStatusBar();
     })
   );
 
+  const workspaceWatcher = vscode.workspace.createFileSystemWatcher(WORKSPACE_ASM_GLOB);
+  context.subscriptions.push(workspaceWatcher);
+  context.subscriptions.push(workspaceWatcher.onDidCreate((uri) => markWorkspaceFileDirty(uri)));
+  context.subscriptions.push(workspaceWatcher.onDidChange((uri) => markWorkspaceFileDirty(uri)));
+  context.subscriptions.push(workspaceWatcher.onDidDelete((uri) => forgetWorkspaceFile(uri)));
+
+  // compile_commands.json is regenerated by the build, outside the editor.
+  const compileCommandsWatcher = vscode.workspace.createFileSystemWatcher('**/compile_commands.json');
+  const onCompileCommandsChanged = (uri) => {
+    clearIndexCache(getIndexScopeForUri(uri));
+    includeGraphCache.clear();
+    refreshStatusBar();
+  };
+  context.subscriptions.push(compileCommandsWatcher);
+  context.subscriptions.push(compileCommandsWatcher.onDidCreate(onCompileCommandsChanged));
+  context.subscriptions.push(compileCommandsWatcher.onDidChange(onCompileCommandsChanged));
+  context.subscriptions.push(compileCommandsWatcher.onDidDelete(onCompileCommandsChanged));
+
   registerProviders(context);
 
+  // Build the workspace symbol index in background; watchers keep it current.
+  ensureWorkspaceIndex();
+  refreshStatusBar();
+
   // Warm the index in background so first hover is quick.
   getDfpIndex(getDefaultIndexScope()).catch(() => {
     logWarn('Background index warm-up failed. Run "AVR® ASM: Rebuild Symbol Index" after fixing configuration.');
   });
+
+  for (const document of vscode.workspace.textDocuments) {
+    if (isAssemblyDocument(document)) {
+      updateDocumentDiagnostics(document).catch((error) => {
+        logError(`Diagnostics failed for ${document.uri.fsPath || document.uri.toString()}`, error);
+      });
+    }
+  }
 }
 
-function deactivate() {}
+function deactivate() {
+  for (const timer of diagnosticTimers.values()) {
+    clearTimeout(timer);
+  }
+  diagnosticTimers.clear();
+  disposePackWatchers();
+}
 
 module.exports = {
   activate,
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { activateWithMock, createDocument } = require('./helpers/vscode-mock');
+
+const DFP_FIXTURE_ROOT = path.join(__dirname, 'fixtures', 'AVR-Dx_DFP');
+
+async function hoverTextForLine(lineText, character) {
+  const { registrations } = activateWithMock({
+    dfpPath: DFP_FIXTURE_ROOT,
+    device: 'AVR128DA32'
+  });
+  assert.ok(registrations.hover, 'Hover provider was not registered.');
+
+  const hover = await registrations.hover.provider.provideHover(
+    createDocument(lineText),
+    { line: 0, character },
+    { isCancellationRequested: false }
+  );
+  assert.ok(hover, `No hover returned for "${lineText}".`);
+  return hover.contents.value;
+}
+
+test('register hover shows absolute address, reset value and bitfield table', async () => {
+  const text = await hoverTextForLine('  sts RTC_PITCTRLA, r16', 10);
+
+  assert.match(text, /Register `RTC\.PITCTRLA` — PIT Control A/);
+  assert.match(text, /Address: `0x0150`/);
+  assert.match(text, /reset `0x00`/);
+  assert.match(text, /access `RW`/);
+  assert.match(text, /\| 6:3 \| PERIOD \| RW \| Period \|/);
+  assert.match(text, /\| 0 \| PITEN \| RW \| Enable \|/);
+  assert.doesNotMatch(text, /```c\n<register/);
+});
+
+test('low I/O registers report their I/O address', async () => {
+  const text = await hoverTextForLine('  sbi VPORTA_DIR, 2', 10);
+
+  assert.match(text, /Address: `0x0000`/);
+  assert.match(text, /I\/O 0x00/);
+});
+
+test('bitfield group mask hover lists captioned values shifted into position', async () => {
+  const text = await hoverTextForLine('  ldi r16, RTC_PERIOD_gm', 15);
+
+  assert.match(text, /Bitfield `RTC\.PITCTRLA\.PERIOD` — Period/);
+  assert.match(text, /mask `0x78`/);
+  assert.match(text, /\| 0x08 \| CYC4 \| RTC Clock Cycles 4 \|/);
+  assert.match(text, /RTC Clock Cycles 8 & more/);
+});
+
+test('value-group constants and interrupt vectors resolve from the ATDF model', async () => {
+  const valueText = await hoverTextForLine('  ldi r16, RTC_PRESCALER_DIV2_gc', 15);
+  assert.match(valueText, /group configuration `0x08`/);
+
+  const vectorText = await hoverTextForLine('  rjmp RTC_PIT_vect', 10);
+  assert.match(vectorText, /Interrupt vector `7` — Periodic interrupt/);
+});
+
+test('I/O and bit operand slots complete from the ATDF model', async () => {
+  const { registrations } = activateWithMock({
+    dfpPath: DFP_FIXTURE_ROOT,
+    device: 'AVR128DA32',
+    maxCompletionItems: 200
+  });
+  const complete = async (text) => {
+    const lines = text.split('\n');
+    const items = await registrations.completion.provider.provideCompletionItems(
+      createDocument(text),
+      { line: lines.length - 1, character: lines[lines.length - 1].length },
+      { isCancellationRequested: false }
+    );
+    return Array.from(items, (item) => String(item.label));
+  };
+
+  const ioLabels = await complete('  sbi ');
+  assert.deepEqual(ioLabels, ['VPORTA_DIR', 'VPORTA_OUT', 'VPORTA_IN', 'VPORTA_INTFLAGS']);
+
+  const dataLabels = await complete('  sts RTC_');
+  assert.ok(dataLabels.includes('RTC_PITCTRLA'));
+
+  const cpuBitLabels = await complete('  lds r16, RTC_CTRLA\n  sbrs r16, ');
+  assert.deepEqual(cpuBitLabels, ['0', '1', '2', '3', '4', '5', '6', '7']);
+
+  const ioBitLabels = await complete('  sbis RTC_CTRLA, ');
+  assert.ok(ioBitLabels.includes('RTC_RTCEN_bp'));
+  assert.ok(ioBitLabels.includes('RTC_PRESCALER_3_bp'));
+  assert.ok(!ioBitLabels.includes('0'));
+
+  const ldiLabels = await complete('  ldi r16, RTC_PERIOD_');
+  assert.ok(ldiLabels.includes('RTC_PERIOD_gm'));
+  assert.ok(ldiLabels.includes('RTC_PERIOD_CYC4_gc'));
+  assert.ok(!ldiLabels.includes('RTC_PITCTRLA'));
+});
@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { activateWithMock, createDocument, withTempHome } = require('./helpers/vscode-mock');
+
+const TOKEN = { isCancellationRequested: false };
+
+function createMemento() {
+  const values = new Map();
+  return {
+    get(key, fallback) {
+      return values.has(key) ? values.get(key) : fallback;
+    },
+    async update(key, value) {
+      values.set(key, value);
+    }
+  };
+}
+
+function writeFiles(root, files) {
+  for (const [name, text] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+    fs.writeFileSync(path.join(root, name), text);
+  }
+}
+
+// Creates a project folder and a HOME holding the given PlatformIO/Arduino installs.
+function createProject(t, projectFiles, homeFiles = {}) {
+  const { root, home } = withTempHome(t);
+  const folder = path.join(root, 'project');
+  fs.mkdirSync(folder);
+  const previousCoreDir = process.env.PLATFORMIO_CORE_DIR;
+  process.env.PLATFORMIO_CORE_DIR = path.join(home, '.platformio');
+  t.after(() => {
+    if (previousCoreDir === undefined) {
+      delete process.env.PLATFORMIO_CORE_DIR;
+    } else {
+      process.env.PLATFORMIO_CORE_DIR = previousCoreDir;
+    }
+  });
+  writeFiles(folder, projectFiles);
+  writeFiles(home, homeFiles);
+  return { folder, home };
+}
+
+async function showTarget(mock) {
+  mock.outputLines.length = 0;
+  await mock.registrations.commands.get('avrAsmNavigator.showActiveTarget')();
+  const summary = mock.outputLines.find((line) => line.includes('Board project:')) || '';
+  return {
+    device: /^Device: (.*)$/m.exec(summary)[1],
+    source: /^Device source: (.*)$/m.exec(summary)[1],
+    board: /^Board project: (.*)$/m.exec(summary)[1]
+  };
+}
+
+const PLATFORMIO_INI = [
+  '[platformio]',
+  'default_envs = nano',
+  '',
+  '[env]',
+  'platform = atmelavr',
+  'build_flags =',
+  '    -D LED_PIN=13',
+  '',
+  '[env:uno]',
+  'board = uno',
+  '',
+  '[env:nano] ; old bootloader',
+  'board = nanoatmega328',
+  '',
+  '[env:every]',
+  'extends = env:uno',
+  'board_build.mcu = atmega4809',
+  'board_build.f_cpu = 20000000L',
+  ''
+].join('\n');
+
+test('platformio.ini uses default_envs until another environment is selected', async (t) => {
+  const { folder } = createProject(
+    t,
+    { 'platformio.ini': PLATFORMIO_INI, Makefile: 'MCU = attiny85\n' },
+    {
+      '.platformio/platforms/atmelavr/boards/uno.json': JSON.stringify({
+        build: { mcu: 'atmega328p', f_cpu: '16000000L' }
+      })
+    }
+  );
+  let offered = [];
+  const mock = activateWithMock(
+    {},
+    {
+      workspaceFolders: [folder],
+      extensionContext: { workspaceState: createMemento() },
+      showQuickPick: async (items) => {
+        offered = Array.from(items);
+        return offered.find((item) => item.label === 'env:every');
+      }
+    }
+  );
+
+  const initial = await showTarget(mock);
+  assert.equal(initial.device, 'ATmega328P');
+  assert.equal(initial.source, `PlatformIO (${path.join(folder, 'platformio.ini')})`);
+  assert.equal(
+    initial.board,
+    `PlatformIO env:nano (default_envs, ${path.join(folder, 'platformio.ini')})`
+  );
+
+  await mock.registrations.commands.get('avrAsmNavigator.selectPlatformioEnvironment')();
+  assert.deepEqual(
+    offered.map((item) => `${item.label}: ${item.description}`),
+    [
+      'env:nano: ATmega328P · default_envs',
+      'env:uno: ATmega328P',
+      'env:every: ATmega4809'
+    ]
+  );
+
+  const selected = await showTarget(mock);
+  assert.equal(selected.device, 'ATmega4809');
+  assert.match(selected.board, /^PlatformIO env:every \(selected, /);
+});
+
+test('PlatformIO build flags, board F_CPU and the package toolchain feed hover', async (t) => {
+  const { folder } = createProject(
+    t,
+    {
+      'platformio.ini': PLATFORMIO_INI.replace('default_envs = nano', 'default_envs = uno'),
+      'src/main.S': '#include <avr/board_io.h>\n  ldi r16, LED_PIN\n  .long F_CPU\n  sbi PIO_PORT, 1\n'
+    },
+    {
+      '.platformio/platforms/atmelavr/boards/uno.json': JSON.stringify({
+        build: { mcu: 'atmega328p', f_cpu: '16000000L' }
+      }),
+      '.platformio/packages/toolchain-atmelavr/avr/include/avr/board_io.h': '#define PIO_PORT 0x05\n'
+    }
+  );
+  const mainPath = path.join(folder, 'src', 'main.S');
+  const document = createDocument(fs.readFileSync(mainPath, 'utf8'), mainPath);
+  const mock = activateWithMock({}, { workspaceFolders: [folder], textDocuments: [document] });
+  const provideHover = mock.registrations.hover.provider.provideHover;
+
+  const ledHover = await provideHover(document, { line: 1, character: 12 }, TOKEN);
+  assert.match(ledHover.contents.value, /#define LED_PIN 13/);
+
+  const cpuHover = await provideHover(document, { line: 2, character: 9 }, TOKEN);
+  assert.match(cpuHover.contents.value, /#define F_CPU 16000000L/);
+
+  const portHover = await provideHover(document, { line: 3, character: 8 }, TOKEN);
+  assert.ok(portHover, 'Expected the include to resolve from the PlatformIO toolchain.');
+  assert.match(portHover.contents.value, /Included macro from/);
+});
+
+test('Arduino sketches resolve the board MCU from boards.txt menu options', async (t) => {
+  const { folder } = createProject(
+    t,
+    {
+      'blink.ino': 'void setup() {}\nvoid loop() {}\n',
+      'sketch.yaml': 'default_fqbn: arduino:avr:nano:cpu=atmega168\n'
+    },
+    {
+      '.arduino15/packages/arduino/hardware/avr/1.8.6/boards.txt': [
+        'nano.name=Arduino Nano',
+        'nano.build.f_cpu=16000000L',
+        'nano.menu.cpu.atmega328=ATmega328P',
+        'nano.menu.cpu.atmega328.build.mcu=atmega328p',
+        'nano.menu.cpu.atmega168=ATmega168',
+        'nano.menu.cpu.atmega168.build.mcu=atmega168',
+        ''
+      ].join('\n')
+    }
+  );
+  const target = await showTarget(activateWithMock({}, { workspaceFolders: [folder] }));
+  assert.equal(target.device, 'ATmega168');
+  assert.equal(
+    target.board,
+    `Arduino arduino:avr:nano:cpu=atmega168 (${path.join(folder, 'sketch.yaml')})`
+  );
+});
+
+test('Arduino boards fall back to known MCUs when no boards.txt is installed', async (t) => {
+  const { folder } = createProject(t, {
+    'blink.ino': 'void setup() {}\nvoid loop() {}\n',
+    '.vscode/arduino.json': JSON.stringify({ board: 'arduino:avr:leonardo', sketch: 'blink.ino' })
+  });
+  const target = await showTarget(activateWithMock({}, { workspaceFolders: [folder] }));
+  assert.equal(target.device, 'ATmega32U4');
+  assert.equal(target.source, `Arduino (${path.join(folder, '.vscode', 'arduino.json')})`);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { activateWithMock, createDocument } = require('./helpers/vscode-mock');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const TOKEN = { isCancellationRequested: false };
+const AVR_DX = { dfpPath: path.join(FIXTURES, 'AVR-Dx_DFP'), device: 'AVR128DA32' };
+const TINY = { dfpPath: path.join(FIXTURES, 'ATtiny_DFP'), device: 'ATtiny10' };
+
+function filler(count, line = '  nop') {
+  return Array.from({ length: count }, () => line);
+}
+
+async function checkRanges(config, lines, filePath) {
+  const document = createDocument(lines.join('\n'), filePath);
+  const mock = activateWithMock(config, { textDocuments: [document] });
+  const key = document.uri.toString();
+  for (let attempt = 0; attempt < 200 && !mock.diagnostics.has(key); attempt += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  assert.ok(mock.diagnostics.has(key), 'Diagnostics were not published for the open document.');
+  const diagnostics = Array.from(mock.diagnostics.get(key)).filter(
+    (diagnostic) => diagnostic.code === 'branch-range'
+  );
+  const actions = await mock.registrations.codeActions.provider.provideCodeActions(
+    document,
+    null,
+    { diagnostics },
+    TOKEN
+  );
+  return {
+    diagnostics: diagnostics.map((diagnostic) => `${diagnostic.range.start.line}: ${diagnostic.message}`),
+    fixes: Array.from(actions, (action) => [action.title, action.edit.edits[0].newText])
+  };
+}
+
+test('conditional branches beyond 64 words are flagged and inverted over rjmp', async () => {
+  const lines = ['loop:', ...filler(70), '  breq loop', 'near:', ...filler(10), '  brne near'];
+  const result = await checkRanges({}, lines);
+
+  assert.deepEqual(result.diagnostics, [
+    '71: breq cannot reach loop: it is about 71 words back, and breq reaches -64..+63 words.'
+  ]);
+  assert.deepEqual(result.fixes, [['Invert to brne over rjmp loop', 'brne PC+2\n  rjmp loop']]);
+});
+
+test('GNU sources use .+2 skips, and sizes include two-word instructions and data', async () => {
+  const lines = [
+    '.section .text',
+    'main: brbs 1, done',
+    ...filler(30, '  lds r16, 0x3c00'),
+    '  .space 8',
+    'done:',
+    '  ret'
+  ];
+  const result = await checkRanges({}, lines);
+
+  assert.deepEqual(result.diagnostics, [
+    '1: brbs cannot reach done: it is about 64 words ahead, and brbs reaches -64..+63 words.'
+  ]);
+  assert.deepEqual(result.fixes, [['Invert to brbc over rjmp done', 'brbc 1, .+2\n      rjmp done']]);
+});
+
+test('rcall and rjmp beyond 2K words are replaced with call and jmp where the device has them', async () => {
+  const lines = ['  rcall far', '  rjmp far', ...filler(2050), 'far:', '  ret'];
+  const wide = await checkRanges(AVR_DX, lines);
+  assert.deepEqual(wide.diagnostics, [
+    '0: rcall cannot reach far: it is about 2051 words ahead, and rcall reaches -2048..+2047 words.',
+    '1: rjmp cannot reach far: it is about 2050 words ahead, and rjmp reaches -2048..+2047 words.'
+  ]);
+  assert.deepEqual(wide.fixes, [
+    ['Replace rcall with call', 'call far'],
+    ['Replace rjmp with jmp', 'jmp far']
+  ]);
+
+  const tiny = await checkRanges(TINY, lines);
+  assert.equal(tiny.diagnostics.length, 2);
+  assert.deepEqual(tiny.fixes, []);
+});
+
+test('branches across unknown sizes are skipped; data segments and .org are accounted for', async () => {
+  const lines = [
+    'start:',
+    '  my_macro',
+    ...filler(70),
+    '  breq start',
+    '.org 0x200',
+    'vector:',
+    '  rjmp vector',
+    '.dseg',
+    'buffer: .byte 200',
+    '.cseg',
+    '  brne vector'
+  ];
+  const result = await checkRanges({}, lines);
+  assert.deepEqual(result.diagnostics, []);
+
+  const orgGap = ['top:', '  nop', '.org 0x100', '  brne top'];
+  assert.deepEqual((await checkRanges({}, orgGap)).diagnostics, [
+    '3: brne cannot reach top: it is about 257 words back, and brne reaches -64..+63 words.'
+  ]);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { activateWithMock, createDocument } = require('./helpers/vscode-mock');
+
+const TOKEN = { isCancellationRequested: false };
+
+const MAIN_SOURCE = ['.global main', 'main:', '  call uart_init', '  lds r16, uart_flags', '  rjmp main', ''].join('\n');
+const UART_SOURCE = ['.global uart_init', 'uart_init:', '  ldi r24, 0x67', '  sts 0xC4, r24', '  ret', ''].join('\n');
+
+const LISTING = [
+  'firmware.elf:     file format elf32-avr',
+  '',
+  'Disassembly of section .text:',
+  '',
+  '00000000 <__vectors>:',
+  '   0:\t0c 94 34 00 \tjmp\t0x68\t; 0x68 <main>',
+  '',
+  '00000068 <main>:',
+  'main:',
+  'src/main.S:3',
+  '  68:\t0e 94 3a 00 \tcall\t0x74\t; 0x74 <uart_init>',
+  'src/main.S:4',
+  '  6c:\t00 91 00 01 \tlds\tr16, 0x0100\t; 0x800100 <uart_flags>',
+  'src/main.S:5',
+  '  70:\tfb cf       \trjmp\t.-10     \t; 0x68 <main>',
+  '',
+  '00000074 <uart_init>:',
+  '  74:\t87 e6       \tldi\tr24, 0x67\t; 103',
+  '  76:\t80 93 c4 00 \tsts\t0x00C4, r24\t; 0x8000c4',
+  '  7a:\t08 95       \tret',
+  ''
+].join('\n');
+
+const MAP = [
+  'Archive member included to satisfy reference by file (symbol)',
+  '',
+  'Linker script and memory map',
+  '',
+  '.text           0x00000000       0x7c',
+  ' *(.vectors)',
+  ' .vectors       0x00000000       0x68 /usr/lib/avr/lib/avr5/crtatmega328p.o',
+  '                0x00000000                __vectors',
+  ' .text          0x00000068        0xc main.o',
+  '                0x00000068                main',
+  ' .text.uart_init',
+  '                0x00000074        0x8 uart.o',
+  '                0x00000074                uart_init',
+  '                0x0000007c                _etext = .',
+  '',
+  '.data           0x00800100        0x2 load address 0x0000007c',
+  ' .data          0x00800100        0x2 uart.o',
+  '                0x00800100                uart_flags',
+  ''
+].join('\n');
+
+function createProject(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'avr-build-output-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const files = {
+    main: path.join(root, 'src', 'main.S'),
+    uart: path.join(root, 'src', 'uart.S'),
+    listing: path.join(root, 'build', 'default', 'firmware.lss'),
+    map: path.join(root, 'build', 'default', 'firmware.map')
+  };
+  fs.mkdirSync(path.dirname(files.main), { recursive: true });
+  fs.mkdirSync(path.dirname(files.listing), { recursive: true });
+  fs.writeFileSync(files.main, MAIN_SOURCE);
+  fs.writeFileSync(files.uart, UART_SOURCE);
+  fs.writeFileSync(files.listing, LISTING);
+  fs.writeFileSync(files.map, MAP);
+  return { root, files };
+}
+
+function activateProject(project, config = {}) {
+  return activateWithMock(config, {
+    workspaceFolders: [project.root],
+    workspaceFiles: [project.files.main, project.files.uart]
+  });
+}
+
+test('hover shows linked flash and RAM addresses with sizes', async (t) => {
+  const project = createProject(t);
+  const mock = activateProject(project);
+  const document = createDocument(MAIN_SOURCE, project.files.main);
+  const hoverText = async (line, character) => {
+    const hover = await mock.registrations.hover.provider.provideHover(document, { line, character }, TOKEN);
+    return hover ? hover.contents.value : '';
+  };
+
+  assert.match(await hoverText(2, 10), /Linked at flash 0x0074, 8 bytes \(`[^`]*firmware\.lss`\)/);
+  assert.match(await hoverText(3, 14), /Linked at RAM 0x0100, 2 bytes \(`[^`]*firmware\.map`\)/);
+});
+
+test('routines get a linked-address code lens that opens the listing', async (t) => {
+  const project = createProject(t);
+  const mock = activateProject(project);
+  const lenses = await mock.registrations.codeLens.provider.provideCodeLenses(
+    createDocument(MAIN_SOURCE, project.files.main),
+    TOKEN
+  );
+  const linked = Array.from(lenses).filter((lens) => lens.command.command === 'avrAsmNavigator.revealInBuildOutput');
+  assert.deepEqual(
+    linked.map((lens) => `${lens.range.start.line}: ${lens.command.title}`),
+    ['1: Linked at flash 0x0068, 12 bytes']
+  );
+
+  await mock.registrations.commands.get('avrAsmNavigator.revealInBuildOutput')(...linked[0].command.arguments);
+  const [shown] = mock.registrations.shownDocuments;
+  assert.equal(shown.document.uri.fsPath, project.files.listing);
+  assert.equal(shown.options.selection.start.line, 7);
+
+  const disabled = activateProject(project, { buildOutputDirectory: '' });
+  const without = await disabled.registrations.codeLens.provider.provideCodeLenses(
+    createDocument(MAIN_SOURCE, project.files.main),
+    TOKEN
+  );
+  assert.ok(Array.from(without).every((lens) => lens.command.command !== 'avrAsmNavigator.revealInBuildOutput'));
+});
+
+test('go to definition from a listing line jumps back to the source', async (t) => {
+  const project = createProject(t);
+  const mock = activateProject(project);
+  const listing = createDocument(LISTING, project.files.listing);
+  const definitionAt = (line) =>
+    mock.registrations.definition.provider.provideDefinition(listing, { line, character: 4 }, TOKEN);
+
+  const fromMarker = await definitionAt(12);
+  assert.equal(fromMarker.uri.fsPath, project.files.main);
+  assert.equal(fromMarker.range.line, 3);
+
+  // uart.S was assembled without -l, so the symbol's label is used instead.
+  const fromSymbol = await definitionAt(18);
+  assert.equal(fromSymbol.uri.fsPath, project.files.uart);
+  assert.equal(fromSymbol.range.line, 1);
+});
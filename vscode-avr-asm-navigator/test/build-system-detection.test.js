@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { activateWithMock, createDocument, withTempHome } = require('./helpers/vscode-mock');
+
+const TOKEN = { isCancellationRequested: false };
+
+function createProject(t, files) {
+  const folder = path.join(withTempHome(t).root, 'project');
+  fs.mkdirSync(folder);
+  for (const [name, text] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(folder, name)), { recursive: true });
+    fs.writeFileSync(path.join(folder, name), text);
+  }
+  return folder;
+}
+
+async function showTarget(mock) {
+  mock.outputLines.length = 0;
+  await mock.registrations.commands.get('avrAsmNavigator.showActiveTarget')();
+  const summary = mock.outputLines.find((line) => line.includes('Device source:')) || '';
+  return {
+    device: /^Device: (.*)$/m.exec(summary)[1],
+    source: /^Device source: (.*)$/m.exec(summary)[1],
+    build: /^Build configuration: (.*)$/m.exec(summary)[1]
+  };
+}
+
+// Real compile databases carry an absolute build directory.
+function writeCompileCommands(folder, relativePath, command) {
+  const directory = path.join(folder, 'build');
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(
+    path.join(folder, relativePath),
+    JSON.stringify([{ directory, file: '../src/main.S', command }], null, 2)
+  );
+}
+
+test('compile_commands.json -mmcu wins over CMake and Makefile device variables', async (t) => {
+  const folder = createProject(t, {
+    'CMakeLists.txt': 'set(AVR_MCU attiny817 CACHE STRING "target")\n',
+    Makefile: 'MCU := atmega328p\n'
+  });
+  fs.mkdirSync(path.join(folder, 'inc'));
+  writeCompileCommands(
+    folder,
+    'build/compile_commands.json',
+    'avr-gcc -mmcu=atmega4809 -I ../inc -DF_CPU=16000000UL -c ../src/main.S'
+  );
+  const mock = activateWithMock({}, { workspaceFolders: [folder] });
+
+  const target = await showTarget(mock);
+  assert.equal(target.device, 'ATmega4809');
+  assert.equal(
+    target.source,
+    `compile_commands.json (${path.join(folder, 'build', 'compile_commands.json')})`
+  );
+  assert.match(target.build, /\(1 include dir\(s\), 1 define\(s\)\)$/);
+});
+
+test('CMake files win over Makefiles, and architecture names are not devices', async (t) => {
+  const folder = createProject(t, {
+    'cmake/avr-toolchain.cmake': '# set(MCU atmega8)\nset(CMAKE_C_FLAGS "-mmcu=avr5")\nset(MCU "attiny817")\n',
+    Makefile: 'MCU = atmega328p\n'
+  });
+  const mock = activateWithMock({}, { workspaceFolders: [folder] });
+
+  const target = await showTarget(mock);
+  assert.equal(target.device, 'ATtiny817');
+  assert.equal(target.source, `CMake (${path.join(folder, 'cmake', 'avr-toolchain.cmake')})`);
+  assert.equal(target.build, 'none');
+});
+
+test('Makefile MCU variables and __AVR_ defines are used when nothing else names a device', async (t) => {
+  const makeFolder = createProject(t, { 'GNUmakefile': 'export MCU ?= atmega328p\n' });
+  const makeTarget = await showTarget(activateWithMock({}, { workspaceFolders: [makeFolder] }));
+  assert.equal(makeTarget.device, 'ATmega328P');
+  assert.equal(makeTarget.source, `Makefile (${path.join(makeFolder, 'GNUmakefile')})`);
+
+  const defineFolder = createProject(t, {
+    'compile_commands.json': JSON.stringify([
+      { directory: '.', file: 'main.S', arguments: ['xc8-cc', '-D__AVR_AVR128DA32__', '-c', 'main.S'] }
+    ])
+  });
+  const defineTarget = await showTarget(activateWithMock({}, { workspaceFolders: [defineFolder] }));
+  assert.equal(defineTarget.device, 'AVR128DA32');
+});
+
+test('the device setting and disabled build detection take precedence over build files', async (t) => {
+  const folder = createProject(t, { Makefile: 'MCU = atmega328p\n' });
+
+  const configured = await showTarget(
+    activateWithMock({ device: 'AVR64DA32' }, { workspaceFolders: [folder] })
+  );
+  assert.equal(configured.device, 'AVR64DA32');
+  assert.equal(configured.source, 'setting');
+
+  const disabled = await showTarget(
+    activateWithMock({ autoDetectBuildFiles: false }, { workspaceFolders: [folder] })
+  );
+  assert.equal(disabled.source, 'not resolved');
+});
+
+test('compile_commands.json include paths and defines feed includes and hover', async (t) => {
+  const folder = createProject(t, {
+    'third_party/board/board.inc': '.equ LED_PIN = 5\n',
+    'src/main.S': '.include "board.inc"\n  ldi r16, LED_PIN\n  ldi r17, BOARD_REV\n'
+  });
+  writeCompileCommands(
+    folder,
+    'compile_commands.json',
+    'avr-gcc "-mmcu=atmega4809" -I../third_party/board -D BOARD_REV=3 -c ../src/main.S'
+  );
+  const mainPath = path.join(folder, 'src', 'main.S');
+  const document = createDocument(fs.readFileSync(mainPath, 'utf8'), mainPath);
+  const mock = activateWithMock({}, { workspaceFolders: [folder], textDocuments: [document] });
+  const provideHover = mock.registrations.hover.provider.provideHover;
+
+  const ledHover = await provideHover(document, { line: 1, character: 12 }, TOKEN);
+  assert.ok(ledHover, 'Expected hover for LED_PIN from the -I directory.');
+  assert.match(ledHover.contents.value, /Included equ from/);
+
+  const revHover = await provideHover(document, { line: 2, character: 12 }, TOKEN);
+  assert.ok(revHover, 'Expected hover for the BOARD_REV command-line define.');
+  assert.match(revHover.contents.value, /Build command-line defines:/);
+  assert.match(revHover.contents.value, /#define BOARD_REV 3/);
+
+  const location = await mock.registrations.definition.provider.provideDefinition(
+    document,
+    { line: 2, character: 12 },
+    TOKEN
+  );
+  const first = Array.isArray(location) ? location[0] : location;
+  assert.equal(first.uri.fsPath, path.join(folder, 'compile_commands.json'));
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { activateWithMock, createDocument } = require('./helpers/vscode-mock');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const TOKEN = { isCancellationRequested: false };
+const TINY = { dfpPath: path.join(FIXTURES, 'ATtiny_DFP'), device: 'ATtiny10' };
+
+const GNU_SOURCE = [
+  '.global uart_init',
+  '.global uart_puts',
+  '.equ BUF_LEN, 5',
+  '.section .text',
+  'uart_init:',
+  '  ldi r16, 0x67',
+  '  sts UBRR0L, r16',
+  '1:',
+  '  rjmp 1b',
+  '.Lhelper:',
+  '  call helper',
+  '  ret',
+  'uart_puts:',
+  '  lpm r0, Z+',
+  '  my_macro r0',
+  '  ret',
+  'greeting: .asciz "Hi\\n"',
+  '  .byte 1, 2, 3',
+  'table: .space BUF_LEN',
+  '.section .bss',
+  'buffer: .space 16',
+  ''
+].join('\n');
+
+async function sizeLenses(config, text) {
+  const mock = activateWithMock(config);
+  const lenses = await mock.registrations.codeLens.provider.provideCodeLenses(createDocument(text), TOKEN);
+  return Array.from(lenses)
+    .filter((lens) => lens.command.command === 'avrAsmNavigator.showCodeSizeSummary')
+    .map((lens) => `${lens.range.start.line}: ${lens.command.title}`);
+}
+
+test('labels show the flash size up to the next exported label', async () => {
+  assert.deepEqual(await sizeLenses({}, GNU_SOURCE), [
+    '4: Flash: 7 words (14 bytes)',
+    '9: Flash: 3 words (6 bytes)',
+    '12: Flash: 8 words (16 bytes, 1 not sized)',
+    '16: Flash: 6 words (12 bytes)',
+    '18: Flash: 3 words (5 bytes)'
+  ]);
+});
+
+test('AVRASM files pad .db lines, skip data segments and size LDS/STS per core', async () => {
+  const text = '.cseg\nmain:\n  lds r16, 0x40\n  rjmp main\nmsg: .db "abc"\n.dseg\nvar: .byte 2\n.eseg\nee: .db 1\n';
+  assert.deepEqual(await sizeLenses(TINY, text), ['1: Flash: 2 words (4 bytes)', '4: Flash: 2 words (4 bytes)']);
+  assert.deepEqual(await sizeLenses({}, text), ['1: Flash: 3 words (6 bytes)', '4: Flash: 2 words (4 bytes)']);
+  assert.deepEqual(await sizeLenses({ enableCodeSizeCodeLens: false }, text), []);
+});
+
+test('the summary command lists the largest routines and per-file totals', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'avr-code-size-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const uart = path.join(root, 'uart.S');
+  const empty = path.join(root, 'defs.inc');
+  fs.writeFileSync(uart, GNU_SOURCE);
+  fs.writeFileSync(empty, '.equ LED_PIN = 2\n');
+  const mock = activateWithMock({}, { workspaceFiles: [uart, empty] });
+
+  await mock.registrations.commands.get('avrAsmNavigator.showCodeSizeSummary')();
+  const [document] = mock.registrations.openedDocuments;
+  assert.equal(document.languageId, 'markdown');
+  const lines = document.getText().split('\n');
+  assert.ok(lines.includes('15 words (30 bytes) of flash across 1 file(s).'));
+  const routines = lines.slice(lines.indexOf('## Largest routines'), lines.indexOf('## Files'));
+  assert.deepEqual(
+    routines.filter((line) => line.startsWith('| `')),
+    [`| \`uart_puts\` (1 not sized) | ${uart}:13 | 8 | 16 |`, `| \`uart_init\` | ${uart}:5 | 7 | 14 |`]
+  );
+  assert.ok(lines.includes(`| ${uart} | 15 | 30 |`));
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { activateWithMock, createDocument } = require('./helpers/vscode-mock');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const TOKEN = { isCancellationRequested: false };
+const AVR_DX = { dfpPath: path.join(FIXTURES, 'AVR-Dx_DFP'), device: 'AVR128DA32' };
+const TINY = { dfpPath: path.join(FIXTURES, 'ATtiny_DFP'), device: 'ATtiny10' };
+const MEGA_2560 = { dfpPath: path.join(FIXTURES, 'ATmega_DFP'), device: 'ATmega2560' };
+
+const ROUTINES = [
+  'bitbang:',
+  '  sbi VPORTA_OUT, 2',
+  '  sbrc r16, 0',
+  '  lds r17, 0x3c00     ; two words: skipping it costs 2 more cycles',
+  '  rcall delay',
+  '  ret',
+  '',
+  'delay:',
+  '  ldi r17, 3',
+  'loop:',
+  '  dec r17',
+  '  brne loop',
+  '  ret',
+  '',
+  'check: cpi r16, 5',
+  '  breq done',
+  '  inc r16',
+  '  inc r16',
+  'done:',
+  '  ret',
+  ''
+].join('\n');
+
+async function lensTitles(config, text) {
+  const mock = activateWithMock(config);
+  const lenses = await mock.registrations.codeLens.provider.provideCodeLenses(createDocument(text), TOKEN);
+  return Array.from(lenses)
+    .filter((lens) => lens.command.command === 'avrAsmNavigator.countCycles')
+    .map((lens) => `${lens.range.start.line}: ${lens.command.title}`);
+}
+
+test('code lenses count each label-to-ret routine with AVRxt timings', async () => {
+  assert.deepEqual(await lensTitles(AVR_DX, ROUTINES), [
+    '0: ⏱ 10–11 cycles (AVRxt)',
+    '7: ⏱ 7–8 cycles (AVRxt, loops counted once)',
+    '14: ⏱ 7–8 cycles (AVRxt)'
+  ]);
+});
+
+test('per-core tables change call, stack and I/O timings', async () => {
+  const text = 'save:\n  push r16\n  cbi 0x02, 1\n  pop r16\n  ret\n';
+  assert.deepEqual(await lensTitles(TINY, text), ['0: ⏱ 11 cycles (AVRrc)']);
+  assert.deepEqual(await lensTitles({}, text), ['0: ⏱ 10 cycles (AVRe+ assumed)']);
+  assert.deepEqual(await lensTitles(TINY, 'fill:\n  st -X, r16\n  ret\n'), ['0: ⏱ 7–8 cycles (AVRrc)']);
+  assert.deepEqual(await lensTitles(TINY, 'poll:\n  lds r16, 0x40\n  sts 0x41, r16\n  ret\n'), [
+    '0: ⏱ 8 cycles (AVRrc)'
+  ]);
+});
+
+test('calls and returns take one more cycle on parts with a 22-bit PC', async () => {
+  const text = 'far:\n  call helper\n  eicall\n  rcall helper\n  ret\n';
+  assert.deepEqual(await lensTitles(MEGA_2560, text), ['0: ⏱ 18 cycles (AVRe+)']);
+  assert.deepEqual(await lensTitles({}, text), ['0: ⏱ 15 cycles (AVRe+ assumed)']);
+});
+
+test('the command counts a selection, including skips over two-word instructions', async () => {
+  const text = 'main:\n  sbic VPORTA_IN, 1\n  lds r16, 0x3c00\n  my_macro r16\n  nop\n';
+  const document = createDocument(text);
+  const mock = activateWithMock(AVR_DX, {
+    activeDocument: document,
+    activeSelection: {
+      isEmpty: false,
+      start: { line: 1, character: 0 },
+      end: { line: 5, character: 0 },
+      active: { line: 5, character: 0 }
+    }
+  });
+
+  await mock.registrations.commands.get('avrAsmNavigator.countCycles')();
+  assert.equal(
+    mock.registrations.informationMessages.at(-1),
+    'AVR® ASM lines 2–5: 4–5 cycles (AVRxt, 1 untimed).'
+  );
+  assert.ok(mock.outputLines.includes('    2  sbic    1 + skipped words'));
+  assert.ok(mock.outputLines.includes('    4  my_macro untimed'));
+  assert.ok(mock.outputLines.includes('Not counted: my_macro (line 4).'));
+});
+
+test('instruction hover shows the active core timing', async () => {
+  const mock = activateWithMock(TINY);
+  const hoverText = async (lineText) => {
+    const hover = await mock.registrations.hover.provider.provideHover(
+      createDocument(lineText),
+      { line: 0, character: 3 },
+      TOKEN
+    );
+    return hover.contents.value;
+  };
+
+  assert.match(await hoverText('  ret'), /Cycles: `6 \\\(AVRrc\\\)`/);
+  assert.match(await hoverText('  sbis 0x00, 1'), /Cycles: `1 without skip, 2\/3 skipping a 1\/2\\?-word instruction/);
+});
+
+test('code lenses can be disabled', async () => {
+  assert.deepEqual(await lensTitles({ ...AVR_DX, enableCycleCodeLens: false }, ROUTINES), []);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { activateWithMock, createDocument } = require('./helpers/vscode-mock');
+
+const DFP_FIXTURE_ROOT = path.join(__dirname, 'fixtures', 'AVR-Dx_DFP');
+
+async function diagnosticsForText(text, configOverrides = {}) {
+  const document = createDocument(text);
+  const { diagnostics } = activateWithMock(configOverrides, {
+    textDocuments: [document]
+  });
+
+  const key = document.uri.toString();
+  for (let attempt = 0; attempt < 200 && !diagnostics.has(key); attempt += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  assert.ok(diagnostics.has(key), 'Diagnostics were not published for the open document.');
+  return Array.from(diagnostics.get(key), (diagnostic) => ({
+    line: diagnostic.range.start.line,
+    character: diagnostic.range.start.character,
+    message: diagnostic.message
+  }));
+}
+
+test('legal operands produce no diagnostics', async () => {
+  const results = await diagnosticsForText(
+    [
+      '.equ LIMIT = 42',
+      '.def temp = r16',
+      'start:',
+      '  ldi temp, LIMIT        ; high register via .def',
+      '  adiw r25:r24, 1',
+      '  movw r30, r24',
+      '  ldd r0, Y+63',
+      '  st -Z, r1',
+      '  sbi 0x1F, 7',
+      '  lpm',
+      '  lpm r0, Z+',
+      '  in r2, 0x3F',
+      '  rjmp start'
+    ].join('\n')
+  );
+
+  assert.deepEqual(results, []);
+});
+
+test('register class violations are reported per operand', async () => {
+  const results = await diagnosticsForText(
+    ['  ldi r5, 1', '  sbiw r23, 1', '  movw r1, r2', '  mulsu r24, r16'].join('\n')
+  );
+
+  assert.deepEqual(
+    Array.from(results, (item) => [item.line, item.character]),
+    [
+      [0, 6],
+      [1, 7],
+      [2, 7],
+      [3, 8]
+    ]
+  );
+  assert.match(results[0].message, /ldi operand 1 must be r16\.\.r31; found r5/);
+  assert.match(results[1].message, /r24, r26, r28 or r30/);
+  assert.match(results[2].message, /even register/);
+  assert.match(results[3].message, /r16\.\.r23/);
+});
+
+test('operand count and range violations are reported', async () => {
+  const results = await diagnosticsForText(
+    [
+      '  ldi r16',
+      '  ldd r0, Y+64',
+      '  cbi 0x20, 1',
+      '  sbi 0x05, 8',
+      '  adiw r24, 64',
+      '  ld r0, Y+2  ; ld has no displacement form'
+    ].join('\n')
+  );
+
+  assert.equal(results.length, 6);
+  assert.match(results[0].message, /ldi expects 2 operand\(s\) \(ldi Rd, K\); found 1/);
+  assert.match(results[1].message, /displacement must be in 0\.\.63; found 64/);
+  assert.match(results[2].message, /low I\/O address 0x00\.\.0x1F; found 32 \(0x20\)/);
+  assert.match(results[3].message, /bit number 0\.\.7; found 8/);
+  assert.match(results[4].message, /constant 0\.\.63; found 64/);
+  assert.match(results[5].message, /X, X\+, -X/);
+});
+
+test('comments, macro bodies and unresolved symbols are not flagged', async () => {
+  const results = await diagnosticsForText(
+    [
+      '; ldi r0, 1',
+      '/* ldi r1, 2',
+      '   ldi r2, 3 */',
+      '.macro load reg, value',
+      '  ldi \\reg, \\value',
+      '.endm',
+      '  ldi r16, lo8(some_label)',
+      '  cbi PORT_REG, BIT_NAME'
+    ].join('\n')
+  );
+
+  assert.deepEqual(results, []);
+});
+
+test('ATDF registers resolve to I/O addresses for bit instructions', async () => {
+  const results = await diagnosticsForText(
+    ['  sbi VPORTA_DIR, 2', '  sbi RTC_CTRLA, RTC_RTCEN_bp'].join('\n'),
+    { dfpPath: DFP_FIXTURE_ROOT, device: 'AVR128DA32' }
+  );
+
+  assert.equal(results.length, 1);
+  assert.equal(results[0].line, 1);
+  assert.match(results[0].message, /RTC_CTRLA \(0x0140\) is not in the I\/O space/);
+});
@@ -0,0 +1,245 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { activateWithMock, createDocument } = require('./helpers/vscode-mock');
+
+const TOKEN = { isCancellationRequested: false };
+
+const ASM_SOURCE = ['.global uart_init', 'uart_init:', '  lds r16, rx_count', '  rcall main', '  ret', ''].join('\n');
+
+function uleb(value) {
+  const bytes = [];
+  do {
+    let byte = value & 0x7f;
+    value >>>= 7;
+    if (value) {
+      byte |= 0x80;
+    }
+    bytes.push(byte);
+  } while (value);
+  return bytes;
+}
+
+function cstring(text) {
+  return [...Buffer.from(text), 0];
+}
+
+function u16(value) {
+  return [value & 0xff, value >>> 8];
+}
+
+function u32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeUInt32LE(value);
+  return [...buffer];
+}
+
+function withLength(body) {
+  return [...u32(body.length), ...body];
+}
+
+// DWARF 4 line program for one file in src/ with a single row.
+function lineProgram(fileName, address, line) {
+  const header = [1, 1, 1, 0xfb, 14, 13, 0, 1, 1, 1, 1, 0, 0, 0, 1, 0, 0, 1];
+  const tables = [...cstring('src'), 0, ...cstring(fileName), 1, 0, 0, 0];
+  const program = [0, 5, 2, ...u32(address), 3, ...uleb(line - 1), 1, 0, 1, 1];
+  return withLength([...u16(4), ...withLength([...header, ...tables]).slice(0, 4), ...header, ...tables, ...program]);
+}
+
+// Builds a little-endian ELF32 for EM_AVR from named sections; symbols are
+// [name, value, size, info, sectionName].
+function writeElf(elfPath, { root, mainAddress, symbols }) {
+  const secondProgramOffset = lineProgram('uart.c', mainAddress, 5).length;
+  const debugLine = [...lineProgram('uart.c', mainAddress, 5), ...lineProgram('uart.S', 0, 3)];
+  const debugAbbrev = [
+    ...[1, 0x11, 1, 0x10, 0x17, 0x1b, 0x08, 0, 0],
+    ...[2, 0x34, 0, 0x03, 0x08, 0x3a, 0x0b, 0x3b, 0x0b, 0x02, 0x18, 0, 0],
+    ...[3, 0x2e, 0, 0x03, 0x08, 0x3a, 0x0b, 0x3b, 0x0b, 0x11, 0x01, 0, 0],
+    0
+  ];
+  const variable = (name, line, address) => [2, ...cstring(name), 1, line, 5, 0x03, ...u32(address)];
+  const unit = (dies) => withLength([...u16(4), ...u32(0), 4, ...dies]);
+  const debugInfo = [
+    ...unit([
+      1,
+      ...u32(0),
+      ...cstring(root),
+      ...variable('uart_flags', 1, 0x800100),
+      ...variable('rx_count', 2, 0x800102),
+      3,
+      ...cstring('main'),
+      1,
+      4,
+      ...u32(mainAddress),
+      0
+    ]),
+    ...unit([1, ...u32(secondProgramOffset), ...cstring(root), 0])
+  ];
+
+  const sections = [
+    { name: '.text', type: 1, address: 0, data: Buffer.alloc(0x20) },
+    { name: '.data', type: 1, address: 0x800100, data: Buffer.alloc(2) },
+    { name: '.bss', type: 8, address: 0x800102, size: 4 },
+    { name: '.debug_abbrev', type: 1, data: Buffer.from(debugAbbrev) },
+    { name: '.debug_info', type: 1, data: Buffer.from(debugInfo) },
+    { name: '.debug_line', type: 1, data: Buffer.from(debugLine) },
+    { name: '.symtab', type: 2, link: 8, entrySize: 16 },
+    { name: '.strtab', type: 3 },
+    { name: '.shstrtab', type: 3 }
+  ];
+  const sectionIndex = (name) => sections.findIndex((section) => section.name === name) + 1;
+  let strtab = [0];
+  const symtab = [...Buffer.alloc(16)];
+  for (const [name, value, size, info, sectionName] of symbols) {
+    symtab.push(...u32(strtab.length), ...u32(value), ...u32(size), info, 0, ...u16(sectionIndex(sectionName)));
+    strtab = [...strtab, ...cstring(name)];
+  }
+  let shstrtab = [0];
+  for (const section of sections) {
+    section.nameOffset = shstrtab.length;
+    shstrtab = [...shstrtab, ...cstring(section.name)];
+  }
+  sections[6].data = Buffer.from(symtab);
+  sections[7].data = Buffer.from(strtab);
+  sections[8].data = Buffer.from(shstrtab);
+
+  const chunks = [];
+  let offset = 52;
+  for (const section of sections) {
+    section.offset = offset;
+    if (section.data) {
+      chunks.push(section.data);
+      offset += section.data.length;
+    }
+  }
+  const headers = Buffer.alloc(40 * (sections.length + 1));
+  sections.forEach((section, index) => {
+    const base = 40 * (index + 1);
+    headers.writeUInt32LE(section.nameOffset, base);
+    headers.writeUInt32LE(section.type, base + 4);
+    headers.writeUInt32LE(section.address || 0, base + 12);
+    headers.writeUInt32LE(section.offset, base + 16);
+    headers.writeUInt32LE(section.data ? section.data.length : section.size, base + 20);
+    headers.writeUInt32LE(section.link || 0, base + 24);
+    headers.writeUInt32LE(section.entrySize || 0, base + 36);
+  });
+  const header = Buffer.alloc(52);
+  Buffer.from([0x7f, 0x45, 0x4c, 0x46, 1, 1, 1]).copy(header);
+  header.writeUInt16LE(2, 16);
+  header.writeUInt16LE(83, 18);
+  header.writeUInt32LE(1, 20);
+  header.writeUInt32LE(offset, 32);
+  header.writeUInt16LE(52, 40);
+  header.writeUInt16LE(40, 46);
+  header.writeUInt16LE(sections.length + 1, 48);
+  header.writeUInt16LE(sections.length, 50);
+  fs.writeFileSync(elfPath, Buffer.concat([header, ...chunks, headers]));
+}
+
+const GLOBAL_FUNCTION = 0x12;
+const GLOBAL_OBJECT = 0x11;
+const LOCAL_OBJECT = 0x01;
+const GLOBAL_NOTYPE = 0x10;
+const LOCAL_NOTYPE = 0x00;
+
+function createProject(t, mainAddress = 0x08) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'avr-elf-symbols-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const files = {
+    asm: path.join(root, 'src', 'uart.S'),
+    c: path.join(root, 'src', 'uart.c'),
+    elf: path.join(root, 'build', 'firmware.elf')
+  };
+  fs.mkdirSync(path.dirname(files.asm), { recursive: true });
+  fs.mkdirSync(path.dirname(files.elf), { recursive: true });
+  fs.writeFileSync(files.asm, ASM_SOURCE);
+  fs.writeFileSync(files.c, 'int uart_flags;\nstatic long rx_count;\n\nint main(void)\n{\n  return 0;\n}\n');
+  const writeFirmware = (address, extra = []) =>
+    writeElf(files.elf, {
+      root,
+      mainAddress: address,
+      symbols: [
+        ['uart_init', 0x00, 0, GLOBAL_NOTYPE, '.text'],
+        ['wait', 0x04, 0, LOCAL_NOTYPE, '.text'],
+        ['main', address, 8, GLOBAL_FUNCTION, '.text'],
+        ['uart_flags', 0x800100, 2, GLOBAL_OBJECT, '.data'],
+        ['rx_count', 0x800102, 4, LOCAL_OBJECT, '.bss'],
+        ...extra
+      ]
+    });
+  writeFirmware(mainAddress);
+  return { root, files, writeFirmware };
+}
+
+function activateProject(project, options = {}) {
+  return activateWithMock({}, { workspaceFolders: [project.root], workspaceFiles: [project.files.asm], ...options });
+}
+
+async function hoverText(mock, project, line, character) {
+  const document = createDocument(ASM_SOURCE, project.files.asm);
+  const hover = await mock.registrations.hover.provider.provideHover(document, { line, character }, TOKEN);
+  return hover ? hover.contents.value : '';
+}
+
+test('hover shows C variables and functions with their section and declaration', async (t) => {
+  const project = createProject(t);
+  const mock = activateProject(project);
+
+  const variable = await hoverText(mock, project, 2, 14);
+  assert.match(variable, /Linked at RAM 0x0102, 4 bytes \(`[^`]*firmware\.elf`\)/);
+  assert.match(variable, /Local variable in \.bss, defined at .*src\/uart\.c:2\./);
+
+  const routine = await hoverText(mock, project, 3, 10);
+  assert.match(routine, /Linked at flash 0x0008, 8 bytes/);
+  assert.match(routine, /Global function in \.text, defined at .*src\/uart\.c:4\./);
+
+  // Assembler labels take their source from the DWARF line table.
+  assert.match(await hoverText(mock, project, 1, 3), /Global symbol in \.text, defined at .*src\/uart\.S:3\./);
+});
+
+test('workspace symbols and lookup include linked C symbols', async (t) => {
+  const project = createProject(t);
+  let picks = [];
+  const mock = activateProject(project, {
+    activeDocument: createDocument(ASM_SOURCE, project.files.asm),
+    activeSelection: {
+      isEmpty: true,
+      start: { line: 3, character: 10 },
+      end: { line: 3, character: 10 },
+      active: { line: 3, character: 10 }
+    },
+    showQuickPick: async (items) => {
+      picks = items;
+      return null;
+    }
+  });
+
+  const symbols = await mock.registrations.workspaceSymbols.provideWorkspaceSymbols('a', TOKEN);
+  const linked = Array.from(symbols)
+    .filter((symbol) => symbol.containerName.endsWith('(firmware.elf)'))
+    .map((symbol) => [symbol.name, symbol.kind, symbol.location.uri.fsPath, symbol.location.range.line]);
+  assert.deepEqual(linked.sort(), [
+    ['main', 11, project.files.c, 3],
+    ['uart_flags', 12, project.files.c, 0]
+  ]);
+
+  await mock.registrations.commands.get('avrAsmNavigator.lookupSymbol')();
+  const pick = picks.find((item) => item.label === 'main (linked)');
+  assert.ok(pick, 'Expected a linked pick for main.');
+  assert.match(pick.description, /^flash 0x0008, 8 bytes · .*firmware\.elf$/);
+  assert.equal(pick.location.uri.fsPath, project.files.c);
+});
+
+test('linked symbols refresh when the ELF changes', async (t) => {
+  const project = createProject(t);
+  const mock = activateProject(project);
+  assert.match(await hoverText(mock, project, 3, 10), /Linked at flash 0x0008/);
+
+  project.writeFirmware(0x10, [['uart_puts', 0x18, 4, GLOBAL_FUNCTION, '.text']]);
+  assert.match(await hoverText(mock, project, 3, 10), /Linked at flash 0x0008/);
+  // The extension runs in its own context, so wait out the recheck interval.
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+  assert.match(await hoverText(mock, project, 3, 10), /Linked at flash 0x0010/);
+});
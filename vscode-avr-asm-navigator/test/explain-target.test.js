@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { activateWithMock, withTempHome } = require('./helpers/vscode-mock');
+
+// Workspace with two assembly files naming devices, and a HOME whose
+// ~/.mchp_packs holds the ATtiny fixture pack.
+function createWorkspace(t) {
+  const { root, packsRoot } = withTempHome(t, { 'Microchip/ATtiny_DFP/1.0.0': 'ATtiny_DFP' });
+  const packRoot = path.join(packsRoot, 'Microchip', 'ATtiny_DFP', '1.0.0');
+
+  const folder = path.join(root, 'project');
+  fs.mkdirSync(folder);
+  const mainPath = path.join(folder, 'main.S');
+  const utilPath = path.join(folder, 'util.S');
+  fs.writeFileSync(mainPath, '.include "tn10def.inc"\n; target: ATtiny10\n');
+  fs.writeFileSync(utilPath, '; ported from ATtiny85\n');
+  return { folder, packRoot, files: [mainPath, utilPath] };
+}
+
+async function explain(mock) {
+  await mock.registrations.commands.get('avrAsmNavigator.explainTargetResolution')();
+  const document = mock.registrations.openedDocuments.at(-1);
+  assert.equal(document.languageId, 'markdown');
+  return document.getText();
+}
+
+test('explains text inference scores and each pack file tried', async (t) => {
+  const { folder, packRoot, files } = createWorkspace(t);
+  const mock = activateWithMock({}, { workspaceFolders: [folder], workspaceFiles: files });
+
+  const report = await explain(mock);
+  assert.match(report, /^# AVR® ASM target resolution$/m);
+  assert.match(report, /## Workspace source text\nScanned 2 workspace file\(s\)/);
+  assert.match(report, /^- ATtiny10: score 19 \(main\.S \+19\)$/m);
+  assert.match(report, /^- ATtiny85: score 5 \(util\.S \+5\)$/m);
+  assert.match(
+    report,
+    new RegExp(`^- \\[accepted\\] \`${packRoot}\` — newest of 1 pack version\\(s\\) listing ATtiny10$`, 'm')
+  );
+  assert.match(report, /\*\*Device: ATtiny10\*\* \(from workspace source text\)/);
+  assert.match(
+    report,
+    new RegExp(`^- \\[rejected\\] \`${path.join(packRoot, 'gcc', 'dev', 'attiny10', 'device-specs', 'specs-attiny10')}\` — not found$`, 'm')
+  );
+  assert.match(
+    report,
+    new RegExp(`^- \\[accepted\\] \`${path.join(packRoot, 'atdf', 'ATtiny10.atdf')}\` — exact device name$`, 'm')
+  );
+  assert.match(report, new RegExp(`^- atdf: \`${path.join(packRoot, 'atdf', 'ATtiny10.atdf')}\`$`, 'm'));
+});
+
+test('later sources are reported as skipped once a device is configured', async (t) => {
+  const { folder, files } = createWorkspace(t);
+  fs.writeFileSync(path.join(folder, 'Makefile'), 'MCU = attiny85\n');
+  const mock = activateWithMock(
+    { device: 'ATtiny10' },
+    { workspaceFolders: [folder], workspaceFiles: files }
+  );
+
+  const report = await explain(mock);
+  assert.match(report, /^- `avrAsmNavigator.device`: ATtiny10$/m);
+  assert.match(
+    report,
+    new RegExp(`^- \\[accepted\\] \`${path.join(folder, 'Makefile')}\` — Makefile names ATtiny85$`, 'm')
+  );
+  assert.match(report, /## Workspace source text\nSkipped: device already resolved from setting\./);
+  assert.match(report, /\*\*Device: ATtiny10\*\* \(from setting\)/);
+});
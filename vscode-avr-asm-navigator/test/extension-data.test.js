@@ -77,7 +77,7 @@ test('completion provider trigger characters include comma for operand completio
   assert.match(snippet, /','/);
 });
 
-test('active target command is contributed and activated', () => {
+test('active target commands are contributed and activated', () => {
   const packageJson = JSON.parse(fs.readFileSync(PACKAGE_JSON_PATH, 'utf8'));
   const activationEvents = packageJson.activationEvents || [];
   const commands = (packageJson.contributes && packageJson.contributes.commands) || [];
@@ -85,6 +85,40 @@ test('active target command is contributed and activated', () => {
 
   assert.ok(activationEvents.includes('onCommand:avrAsmNavigator.showActiveTarget'));
   assert.ok(commandIds.includes('avrAsmNavigator.showActiveTarget'));
+  assert.ok(activationEvents.includes('onCommand:avrAsmNavigator.explainTargetResolution'));
+  assert.ok(commandIds.includes('avrAsmNavigator.explainTargetResolution'));
+});
+
+test('target selection commands are contributed and activated', () => {
+  const packageJson = JSON.parse(fs.readFileSync(PACKAGE_JSON_PATH, 'utf8'));
+  const commandIds = packageJson.contributes.commands.map((entry) => entry.command);
+  const properties = packageJson.contributes.configuration.properties;
+
+  for (const command of [
+    'avrAsmNavigator.selectDevice',
+    'avrAsmNavigator.selectMplabConfiguration',
+    'avrAsmNavigator.selectPlatformioEnvironment'
+  ]) {
+    assert.ok(packageJson.activationEvents.includes(`onCommand:${command}`));
+    assert.ok(commandIds.includes(command));
+  }
+  assert.equal(properties['avrAsmNavigator.device'].scope, 'resource');
+  assert.equal(properties['avrAsmNavigator.dfpPath'].scope, 'resource');
+});
+
+test('pack import, cycle count, code size and build output commands are contributed and activated', () => {
+  const packageJson = JSON.parse(fs.readFileSync(PACKAGE_JSON_PATH, 'utf8'));
+  const commandIds = packageJson.contributes.commands.map((entry) => entry.command);
+
+  for (const command of [
+    'avrAsmNavigator.importPackArchive',
+    'avrAsmNavigator.countCycles',
+    'avrAsmNavigator.showCodeSizeSummary',
+    'avrAsmNavigator.revealInBuildOutput'
+  ]) {
+    assert.ok(packageJson.activationEvents.includes(`onCommand:${command}`));
+    assert.ok(commandIds.includes(command));
+  }
 });
 
 test('VSIX packaging script uses an explicit include whitelist', () => {
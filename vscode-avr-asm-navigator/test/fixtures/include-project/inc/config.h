@@ -0,0 +1,4 @@
+#ifndef CONFIG_H
+#define CONFIG_H
+#define F_CPU_HZ 16000000
+#endif
@@ -0,0 +1,577 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const EXTENSION_JS_PATH = path.join(ROOT, 'extension.js');
+const FIXTURES = path.join(ROOT, 'test', 'fixtures');
+const WORD_CHAR_REGEX = /[A-Za-z0-9_.$]/;
+
+function createDisposable() {
+  return { dispose() {} };
+}
+
+class Position {
+  constructor(line, character) {
+    this.line = line;
+    this.character = character;
+  }
+}
+
+class Range {
+  constructor(start, end) {
+    this.start = start;
+    this.end = end;
+  }
+}
+
+class Location {
+  constructor(uri, rangeOrPosition) {
+    this.uri = uri;
+    this.range = rangeOrPosition;
+  }
+}
+
+class CodeLens {
+  constructor(range, command) {
+    this.range = range;
+    this.command = command;
+  }
+}
+
+class CodeAction {
+  constructor(title, kind) {
+    this.title = title;
+    this.kind = kind;
+  }
+}
+
+class MarkdownString {
+  constructor(value = '') {
+    this.value = value;
+  }
+
+  appendMarkdown(text) {
+    this.value += text;
+    return this;
+  }
+
+  appendCodeblock(code, language = '') {
+    this.value += `\n\`\`\`${language}\n${code}\n\`\`\`\n`;
+    return this;
+  }
+}
+
+function createSchemeUri(scheme, fsPath) {
+  return {
+    scheme,
+    path: fsPath,
+    fsPath,
+    with(change) {
+      return createSchemeUri(change.scheme || scheme, fsPath);
+    },
+    toString() {
+      return `${scheme}://${fsPath}`;
+    }
+  };
+}
+
+function createUri(fsPath) {
+  return createSchemeUri('file', fsPath);
+}
+
+function createVscodeMock(configOverrides = {}, options = {}) {
+  const diagnostics = new Map();
+  const workspaceFolders = (options.workspaceFolders || []).map((fsPath, index) => ({
+    uri: createUri(fsPath),
+    name: path.basename(fsPath),
+    index
+  }));
+  const registrations = {
+    completion: null,
+    hover: null,
+    codeLens: null,
+    definition: null,
+    signatureHelp: null,
+    rename: null,
+    references: null,
+    workspaceSymbols: null,
+    commands: new Map(),
+    executedCommands: [],
+    contentProviders: new Map(),
+    warningMessages: [],
+    informationMessages: [],
+    errorMessages: [],
+    statusBarMessages: [],
+    fileWatchers: [],
+    statusBarItems: [],
+    configUpdates: [],
+    configurationHandlers: [],
+    openedDocuments: [],
+    shownDocuments: []
+  };
+  const configValues = {
+    enableCompletion: true,
+    enableInstructionCompletion: true,
+    autoDetectMplabProject: false,
+    maxCompletionItems: 41,
+    maxHoverResults: 6,
+    maxWorkspaceScanFiles: 40,
+    maxWorkspaceSymbols: 80,
+    maxReferenceResults: 100,
+    includeDfpInWorkspaceSymbols: false,
+    ...configOverrides
+  };
+  const outputLines = [];
+
+  const vscodeMock = {
+    Position,
+    Range,
+    CodeLens,
+    CodeAction,
+    CodeActionKind: { QuickFix: 'quickfix' },
+    Location,
+    MarkdownString,
+    Diagnostic: class Diagnostic {
+      constructor(range, message, severity) {
+        this.range = range;
+        this.message = message;
+        this.severity = severity;
+      }
+    },
+    DiagnosticSeverity: {
+      Error: 0,
+      Warning: 1,
+      Information: 2,
+      Hint: 3
+    },
+    Hover: class Hover {
+      constructor(contents) {
+        this.contents = contents;
+      }
+    },
+    SignatureHelp: class SignatureHelp {
+      constructor() {
+        this.signatures = [];
+        this.activeSignature = 0;
+        this.activeParameter = 0;
+      }
+    },
+    SignatureInformation: class SignatureInformation {
+      constructor(label, documentation) {
+        this.label = label;
+        this.documentation = documentation;
+        this.parameters = [];
+      }
+    },
+    ParameterInformation: class ParameterInformation {
+      constructor(label, documentation) {
+        this.label = label;
+        this.documentation = documentation;
+      }
+    },
+    StatusBarAlignment: { Left: 1, Right: 2 },
+    ConfigurationTarget: { Global: 1, Workspace: 2, WorkspaceFolder: 3 },
+    ThemeColor: class ThemeColor {
+      constructor(id) {
+        this.id = id;
+      }
+    },
+    SymbolKind: { Function: 11, Variable: 12, Constant: 13 },
+    SymbolInformation: class SymbolInformation {
+      constructor(name, kind, containerName, location) {
+        this.name = name;
+        this.kind = kind;
+        this.containerName = containerName;
+        this.location = location;
+      }
+    },
+    RelativePattern: class RelativePattern {
+      constructor(base, pattern) {
+        this.base = base;
+        this.pattern = pattern;
+      }
+    },
+    WorkspaceEdit: class WorkspaceEdit {
+      constructor() {
+        this.edits = [];
+      }
+
+      replace(uri, range, newText) {
+        this.edits.push({ uri, range, newText });
+      }
+    },
+    Uri: {
+      file: createUri,
+      joinPath(base, ...segments) {
+        return createUri(path.join(base.fsPath, ...segments));
+      }
+    },
+    CompletionItem: class CompletionItem {
+      constructor(label, kind) {
+        this.label = label;
+        this.kind = kind;
+      }
+    },
+    CompletionItemKind: {
+      Function: 3,
+      Variable: 6,
+      Keyword: 14,
+      Constant: 21
+    },
+    languages: {
+      createDiagnosticCollection() {
+        return {
+          set(uri, list) {
+            diagnostics.set(uri.toString(), list);
+          },
+          delete(uri) {
+            diagnostics.delete(uri.toString());
+          },
+          clear() {
+            diagnostics.clear();
+          },
+          dispose() {}
+        };
+      },
+      registerCodeLensProvider(_selector, provider) {
+        registrations.codeLens = { provider };
+        return createDisposable();
+      },
+      registerCodeActionsProvider(_selector, provider, metadata) {
+        registrations.codeActions = { provider, metadata };
+        return createDisposable();
+      },
+      registerHoverProvider(_selector, provider) {
+        registrations.hover = { provider };
+        return createDisposable();
+      },
+      registerDefinitionProvider(_selector, provider) {
+        registrations.definition = { provider };
+        return createDisposable();
+      },
+      registerDocumentSymbolProvider() {
+        return createDisposable();
+      },
+      registerReferenceProvider(_selector, provider) {
+        registrations.references = provider;
+        return createDisposable();
+      },
+      registerRenameProvider(_selector, provider) {
+        registrations.rename = provider;
+        return createDisposable();
+      },
+      registerSignatureHelpProvider(_selector, provider, metadata) {
+        registrations.signatureHelp = { provider, metadata };
+        return createDisposable();
+      },
+      registerWorkspaceSymbolProvider(provider) {
+        registrations.workspaceSymbols = provider;
+        return createDisposable();
+      },
+      registerCompletionItemProvider(_selector, provider, ...triggerCharacters) {
+        registrations.completion = {
+          provider,
+          triggerCharacters
+        };
+        return createDisposable();
+      }
+    },
+    commands: {
+      registerCommand(command, handler) {
+        registrations.commands.set(command, handler);
+        return createDisposable();
+      },
+      async executeCommand(command, ...args) {
+        registrations.executedCommands.push({ command, args });
+      }
+    },
+    window: {
+      activeTextEditor: options.activeDocument
+        ? { document: options.activeDocument, selection: options.activeSelection || null }
+        : null,
+      createOutputChannel() {
+        return {
+          appendLine(line) {
+            outputLines.push(String(line));
+          },
+          show() {},
+          dispose() {}
+        };
+      },
+      showInformationMessage(message) {
+        registrations.informationMessages.push(message);
+      },
+      async showWarningMessage(message, ...items) {
+        registrations.warningMessages.push({ message, items });
+        return options.showWarningMessage ? options.showWarningMessage(message, items) : undefined;
+      },
+      showErrorMessage(message) {
+        registrations.errorMessages.push(message);
+      },
+      showQuickPick: options.showQuickPick || (async () => null),
+      showOpenDialog: options.showOpenDialog || (async () => undefined),
+      setStatusBarMessage(message) {
+        registrations.statusBarMessages.push(message);
+        return createDisposable();
+      },
+      createStatusBarItem() {
+        const item = {
+          visible: false,
+          show() {
+            item.visible = true;
+          },
+          hide() {
+            item.visible = false;
+          },
+          dispose() {}
+        };
+        registrations.statusBarItems.push(item);
+        return item;
+      },
+      onDidChangeActiveTextEditor() {
+        return createDisposable();
+      },
+      showInputBox: async () => '',
+      showTextDocument: async (document, showOptions) => {
+        registrations.shownDocuments.push({ document, options: showOptions });
+        return null;
+      }
+    },
+    workspace: {
+      workspaceFolders,
+      registerTextDocumentContentProvider(scheme, provider) {
+        registrations.contentProviders.set(scheme, provider);
+        return createDisposable();
+      },
+      textDocuments: options.textDocuments || [],
+      fs: {
+        readDirectory: async (uri) =>
+          fs.readdirSync(uri.fsPath, { withFileTypes: true }).map((entry) => [
+            entry.name,
+            entry.isDirectory() ? 2 : 1
+          ]),
+        readFile: async (uri) => fs.readFileSync(uri.fsPath)
+      },
+      getConfiguration(section) {
+        assert.equal(section, 'avrAsmNavigator');
+        return {
+          get(key, fallback) {
+            return Object.prototype.hasOwnProperty.call(configValues, key)
+              ? configValues[key]
+              : fallback;
+          },
+          async update(key, value, target) {
+            configValues[key] = value;
+            registrations.configUpdates.push({ key, value, target });
+          }
+        };
+      },
+      getWorkspaceFolder(uri) {
+        const candidates = workspaceFolders.filter(
+          (folder) =>
+            uri.fsPath === folder.uri.fsPath ||
+            (uri.fsPath || '').startsWith(`${folder.uri.fsPath}/`)
+        );
+        candidates.sort((a, b) => b.uri.fsPath.length - a.uri.fsPath.length);
+        return candidates[0] || null;
+      },
+      asRelativePath(uri) {
+        return uri.fsPath;
+      },
+      findFiles: async (_include, _exclude, maxResults) =>
+        (options.workspaceFiles || []).slice(0, maxResults || undefined).map(createUri),
+      createFileSystemWatcher(glob) {
+        const watcher = { glob, handlers: {} };
+        for (const event of ['onDidCreate', 'onDidChange', 'onDidDelete']) {
+          watcher[event] = (handler) => {
+            watcher.handlers[event] = handler;
+            return createDisposable();
+          };
+        }
+        watcher.dispose = () => {
+          watcher.disposed = true;
+        };
+        registrations.fileWatchers.push(watcher);
+        return watcher;
+      },
+      openTextDocument: async (options) => {
+        if (options && typeof options.content === 'string') {
+          const document = { languageId: options.language, getText: () => options.content };
+          registrations.openedDocuments.push(document);
+          return document;
+        }
+        if (options && options.fsPath && fs.existsSync(options.fsPath)) {
+          const document = createDocument(fs.readFileSync(options.fsPath, 'utf8'), options.fsPath);
+          registrations.openedDocuments.push(document);
+          return document;
+        }
+        throw new Error('openTextDocument should not be called in provider tests');
+      },
+      onDidChangeConfiguration(handler) {
+        registrations.configurationHandlers.push(handler);
+        return createDisposable();
+      },
+      onDidCloseTextDocument() {
+        return createDisposable();
+      },
+      onDidOpenTextDocument() {
+        return createDisposable();
+      },
+      onDidChangeTextDocument() {
+        return createDisposable();
+      },
+      onDidSaveTextDocument() {
+        return createDisposable();
+      },
+      onDidCreateFiles() {
+        return createDisposable();
+      },
+      onDidDeleteFiles() {
+        return createDisposable();
+      },
+      onDidRenameFiles() {
+        return createDisposable();
+      },
+      onDidChangeWorkspaceFolders() {
+        return createDisposable();
+      }
+    }
+  };
+
+  return {
+    vscodeMock,
+    registrations,
+    diagnostics,
+    outputLines
+  };
+}
+
+function loadExtensionWithMock(vscodeMock) {
+  const source = fs.readFileSync(EXTENSION_JS_PATH, 'utf8');
+  const moduleRef = { exports: {} };
+  const sandbox = {
+    module: moduleRef,
+    exports: moduleRef.exports,
+    require(moduleName) {
+      if (moduleName === 'vscode') {
+        return vscodeMock;
+      }
+      return require(moduleName);
+    },
+    __dirname: path.dirname(EXTENSION_JS_PATH),
+    __filename: EXTENSION_JS_PATH,
+    process,
+    console,
+    Buffer,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval
+  };
+
+  vm.runInNewContext(source, sandbox, { filename: EXTENSION_JS_PATH });
+  return moduleRef.exports;
+}
+
+function activateWithMock(configOverrides = {}, options = {}) {
+  const mock = createVscodeMock(configOverrides, options);
+  const extension = loadExtensionWithMock(mock.vscodeMock);
+  extension.activate({ subscriptions: [], ...(options.extensionContext || {}) });
+  return mock;
+}
+
+function createDocument(text, fsPath = '/tmp/completion-test.S') {
+  const lines = text.split(/\r?\n/);
+  return {
+    uri: createUri(fsPath),
+    languageId: 'avr-asm',
+    version: 1,
+    lineCount: lines.length,
+    getText(range) {
+      if (!range) {
+        return text;
+      }
+      if (range.start.line !== range.end.line) {
+        throw new Error('Multiline range not supported in test document');
+      }
+      const line = lines[range.start.line] || '';
+      return line.slice(range.start.character, range.end.character);
+    },
+    lineAt(line) {
+      const lineText = lines[line] || '';
+      return {
+        text: lineText,
+        range: new Range(new Position(line, 0), new Position(line, lineText.length))
+      };
+    },
+    getWordRangeAtPosition(position, wordRegex) {
+      const line = lines[position.line] || '';
+      const cursor = Math.max(0, Math.min(position.character, line.length));
+
+      let start = cursor;
+      while (start > 0 && WORD_CHAR_REGEX.test(line[start - 1])) {
+        start -= 1;
+      }
+
+      let end = cursor;
+      while (end < line.length && WORD_CHAR_REGEX.test(line[end])) {
+        end += 1;
+      }
+
+      if (start === end) {
+        return null;
+      }
+
+      const word = line.slice(start, end);
+      const exactWordRegex = new RegExp(`^${wordRegex.source}$`);
+      if (!exactWordRegex.test(word)) {
+        return null;
+      }
+
+      return {
+        start: { line: position.line, character: start },
+        end: { line: position.line, character: end }
+      };
+    }
+  };
+}
+
+// Points HOME at a scratch directory for one test. `packs` maps pack version
+// folders under ~/.mchp_packs (e.g. 'Microchip/ATtiny_DFP/1.0.0') to the
+// fixture pack copied there.
+function withTempHome(t, packs = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'avr-home-'));
+  const home = path.join(root, 'home');
+  fs.mkdirSync(home);
+  const previousHome = process.env.HOME;
+  process.env.HOME = home;
+  t.after(() => {
+    process.env.HOME = previousHome;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  const packsRoot = path.join(home, '.mchp_packs');
+  for (const [versionPath, fixture] of Object.entries(packs)) {
+    fs.cpSync(path.join(FIXTURES, fixture), path.join(packsRoot, ...versionPath.split('/')), { recursive: true });
+  }
+  return { root, home, packsRoot };
+}
+
+async function showPackRoot(mock) {
+  mock.outputLines.length = 0;
+  await mock.registrations.commands.get('avrAsmNavigator.showActiveTarget')();
+  const summary = mock.outputLines.find((line) => line.includes('Pack root:')) || '';
+  return /^Pack root: (.*)$/m.exec(summary)[1];
+}
+
+module.exports = {
+  activateWithMock,
+  createDocument,
+  createUri,
+  createVscodeMock,
+  loadExtensionWithMock,
+  showPackRoot,
+  withTempHome
+};
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { activateWithMock, createDocument } = require('./helpers/vscode-mock');
+
+const PROJECT_DIR = path.join(__dirname, 'fixtures', 'include-project');
+const MAIN_PATH = path.join(PROJECT_DIR, 'main.S');
+
+function openMain(extraLines = []) {
+  const text = [fs.readFileSync(MAIN_PATH, 'utf8').trimEnd(), ...extraLines].join('\n');
+  const document = createDocument(text, MAIN_PATH);
+  const { registrations } = activateWithMock({}, { textDocuments: [document] });
+  return { registrations, document, lines: text.split('\n') };
+}
+
+const TOKEN = { isCancellationRequested: false };
+
+test('definition follows .include into the included file', async () => {
+  const { registrations, document } = openMain();
+  const location = await registrations.definition.provider.provideDefinition(
+    document,
+    { line: 4, character: 14 },
+    TOKEN
+  );
+
+  assert.equal(location.uri.fsPath, path.join(PROJECT_DIR, 'inc', 'timing.inc'));
+  // Definitions are reported at a position, which the mock stores as the range.
+  assert.equal(location.range.line, 1);
+  assert.equal(location.range.character, 5);
+});
+
+test('hover shows .equ and #define symbols reachable through nested includes', async () => {
+  const { registrations, document } = openMain(['  ldi r17, TICK_COUNT', '  .long F_CPU_HZ']);
+
+  const tickHover = await registrations.hover.provider.provideHover(document, { line: 7, character: 14 }, TOKEN);
+  assert.ok(tickHover, 'Expected hover for TICK_COUNT.');
+  assert.match(tickHover.contents.value, /Included set from `inc\/shared\.inc` at line 3/);
+
+  const cpuHover = await registrations.hover.provider.provideHover(document, { line: 8, character: 10 }, TOKEN);
+  assert.ok(cpuHover, 'Expected hover for F_CPU_HZ.');
+  assert.match(cpuHover.contents.value, /Included macro from `inc\/config\.h` at line 3/);
+});
+
+test('completion offers included labels and constants despite an include cycle', async () => {
+  const { registrations, document, lines } = openMain(['  rcall wa', '  ldi r18, TI']);
+
+  const labelItems = await registrations.completion.provider.provideCompletionItems(
+    document,
+    { line: 7, character: lines[7].length },
+    TOKEN
+  );
+  const waitItem = Array.from(labelItems).find((item) => item.label === 'wait_ticks');
+  assert.ok(waitItem, 'Expected wait_ticks from timing.inc.');
+  assert.equal(waitItem.detail, 'label from timing.inc:4');
+
+  const constantItems = await registrations.completion.provider.provideCompletionItems(
+    document,
+    { line: 8, character: lines[8].length },
+    TOKEN
+  );
+  assert.deepEqual(
+    Array.from(constantItems, (item) => item.label),
+    ['TICK_COUNT']
+  );
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { activateWithMock, createDocument } = require('./helpers/vscode-mock');
+
+const FIXTURE_PACK = path.join(__dirname, 'fixtures', 'AVR-Dx_DFP');
+
+function createSandbox(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'avr-index-cache-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const packRoot = path.join(root, 'AVR-Dx_DFP');
+  fs.cpSync(FIXTURE_PACK, packRoot, { recursive: true });
+  return { packRoot, storagePath: path.join(root, 'storage') };
+}
+
+async function activateAndShowTarget(sandbox, textDocuments = []) {
+  const mock = activateWithMock(
+    { dfpPath: sandbox.packRoot, device: 'AVR128DA32' },
+    {
+      textDocuments,
+      extensionContext: { globalStorageUri: { fsPath: sandbox.storagePath } }
+    }
+  );
+  await mock.registrations.commands.get('avrAsmNavigator.showActiveTarget')();
+  const summary = mock.outputLines.find((line) => line.includes('Index source:')) || '';
+  return { mock, source: summary.split('\n').find((line) => line.startsWith('Index source:')) };
+}
+
+test('index is persisted on first build and reused by the next activation', async (t) => {
+  const sandbox = createSandbox(t);
+
+  const first = await activateAndShowTarget(sandbox);
+  assert.match(first.source, /^Index source: parsed from pack files, saved to /);
+  const cacheFiles = fs.readdirSync(path.join(sandbox.storagePath, 'index-cache'));
+  assert.equal(cacheFiles.length, 1);
+
+  const document = createDocument('  sts RTC_CTRLA, r16', '/tmp/cache-hover.S');
+  const second = await activateAndShowTarget(sandbox, [document]);
+  assert.match(second.source, /^Index source: on-disk cache \(/);
+
+  const hover = await second.mock.registrations.hover.provider.provideHover(
+    document,
+    { line: 0, character: 8 },
+    { isCancellationRequested: false }
+  );
+  assert.ok(hover, 'Expected hover from the cached ATDF model.');
+  assert.match(hover.contents.value, /Register `RTC\.CTRLA`/);
+  assert.match(hover.contents.value, /\| Bits \| Field \| Access \| Description \|/);
+});
+
+test('changing a pack source file invalidates the cached index', async (t) => {
+  const sandbox = createSandbox(t);
+  await activateAndShowTarget(sandbox);
+
+  const atdfPath = path.join(sandbox.packRoot, 'atdf', 'AVR128DA32.atdf');
+  const later = new Date(Date.now() + 60_000);
+  fs.utimesSync(atdfPath, later, later);
+
+  const rebuilt = await activateAndShowTarget(sandbox);
+  assert.match(rebuilt.source, /^Index source: parsed from pack files/);
+});
+
+test('persistent cache can be disabled', async (t) => {
+  const sandbox = createSandbox(t);
+  const mock = activateWithMock(
+    { dfpPath: sandbox.packRoot, device: 'AVR128DA32', enablePersistentIndexCache: false },
+    { extensionContext: { globalStorageUri: { fsPath: sandbox.storagePath } } }
+  );
+  await mock.registrations.commands.get('avrAsmNavigator.showActiveTarget')();
+
+  const summary = mock.outputLines.find((line) => line.includes('Index source:'));
+  assert.match(summary, /^Index source: parsed from pack files$/m);
+  assert.equal(fs.existsSync(path.join(sandbox.storagePath, 'index-cache')), false);
+});
+
+test('only the most recently used cache files are kept', async (t) => {
+  const sandbox = createSandbox(t);
+  const cacheDir = path.join(sandbox.storagePath, 'index-cache');
+  fs.mkdirSync(cacheDir, { recursive: true });
+  const stale = [];
+  for (let i = 0; i < 10; i += 1) {
+    const filePath = path.join(cacheDir, `index-${String(i).padStart(40, '0')}.json`);
+    fs.writeFileSync(filePath, '{}');
+    const used = new Date(Date.now() - (i + 1) * 60_000);
+    fs.utimesSync(filePath, used, used);
+    stale.push(path.basename(filePath));
+  }
+
+  const first = await activateAndShowTarget(sandbox);
+  assert.match(first.source, /saved to /);
+  const kept = fs.readdirSync(cacheDir).sort();
+  assert.equal(kept.length, 8);
+  assert.deepEqual(kept.filter((name) => stale.includes(name)), stale.slice(0, 7).sort());
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { activateWithMock, createDocument } = require('./helpers/vscode-mock');
+
+const AVR_DX_TARGET = {
+  dfpPath: path.join(__dirname, 'fixtures', 'AVR-Dx_DFP'),
+  device: 'AVR128DA32'
+};
+const ATTINY_TARGET = {
+  dfpPath: path.join(__dirname, 'fixtures', 'ATtiny_DFP'),
+  device: 'ATtiny10'
+};
+
+async function diagnosticMessages(text, target) {
+  const document = createDocument(text);
+  const { diagnostics } = activateWithMock(target, { textDocuments: [document] });
+  const key = document.uri.toString();
+  for (let attempt = 0; attempt < 200 && !diagnostics.has(key); attempt += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  return Array.from(diagnostics.get(key) || [], (diagnostic) => diagnostic.message);
+}
+
+test('instructions missing from the device core are flagged', async () => {
+  const messages = await diagnosticMessages(
+    ['  des 1', '  eijmp', '  elpm r0, Z+', '  mul r16, r17'].join('\n'),
+    AVR_DX_TARGET
+  );
+
+  assert.deepEqual(messages, [
+    'des is not available on AVR128DA32 (the AVRxt core does not implement it).',
+    'eijmp is not available on AVR128DA32 (it needs more than 128 KB of flash).'
+  ]);
+});
+
+test('reduced-core devices reject missing instructions and low registers', async () => {
+  const messages = await diagnosticMessages(
+    ['  mul r16, r17', '  adiw r24, 1', '  ldi r16, 1', '  mov r5, r16'].join('\n'),
+    ATTINY_TARGET
+  );
+
+  assert.equal(messages.length, 3);
+  assert.match(messages[0], /mul is not available on ATtiny10 \(the AVRrc core/);
+  assert.match(messages[1], /adiw is not available on ATtiny10/);
+  assert.match(messages[2], /r5, which does not exist on ATtiny10/);
+});
+
+test('completion hides mnemonics the active device does not support', async () => {
+  const { registrations } = activateWithMock({ ...ATTINY_TARGET, maxCompletionItems: 200 });
+  const items = await registrations.completion.provider.provideCompletionItems(
+    createDocument('mu'),
+    { line: 0, character: 2 },
+    { isCancellationRequested: false }
+  );
+  const labels = Array.from(items, (item) => String(item.label));
+
+  assert.ok(!labels.includes('mul'));
+  assert.ok(!labels.includes('mulsu'));
+});
+
+test('hover marks instructions unavailable on the active device', async () => {
+  const { registrations } = activateWithMock(ATTINY_TARGET);
+  const hover = await registrations.hover.provider.provideHover(
+    createDocument('  movw r16, r18'),
+    { line: 0, character: 3 },
+    { isCancellationRequested: false }
+  );
+
+  assert.match(hover.contents.value, /\*\*Not available on ATtiny10\*\* — the AVRrc core/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { activateWithMock } = require('./helpers/vscode-mock');
+
+function createMemento() {
+  const values = new Map();
+  return {
+    get(key, fallback) {
+      return values.has(key) ? values.get(key) : fallback;
+    },
+    async update(key, value) {
+      values.set(key, value);
+    }
+  };
+}
+
+function configuration(name, device) {
+  return {
+    name,
+    device,
+    packs: [{ vendor: 'Microchip', name: 'AVR-Dx_DFP', version: '2.1.0' }]
+  };
+}
+
+function createProject(t) {
+  const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'avr-mplab-project-'));
+  t.after(() => fs.rmSync(folder, { recursive: true, force: true }));
+  const vscodeDir = path.join(folder, '.vscode');
+  fs.mkdirSync(vscodeDir);
+  fs.writeFileSync(
+    path.join(vscodeDir, 'board.mplab.json'),
+    JSON.stringify({
+      configurations: [configuration('debug', 'AVR128DA32'), configuration('release', 'AVR64DA32')]
+    })
+  );
+  fs.writeFileSync(
+    path.join(vscodeDir, 'tester.mplab.json'),
+    JSON.stringify({ configurations: [configuration('bench', 'AVR32DA28')] })
+  );
+  return folder;
+}
+
+async function showTarget(mock) {
+  mock.outputLines.length = 0;
+  await mock.registrations.commands.get('avrAsmNavigator.showActiveTarget')();
+  const summary = mock.outputLines.find((line) => line.includes('Detected project:')) || '';
+  return {
+    device: /^Device: (.*)$/m.exec(summary)[1],
+    project: /^Detected project: (.*)$/m.exec(summary)[1]
+  };
+}
+
+test('the first configuration is used until another one is selected and remembered', async (t) => {
+  const folder = createProject(t);
+  const workspaceState = createMemento();
+  let offered = [];
+  const options = {
+    workspaceFolders: [folder],
+    extensionContext: { workspaceState },
+    showQuickPick: async (items) => {
+      offered = Array.from(items);
+      return offered.find((item) => item.label === 'bench');
+    }
+  };
+  const mock = activateWithMock({ autoDetectMplabProject: true }, options);
+
+  const initial = await showTarget(mock);
+  assert.equal(initial.device, 'AVR128DA32');
+  assert.match(initial.project, /board\.mplab\.json › debug \(first configuration\)$/);
+
+  await mock.registrations.commands.get('avrAsmNavigator.selectMplabConfiguration')();
+  assert.deepEqual(
+    offered.map((item) => `${item.detail}: ${item.label} (${item.description})`),
+    [
+      'board.mplab.json: debug (AVR128DA32 · AVR-Dx_DFP 2.1.0)',
+      'board.mplab.json: release (AVR64DA32 · AVR-Dx_DFP 2.1.0)',
+      'tester.mplab.json: bench (AVR32DA28 · AVR-Dx_DFP 2.1.0)'
+    ]
+  );
+
+  const selected = await showTarget(mock);
+  assert.equal(selected.device, 'AVR32DA28');
+  assert.match(selected.project, /tester\.mplab\.json › bench \(selected\)$/);
+
+  // A new session in the same workspace restores the remembered choice.
+  const restarted = activateWithMock({ autoDetectMplabProject: true }, options);
+  assert.equal((await showTarget(restarted)).device, 'AVR32DA28');
+});
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { activateWithMock, createDocument, createUri, showPackRoot, withTempHome } = require('./helpers/vscode-mock');
+
+const DFP_FIXTURE_ROOT = path.join(__dirname, 'fixtures', 'AVR-Dx_DFP');
+const TOKEN = { isCancellationRequested: false };
+
+const PDSC = [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<package schemaVersion="1.3">',
+  '  <vendor>Microchip</vendor>',
+  '  <name>AVR-Dx_DFP</name>',
+  '  <releases>',
+  '    <release version="2.3.272">Older</release>',
+  '    <release version="2.4.286">Newest</release>',
+  '  </releases>',
+  '  <devices>',
+  '    <family Dfamily="AVR DA"><device Dname="AVR128DA32"/></family>',
+  '  </devices>',
+  '</package>',
+  ''
+].join('\n');
+
+// Writes a zip with deflated members, as the MPLAB® pack manager ships them.
+function writeZip(zipPath, files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const data = Buffer.from(text);
+    const compressed = zlib.deflateRawSync(data);
+    const nameBytes = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(zlib.crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(zlib.crc32(data), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, compressed);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  fs.writeFileSync(zipPath, Buffer.concat([...locals, directory, end]));
+}
+
+function writePackArchive(root, files = {}) {
+  const archivePath = path.join(root, 'Microchip.AVR-Dx_DFP.2.4.286.atpack');
+  writeZip(archivePath, {
+    'Microchip.AVR-Dx_DFP.pdsc': PDSC,
+    'atdf/AVR128DA32.atdf': fs.readFileSync(path.join(DFP_FIXTURE_ROOT, 'atdf', 'AVR128DA32.atdf'), 'utf8'),
+    ...files
+  });
+  return archivePath;
+}
+
+test('importing an .atpack extracts it into ~/.mchp_packs and rebuilds the index', async (t) => {
+  const { root } = withTempHome(t);
+  const archivePath = writePackArchive(root);
+  const mock = activateWithMock(
+    { device: 'AVR128DA32' },
+    { showOpenDialog: async () => [{ fsPath: archivePath }] }
+  );
+
+  await mock.registrations.commands.get('avrAsmNavigator.importPackArchive')();
+  const packRoot = path.join(process.env.HOME, '.mchp_packs', 'Microchip', 'AVR-Dx_DFP', '2.4.286');
+  assert.equal(
+    fs.readFileSync(path.join(packRoot, 'Microchip.AVR-Dx_DFP.pdsc'), 'utf8'),
+    PDSC
+  );
+  assert.ok(fs.existsSync(path.join(packRoot, 'atdf', 'AVR128DA32.atdf')));
+  assert.deepEqual(mock.registrations.errorMessages, []);
+  assert.match(
+    mock.registrations.informationMessages.at(-1),
+    /imported Microchip\/AVR-Dx_DFP 2\.4\.286; index rebuilt for AVR128DA32/
+  );
+  assert.equal(await showPackRoot(mock), packRoot);
+});
+
+test('archives without a valid .pdsc or with unsafe paths are rejected', async (t) => {
+  const { root } = withTempHome(t);
+  const noPdsc = path.join(root, 'no-pdsc.atpack');
+  writeZip(noPdsc, { 'atdf/AVR128DA32.atdf': '<avr-tools-device-file/>' });
+  const unsafe = writePackArchive(root, { '../escape.inc': '.equ ESCAPED = 1\n' });
+
+  let picked = noPdsc;
+  const mock = activateWithMock({}, { showOpenDialog: async () => [{ fsPath: picked }] });
+  const importPack = mock.registrations.commands.get('avrAsmNavigator.importPackArchive');
+
+  await importPack();
+  assert.match(mock.registrations.errorMessages[0], /no-pdsc\.atpack is not a valid pack archive \(no \.pdsc file at the archive root\)/);
+
+  picked = unsafe;
+  await importPack();
+  assert.match(mock.registrations.errorMessages[1], /failed to import Microchip\/AVR-Dx_DFP 2\.4\.286/);
+  const vendorRoot = path.join(process.env.HOME, '.mchp_packs', 'Microchip');
+  assert.deepEqual(fs.readdirSync(path.join(vendorRoot, 'AVR-Dx_DFP')), []);
+  assert.ok(!fs.existsSync(path.join(vendorRoot, 'AVR-Dx_DFP', 'escape.inc')));
+});
+
+test('dfpPath can point at an .atpack that is read without extracting it', async (t) => {
+  const { root } = withTempHome(t);
+  const archivePath = writePackArchive(root);
+  const document = createDocument('  sts RTC_PITCTRLA, r16\n');
+  const mock = activateWithMock({ dfpPath: archivePath, device: 'AVR128DA32' });
+
+  const hover = await mock.registrations.hover.provider.provideHover(
+    document,
+    { line: 0, character: 10 },
+    TOKEN
+  );
+  assert.ok(hover, 'Expected hover from the ATDF inside the archive.');
+  assert.match(hover.contents.value, /Register `RTC\.PITCTRLA` — PIT Control A/);
+
+  const definition = await mock.registrations.definition.provider.provideDefinition(
+    document,
+    { line: 0, character: 10 },
+    TOKEN
+  );
+  const first = Array.isArray(definition) ? definition[0] : definition;
+  assert.equal(first.uri.scheme, 'avr-atpack');
+  assert.equal(first.uri.fsPath, path.join(archivePath, 'atdf', 'AVR128DA32.atdf'));
+  const content = await mock.registrations.contentProviders
+    .get('avr-atpack')
+    .provideTextDocumentContent(first.uri);
+  assert.match(content, /<avr-tools-device-file/);
+  assert.deepEqual(fs.readdirSync(root).sort(), ['Microchip.AVR-Dx_DFP.2.4.286.atpack', 'home']);
+});
+
+test('a replaced archive is read again, and an archive no longer configured is released', async (t) => {
+  const { root } = withTempHome(t);
+  const archivePath = writePackArchive(root);
+  const document = createDocument('  sts RTC_PITCTRLA, r16\n');
+  const mock = activateWithMock({ dfpPath: archivePath, device: 'AVR128DA32' });
+  const hoverText = async () =>
+    (await mock.registrations.hover.provider.provideHover(document, { line: 0, character: 10 }, TOKEN)).contents
+      .value;
+  assert.match(await hoverText(), /PIT Control A/);
+
+  const atdf = fs.readFileSync(path.join(DFP_FIXTURE_ROOT, 'atdf', 'AVR128DA32.atdf'), 'utf8');
+  writePackArchive(root, { 'atdf/AVR128DA32.atdf': atdf.replace('PIT Control A', 'PIT Control Register A') });
+  const later = new Date(Date.now() + 60_000);
+  fs.utimesSync(archivePath, later, later);
+  await mock.registrations.commands.get('avrAsmNavigator.rebuildIndex')();
+  assert.match(await hoverText(), /PIT Control Register A/);
+
+  const memberUri = createUri(path.join(archivePath, 'atdf', 'AVR128DA32.atdf'));
+  const provider = mock.registrations.contentProviders.get('avr-atpack');
+  await mock.vscodeMock.workspace.getConfiguration('avrAsmNavigator').update('dfpPath', '');
+  for (const handler of mock.registrations.configurationHandlers) {
+    handler({ affectsConfiguration: () => true });
+  }
+  assert.equal(await provider.provideTextDocumentContent(memberUri), null);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { activateWithMock, showPackRoot, withTempHome } = require('./helpers/vscode-mock');
+
+function writePdsc(versionRoot, packName, deviceNames) {
+  const devices = deviceNames
+    .map((name) => `      <device Dname="${name}"><variant Dvariant="${name}-SSU"/></device>`)
+    .join('\n');
+  fs.writeFileSync(
+    path.join(versionRoot, `Microchip.${packName}.pdsc`),
+    `<?xml version="1.0"?>\n<package>\n  <devices>\n    <family Dfamily="AVR">\n${devices}\n    </family>\n  </devices>\n</package>\n`
+  );
+}
+
+// Installs ~/.mchp_packs under a temporary HOME:
+//   AVR-Dx_DFP 9.0.0 (newest overall, atdf listing only)
+//   ATtiny_DFP 1.0.0 (.pdsc lists ATtiny10 and ATtiny1616)
+//   ATtiny_DFP 3.0.0 (.pdsc lists ATtiny1616 only)
+function installPacks(t) {
+  const { packsRoot } = withTempHome(t, {
+    'Microchip/AVR-Dx_DFP/9.0.0': 'AVR-Dx_DFP',
+    'Microchip/ATtiny_DFP/1.0.0': 'ATtiny_DFP'
+  });
+  const vendorRoot = path.join(packsRoot, 'Microchip');
+  const packs = {
+    dx: path.join(vendorRoot, 'AVR-Dx_DFP', '9.0.0'),
+    tinyOld: path.join(vendorRoot, 'ATtiny_DFP', '1.0.0'),
+    tinyNew: path.join(vendorRoot, 'ATtiny_DFP', '3.0.0')
+  };
+  writePdsc(packs.tinyOld, 'ATtiny_DFP', ['ATtiny10', 'ATtiny1616']);
+  fs.mkdirSync(packs.tinyNew, { recursive: true });
+  writePdsc(packs.tinyNew, 'ATtiny_DFP', ['ATtiny1616']);
+  return packs;
+}
+
+async function resolvedPackRoot(device) {
+  const mock = activateWithMock({ device });
+  const packRoot = await showPackRoot(mock);
+  return { packRoot, log: mock.outputLines.join('\n') };
+}
+
+test('the newest pack that lists the device is selected', async (t) => {
+  const packs = installPacks(t);
+
+  const tiny1616 = await resolvedPackRoot('ATtiny1616');
+  assert.equal(tiny1616.packRoot, packs.tinyNew);
+  assert.match(tiny1616.log, /Selected Microchip\/ATtiny_DFP 3\.0\.0 for ATtiny1616 \(2 installed pack version\(s\) support it\)/);
+
+  const tiny10 = await resolvedPackRoot('ATtiny10');
+  assert.equal(tiny10.packRoot, packs.tinyOld);
+});
+
+test('packs without a .pdsc are catalogued from their atdf listing', async (t) => {
+  const packs = installPacks(t);
+
+  const dx = await resolvedPackRoot('avr128da32');
+  assert.equal(dx.packRoot, packs.dx);
+});
+
+test('an unknown device falls back to the newest installed pack with a warning', async (t) => {
+  const packs = installPacks(t);
+
+  const unknown = await resolvedPackRoot('ATmega4809');
+  assert.equal(unknown.packRoot, packs.dx);
+  assert.match(unknown.log, /No installed DFP lists ATmega4809/);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { activateWithMock, showPackRoot, withTempHome } = require('./helpers/vscode-mock');
+
+// MPLAB® project pinning ATtiny_DFP 2.0.0 with the given versions installed
+// under ~/.mchp_packs.
+function createProject(t, installedVersions) {
+  const { root, packsRoot } = withTempHome(
+    t,
+    Object.fromEntries(installedVersions.map((version) => [`Microchip/ATtiny_DFP/${version}`, 'ATtiny_DFP']))
+  );
+  const packDir = path.join(packsRoot, 'Microchip', 'ATtiny_DFP');
+
+  const folder = path.join(root, 'project');
+  fs.mkdirSync(path.join(folder, '.vscode'), { recursive: true });
+  fs.writeFileSync(
+    path.join(folder, '.vscode', 'board.mplab.json'),
+    JSON.stringify({
+      configurations: [
+        {
+          name: 'default',
+          device: 'ATtiny10',
+          packs: [{ vendor: 'Microchip', name: 'ATtiny_DFP', version: '2.0.0' }]
+        }
+      ]
+    })
+  );
+  return { folder, packDir };
+}
+
+test('a missing pinned pack falls back to the closest newer installed version', async (t) => {
+  const { folder, packDir } = createProject(t, ['1.0.0', '2.4.0', '3.0.0']);
+  const mock = activateWithMock({ autoDetectMplabProject: true }, { workspaceFolders: [folder] });
+
+  assert.equal(await showPackRoot(mock), path.join(packDir, '2.4.0'));
+  assert.match(
+    mock.outputLines.join('\n'),
+    /^Pack fallback: ATtiny_DFP 2\.0\.0 pinned by board\.mplab\.json is not installed; using 2\.4\.0$/m
+  );
+
+  await showPackRoot(mock);
+  assert.equal(mock.registrations.warningMessages.length, 1);
+  const warning = mock.registrations.warningMessages[0];
+  assert.match(warning.message, /ATtiny_DFP 2\.0\.0 .* is not installed; using the closest installed version, 2\.4\.0\./);
+  assert.deepEqual(warning.items, ['Open Pack Folder', 'Use 2.4.0 in Settings']);
+});
+
+test('without a newer version the newest older version is used and can be pinned', async (t) => {
+  const { folder, packDir } = createProject(t, ['1.0.0', '1.10.0']);
+  const mock = activateWithMock(
+    { autoDetectMplabProject: true },
+    {
+      workspaceFolders: [folder],
+      showWarningMessage: async (_message, items) => items[1]
+    }
+  );
+
+  assert.equal(await showPackRoot(mock), path.join(packDir, '1.10.0'));
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(
+    mock.registrations.configUpdates.map((update) => [update.key, update.value]),
+    [['dfpPath', path.join(packDir, '1.10.0')]]
+  );
+});
+
+test('Open Pack Folder reveals the folder holding the installed versions', async (t) => {
+  const { folder, packDir } = createProject(t, ['2.4.0']);
+  const mock = activateWithMock(
+    { autoDetectMplabProject: true },
+    {
+      workspaceFolders: [folder],
+      showWarningMessage: async (_message, items) => items[0]
+    }
+  );
+
+  await showPackRoot(mock);
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(mock.registrations.executedCommands.length, 1);
+  assert.equal(mock.registrations.executedCommands[0].command, 'revealFileInOS');
+  assert.equal(mock.registrations.executedCommands[0].args[0].fsPath, packDir);
+});
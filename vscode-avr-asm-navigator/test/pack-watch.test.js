@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { activateWithMock, createUri, showPackRoot, withTempHome } = require('./helpers/vscode-mock');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Debounced rebuilds run after file-system work, so poll the event loop
+// instead of guessing how many turns that takes. setTimeout may be mocked,
+// so the deadline is checked against the clock.
+async function waitFor(predicate) {
+  const deadline = Date.now() + 5000;
+  while (Date.now() < deadline) {
+    const value = predicate();
+    if (value) {
+      return value;
+    }
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  assert.fail('Timed out waiting for the extension.');
+}
+
+function findWatcher(mock, base, pattern) {
+  return mock.registrations.fileWatchers.find(
+    (watcher) =>
+      !watcher.disposed &&
+      watcher.glob.base &&
+      watcher.glob.base.fsPath === base &&
+      watcher.glob.pattern === pattern
+  );
+}
+
+test('installing a pack version rebuilds the index once after the debounce', async (t) => {
+  const { packsRoot } = withTempHome(t, { 'Microchip/ATtiny_DFP/1.0.0': 'ATtiny_DFP' });
+  const packDir = path.join(packsRoot, 'Microchip', 'ATtiny_DFP');
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const mock = activateWithMock({ device: 'ATtiny10' });
+  assert.equal(await showPackRoot(mock), path.join(packDir, '1.0.0'));
+
+  const rootWatcher = findWatcher(mock, packsRoot, '*/*/*');
+  assert.ok(rootWatcher);
+  assert.ok(findWatcher(mock, path.join(packDir, '1.0.0'), '**/*.{h,inc,atdf,pdsc}'));
+
+  const installed = path.join(packDir, '2.0.0');
+  fs.cpSync(path.join(FIXTURES, 'ATtiny_DFP'), installed, { recursive: true });
+  rootWatcher.handlers.onDidCreate(createUri(installed));
+  rootWatcher.handlers.onDidCreate(createUri(path.join(installed, 'atdf')));
+  t.mock.timers.tick(1000);
+  assert.deepEqual(mock.registrations.statusBarMessages, []);
+
+  t.mock.timers.tick(1500);
+  const message = await waitFor(() => mock.registrations.statusBarMessages[0]);
+  assert.equal(message, '$(sync) AVR® ASM index rebuilt after pack changes: ATtiny10 · ATtiny_DFP 2.0.0');
+  assert.equal(mock.registrations.statusBarMessages.length, 1);
+  assert.equal(await showPackRoot(mock), installed);
+
+  // The previous version's watcher is released once no scope uses it.
+  assert.ok(findWatcher(mock, installed, '**/*.{h,inc,atdf,pdsc}'));
+  assert.equal(findWatcher(mock, path.join(packDir, '1.0.0'), '**/*.{h,inc,atdf,pdsc}'), undefined);
+});
+
+test('compiler include directories are watched, and watching can be disabled', async (t) => {
+  const { root } = withTempHome(t, { 'Microchip/ATtiny_DFP/1.0.0': 'ATtiny_DFP' });
+  const toolchainRoot = path.join(root, 'avr8-gnu-toolchain');
+  const includeDir = path.join(toolchainRoot, 'avr', 'include', 'avr');
+  fs.mkdirSync(includeDir, { recursive: true });
+
+  const watched = activateWithMock({ device: 'ATtiny10', toolchainSearchRoots: [toolchainRoot] });
+  await showPackRoot(watched);
+  assert.ok(findWatcher(watched, includeDir, '**/*.h'));
+
+  const unwatched = activateWithMock({
+    device: 'ATtiny10',
+    toolchainSearchRoots: [toolchainRoot],
+    watchPackDirectories: false
+  });
+  const before = unwatched.registrations.fileWatchers.length;
+  await showPackRoot(unwatched);
+  assert.equal(unwatched.registrations.fileWatchers.length, before);
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { activateWithMock, createDocument } = require('./helpers/vscode-mock');
+
+const MAIN_TEXT = [
+  '.equ DELAY_COUNT = 10',
+  'main:',
+  '  ldi r16, DELAY_COUNT',
+  '  rcall delay_loop ; delay_loop waits',
+  '  rjmp main'
+].join('\n');
+
+const DELAY_TEXT = [
+  '.global delay_loop',
+  'delay_loop:',
+  '  dec r16 /* delay_loop */',
+  '  brne delay_loop',
+  '  .ascii "delay_loop"',
+  '  ret'
+].join('\n');
+
+function setupWorkspace(extraDocuments = [], configOverrides = {}) {
+  const main = createDocument(MAIN_TEXT, '/tmp/main.S');
+  const delay = createDocument(DELAY_TEXT, '/tmp/delay.S');
+  const { registrations } = activateWithMock(configOverrides, {
+    textDocuments: [main, delay, ...extraDocuments]
+  });
+  assert.ok(registrations.rename, 'Rename provider was not registered.');
+  return { rename: registrations.rename, main, delay };
+}
+
+function summarizeEdits(workspaceEdit) {
+  return Array.from(workspaceEdit.edits, (edit) => [
+    edit.uri.fsPath,
+    edit.range.start.line,
+    edit.range.start.character,
+    edit.newText
+  ]).sort();
+}
+
+test('renaming a label rewrites code occurrences across files and skips comments and strings', async () => {
+  const { rename, main } = setupWorkspace();
+  const edit = await rename.provideRenameEdits(main, { line: 3, character: 9 }, 'wait_loop', {
+    isCancellationRequested: false
+  });
+
+  assert.deepEqual(summarizeEdits(edit), [
+    ['/tmp/delay.S', 0, 8, 'wait_loop'],
+    ['/tmp/delay.S', 1, 0, 'wait_loop'],
+    ['/tmp/delay.S', 3, 7, 'wait_loop'],
+    ['/tmp/main.S', 3, 8, 'wait_loop']
+  ]);
+});
+
+test('renaming an .equ constant updates its definition and uses', async () => {
+  const { rename, main } = setupWorkspace();
+  const edit = await rename.provideRenameEdits(main, { line: 2, character: 12 }, 'LOOPS', {
+    isCancellationRequested: false
+  });
+
+  assert.deepEqual(summarizeEdits(edit), [
+    ['/tmp/main.S', 0, 5, 'LOOPS'],
+    ['/tmp/main.S', 2, 11, 'LOOPS']
+  ]);
+});
+
+test('rename refuses registers, mnemonics and symbols inside comments', async () => {
+  const { rename, main } = setupWorkspace();
+
+  await assert.rejects(
+    rename.prepareRename(main, { line: 2, character: 7 }, { isCancellationRequested: false }),
+    /r16 is a register name/
+  );
+  await assert.rejects(
+    rename.prepareRename(main, { line: 2, character: 3 }, { isCancellationRequested: false }),
+    /ldi is an instruction mnemonic/
+  );
+  await assert.rejects(
+    rename.prepareRename(main, { line: 3, character: 24 }, { isCancellationRequested: false }),
+    /comments or strings/
+  );
+});
+
+test('rename refuses device pack symbols', async () => {
+  const text = '  sts RTC_CTRLA, r16';
+  const document = createDocument(text, '/tmp/rtc.S');
+  const { registrations } = activateWithMock(
+    {
+      dfpPath: path.join(__dirname, 'fixtures', 'AVR-Dx_DFP'),
+      device: 'AVR128DA32'
+    },
+    { textDocuments: [document] }
+  );
+
+  await assert.rejects(
+    registrations.rename.prepareRename(document, { line: 0, character: 8 }, {
+      isCancellationRequested: false
+    }),
+    /RTC_CTRLA is defined by the device pack/
+  );
+});
+
+test('rename reports a conflict with an existing definition before editing', async () => {
+  const { rename, main } = setupWorkspace();
+
+  await assert.rejects(
+    rename.provideRenameEdits(main, { line: 3, character: 9 }, 'main', {
+      isCancellationRequested: false
+    }),
+    /main is already defined at \/tmp\/main\.S:2/
+  );
+  await assert.rejects(
+    rename.provideRenameEdits(main, { line: 3, character: 9 }, 'r20', {
+      isCancellationRequested: false
+    }),
+    /r20 is a register name/
+  );
+});
+
+test('file-local labels with the same name in other files are left alone', async () => {
+  const a = createDocument(['main:', 'loop:', '  dec r16', '  brne loop'].join('\n'), '/tmp/a.S');
+  const b = createDocument(['wait:', 'loop:', '  dec r17', '  brne loop'].join('\n'), '/tmp/b.S');
+  const { registrations } = activateWithMock({}, { textDocuments: [a, b] });
+
+  const edit = await registrations.rename.provideRenameEdits(a, { line: 3, character: 8 }, 'spin', {
+    isCancellationRequested: false
+  });
+  assert.deepEqual(summarizeEdits(edit), [
+    ['/tmp/a.S', 1, 0, 'spin'],
+    ['/tmp/a.S', 3, 7, 'spin']
+  ]);
+});
+
+test('renaming a symbol from an included file also updates the files that include it', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'avr-rename-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const files = {
+    'defs.inc': '.equ LOOPS = 3\n',
+    'main.S': '.include "defs.inc"\n  ldi r16, LOOPS\n',
+    'other.S': '.equ LOOPS = 5\n  ldi r17, LOOPS\n'
+  };
+  for (const [name, text] of Object.entries(files)) {
+    fs.writeFileSync(path.join(root, name), text);
+  }
+  const main = createDocument(files['main.S'], path.join(root, 'main.S'));
+  const { registrations } = activateWithMock(
+    {},
+    { textDocuments: [main], workspaceFiles: Object.keys(files).map((name) => path.join(root, name)) }
+  );
+
+  const edit = await registrations.rename.provideRenameEdits(main, { line: 1, character: 12 }, 'COUNT', {
+    isCancellationRequested: false
+  });
+  assert.deepEqual(summarizeEdits(edit), [
+    [path.join(root, 'defs.inc'), 0, 5, 'COUNT'],
+    [path.join(root, 'main.S'), 1, 11, 'COUNT']
+  ]);
+});
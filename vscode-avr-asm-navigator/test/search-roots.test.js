@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { activateWithMock, createDocument, showPackRoot, withTempHome } = require('./helpers/vscode-mock');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const TOKEN = { isCancellationRequested: false };
+
+function installTinyPack(versionRoot) {
+  fs.cpSync(path.join(FIXTURES, 'ATtiny_DFP'), versionRoot, { recursive: true });
+}
+
+test('packs bundled under a configured MPLAB X install are catalogued', async (t) => {
+  const { root } = withTempHome(t);
+  const mplabx = path.join(root, 'mplabx');
+  const packRoot = path.join(mplabx, 'v6.20', 'packs', 'Microchip', 'ATtiny_DFP', '2.0.0');
+  installTinyPack(packRoot);
+
+  const mock = activateWithMock({ device: 'ATtiny10', packSearchRoots: [mplabx] });
+  assert.equal(await showPackRoot(mock), packRoot);
+});
+
+test('a pinned MPLAB pack is found in a configured pack root', async (t) => {
+  const { root } = withTempHome(t);
+  const ciPacks = path.join(root, 'ci-packs');
+  const packRoot = path.join(ciPacks, 'Microchip', 'ATtiny_DFP', '1.4.0');
+  installTinyPack(packRoot);
+  installTinyPack(path.join(ciPacks, 'Microchip', 'ATtiny_DFP', '9.0.0'));
+
+  const folder = path.join(root, 'project');
+  fs.mkdirSync(path.join(folder, '.vscode'), { recursive: true });
+  fs.writeFileSync(
+    path.join(folder, '.vscode', 'board.mplab.json'),
+    JSON.stringify({
+      configurations: [
+        {
+          name: 'default',
+          device: 'ATtiny10',
+          packs: [{ vendor: 'Microchip', name: 'ATtiny_DFP', version: '1.4.0' }]
+        }
+      ]
+    })
+  );
+
+  const mock = activateWithMock(
+    { autoDetectMplabProject: true, packSearchRoots: [ciPacks] },
+    { workspaceFolders: [folder] }
+  );
+  assert.equal(await showPackRoot(mock), packRoot);
+});
+
+function writeToolchain(toolchainRoot, headerName, macro) {
+  const includeDir = path.join(toolchainRoot, 'avr', 'include', 'avr');
+  fs.mkdirSync(includeDir, { recursive: true });
+  fs.writeFileSync(path.join(includeDir, headerName), `#define ${macro} 1\n`);
+}
+
+async function hoverIncludedMacro(headerName, macro, config) {
+  const text = `#include <avr/${headerName}>\n  .long ${macro}\n`;
+  const document = createDocument(text, path.join(os.tmpdir(), 'search-roots-main.S'));
+  const mock = activateWithMock(config, { textDocuments: [document] });
+  return mock.registrations.hover.provider.provideHover(document, { line: 1, character: 9 }, TOKEN);
+}
+
+test('configured toolchain roots provide compiler headers, including XC8 layouts', async (t) => {
+  const { root } = withTempHome(t);
+  const toolchains = path.join(root, 'opt', 'toolchains');
+  writeToolchain(path.join(toolchains, 'avr8-gnu-toolchain'), 'gnu_board.h', 'GNU_BOARD');
+  writeToolchain(path.join(root, 'xc8', 'v2.46', 'avr'), 'xc8_board.h', 'XC8_BOARD');
+
+  const config = { toolchainSearchRoots: [toolchains, path.join(root, 'xc8')] };
+  const gnuHover = await hoverIncludedMacro('gnu_board.h', 'GNU_BOARD', config);
+  assert.ok(gnuHover, 'Expected a header from the configured toolchain folder.');
+  assert.match(gnuHover.contents.value, /Included macro from/);
+
+  const xc8Hover = await hoverIncludedMacro('xc8_board.h', 'XC8_BOARD', config);
+  assert.ok(xc8Hover, 'Expected a header from the XC8 install.');
+  assert.match(xc8Hover.contents.value, /Included macro from/);
+});
+
+test('the avr-gcc found on PATH is followed to its installation root', async (t) => {
+  const { root } = withTempHome(t);
+  const previousPath = process.env.PATH;
+  process.env.PATH = [path.join(root, 'empty-bin'), path.join(root, 'bin')].join(path.delimiter);
+  t.after(() => {
+    process.env.PATH = previousPath;
+  });
+  const toolchainRoot = path.join(root, 'avr-gcc-14');
+  writeToolchain(toolchainRoot, 'path_board.h', 'PATH_BOARD');
+  fs.mkdirSync(path.join(toolchainRoot, 'bin'));
+  fs.writeFileSync(path.join(toolchainRoot, 'bin', 'avr-gcc'), '');
+  fs.mkdirSync(path.join(root, 'bin'));
+  fs.symlinkSync(path.join(toolchainRoot, 'bin', 'avr-gcc'), path.join(root, 'bin', 'avr-gcc'));
+
+  const hover = await hoverIncludedMacro('path_board.h', 'PATH_BOARD', {});
+  assert.ok(hover, 'Expected a header from the avr-gcc on PATH.');
+  assert.match(hover.contents.value, /Included macro from/);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { activateWithMock, createDocument } = require('./helpers/vscode-mock');
+
+async function signatureHelpForLine(lineText, configOverrides = {}) {
+  const { registrations } = activateWithMock(configOverrides);
+  assert.ok(registrations.signatureHelp, 'Signature help provider was not registered.');
+  return registrations.signatureHelp.provider.provideSignatureHelp(
+    createDocument(lineText),
+    { line: 0, character: lineText.length },
+    { isCancellationRequested: false }
+  );
+}
+
+test('signature help triggers on space and comma', () => {
+  const { registrations } = activateWithMock();
+  const metadata = registrations.signatureHelp.metadata;
+
+  assert.ok(metadata.triggerCharacters.includes(' '));
+  assert.ok(metadata.triggerCharacters.includes(','));
+});
+
+test('ldd signature highlights the displacement operand and its range', async () => {
+  const help = await signatureHelpForLine('  ldd r16, ');
+  const [signature] = help.signatures;
+
+  assert.equal(signature.label, 'ldd Rd, Y+q|Z+q');
+  assert.equal(help.activeParameter, 1);
+  assert.deepEqual(Array.from(signature.parameters[1].label), [8, 15]);
+  assert.equal(signature.parameters[0].documentation, 'Rd: r0..r31');
+  assert.equal(signature.parameters[1].documentation, 'Y+q|Z+q: Y+q or Z+q with q in 0..63');
+});
+
+test('signature documentation lists register class, immediate range and flags', async () => {
+  const help = await signatureHelpForLine('  subi ');
+  const [signature] = help.signatures;
+
+  assert.equal(help.activeParameter, 0);
+  assert.equal(signature.parameters[0].documentation, 'Rd: r16..r31');
+  assert.equal(signature.parameters[1].documentation, 'K: a constant 0..255');
+  assert.match(signature.documentation.value, /Flags: `Z, C, N, V, S, H`/);
+});
+
+test('signature help is not offered for mnemonics without operands or inside comments', async () => {
+  assert.equal(await signatureHelpForLine('  nop '), null);
+  assert.equal(await signatureHelpForLine('  ; ldi '), null);
+});
+
+test('register ranges reflect the reduced core of the active device', async () => {
+  const help = await signatureHelpForLine('  mov ', {
+    dfpPath: path.join(__dirname, 'fixtures', 'ATtiny_DFP'),
+    device: 'ATtiny10'
+  });
+
+  assert.equal(help.signatures[0].parameters[0].documentation, 'Rd: r0..r31 (r16..r31 on AVRrc)');
+});
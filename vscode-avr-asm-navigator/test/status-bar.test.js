@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('node:os');
+const path = require('node:path');
+const { activateWithMock, createDocument, withTempHome } = require('./helpers/vscode-mock');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const INSTALLED_PACKS = {
+  'Microchip/AVR-Dx_DFP/2.1.0': 'AVR-Dx_DFP',
+  'Microchip/ATtiny_DFP/1.4.0': 'ATtiny_DFP'
+};
+
+async function waitForStatus(item, pattern) {
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    if (item.visible && pattern.test(item.text || '')) {
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.fail(`Status bar never matched ${pattern}; last text: ${item.text}`);
+}
+
+test('status bar shows the active device and pack version', async (t) => {
+  withTempHome(t, INSTALLED_PACKS);
+  const document = createDocument('  nop', '/tmp/status.S');
+  const { registrations } = activateWithMock({ device: 'AVR128DA32' }, { activeDocument: document });
+  const [item] = registrations.statusBarItems;
+
+  await waitForStatus(item, /AVR128DA32 · AVR-Dx_DFP 2\.1\.0$/);
+  assert.equal(item.command, 'avrAsmNavigator.selectDevice');
+  assert.equal(item.backgroundColor, undefined);
+});
+
+test('status bar warns when no symbol files were found', async (t) => {
+  withTempHome(t, INSTALLED_PACKS);
+  const document = createDocument('  nop', '/tmp/status.S');
+  const { registrations } = activateWithMock(
+    { dfpPath: path.join(os.tmpdir(), 'missing-dfp'), device: 'ATmega4809' },
+    { activeDocument: document }
+  );
+  const [item] = registrations.statusBarItems;
+
+  await waitForStatus(item, /^\$\(warning\) ATmega4809$/);
+  assert.equal(item.backgroundColor.id, 'statusBarItem.warningBackground');
+});
+
+test('select device lists catalogued devices and writes the choice to settings', async (t) => {
+  withTempHome(t, INSTALLED_PACKS);
+  const document = createDocument('  nop', '/tmp/status.S');
+  let offered = [];
+  const { registrations } = activateWithMock(
+    { device: 'AVR128DA32', dfpPath: path.join(FIXTURES, 'AVR-Dx_DFP') },
+    {
+      activeDocument: document,
+      showQuickPick: async (items) => {
+        offered = Array.from(items);
+        return offered.find((item) => item.label === 'ATtiny10');
+      }
+    }
+  );
+
+  await registrations.commands.get('avrAsmNavigator.selectDevice')();
+
+  assert.deepEqual(
+    offered.map((item) => `${item.label}: ${item.description}`),
+    ['ATtiny10: ATtiny_DFP 1.4.0', 'AVR128DA32: AVR-Dx_DFP 2.1.0 (current)']
+  );
+  assert.deepEqual(
+    registrations.configUpdates.map((update) => [update.key, path.basename(update.value)]),
+    [
+      ['device', 'ATtiny10'],
+      ['dfpPath', '1.4.0']
+    ]
+  );
+  await waitForStatus(registrations.statusBarItems[0], /ATtiny10 · ATtiny_DFP 1\.4\.0$/);
+});
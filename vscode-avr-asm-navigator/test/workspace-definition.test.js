@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { activateWithMock, createDocument } = require('./helpers/vscode-mock');
+
+const TOKEN = { isCancellationRequested: false };
+
+function openWorkspace(files) {
+  const documents = Object.entries(files).map(([fsPath, lines]) =>
+    createDocument(lines.join('\n'), fsPath)
+  );
+  const { registrations } = activateWithMock(
+    {},
+    { textDocuments: documents, workspaceFolders: ['/ws/app', '/ws/lib'] }
+  );
+  return { provider: registrations.definition.provider, documents };
+}
+
+function describeLocations(result) {
+  const locations = Array.isArray(result) ? Array.from(result) : result ? [result] : [];
+  return locations.map((location) => `${location.uri.fsPath}:${location.range.line}`);
+}
+
+test('definition resolves a label exported from another file, same folder first', async () => {
+  const { provider, documents } = openWorkspace({
+    '/ws/app/main.S': ['.extern uart_putc', 'main:', '  rcall uart_putc'],
+    '/ws/lib/uart.S': ['.global uart_putc', 'uart_putc:', '  ret'],
+    '/ws/app/drivers/uart.S': ['  .globl uart_putc', 'uart_putc:', '  ret'],
+    '/ws/app/helpers.S': ['uart_putc:', '  ret']
+  });
+
+  const result = await provider.provideDefinition(documents[0], { line: 2, character: 10 }, TOKEN);
+
+  assert.deepEqual(describeLocations(result), [
+    '/ws/app/drivers/uart.S:1',
+    '/ws/lib/uart.S:1'
+  ]);
+});
+
+test('weak definitions rank after global ones and a local .weak yields to them', async () => {
+  const { provider, documents } = openWorkspace({
+    '/ws/app/vectors.S': ['.weak timer_isr', 'timer_isr:', '  reti'],
+    '/ws/app/timer.S': ['.global timer_isr', 'timer_isr:', '  reti'],
+    '/ws/app/main.S': ['  rcall timer_isr']
+  });
+
+  const fromWeak = await provider.provideDefinition(documents[0], { line: 1, character: 3 }, TOKEN);
+  assert.deepEqual(describeLocations(fromWeak), ['/ws/app/timer.S:1', '/ws/app/vectors.S:1']);
+
+  const fromCaller = await provider.provideDefinition(documents[2], { line: 0, character: 10 }, TOKEN);
+  assert.deepEqual(describeLocations(fromCaller), ['/ws/app/timer.S:1', '/ws/app/vectors.S:1']);
+});
+
+test('file-local labels are only used when no file exports the symbol', async () => {
+  const { provider, documents } = openWorkspace({
+    '/ws/app/main.S': ['  rjmp delay_ms'],
+    '/ws/app/delay.S': ['delay_ms:', '  ret'],
+    '/ws/app/other.S': ['.extern delay_ms', '  rcall delay_ms']
+  });
+
+  const result = await provider.provideDefinition(documents[0], { line: 0, character: 9 }, TOKEN);
+  assert.deepEqual(describeLocations(result), ['/ws/app/delay.S:0']);
+});
+
+test('comments after a linkage directive are not part of the symbol name', async () => {
+  const { provider, documents } = openWorkspace({
+    '/ws/app/main.S': ['  rcall uart_init'],
+    '/ws/app/defaults.S': ['  .weak uart_init /* default */', 'uart_init:', '  ret'],
+    '/ws/app/uart.S': ['.global uart_init // entry', 'uart_init:', '  ret'],
+    '/ws/app/helpers.S': ['uart_init:', '  ret']
+  });
+
+  const result = await provider.provideDefinition(documents[0], { line: 0, character: 10 }, TOKEN);
+  assert.deepEqual(describeLocations(result), ['/ws/app/uart.S:1', '/ws/app/defaults.S:1']);
+});
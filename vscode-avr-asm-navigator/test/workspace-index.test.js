@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { activateWithMock, createDocument, createUri } = require('./helpers/vscode-mock');
+
+const TOKEN = { isCancellationRequested: false };
+
+function createWorkspace(t, callerCount) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'avr-workspace-index-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const files = [path.join(root, 'uart.S')];
+  fs.writeFileSync(files[0], '.global uart_putc\nuart_putc:\n  ret\n');
+  for (let i = 0; i < callerCount; i += 1) {
+    const filePath = path.join(root, `caller${i}.S`);
+    fs.writeFileSync(filePath, `caller${i}:\n  rcall uart_putc\n`);
+    files.push(filePath);
+  }
+  return { root, files };
+}
+
+function activateWorkspace(workspace, options = {}) {
+  const mock = activateWithMock(
+    { maxWorkspaceScanFiles: 20 },
+    { workspaceFiles: workspace.files, ...options }
+  );
+  const [watcher] = mock.registrations.fileWatchers;
+  assert.ok(watcher, 'Workspace file watcher was not created.');
+  return { registrations: mock.registrations, watcher };
+}
+
+async function findCallers(registrations, workspace) {
+  const document = createDocument(fs.readFileSync(workspace.files[0], 'utf8'), workspace.files[0]);
+  const locations = await registrations.references.provideReferences(
+    document,
+    { line: 1, character: 3 },
+    { includeDeclaration: false },
+    TOKEN
+  );
+  return Array.from(locations, (location) => path.basename(location.uri.fsPath))
+    .filter((name) => name !== 'uart.S')
+    .sort();
+}
+
+test('references cover every indexed file regardless of the scan limit', async (t) => {
+  const workspace = createWorkspace(t, 30);
+  const { registrations } = activateWorkspace(workspace);
+
+  assert.equal((await findCallers(registrations, workspace)).length, 30);
+});
+
+test('watcher events update only the changed files', async (t) => {
+  const workspace = createWorkspace(t, 3);
+  const { registrations, watcher } = activateWorkspace(workspace);
+  assert.deepEqual(await findCallers(registrations, workspace), [
+    'caller0.S',
+    'caller1.S',
+    'caller2.S'
+  ]);
+
+  fs.writeFileSync(workspace.files[1], 'caller0:\n  ret\n');
+  watcher.handlers.onDidChange(createUri(workspace.files[1]));
+
+  const created = path.join(workspace.root, 'caller9.S');
+  fs.writeFileSync(created, '  rjmp uart_putc\n');
+  watcher.handlers.onDidCreate(createUri(created));
+
+  const excluded = path.join(workspace.root, 'out', 'generated.S');
+  fs.mkdirSync(path.dirname(excluded));
+  fs.writeFileSync(excluded, '  rjmp uart_putc\n');
+  watcher.handlers.onDidCreate(createUri(excluded));
+
+  watcher.handlers.onDidDelete(createUri(workspace.files[2]));
+
+  assert.deepEqual(await findCallers(registrations, workspace), ['caller2.S', 'caller9.S']);
+});
+
+test('workspace symbols come from the index and reflect unsaved document edits', async (t) => {
+  const workspace = createWorkspace(t, 1);
+  const edited = createDocument('uart_getc:\n  ret\n', workspace.files[1]);
+  edited.version = 2;
+  const { registrations } = activateWorkspace(workspace, { textDocuments: [edited] });
+
+  const symbols = await registrations.workspaceSymbols.provideWorkspaceSymbols('uart_', TOKEN);
+  assert.deepEqual(Array.from(symbols, (symbol) => symbol.name).sort(), ['uart_getc', 'uart_putc']);
+});